@@ -14,6 +14,7 @@ import Onboarding from './pages/Onboarding';
 import Dashboard from './pages/Dashboard';
 import Settings from './pages/Settings';
 import Admin from './pages/Admin';
+import Documents from './pages/Documents';
 
 function App() {
   return (
@@ -71,6 +72,16 @@ function App() {
             }
           />
 
+          {/* Bibliothèque de documents (protégée) */}
+          <Route
+            path="/documents"
+            element={
+              <ProtectedRoute>
+                <Documents />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Route Admin (protégée + rôle admin requis) */}
           <Route
             path="/admin"
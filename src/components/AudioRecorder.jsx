@@ -3,7 +3,7 @@ import { Mic, Square, Loader2, CheckCircle2, AlertCircle, FileText } from 'lucid
 // Correction de l'import : utilisation du chemin relatif pour éviter les problèmes d'alias
 import { uploadMeetingAudio } from '../lib/supabaseClient';
 
-export default function AudioRecorder({ onRecordingComplete }) {
+export default function AudioRecorder({ onRecordingComplete, targetVerticals = [] }) {
     const [isRecording, setIsRecording] = useState(false);
     const [isProcessing, setIsProcessing] = useState(false);
     const [duration, setDuration] = useState(0);
@@ -72,7 +72,7 @@ export default function AudioRecorder({ onRecordingComplete }) {
             const file = new File([blob], `recording.${extension}`, { type: mimeType });
 
             // 3. Envoi
-            const { meeting } = await uploadMeetingAudio(file, `Réunion du ${new Date().toLocaleString()}`);
+            const { meeting } = await uploadMeetingAudio(file, `Réunion du ${new Date().toLocaleString()}`, targetVerticals);
 
             if (!meeting) throw new Error("Aucune donnée reçue du serveur");
 
@@ -1,45 +1,52 @@
 import React, { useState, useRef, useCallback } from 'react';
-import { 
-  Upload, 
-  FileText, 
-  X, 
-  CheckCircle2, 
-  AlertCircle, 
+import {
+  Upload,
+  FileText,
+  FolderUp,
+  X,
+  CheckCircle2,
+  AlertCircle,
+  Copy,
   Loader2,
-  ClipboardCheck,
-  Building2,
-  Scale,
-  Users,
   Layers,
-  Info
+  Info,
+  RotateCcw,
+  Tags
 } from 'lucide-react';
+import { DEFAULT_VERTICALS, getVerticalIcon } from '../lib/verticals';
+import { JOB_STATUS_LABELS, jobProgress, waitForIngestionJob } from '../lib/ingestionJobs';
+import {
+  QUEUE_STATUS_LABELS,
+  UPLOAD_CONCURRENCY,
+  collectDroppedFiles,
+  filesFromInput,
+  getFileType,
+  runWithConcurrency,
+  summarizeQueue
+} from '../lib/uploadQueue';
 
 /**
  * SmartUploader - Composant d'upload intelligent avec tagging multi-verticales
- * 
+ *
  * Permet de :
- * - Upload de documents par drag & drop ou sélection
- * - Tagging sur plusieurs verticales simultanément
+ * - Upload de plusieurs documents ou dossiers par drag & drop ou sélection
+ * - Tagging sur plusieurs verticales simultanément, modifiable fichier par fichier
  * - Validation des fichiers (type, taille)
- * - Feedback visuel du statut d'upload
- * 
+ * - Suivi de l'indexation de chaque fichier (tâches d'import traitées en arrière-plan)
+ * - Relance des échecs et bilan en fin d'import
+ *
  * @param {Object} props
- * @param {function} props.onUpload - Callback appelé après upload réussi
+ * @param {function} props.onUpload - Callback appelé après chaque upload réussi
+ * @param {function} props.onBatchComplete - Callback appelé en fin d'import avec le bilan
  * @param {Object} props.supabaseClient - Instance Supabase
- * @param {Array} props.availableVerticals - Liste des verticales disponibles
+ * @param {string} props.orgId - Organisation de l'utilisateur (dossier des fichiers déposés)
+ * @param {Array} props.availableVerticals - Liste des verticales disponibles (hors verticales archivées)
  * @param {string} props.defaultVertical - Verticale pré-sélectionnée par défaut
  * @param {number} props.maxFileSize - Taille max en MB (défaut: 20)
  * @param {string[]} props.acceptedTypes - Types MIME acceptés
+ * @param {number} props.concurrency - Imports simultanés (défaut: 3)
  */
 
-// Configuration des verticales par défaut
-const DEFAULT_VERTICALS = [
-  { id: 'audit', name: 'Audit', icon: ClipboardCheck, color: '#6366f1' },
-  { id: 'btp', name: 'BTP', icon: Building2, color: '#f59e0b' },
-  { id: 'juridique', name: 'Juridique', icon: Scale, color: '#10b981' },
-  { id: 'rh', name: 'RH', icon: Users, color: '#ec4899' },
-];
-
 // Types de fichiers acceptés
 const DEFAULT_ACCEPTED_TYPES = [
   'application/pdf',
@@ -48,27 +55,275 @@ const DEFAULT_ACCEPTED_TYPES = [
   'application/msword',
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
   'text/csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+];
+
+// Formats binaires : le texte est extrait côté serveur depuis le fichier stocké
+const SERVER_EXTRACTED_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
 ];
 
+// Part de la barre de progression consacrée à l'envoi (le reste suit l'indexation)
+const UPLOAD_PROGRESS_SHARE = 20;
+
+// Fichiers traités par un import (les échecs peuvent être relancés)
+const FINISHED_STATUSES = ['success', 'duplicate', 'error'];
+
+const STATUS_STYLES = {
+  pending: { icon: FileText, classes: 'text-slate-400' },
+  uploading: { icon: Loader2, classes: 'text-indigo-600 animate-spin' },
+  success: { icon: CheckCircle2, classes: 'text-green-600' },
+  duplicate: { icon: Copy, classes: 'text-amber-500' },
+  error: { icon: AlertCircle, classes: 'text-red-600' },
+  invalid: { icon: AlertCircle, classes: 'text-slate-400' },
+};
+
+// Lecture du contenu des fichiers texte (TXT, Markdown, CSV)
+const readFileContent = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Erreur de lecture du fichier'));
+    reader.readAsText(file);
+  });
+};
+
+// Fichier déposé qu'aucune tâche d'import ne référence : sans suppression, il resterait
+// dans le stockage sans apparaître dans la bibliothèque (une relance en dépose un nouveau)
+const removeStoredFile = async (supabaseClient, storagePath) => {
+  if (!storagePath) return;
+  const { error } = await supabaseClient.storage.from('documents').remove([storagePath]);
+  if (error) console.warn(`Fichier non supprimé du stockage: ${storagePath}`, error.message);
+};
+
+// Empreinte SHA-256 (hex) du fichier : ingest-api refuse un doublon sans télécharger le fichier
+const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Importe un fichier : stockage, appel à ingest-api puis suivi de la tâche d'import.
+ * onProgress(pourcentage, libellé) suit chaque étape. En cas de refus d'ingest-api,
+ * l'erreur porte son statut HTTP (409 : contenu déjà importé) ; en cas d'échec de la
+ * tâche, son code (duplicate : doublon détecté pendant l'indexation). Le fichier déposé
+ * est supprimé si ingest-api refuse la requête ; sinon il reste rattaché à la tâche
+ * (supprimée avec elle depuis la bibliothèque).
+ */
+const ingestFile = async ({ supabaseClient, orgId, file, path, verticals, onProgress }) => {
+  // ingest-api exige le jeton de l'utilisateur (organisation et droits d'import)
+  const session = (await supabaseClient.auth.getSession()).data.session;
+  if (!session) {
+    throw new Error('Vous devez être connecté pour importer un document');
+  }
+  if (!orgId) {
+    throw new Error('Vous devez appartenir à une organisation pour importer un document');
+  }
+
+  // Étape 1: Lecture du fichier (les PDF / Word / Excel sont extraits côté serveur)
+  onProgress(5, 'Envoi du fichier');
+  const fileType = getFileType(file);
+  const isServerExtracted = SERVER_EXTRACTED_TYPES.includes(fileType);
+  const fileContent = isServerExtracted ? null : await readFileContent(file);
+  // Texte lu : ingest-api le hache lui-même
+  const contentHash = isServerExtracted ? await hashFile(file) : null;
+
+  // Étape 2: Upload vers Supabase Storage, dans le dossier de l'organisation
+  // (seul dossier accepté par le bucket et par ingest-api)
+  onProgress(10, 'Envoi du fichier');
+  let storagePath = null;
+
+  // Suffixe aléatoire : deux fichiers homonymes peuvent partir dans la même milliseconde
+  const fileName = `${orgId}/${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${file.name}`;
+  const { data: storageData, error: storageError } = await supabaseClient
+    .storage
+    .from('documents')
+    .upload(fileName, file, {
+      cacheControl: '3600',
+      upsert: false,
+    });
+
+  if (storageError) {
+    console.warn('Erreur storage (non bloquante):', storageError.message);
+  } else {
+    storagePath = storageData.path;
+  }
+
+  // Sans fichier stocké, le serveur ne peut pas extraire le texte d'un PDF / Word / Excel
+  if (isServerExtracted && !storagePath) {
+    throw new Error('Impossible de stocker le fichier : l\'extraction du PDF / Word / Excel nécessite le stockage');
+  }
+
+  // Étape 3: Appel à l'API d'ingestion
+  onProgress(15, 'Envoi du fichier');
+
+  const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+  const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+  const uploadWebhookUrl = import.meta.env.VITE_UPLOAD_WEBHOOK_URL?.trim();
+
+  const isSupabaseFunction = !uploadWebhookUrl;
+  const endpointUrl = uploadWebhookUrl || `${supabaseUrl}/functions/v1/ingest-api`;
+
+  const requestHeaders = {
+    'Content-Type': 'application/json',
+  };
+
+  if (isSupabaseFunction) {
+    requestHeaders.Authorization = `Bearer ${session.access_token}`;
+    requestHeaders.apikey = supabaseAnonKey;
+  }
+
+  // Erreur réseau : ingest-api a pu créer la tâche, le fichier est conservé
+  // (ingest-api supprime lui-même le fichier d'une requête en échec)
+  const response = await fetch(endpointUrl, {
+    method: 'POST',
+    headers: requestHeaders,
+    body: JSON.stringify({
+      content: fileContent,
+      storage_path: storagePath,
+      content_hash: contentHash,
+      metadata: {
+        // Chemin dans le dossier importé : deux fichiers homonymes ne sont pas deux versions
+        filename: path,
+        fileType,
+        fileSize: file.size,
+        uploadedAt: new Date().toISOString(),
+      },
+      target_verticals: verticals,
+    }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error('Ingest error payload:', errorData);
+    const error = new Error(errorData.error || `Erreur serveur (${response.status})`);
+    error.status = response.status;
+    // Requête refusée : aucune tâche créée (ingest-api supprime lui-même le fichier d'un doublon)
+    if (response.status >= 400 && response.status < 500 && response.status !== 409) {
+      await removeStoredFile(supabaseClient, storagePath);
+    }
+    throw error;
+  }
+
+  const result = await response.json();
+
+  // Étape 4: Suivi de la tâche d'import (ingest-api répond avant l'indexation)
+  const jobId = result?.data?.job_id;
+  if (jobId) {
+    onProgress(UPLOAD_PROGRESS_SHARE, JOB_STATUS_LABELS.queued);
+
+    result.data.job = await waitForIngestionJob(supabaseClient, jobId, (job) => {
+      onProgress(
+        UPLOAD_PROGRESS_SHARE + Math.round(((100 - UPLOAD_PROGRESS_SHARE) * jobProgress(job)) / 100),
+        JOB_STATUS_LABELS[job.status] || job.status
+      );
+    });
+  }
+
+  return result;
+};
+
 const SmartUploader = ({
   onUpload,
+  onBatchComplete,
   supabaseClient,
+  orgId,
   availableVerticals = DEFAULT_VERTICALS,
   defaultVertical = 'audit',
   maxFileSize = 20, // MB
   acceptedTypes = DEFAULT_ACCEPTED_TYPES,
+  concurrency = UPLOAD_CONCURRENCY,
   className = '',
 }) => {
   // States
   const [isDragging, setIsDragging] = useState(false);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [queue, setQueue] = useState([]);
   const [selectedVerticals, setSelectedVerticals] = useState([defaultVertical]);
-  const [uploadStatus, setUploadStatus] = useState('idle'); // idle, uploading, success, error
+  const [isRunning, setIsRunning] = useState(false);
+  const [batchDone, setBatchDone] = useState(false);
+  const [editingId, setEditingId] = useState(null);
   const [errorMessage, setErrorMessage] = useState('');
-  const [uploadProgress, setUploadProgress] = useState(0);
-  
+
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const dropZoneRef = useRef(null);
+  const nextIdRef = useRef(0);
+
+  // État de la file au dernier rendu (bilan en fin d'import)
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+
+  const verticalsById = Object.fromEntries(availableVerticals.map((v) => [v.id, v]));
+  const summary = summarizeQueue(queue);
+  const uploadable = queue.filter((item) => item.status === 'pending');
+  const failedItems = queue.filter((item) => item.status === 'error');
+  const batchSize = queue.length - summary.invalid;
+  const processed = queue.filter((item) => FINISHED_STATUSES.includes(item.status)).length;
+
+  const updateItem = useCallback((id, changes) => {
+    setQueue((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // ============================================
+  // AJOUT ET VALIDATION DES FICHIERS
+  // ============================================
+
+  // Renvoie la raison du refus, ou null si le fichier est accepté
+  const validateFile = (file) => {
+    // Vérification du type
+    if (!acceptedTypes.includes(getFileType(file))) {
+      return 'Type de fichier non supporté. Acceptés: PDF, Word, Excel, TXT, Markdown, CSV';
+    }
+
+    // Vérification de la taille
+    const fileSizeMB = file.size / (1024 * 1024);
+    if (fileSizeMB > maxFileSize) {
+      return `Fichier trop volumineux (${fileSizeMB.toFixed(1)} MB). Maximum: ${maxFileSize} MB`;
+    }
+
+    return null;
+  };
+
+  const addFiles = (entries) => {
+    setErrorMessage('');
+    setBatchDone(false);
+
+    setQueue((prev) => {
+      // Un même fichier déposé deux fois n'est importé qu'une fois
+      const fileKey = (file, path) => `${path}:${file.size}:${file.lastModified}`;
+      const known = new Set(prev.map((item) => fileKey(item.file, item.path)));
+      const added = [];
+
+      entries.forEach(({ file, path }) => {
+        const key = fileKey(file, path);
+        if (known.has(key)) return;
+        known.add(key);
+
+        const invalidReason = validateFile(file);
+        added.push({
+          id: nextIdRef.current++,
+          file,
+          path,
+          verticals: selectedVerticals,
+          status: invalidReason ? 'invalid' : 'pending',
+          error: invalidReason,
+          progress: 0,
+          label: '',
+          previousVersion: null,
+        });
+      });
+
+      return [...prev, ...added];
+    });
+  };
+
+  const removeItem = (id) => {
+    setQueue((prev) => prev.filter((item) => item.id !== id));
+    if (editingId === id) setEditingId(null);
+  };
 
   // ============================================
   // GESTION DU DRAG & DROP
@@ -94,215 +349,145 @@ const SmartUploader = ({
     e.stopPropagation();
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setIsDragging(false);
+    if (isRunning) return;
 
-    const files = e.dataTransfer.files;
-    if (files && files.length > 0) {
-      validateAndSetFile(files[0]);
-    }
-  }, []);
+    collectDroppedFiles(e.dataTransfer)
+      .then(addFiles)
+      .catch((error) => {
+        console.error('Lecture du dépôt impossible:', error);
+        setErrorMessage('Impossible de lire les fichiers déposés');
+      });
+  };
+
+  const handleInputChange = (e) => {
+    addFiles(filesFromInput(e.target.files));
+    // Permet de sélectionner à nouveau les mêmes fichiers
+    e.target.value = '';
+  };
 
   // ============================================
-  // VALIDATION DES FICHIERS
+  // GESTION DES VERTICALES
   // ============================================
 
-  const validateAndSetFile = (file) => {
-    setErrorMessage('');
-    setUploadStatus('idle');
-
-    // Vérification du type
-    if (!acceptedTypes.includes(file.type)) {
-      setErrorMessage(`Type de fichier non supporté. Acceptés: PDF, Word, TXT, Markdown, CSV`);
-      return false;
-    }
-
-    // Vérification de la taille
-    const fileSizeMB = file.size / (1024 * 1024);
-    if (fileSizeMB > maxFileSize) {
-      setErrorMessage(`Fichier trop volumineux (${fileSizeMB.toFixed(1)} MB). Maximum: ${maxFileSize} MB`);
-      return false;
+  // Ne pas permettre de tout désélectionner
+  const toggleInList = (list, verticalId) => {
+    if (list.includes(verticalId)) {
+      return list.length === 1 ? list : list.filter((v) => v !== verticalId);
     }
+    return [...list, verticalId];
+  };
 
-    setSelectedFile(file);
-    return true;
+  const toggleVertical = (verticalId) => {
+    setSelectedVerticals((prev) => toggleInList(prev, verticalId));
   };
 
-  // ============================================
-  // GESTION DES VERTICALES
-  // ============================================
+  const toggleItemVertical = (id, verticalId) => {
+    setQueue((prev) => prev.map((item) => (
+      item.id === id ? { ...item, verticals: toggleInList(item.verticals, verticalId) } : item
+    )));
+  };
 
-  const toggleVertical = (verticalId) => {
-    setSelectedVerticals(prev => {
-      if (prev.includes(verticalId)) {
-        // Ne pas permettre de tout désélectionner
-        if (prev.length === 1) return prev;
-        return prev.filter(v => v !== verticalId);
-      }
-      return [...prev, verticalId];
-    });
+  // Verticales cibles appliquées aux fichiers pas encore indexés
+  const applyVerticalsToQueue = () => {
+    setQueue((prev) => prev.map((item) => (
+      item.status === 'pending' || item.status === 'error' ? { ...item, verticals: selectedVerticals } : item
+    )));
   };
 
   // ============================================
-  // UPLOAD DU FICHIER
+  // UPLOAD DES FICHIERS
   // ============================================
 
-  const handleUpload = async () => {
-    if (!selectedFile || selectedVerticals.length === 0) {
-      setErrorMessage('Veuillez sélectionner un fichier et au moins une verticale');
-      return;
-    }
-
-    setUploadStatus('uploading');
-    setUploadProgress(0);
+  // Renvoie l'état final du fichier (ne rejette pas : un échec n'arrête pas la file)
+  const uploadItem = async (item) => {
+    updateItem(item.id, { status: 'uploading', progress: 0, label: 'Envoi du fichier', error: null });
 
+    let outcome;
     try {
-      // Étape 1: Lecture du fichier
-      setUploadProgress(10);
-      const fileContent = await readFileContent(selectedFile);
-      
-      // Étape 2: Upload vers Supabase Storage (si configuré)
-      setUploadProgress(30);
-      let storageUrl = null;
-      
-      if (supabaseClient) {
-        const fileName = `${Date.now()}-${selectedFile.name}`;
-        const { data: storageData, error: storageError } = await supabaseClient
-          .storage
-          .from('documents')
-          .upload(fileName, selectedFile, {
-            cacheControl: '3600',
-            upsert: false,
-          });
-
-        if (storageError) {
-          console.warn('Erreur storage (non bloquante):', storageError.message);
-        } else {
-          // Récupérer l'URL publique
-          const { data: { publicUrl } } = supabaseClient
-            .storage
-            .from('documents')
-            .getPublicUrl(fileName);
-          storageUrl = publicUrl;
-        }
-      }
-
-      // Étape 3: Appel à l'API d'ingestion
-      setUploadProgress(50);
-      
-      const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-      const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-      const uploadWebhookUrl = import.meta.env.VITE_UPLOAD_WEBHOOK_URL?.trim();
-
-      // Récupérer le token d'authentification
-      let accessToken = supabaseAnonKey;
-      if (supabaseClient) {
-        const { data: { session } } = await supabaseClient.auth.getSession();
-        if (session) {
-          accessToken = session.access_token;
-        }
-      }
-
-      setUploadProgress(70);
-
-      const isSupabaseFunction = !uploadWebhookUrl;
-      const endpointUrl = uploadWebhookUrl || `${supabaseUrl}/functions/v1/ingest-api`;
-
-      const requestHeaders = {
-        'Content-Type': 'application/json',
-      };
-
-      if (isSupabaseFunction) {
-        requestHeaders.Authorization = `Bearer ${accessToken}`;
-      }
-
-      const response = await fetch(endpointUrl, {
-        method: 'POST',
-        headers: requestHeaders,
-        body: JSON.stringify({
-          content: fileContent,
-          metadata: {
-            filename: selectedFile.name,
-            fileType: selectedFile.type,
-            fileSize: selectedFile.size,
-            uploadedAt: new Date().toISOString(),
-            storageUrl: storageUrl,
-          },
-          target_verticals: selectedVerticals,
-        }),
+      const result = await ingestFile({
+        supabaseClient,
+        orgId,
+        file: item.file,
+        path: item.path,
+        verticals: item.verticals,
+        onProgress: (progress, label) => updateItem(item.id, { progress, label }),
       });
 
-      setUploadProgress(90);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Ingest error payload:', errorData);
-        throw new Error(errorData.error || `Erreur serveur (${response.status})`);
-      }
-
-      const result = await response.json();
-
-      setUploadProgress(100);
-      setUploadStatus('success');
+      outcome = {
+        status: 'success',
+        progress: 100,
+        label: JOB_STATUS_LABELS.done,
+        previousVersion: result?.data?.previous_version || null,
+      };
 
       // Callback parent
       if (onUpload) {
         onUpload({
-          file: selectedFile,
-          verticals: selectedVerticals,
+          file: item.file,
+          verticals: item.verticals,
           result: result,
         });
       }
-
-      // Reset après 3 secondes
-      setTimeout(() => {
-        resetUploader();
-      }, 3000);
-
     } catch (error) {
-      console.error('Erreur upload:', error);
-      setUploadStatus('error');
-      setErrorMessage(error.message || 'Erreur lors de l\'upload');
+      console.error(`Erreur upload ${item.path}:`, error);
+      outcome = {
+        status: error.status === 409 || error.code === 'duplicate' ? 'duplicate' : 'error',
+        error: error.message || 'Erreur lors de l\'upload',
+      };
     }
+
+    updateItem(item.id, outcome);
+    return outcome;
   };
 
-  // Lecture du contenu du fichier
-  const readFileContent = (file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      
-      reader.onload = (e) => {
-        // Pour les PDFs, on envoie en base64
-        if (file.type === 'application/pdf') {
-          const base64 = e.target.result.split(',')[1];
-          resolve(`[PDF:BASE64]${base64}`);
-        } else {
-          resolve(e.target.result);
-        }
-      };
-      
-      reader.onerror = () => reject(new Error('Erreur de lecture du fichier'));
-      
-      if (file.type === 'application/pdf') {
-        reader.readAsDataURL(file);
-      } else {
-        reader.readAsText(file);
-      }
+  const runBatch = async (items) => {
+    if (items.length === 0) return;
+    if (!supabaseClient) {
+      setErrorMessage('Vous devez être connecté pour importer un document');
+      return;
+    }
+
+    setErrorMessage('');
+    setEditingId(null);
+    setBatchDone(false);
+    setIsRunning(true);
+
+    const outcomes = {};
+    await runWithConcurrency(items, concurrency, async (item) => {
+      outcomes[item.id] = await uploadItem(item);
     });
+
+    setIsRunning(false);
+    setBatchDone(true);
+
+    if (onBatchComplete) {
+      onBatchComplete(summarizeQueue(
+        queueRef.current.map((item) => (outcomes[item.id] ? { ...item, ...outcomes[item.id] } : item))
+      ));
+    }
+  };
+
+  const handleUpload = () => runBatch(uploadable);
+
+  const retryItems = (items) => {
+    const ids = items.map((item) => item.id);
+    setQueue((prev) => prev.map((item) => (
+      ids.includes(item.id) ? { ...item, status: 'pending', error: null, progress: 0, label: '' } : item
+    )));
+    runBatch(items);
   };
 
   // Reset complet
   const resetUploader = () => {
-    setSelectedFile(null);
+    setQueue([]);
     setSelectedVerticals([defaultVertical]);
-    setUploadStatus('idle');
-    setUploadProgress(0);
+    setBatchDone(false);
+    setEditingId(null);
     setErrorMessage('');
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
   };
 
   // ============================================
@@ -318,29 +503,52 @@ const SmartUploader = ({
         onDragLeave={handleDragLeave}
         onDragOver={handleDragOver}
         onDrop={handleDrop}
-        onClick={() => uploadStatus === 'idle' && fileInputRef.current?.click()}
+        onClick={() => !isRunning && fileInputRef.current?.click()}
         className={`
           relative border-2 border-dashed rounded-2xl p-8
           transition-all duration-300 cursor-pointer
-          ${isDragging 
-            ? 'border-indigo-500 bg-indigo-50 scale-[1.02]' 
+          ${isDragging
+            ? 'border-indigo-500 bg-indigo-50 scale-[1.02]'
             : 'border-slate-300 hover:border-indigo-400 hover:bg-slate-50'
           }
-          ${uploadStatus === 'success' ? 'border-green-500 bg-green-50' : ''}
-          ${uploadStatus === 'error' ? 'border-red-500 bg-red-50' : ''}
-          ${uploadStatus === 'uploading' ? 'pointer-events-none opacity-80' : ''}
+          ${isRunning ? 'pointer-events-none opacity-80' : ''}
         `}
       >
         <input
           ref={fileInputRef}
           type="file"
+          multiple
           accept={acceptedTypes.join(',')}
-          onChange={(e) => e.target.files?.[0] && validateAndSetFile(e.target.files[0])}
+          onChange={handleInputChange}
+          className="hidden"
+        />
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          multiple
+          onChange={handleInputChange}
           className="hidden"
         />
 
-        {/* État: Idle (pas de fichier) */}
-        {!selectedFile && uploadStatus === 'idle' && (
+        {isRunning ? (
+          /* État: Import en cours */
+          <div className="flex flex-col items-center gap-4">
+            <Loader2 className="w-10 h-10 text-indigo-600 animate-spin" />
+            <div className="w-full max-w-xs">
+              <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-indigo-600 transition-all duration-300 rounded-full"
+                  style={{ width: `${batchSize ? Math.round((processed / batchSize) * 100) : 0}%` }}
+                />
+              </div>
+              <p className="text-sm text-slate-600 text-center mt-2">
+                Import en cours... {processed} / {batchSize} fichier{batchSize > 1 ? 's' : ''}
+              </p>
+            </div>
+          </div>
+        ) : (
+          /* État: Idle */
           <div className="flex flex-col items-center gap-4 text-center">
             <div className={`
               w-16 h-16 rounded-2xl flex items-center justify-center
@@ -351,104 +559,219 @@ const SmartUploader = ({
             </div>
             <div>
               <p className="text-slate-700 font-medium">
-                {isDragging ? 'Déposez le fichier ici' : 'Glissez-déposez un fichier'}
+                {isDragging ? 'Déposez les fichiers ici' : 'Glissez-déposez des fichiers ou un dossier'}
               </p>
               <p className="text-sm text-slate-500 mt-1">
-                ou cliquez pour parcourir
+                ou cliquez pour parcourir •{' '}
+                <button
+                  type="button"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    folderInputRef.current?.click();
+                  }}
+                  className="inline-flex items-center gap-1 text-indigo-600 hover:underline"
+                >
+                  <FolderUp className="w-3.5 h-3.5" />
+                  choisir un dossier
+                </button>
               </p>
             </div>
             <p className="text-xs text-slate-400">
-              PDF, Word, TXT, Markdown, CSV • Max {maxFileSize} MB
+              PDF, Word, Excel, TXT, Markdown, CSV • Max {maxFileSize} MB par fichier
             </p>
           </div>
         )}
+      </div>
 
-        {/* État: Fichier sélectionné */}
-        {selectedFile && uploadStatus === 'idle' && (
-          <div className="flex items-center gap-4">
-            <div className="w-12 h-12 rounded-xl bg-indigo-100 flex items-center justify-center flex-shrink-0">
-              <FileText className="w-6 h-6 text-indigo-600" />
-            </div>
-            <div className="flex-1 min-w-0">
-              <p className="text-sm font-medium text-slate-800 truncate">
-                {selectedFile.name}
-              </p>
-              <p className="text-xs text-slate-500">
-                {(selectedFile.size / 1024).toFixed(1)} KB
-              </p>
-            </div>
+      {/* Message d'erreur */}
+      {errorMessage && (
+        <div className="mt-3 flex items-start gap-2 text-red-600">
+          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <p className="text-sm">{errorMessage}</p>
+        </div>
+      )}
+
+      {/* Bilan de l'import */}
+      {batchDone && (
+        <div className="mt-6 p-4 border border-slate-200 rounded-xl bg-white">
+          <div className="flex items-center gap-2">
+            {summary.error > 0
+              ? <AlertCircle className="w-5 h-5 text-red-600" />
+              : <CheckCircle2 className="w-5 h-5 text-green-600" />}
+            <p className="font-medium text-slate-800">
+              {summary.success} / {batchSize} fichier{batchSize > 1 ? 's' : ''} indexé{summary.success > 1 ? 's' : ''}
+            </p>
+          </div>
+          <ul className="mt-2 space-y-0.5 text-sm text-slate-600">
+            {summary.versions > 0 && (
+              <li>{summary.versions} nouvelle{summary.versions > 1 ? 's' : ''} version{summary.versions > 1 ? 's' : ''} de documents existants</li>
+            )}
+            {summary.duplicate > 0 && (
+              <li>{summary.duplicate} doublon{summary.duplicate > 1 ? 's' : ''} ignoré{summary.duplicate > 1 ? 's' : ''} (contenu déjà importé)</li>
+            )}
+            {summary.error > 0 && (
+              <li className="text-red-600">{summary.error} échec{summary.error > 1 ? 's' : ''}</li>
+            )}
+            {summary.invalid > 0 && (
+              <li>{summary.invalid} fichier{summary.invalid > 1 ? 's' : ''} refusé{summary.invalid > 1 ? 's' : ''} (type ou taille)</li>
+            )}
+          </ul>
+          <div className="mt-3 flex items-center gap-4">
+            {failedItems.length > 0 && (
+              <button
+                type="button"
+                onClick={() => retryItems(failedItems)}
+                className="inline-flex items-center gap-1.5 text-sm text-indigo-600 hover:underline"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Réessayer les échecs ({failedItems.length})
+              </button>
+            )}
             <button
               type="button"
-              onClick={(e) => {
-                e.stopPropagation();
-                resetUploader();
-              }}
-              className="p-2 hover:bg-slate-200 rounded-lg transition-colors"
+              onClick={resetUploader}
+              className="text-sm text-slate-600 hover:underline"
             >
-              <X className="w-4 h-4 text-slate-500" />
+              Nouvel import
             </button>
           </div>
-        )}
-
-        {/* État: Upload en cours */}
-        {uploadStatus === 'uploading' && (
-          <div className="flex flex-col items-center gap-4">
-            <Loader2 className="w-10 h-10 text-indigo-600 animate-spin" />
-            <div className="w-full max-w-xs">
-              <div className="h-2 bg-slate-200 rounded-full overflow-hidden">
-                <div 
-                  className="h-full bg-indigo-600 transition-all duration-300 rounded-full"
-                  style={{ width: `${uploadProgress}%` }}
-                />
-              </div>
-              <p className="text-sm text-slate-600 text-center mt-2">
-                Upload en cours... {uploadProgress}%
-              </p>
-            </div>
-          </div>
-        )}
+        </div>
+      )}
 
-        {/* État: Succès */}
-        {uploadStatus === 'success' && (
-          <div className="flex flex-col items-center gap-3">
-            <CheckCircle2 className="w-12 h-12 text-green-600" />
-            <p className="text-green-700 font-medium">Document uploadé avec succès !</p>
-            <p className="text-sm text-green-600">
-              Indexé dans : {selectedVerticals.join(', ')}
+      {/* File d'import */}
+      {queue.length > 0 && (
+        <div className="mt-6 border border-slate-200 rounded-xl bg-white overflow-hidden">
+          <div className="flex items-center justify-between px-4 py-2.5 border-b border-slate-200 text-sm">
+            <p className="font-medium text-slate-700">
+              {queue.length} fichier{queue.length > 1 ? 's' : ''}
             </p>
+            {!isRunning && (
+              <button
+                type="button"
+                onClick={resetUploader}
+                className="text-slate-500 hover:text-slate-700"
+              >
+                Vider la liste
+              </button>
+            )}
           </div>
-        )}
 
-        {/* État: Erreur */}
-        {uploadStatus === 'error' && (
-          <div className="flex flex-col items-center gap-3">
-            <AlertCircle className="w-12 h-12 text-red-600" />
-            <p className="text-red-700 font-medium">Erreur lors de l'upload</p>
-            <p className="text-sm text-red-600">{errorMessage}</p>
-            <button
-              type="button"
-              onClick={(e) => {
-                e.stopPropagation();
-                setUploadStatus('idle');
-              }}
-              className="text-sm text-indigo-600 hover:underline"
-            >
-              Réessayer
-            </button>
-          </div>
-        )}
-      </div>
+          <ul className="max-h-96 overflow-y-auto divide-y divide-slate-100">
+            {queue.map((item) => {
+              const style = STATUS_STYLES[item.status];
+              const StatusIcon = style.icon;
+              const isEditable = !isRunning && (item.status === 'pending' || item.status === 'error');
 
-      {/* Message d'erreur de validation */}
-      {errorMessage && uploadStatus === 'idle' && (
-        <div className="mt-3 flex items-start gap-2 text-red-600">
-          <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
-          <p className="text-sm">{errorMessage}</p>
+              return (
+                <li key={item.id} className="px-4 py-2.5">
+                  <div className="flex items-center gap-3">
+                    <StatusIcon className={`w-4 h-4 flex-shrink-0 ${style.classes}`} />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm text-slate-800 truncate" title={item.path}>{item.path}</p>
+                      <div className="flex flex-wrap items-center gap-1 mt-0.5">
+                        <span className="text-xs text-slate-500 mr-1">{(item.file.size / 1024).toFixed(1)} KB</span>
+                        {item.status !== 'invalid' && item.verticals.map((verticalId) => (
+                          <span
+                            key={verticalId}
+                            className="text-xs px-1.5 py-0.5 rounded"
+                            style={{
+                              backgroundColor: `${verticalsById[verticalId]?.color || '#64748b'}15`,
+                              color: verticalsById[verticalId]?.color || '#475569',
+                            }}
+                          >
+                            {verticalsById[verticalId]?.name || verticalId}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+
+                    <span className="text-xs text-slate-500 whitespace-nowrap">
+                      {item.status === 'uploading'
+                        ? `${item.label || QUEUE_STATUS_LABELS.uploading} ${item.progress}%`
+                        : item.status === 'success' && item.previousVersion
+                          ? `Nouvelle version (v${(item.previousVersion.version || 1) + 1})`
+                          : QUEUE_STATUS_LABELS[item.status]}
+                    </span>
+
+                    {isEditable && (
+                      <button
+                        type="button"
+                        onClick={() => setEditingId(editingId === item.id ? null : item.id)}
+                        className="p-1.5 hover:bg-slate-100 rounded-lg transition-colors"
+                        title="Verticales de ce fichier"
+                      >
+                        <Tags className="w-4 h-4 text-slate-500" />
+                      </button>
+                    )}
+                    {!isRunning && item.status === 'error' && (
+                      <button
+                        type="button"
+                        onClick={() => retryItems([item])}
+                        className="p-1.5 hover:bg-slate-100 rounded-lg transition-colors"
+                        title="Réessayer"
+                      >
+                        <RotateCcw className="w-4 h-4 text-slate-500" />
+                      </button>
+                    )}
+                    {!isRunning && (
+                      <button
+                        type="button"
+                        onClick={() => removeItem(item.id)}
+                        className="p-1.5 hover:bg-slate-100 rounded-lg transition-colors"
+                        title="Retirer de la liste"
+                      >
+                        <X className="w-4 h-4 text-slate-500" />
+                      </button>
+                    )}
+                  </div>
+
+                  {item.status === 'uploading' && (
+                    <div className="mt-2 ml-7 h-1 bg-slate-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-indigo-600 transition-all duration-300 rounded-full"
+                        style={{ width: `${item.progress}%` }}
+                      />
+                    </div>
+                  )}
+
+                  {item.error && item.status !== 'uploading' && (
+                    <p className={`mt-1 ml-7 text-xs ${item.status === 'error' ? 'text-red-600' : 'text-slate-500'}`}>
+                      {item.error}
+                    </p>
+                  )}
+
+                  {/* Verticales du fichier */}
+                  {editingId === item.id && isEditable && (
+                    <div className="mt-2 ml-7 flex flex-wrap gap-1.5">
+                      {availableVerticals.map((vertical) => {
+                        const isSelected = item.verticals.includes(vertical.id);
+                        return (
+                          <button
+                            key={vertical.id}
+                            type="button"
+                            onClick={() => toggleItemVertical(item.id, vertical.id)}
+                            className="text-xs px-2 py-1 rounded-lg border transition-colors"
+                            style={{
+                              borderColor: isSelected ? vertical.color : '#e2e8f0',
+                              backgroundColor: isSelected ? `${vertical.color}15` : 'white',
+                              color: isSelected ? vertical.color : '#475569',
+                            }}
+                          >
+                            {vertical.name}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
         </div>
       )}
 
-      {/* Sélection des verticales (visible si fichier sélectionné) */}
-      {selectedFile && uploadStatus === 'idle' && (
+      {/* Sélection des verticales (visible s'il reste des fichiers à importer) */}
+      {uploadable.length > 0 && !isRunning && (
         <div className="mt-6">
           <div className="flex items-center gap-2 mb-3">
             <Layers className="w-4 h-4 text-slate-500" />
@@ -458,15 +781,22 @@ const SmartUploader = ({
             <div className="group relative">
               <Info className="w-4 h-4 text-slate-400 cursor-help" />
               <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 px-3 py-2 bg-slate-800 text-white text-xs rounded-lg opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap pointer-events-none">
-                Sélectionnez les verticales où ce document sera visible
+                Appliquées aux fichiers ajoutés, modifiables fichier par fichier
               </div>
             </div>
+            <button
+              type="button"
+              onClick={applyVerticalsToQueue}
+              className="ml-auto text-xs text-indigo-600 hover:underline"
+            >
+              Appliquer à toute la liste
+            </button>
           </div>
 
           {/* Checkboxes des verticales */}
           <div className="flex flex-wrap gap-3">
             {availableVerticals.map((vertical) => {
-              const Icon = vertical.icon || Layers;
+              const Icon = getVerticalIcon(vertical.icon);
               const isSelected = selectedVerticals.includes(vertical.id);
 
               return (
@@ -476,8 +806,8 @@ const SmartUploader = ({
                     flex items-center gap-2 px-4 py-2.5
                     border rounded-xl cursor-pointer
                     transition-all duration-200
-                    ${isSelected 
-                      ? 'border-transparent shadow-md' 
+                    ${isSelected
+                      ? 'border-transparent shadow-md'
                       : 'border-slate-200 hover:border-slate-300'
                     }
                   `}
@@ -492,9 +822,9 @@ const SmartUploader = ({
                     onChange={() => toggleVertical(vertical.id)}
                     className="sr-only"
                   />
-                  
+
                   {/* Checkbox custom */}
-                  <div 
+                  <div
                     className={`
                       w-5 h-5 rounded border-2 flex items-center justify-center
                       transition-all duration-200
@@ -512,11 +842,11 @@ const SmartUploader = ({
                   </div>
 
                   {/* Icône et nom */}
-                  <Icon 
-                    className="w-4 h-4" 
+                  <Icon
+                    className="w-4 h-4"
                     style={{ color: isSelected ? vertical.color : '#64748b' }}
                   />
-                  <span 
+                  <span
                     className="text-sm font-medium"
                     style={{ color: isSelected ? vertical.color : '#475569' }}
                   >
@@ -531,7 +861,6 @@ const SmartUploader = ({
           <button
             type="button"
             onClick={handleUpload}
-            disabled={selectedVerticals.length === 0}
             className={`
               mt-6 w-full py-3 px-6
               bg-gradient-to-r from-indigo-600 to-indigo-700
@@ -539,12 +868,11 @@ const SmartUploader = ({
               text-white font-medium rounded-xl
               shadow-lg shadow-indigo-200
               transition-all duration-200
-              disabled:opacity-50 disabled:cursor-not-allowed
               flex items-center justify-center gap-2
             `}
           >
             <Upload className="w-5 h-5" />
-            Indexer dans {selectedVerticals.length} verticale{selectedVerticals.length > 1 ? 's' : ''}
+            Indexer {uploadable.length} fichier{uploadable.length > 1 ? 's' : ''}
           </button>
         </div>
       )}
@@ -552,4 +880,4 @@ const SmartUploader = ({
   );
 };
 
-export default SmartUploader;
\ No newline at end of file
+export default SmartUploader;
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { DEFAULT_VERTICALS, fetchSelectableVerticals } from '../lib/verticals';
 
 /**
  * VerticalContext - Gestion globale de la verticale active
@@ -8,18 +9,12 @@ import React, { createContext, useContext, useState, useEffect, useCallback } fr
  * - Persister le choix dans localStorage
  * - Synchroniser avec les appels API (header x-vertical-id)
  * - Charger les verticales disponibles depuis Supabase
+ *   (archivées incluses seulement avec includeArchived, pour les administrateurs)
  */
 
 // Valeurs par défaut
 const DEFAULT_VERTICAL = 'audit';
 
-const DEFAULT_VERTICALS = [
-  { id: 'audit', name: 'AuditFlow', description: 'Audit & Conformité', color: '#6366f1' },
-  { id: 'btp', name: 'BatiFlow', description: 'Construction & BTP', color: '#f59e0b' },
-  { id: 'juridique', name: 'JuriFlow', description: 'Droit & Juridique', color: '#10b981' },
-  { id: 'rh', name: 'RHFlow', description: 'Ressources Humaines', color: '#ec4899' },
-];
-
 // Création du context
 const VerticalContext = createContext(undefined);
 
@@ -37,6 +32,7 @@ export const VerticalProvider = ({
   children, 
   supabaseClient = null,
   defaultVertical = DEFAULT_VERTICAL,
+  includeArchived = false,
   persistKey = 'core-rag-vertical',
 }) => {
   // State principal
@@ -62,13 +58,7 @@ export const VerticalProvider = ({
       }
 
       try {
-        const { data, error: fetchError } = await supabaseClient
-          .from('verticals')
-          .select('*')
-          .eq('is_active', true)
-          .order('name');
-
-        if (fetchError) throw fetchError;
+        const data = await fetchSelectableVerticals(supabaseClient, { includeArchived });
 
         if (data && data.length > 0) {
           setAvailableVerticals(data);
@@ -88,7 +78,7 @@ export const VerticalProvider = ({
     };
 
     fetchVerticals();
-  }, [supabaseClient]);
+  }, [supabaseClient, includeArchived]);
 
   // Setter avec persistance
   const setCurrentVertical = useCallback((verticalId) => {
@@ -1,5 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { ChevronDown, Check, Building2, Scale, ClipboardCheck, Users, Layers } from 'lucide-react';
+import { ChevronDown, Check, Archive } from 'lucide-react';
+import {
+  DEFAULT_VERTICALS,
+  fetchSelectableVerticals,
+  getVerticalIcon,
+  isArchivedVertical,
+} from '../lib/verticals';
 
 /**
  * VerticalSelector - Composant de sélection de verticale
@@ -12,56 +18,17 @@ import { ChevronDown, Check, Building2, Scale, ClipboardCheck, Users, Layers } f
  * @param {function} props.onVerticalChange - Callback appelé lors du changement de verticale
  * @param {Object} props.supabaseClient - Instance Supabase (optionnel, pour charger les verticales depuis la DB)
  * @param {Array} props.staticVerticals - Liste statique des verticales (utilisé si pas de supabaseClient)
+ * @param {boolean} props.includeArchived - Proposer aussi les verticales archivées (administrateurs)
  * @param {boolean} props.showLabel - Afficher le label "Verticale" (défaut: true)
  * @param {string} props.className - Classes CSS additionnelles
  */
 
-// Configuration par défaut des verticales
-const DEFAULT_VERTICALS = [
-  {
-    id: 'audit',
-    name: 'AuditFlow',
-    description: 'Audit & Conformité',
-    icon: 'clipboard-check',
-    color: '#6366f1', // Indigo
-  },
-  {
-    id: 'btp',
-    name: 'BatiFlow',
-    description: 'Construction & BTP',
-    icon: 'building',
-    color: '#f59e0b', // Amber
-  },
-  {
-    id: 'juridique',
-    name: 'JuriFlow',
-    description: 'Droit & Juridique',
-    icon: 'scale',
-    color: '#10b981', // Emerald
-  },
-  {
-    id: 'rh',
-    name: 'RHFlow',
-    description: 'Ressources Humaines',
-    icon: 'users',
-    color: '#ec4899', // Pink
-  },
-];
-
-// Mapping des icônes
-const IconMap = {
-  'clipboard-check': ClipboardCheck,
-  'building': Building2,
-  'scale': Scale,
-  'users': Users,
-  'default': Layers,
-};
-
 const VerticalSelector = ({
   currentVertical = 'audit',
   onVerticalChange,
   supabaseClient = null,
   staticVerticals = DEFAULT_VERTICALS,
+  includeArchived = false,
   showLabel = true,
   className = '',
 }) => {
@@ -77,14 +44,8 @@ const VerticalSelector = ({
       
       setLoading(true);
       try {
-        const { data, error } = await supabaseClient
-          .from('verticals')
-          .select('*')
-          .eq('is_active', true)
-          .order('name');
-        
-        if (error) throw error;
-        
+        const data = await fetchSelectableVerticals(supabaseClient, { includeArchived });
+
         if (data && data.length > 0) {
           setVerticals(data);
         }
@@ -96,7 +57,7 @@ const VerticalSelector = ({
     };
 
     fetchVerticals();
-  }, [supabaseClient]);
+  }, [supabaseClient, includeArchived]);
 
   // Fermer le dropdown au clic extérieur
   useEffect(() => {
@@ -112,7 +73,7 @@ const VerticalSelector = ({
 
   // Trouver la verticale sélectionnée
   const selectedVertical = verticals.find(v => v.id === currentVertical) || verticals[0];
-  const SelectedIcon = IconMap[selectedVertical?.icon] || IconMap.default;
+  const SelectedIcon = getVerticalIcon(selectedVertical?.icon);
 
   // Gérer la sélection
   const handleSelect = (verticalId) => {
@@ -193,7 +154,8 @@ const VerticalSelector = ({
           role="listbox"
         >
           {verticals.map((vertical) => {
-            const Icon = IconMap[vertical.icon] || IconMap.default;
+            const Icon = getVerticalIcon(vertical.icon);
+            const archived = isArchivedVertical(vertical);
             const isSelected = vertical.id === currentVertical;
 
             return (
@@ -226,8 +188,14 @@ const VerticalSelector = ({
 
                 {/* Texte */}
                 <div className="flex-1 text-left">
-                  <p className="text-sm font-medium text-slate-800">
+                  <p className="text-sm font-medium text-slate-800 flex items-center gap-1.5">
                     {vertical.name}
+                    {archived && (
+                      <span className="inline-flex items-center gap-0.5 text-[10px] font-medium text-slate-500 bg-slate-100 px-1.5 py-0.5 rounded">
+                        <Archive className="w-3 h-3" />
+                        Archivée
+                      </span>
+                    )}
                   </p>
                   <p className="text-xs text-slate-500">
                     {vertical.description}
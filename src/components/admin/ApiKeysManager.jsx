@@ -0,0 +1,297 @@
+// ============================================================================
+// BRIQUE 6 : Composant ApiKeysManager
+// Clés d'API de l'organisation pour les scripts d'import et d'interrogation
+// ============================================================================
+
+import React, { useState } from 'react';
+import {
+    KeyRound,
+    Plus,
+    Copy,
+    Check,
+    Ban,
+    AlertCircle,
+    AlertTriangle,
+    Loader2
+} from 'lucide-react';
+
+const SCOPE_LABELS = {
+    ingest: { label: 'Import', help: 'ingest-api' },
+    query: { label: 'Questions', help: 'rag-brain' }
+};
+
+const inputClasses = 'w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleDateString('fr-FR', { day: 'numeric', month: 'short', year: 'numeric' })
+    : null);
+
+const keyStatus = (apiKey) => {
+    if (apiKey.revoked_at) return { label: 'Révoquée', classes: 'bg-slate-100 text-slate-600' };
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+        return { label: 'Expirée', classes: 'bg-amber-100 text-amber-700' };
+    }
+    return { label: 'Active', classes: 'bg-green-100 text-green-700' };
+};
+
+/**
+ * Clé en clair, affichée une seule fois après sa création
+ */
+function CreatedKeyNotice({ apiKey, onDismiss }) {
+    const [copied, setCopied] = useState(false);
+
+    const handleCopy = async () => {
+        await navigator.clipboard.writeText(apiKey);
+        setCopied(true);
+        setTimeout(() => setCopied(false), 2000);
+    };
+
+    return (
+        <div className="p-4 bg-amber-50 border border-amber-200 rounded-xl space-y-3">
+            <p className="text-sm text-amber-800 flex items-center gap-2">
+                <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                Copiez cette clé maintenant : elle ne sera plus affichée.
+            </p>
+            <div className="flex items-center gap-2">
+                <code className="flex-1 px-3 py-2 bg-white border border-amber-200 rounded-lg text-sm font-mono text-slate-800 break-all">
+                    {apiKey}
+                </code>
+                <button
+                    onClick={handleCopy}
+                    className="inline-flex items-center gap-1 px-3 py-2 text-sm bg-white border border-slate-300 rounded-lg hover:bg-slate-50 transition-colors"
+                >
+                    {copied ? <Check className="w-4 h-4 text-green-600" /> : <Copy className="w-4 h-4" />}
+                    {copied ? 'Copiée' : 'Copier'}
+                </button>
+            </div>
+            <button onClick={onDismiss} className="text-sm text-amber-800 hover:underline">
+                J'ai copié la clé
+            </button>
+        </div>
+    );
+}
+
+/**
+ * Formulaire de création
+ */
+function ApiKeyForm({ onCreate, onCancel }) {
+    const [name, setName] = useState('');
+    const [scopes, setScopes] = useState(['ingest', 'query']);
+    const [expiresAt, setExpiresAt] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const toggleScope = (scope) => {
+        setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+
+        const result = await onCreate({
+            name,
+            scopes,
+            // Fin de journée : la clé reste valable le jour choisi
+            expiresAt: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null
+        });
+
+        if (!result.success) {
+            setError(result.error || 'Erreur lors de la création');
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl border border-slate-200 p-6 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Nom</label>
+                    <input
+                        type="text"
+                        required
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Import GED nocturne"
+                        className={inputClasses}
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Expiration</label>
+                    <input
+                        type="date"
+                        value={expiresAt}
+                        onChange={(e) => setExpiresAt(e.target.value)}
+                        className={inputClasses}
+                    />
+                    <p className="mt-1 text-xs text-slate-500">Vide : sans expiration.</p>
+                </div>
+            </div>
+
+            <div>
+                <p className="block text-sm font-medium text-slate-700 mb-2">Droits</p>
+                <div className="flex flex-wrap gap-4">
+                    {Object.entries(SCOPE_LABELS).map(([scope, { label, help }]) => (
+                        <label key={scope} className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={scopes.includes(scope)}
+                                onChange={() => toggleScope(scope)}
+                                className="w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500"
+                            />
+                            {label}
+                            <span className="text-xs font-mono text-slate-400">{help}</span>
+                        </label>
+                    ))}
+                </div>
+            </div>
+
+            {error && (
+                <p className="text-sm text-red-600 flex items-center gap-1">
+                    <AlertCircle className="w-3.5 h-3.5" />
+                    {error}
+                </p>
+            )}
+
+            <div className="flex items-center justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="px-4 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+                >
+                    Annuler
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                >
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <KeyRound className="w-4 h-4" />}
+                    Générer la clé
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default function ApiKeysManager({
+    apiKeys = [],
+    loading = false,
+    onCreate = async () => ({ success: false }),
+    onRevoke = async () => ({ success: false })
+}) {
+    const [showForm, setShowForm] = useState(false);
+    const [createdKey, setCreatedKey] = useState(null);
+    const [revokingId, setRevokingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleCreate = async (values) => {
+        const result = await onCreate(values);
+        if (result.success) {
+            setShowForm(false);
+            setCreatedKey(result.key);
+        }
+        return result;
+    };
+
+    const handleRevoke = async (apiKey) => {
+        if (!window.confirm(`Révoquer la clé « ${apiKey.name} » ? Les scripts qui l'utilisent seront refusés.`)) return;
+
+        setRevokingId(apiKey.id);
+        setError(null);
+        const result = await onRevoke(apiKey.id);
+        if (!result.success) setError(result.error || 'Erreur lors de la révocation');
+        setRevokingId(null);
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h2 className="text-xl font-semibold text-slate-800 flex items-center gap-2">
+                        <KeyRound className="w-5 h-5 text-indigo-600" />
+                        Clés d'API
+                    </h2>
+                    <p className="text-sm text-slate-500 mt-1">
+                        Import de documents et questions depuis vos scripts, sans session utilisateur (en-tête <code>x-api-key</code>)
+                    </p>
+                </div>
+                {!showForm && (
+                    <button
+                        onClick={() => setShowForm(true)}
+                        className="inline-flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex-shrink-0"
+                    >
+                        <Plus className="w-4 h-4" />
+                        Nouvelle clé
+                    </button>
+                )}
+            </div>
+
+            {createdKey && <CreatedKeyNotice apiKey={createdKey} onDismiss={() => setCreatedKey(null)} />}
+
+            {showForm && <ApiKeyForm onCreate={handleCreate} onCancel={() => setShowForm(false)} />}
+
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-sm text-red-700">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    {error}
+                </div>
+            )}
+
+            {apiKeys.length === 0 ? (
+                <div className="bg-white rounded-xl border border-slate-200 p-12 text-center text-slate-500">
+                    Aucune clé d'API
+                </div>
+            ) : (
+                <div className="bg-white rounded-xl border border-slate-200 overflow-hidden divide-y divide-slate-200">
+                    {apiKeys.map((apiKey) => {
+                        const status = keyStatus(apiKey);
+                        const usable = status.label === 'Active';
+
+                        return (
+                            <div key={apiKey.id} className="flex items-center gap-4 px-4 py-3">
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm font-medium text-slate-800 flex items-center gap-2">
+                                        {apiKey.name}
+                                        <span className={`text-xs px-1.5 py-0.5 rounded ${status.classes}`}>{status.label}</span>
+                                    </p>
+                                    <p className="text-xs text-slate-500 mt-0.5 flex flex-wrap gap-x-3">
+                                        <span className="font-mono">{apiKey.key_prefix}…</span>
+                                        <span>{apiKey.scopes.map((scope) => SCOPE_LABELS[scope]?.label || scope).join(', ')}</span>
+                                        <span>Créée le {formatDate(apiKey.created_at)}</span>
+                                        {apiKey.expires_at && <span>Expire le {formatDate(apiKey.expires_at)}</span>}
+                                        <span>
+                                            {apiKey.last_used_at ? `Utilisée le ${formatDate(apiKey.last_used_at)}` : 'Jamais utilisée'}
+                                        </span>
+                                    </p>
+                                </div>
+                                {usable && (
+                                    <button
+                                        onClick={() => handleRevoke(apiKey)}
+                                        disabled={revokingId === apiKey.id}
+                                        className="inline-flex items-center gap-1 px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                                    >
+                                        {revokingId === apiKey.id
+                                            ? <Loader2 className="w-4 h-4 animate-spin" />
+                                            : <Ban className="w-4 h-4" />}
+                                        Révoquer
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,197 @@
+// ============================================================================
+// RECHERCHE : Composant EmbeddingMigrationPanel
+// Changement de modèle d'embedding et suivi de la ré-indexation
+// ============================================================================
+
+import React, { useState } from 'react';
+import {
+    Cpu,
+    Play,
+    RotateCcw,
+    XCircle,
+    CheckCircle2,
+    AlertCircle,
+    Loader2
+} from 'lucide-react';
+
+const STATUS_LABELS = {
+    running: 'En cours',
+    failed: 'Interrompue',
+    cancelled: 'Annulée',
+    completed: 'Terminée'
+};
+
+const STATUS_STYLES = {
+    running: 'bg-indigo-100 text-indigo-700',
+    failed: 'bg-red-100 text-red-700',
+    cancelled: 'bg-slate-100 text-slate-700',
+    completed: 'bg-green-100 text-green-700'
+};
+
+export default function EmbeddingMigrationPanel({
+    activeModel = null,
+    models = [],
+    migration = null,
+    loading = false,
+    isProcessing = false,
+    onStart = () => {},
+    onResume = () => {},
+    onCancel = () => {}
+}) {
+    const [targetModel, setTargetModel] = useState('');
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+            </div>
+        );
+    }
+
+    const isPending = migration && ['running', 'failed'].includes(migration.status);
+    const candidates = models.filter((model) => model.id !== activeModel);
+    const progress = migration?.total_count > 0
+        ? Math.round((migration.processed_count / migration.total_count) * 100)
+        : 0;
+
+    const handleStart = async () => {
+        if (!targetModel) return;
+        const confirmed = window.confirm(
+            `Ré-indexer tous les documents avec ${targetModel} ? La recherche continue sur ${activeModel} jusqu'à la fin de la migration.`
+        );
+        if (!confirmed) return;
+
+        const result = await onStart(targetModel);
+        if (result?.success) setTargetModel('');
+    };
+
+    const handleCancel = () => {
+        if (window.confirm('Annuler la migration ? Les documents déjà ré-indexés seront conservés pour une reprise ultérieure vers le même modèle.')) {
+            onCancel();
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div>
+                <h2 className="text-xl font-semibold text-slate-800 flex items-center gap-2">
+                    <Cpu className="w-5 h-5 text-indigo-600" />
+                    Modèle d'embedding
+                </h2>
+                <p className="text-sm text-slate-500 mt-1">
+                    Modèle actif : <span className="font-medium text-slate-700">{activeModel || '—'}</span>
+                </p>
+            </div>
+
+            {/* Migration en cours ou dernière migration */}
+            {migration && (
+                <div className="bg-white rounded-xl border border-slate-200 p-6 space-y-4">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <p className="font-medium text-slate-800">
+                                {migration.source_model} → {migration.target_model}
+                            </p>
+                            <p className="text-sm text-slate-500">
+                                Démarrée le {new Date(migration.created_at).toLocaleString('fr-FR')}
+                            </p>
+                        </div>
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[migration.status]}`}>
+                            {STATUS_LABELS[migration.status]}
+                        </span>
+                    </div>
+
+                    <div>
+                        <div className="flex justify-between text-sm text-slate-600 mb-1">
+                            <span>{migration.processed_count} / {migration.total_count} chunks</span>
+                            <span>{progress}%</span>
+                        </div>
+                        <div className="w-full h-2 bg-slate-100 rounded-full overflow-hidden">
+                            <div
+                                className={`h-full transition-all ${migration.status === 'failed' ? 'bg-red-500' : 'bg-indigo-600'}`}
+                                style={{ width: `${progress}%` }}
+                            />
+                        </div>
+                    </div>
+
+                    {migration.status === 'failed' && migration.last_error && (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 text-sm text-red-700">
+                            <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                            <p>{migration.last_error}</p>
+                        </div>
+                    )}
+
+                    {migration.status === 'completed' && (
+                        <p className="text-sm text-green-700 flex items-center gap-2">
+                            <CheckCircle2 className="w-4 h-4" />
+                            La recherche utilise désormais {migration.target_model}.
+                        </p>
+                    )}
+
+                    {isPending && (
+                        <div className="flex items-center gap-3">
+                            {isProcessing ? (
+                                <span className="inline-flex items-center gap-2 text-sm text-indigo-600">
+                                    <Loader2 className="w-4 h-4 animate-spin" />
+                                    Ré-indexation en cours… gardez cette page ouverte.
+                                </span>
+                            ) : (
+                                <button
+                                    onClick={onResume}
+                                    className="inline-flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                                >
+                                    <RotateCcw className="w-4 h-4" />
+                                    Reprendre
+                                </button>
+                            )}
+                            <button
+                                onClick={handleCancel}
+                                className="inline-flex items-center gap-2 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors"
+                            >
+                                <XCircle className="w-4 h-4" />
+                                Annuler
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Nouvelle migration */}
+            {!isPending && (
+                <div className="bg-white rounded-xl border border-slate-200 p-6">
+                    <h3 className="font-medium text-slate-800 mb-1">Changer de modèle</h3>
+                    <p className="text-sm text-slate-500 mb-4">
+                        Tous les documents sont ré-indexés par lots. La recherche bascule sur le nouveau modèle une fois la totalité traitée.
+                    </p>
+
+                    {candidates.length === 0 ? (
+                        <p className="text-sm text-slate-500">Aucun autre modèle disponible.</p>
+                    ) : (
+                        <div className="flex items-center gap-3">
+                            <select
+                                value={targetModel}
+                                onChange={(e) => setTargetModel(e.target.value)}
+                                className="flex-1 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                            >
+                                <option value="">Sélectionner un modèle…</option>
+                                {candidates.map((model) => (
+                                    <option key={model.id} value={model.id}>
+                                        {model.id} ({model.dimensions} dimensions)
+                                    </option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={handleStart}
+                                disabled={!targetModel}
+                                className="inline-flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Play className="w-4 h-4" />
+                                Démarrer
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,245 @@
+// ============================================================================
+// CHAT : Composant FeedbackList
+// Retours utilisateurs sur les réponses, par verticale, pour corriger la base
+// ============================================================================
+
+import React, { useMemo, useState } from 'react';
+import {
+    MessageSquareWarning,
+    ThumbsUp,
+    ThumbsDown,
+    FileText,
+    CheckCircle2,
+    RefreshCw,
+    Loader2
+} from 'lucide-react';
+import { formatSheetRows } from '../../lib/documents';
+
+const RATING_FILTERS = [
+    { value: -1, label: 'Négatifs' },
+    { value: 1, label: 'Positifs' },
+    { value: null, label: 'Tous' }
+];
+
+// Position de la source : pages (PDF) ou feuille et lignes (tableur)
+const formatLocation = (source) => {
+    const rows = formatSheetRows(source);
+    if (rows) return rows;
+    if (!source.page_start) return null;
+    return source.page_end && source.page_end !== source.page_start
+        ? `p. ${source.page_start}-${source.page_end}`
+        : `p. ${source.page_start}`;
+};
+
+export default function FeedbackList({
+    feedback = [],
+    verticals = [],
+    loading = false,
+    rating = -1,
+    showResolved = false,
+    onRatingChange = () => {},
+    onShowResolvedChange = () => {},
+    onResolve = async () => {},
+    onRefresh = () => {}
+}) {
+    const [verticalFilter, setVerticalFilter] = useState(null);
+    const [resolvingId, setResolvingId] = useState(null);
+
+    const verticalNames = useMemo(
+        () => Object.fromEntries(verticals.map((v) => [v.id, v.name])),
+        [verticals]
+    );
+
+    // Nombre de retours par verticale
+    const countsByVertical = useMemo(() => {
+        const counts = {};
+        feedback.forEach((item) => {
+            counts[item.vertical_id] = (counts[item.vertical_id] || 0) + 1;
+        });
+        return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    }, [feedback]);
+
+    const visibleFeedback = verticalFilter
+        ? feedback.filter((item) => item.vertical_id === verticalFilter)
+        : feedback;
+
+    const handleResolve = async (feedbackId) => {
+        setResolvingId(feedbackId);
+        try {
+            await onResolve(feedbackId);
+        } catch (err) {
+            console.error('Erreur traitement retour:', err);
+        } finally {
+            setResolvingId(null);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex items-center justify-between">
+                <div>
+                    <h2 className="text-xl font-semibold text-slate-800 flex items-center gap-2">
+                        <MessageSquareWarning className="w-5 h-5 text-indigo-600" />
+                        Retours sur les réponses
+                    </h2>
+                    <p className="text-sm text-slate-500 mt-1">
+                        Identifiez les documents manquants ou erronés signalés par les utilisateurs
+                    </p>
+                </div>
+
+                <button
+                    onClick={onRefresh}
+                    className="inline-flex items-center gap-2 px-3 py-2 text-sm text-slate-600 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+                >
+                    <RefreshCw className="w-4 h-4" />
+                    Actualiser
+                </button>
+            </div>
+
+            {/* Filtres */}
+            <div className="flex flex-wrap items-center gap-3">
+                <div className="flex rounded-lg border border-slate-200 bg-white p-0.5">
+                    {RATING_FILTERS.map((filter) => (
+                        <button
+                            key={String(filter.value)}
+                            onClick={() => onRatingChange(filter.value)}
+                            className={`px-3 py-1.5 text-sm rounded-md transition-colors ${
+                                rating === filter.value
+                                    ? 'bg-indigo-600 text-white'
+                                    : 'text-slate-600 hover:text-slate-900'
+                            }`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                </div>
+
+                <label className="inline-flex items-center gap-2 text-sm text-slate-600">
+                    <input
+                        type="checkbox"
+                        checked={showResolved}
+                        onChange={(e) => onShowResolvedChange(e.target.checked)}
+                        className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                    />
+                    Inclure les retours traités
+                </label>
+            </div>
+
+            {/* Compteurs par verticale */}
+            {countsByVertical.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        onClick={() => setVerticalFilter(null)}
+                        className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+                            verticalFilter === null
+                                ? 'border-indigo-600 bg-indigo-50 text-indigo-700'
+                                : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300'
+                        }`}
+                    >
+                        Toutes ({feedback.length})
+                    </button>
+                    {countsByVertical.map(([verticalId, count]) => (
+                        <button
+                            key={verticalId}
+                            onClick={() => setVerticalFilter(verticalId)}
+                            className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+                                verticalFilter === verticalId
+                                    ? 'border-indigo-600 bg-indigo-50 text-indigo-700'
+                                    : 'border-slate-200 bg-white text-slate-600 hover:border-slate-300'
+                            }`}
+                        >
+                            {verticalNames[verticalId] || verticalId} ({count})
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {/* Liste */}
+            {loading ? (
+                <div className="flex items-center justify-center py-12">
+                    <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+                </div>
+            ) : visibleFeedback.length === 0 ? (
+                <div className="bg-white rounded-xl border border-slate-200 p-12 text-center text-slate-500">
+                    Aucun retour à traiter
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {visibleFeedback.map((item) => (
+                        <div key={item.id} className="bg-white rounded-xl border border-slate-200 p-5">
+                            <div className="flex items-start justify-between gap-4">
+                                <div className="flex items-center gap-2 text-xs text-slate-500">
+                                    {item.rating === -1 ? (
+                                        <ThumbsDown className="w-4 h-4 text-red-500" />
+                                    ) : (
+                                        <ThumbsUp className="w-4 h-4 text-emerald-500" />
+                                    )}
+                                    <span className="px-2 py-0.5 rounded-md bg-slate-100 text-slate-600">
+                                        {verticalNames[item.vertical_id] || item.vertical_id}
+                                    </span>
+                                    <span>
+                                        {new Date(item.created_at).toLocaleString('fr-FR', {
+                                            dateStyle: 'short',
+                                            timeStyle: 'short'
+                                        })}
+                                    </span>
+                                </div>
+
+                                {item.resolved_at ? (
+                                    <span className="inline-flex items-center gap-1 text-xs text-emerald-600">
+                                        <CheckCircle2 className="w-4 h-4" />
+                                        Traité le {new Date(item.resolved_at).toLocaleDateString('fr-FR')}
+                                    </span>
+                                ) : (
+                                    <button
+                                        onClick={() => handleResolve(item.id)}
+                                        disabled={resolvingId === item.id}
+                                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-emerald-700 bg-emerald-50 rounded-lg hover:bg-emerald-100 transition-colors disabled:opacity-50"
+                                    >
+                                        {resolvingId === item.id ? (
+                                            <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                                        ) : (
+                                            <CheckCircle2 className="w-3.5 h-3.5" />
+                                        )}
+                                        Marquer comme traité
+                                    </button>
+                                )}
+                            </div>
+
+                            <p className="mt-3 font-medium text-slate-800">{item.query}</p>
+                            <p className="mt-2 text-sm text-slate-600 whitespace-pre-wrap line-clamp-4">
+                                {item.answer}
+                            </p>
+
+                            {item.comment && (
+                                <p className="mt-3 p-3 text-sm text-slate-700 bg-amber-50 border border-amber-100 rounded-lg">
+                                    {item.comment}
+                                </p>
+                            )}
+
+                            <div className="mt-3 flex flex-wrap gap-2">
+                                {item.sources?.length > 0 ? (
+                                    item.sources.map((source, i) => (
+                                        <span
+                                            key={source.id || i}
+                                            className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded-md bg-slate-50 border border-slate-200 text-slate-600"
+                                        >
+                                            <FileText className="w-3 h-3" />
+                                            {source.filename || 'Document'}
+                                            {formatLocation(source) && (
+                                                <span className="text-slate-400">{formatLocation(source)}</span>
+                                            )}
+                                        </span>
+                                    ))
+                                ) : (
+                                    <span className="text-xs text-red-500">Aucune source trouvée</span>
+                                )}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,300 @@
+// ============================================================================
+// RECHERCHE : Composant VerticalSettingsEditor
+// Prompt, modèle et paramètres de recherche de chaque verticale (super admin)
+// ============================================================================
+
+import React, { useState } from 'react';
+import {
+    Layers,
+    Save,
+    CheckCircle2,
+    AlertCircle,
+    Loader2
+} from 'lucide-react';
+
+const RETRIEVAL_MODES = [
+    { value: 'vector', label: 'Similarité (vector)' },
+    { value: 'hybrid', label: 'Plein texte + similarité (hybrid)' }
+];
+
+const ANSWER_STYLES = [
+    { value: 'balanced', label: 'Équilibré' },
+    { value: 'concise', label: 'Concis' },
+    { value: 'detailed', label: 'Détaillé' },
+    { value: 'bullets', label: 'Liste à puces' }
+];
+
+// Suggestions : le modèle doit exister chez le fournisseur configuré (LLM_PROVIDER)
+const MODEL_SUGGESTIONS = ['gpt-4o-mini', 'gpt-4o', 'gemini-1.5-flash', 'gemini-1.5-pro'];
+
+const inputClasses = 'w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const toFormValues = (vertical) => ({
+    system_prompt: vertical.system_prompt || '',
+    chat_model: vertical.chat_model || '',
+    temperature: vertical.temperature ?? 0.3,
+    match_threshold: vertical.match_threshold ?? 0.5,
+    match_count: vertical.match_count ?? 5,
+    retrieval_mode: vertical.retrieval_mode || 'vector',
+    answer_style: vertical.answer_style || 'balanced',
+    members_can_ingest: Boolean(vertical.members_can_ingest)
+});
+
+const Field = ({ label, help, children }) => (
+    <div>
+        <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+        {children}
+        {help && <p className="mt-1 text-xs text-slate-500">{help}</p>}
+    </div>
+);
+
+/**
+ * Formulaire d'une verticale (réinitialisé quand la sélection change)
+ */
+function VerticalSettingsForm({ vertical, onSave }) {
+    const [values, setValues] = useState(() => toFormValues(vertical));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [success, setSuccess] = useState(false);
+
+    const setValue = (field) => (e) => {
+        setValues((prev) => ({ ...prev, [field]: e.target.value }));
+        setSuccess(false);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+
+        const result = await onSave(vertical.id, {
+            system_prompt: values.system_prompt.trim() || null,
+            chat_model: values.chat_model.trim() || null,
+            temperature: Number(values.temperature),
+            match_threshold: Number(values.match_threshold),
+            match_count: Number(values.match_count),
+            retrieval_mode: values.retrieval_mode,
+            answer_style: values.answer_style,
+            members_can_ingest: values.members_can_ingest
+        });
+
+        if (result.success) {
+            setSuccess(true);
+            setTimeout(() => setSuccess(false), 3000);
+        } else {
+            setError(result.error || 'Erreur lors de la mise à jour');
+        }
+        setSaving(false);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl border border-slate-200 p-6 space-y-5">
+            <div className="flex items-center gap-3">
+                <span
+                    className="w-3 h-3 rounded-full"
+                    style={{ backgroundColor: vertical.color || '#6366f1' }}
+                />
+                <h3 className="text-lg font-medium text-slate-800">{vertical.name}</h3>
+                <span className="text-xs font-mono text-slate-400">{vertical.id}</span>
+            </div>
+
+            <Field
+                label="Prompt système"
+                help="Vide : prompt par défaut. {{vertical}} est remplacé par le nom de la verticale ; la consigne de citation [n] est toujours ajoutée."
+            >
+                <textarea
+                    value={values.system_prompt}
+                    onChange={setValue('system_prompt')}
+                    rows={8}
+                    placeholder="Tu es un expert {{vertical}}. Tu réponds uniquement à partir du contexte fourni..."
+                    className={`${inputClasses} font-mono text-sm`}
+                />
+            </Field>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                <Field label="Modèle de génération" help="Vide : modèle par défaut du serveur (CHAT_MODEL).">
+                    <input
+                        type="text"
+                        list="vertical-chat-models"
+                        value={values.chat_model}
+                        onChange={setValue('chat_model')}
+                        placeholder="gpt-4o-mini"
+                        className={inputClasses}
+                    />
+                    <datalist id="vertical-chat-models">
+                        {MODEL_SUGGESTIONS.map((model) => <option key={model} value={model} />)}
+                    </datalist>
+                </Field>
+
+                <Field label="Température" help="0 : réponses stables ; 1 et plus : réponses plus variées.">
+                    <input
+                        type="number"
+                        min="0"
+                        max="2"
+                        step="0.1"
+                        required
+                        value={values.temperature}
+                        onChange={setValue('temperature')}
+                        className={inputClasses}
+                    />
+                </Field>
+
+                <Field label="Seuil de similarité" help="Plus bas : plus de passages retenus.">
+                    <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        required
+                        value={values.match_threshold}
+                        onChange={setValue('match_threshold')}
+                        className={inputClasses}
+                    />
+                </Field>
+
+                <Field label="Nombre de passages" help="Passages transmis au modèle (1 à 50).">
+                    <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        step="1"
+                        required
+                        value={values.match_count}
+                        onChange={setValue('match_count')}
+                        className={inputClasses}
+                    />
+                </Field>
+
+                <Field label="Mode de recherche">
+                    <select value={values.retrieval_mode} onChange={setValue('retrieval_mode')} className={inputClasses}>
+                        {RETRIEVAL_MODES.map((mode) => (
+                            <option key={mode.value} value={mode.value}>{mode.label}</option>
+                        ))}
+                    </select>
+                </Field>
+
+                <Field label="Style de réponse">
+                    <select value={values.answer_style} onChange={setValue('answer_style')} className={inputClasses}>
+                        {ANSWER_STYLES.map((style) => (
+                            <option key={style.value} value={style.value}>{style.label}</option>
+                        ))}
+                    </select>
+                </Field>
+            </div>
+
+            <label className="flex items-start gap-3 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={values.members_can_ingest}
+                    onChange={(e) => {
+                        setValues((prev) => ({ ...prev, members_can_ingest: e.target.checked }));
+                        setSuccess(false);
+                    }}
+                    className="mt-1 w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500"
+                />
+                <span>
+                    <span className="block text-sm font-medium text-slate-700">Import ouvert aux membres</span>
+                    <span className="block text-xs text-slate-500">
+                        Sinon, seuls les propriétaires et administrateurs d'une organisation importent des documents dans cette verticale.
+                    </span>
+                </span>
+            </label>
+
+            {error && (
+                <p className="text-sm text-red-600 flex items-center gap-1">
+                    <AlertCircle className="w-3.5 h-3.5" />
+                    {error}
+                </p>
+            )}
+
+            <div className="flex items-center justify-end gap-3">
+                {success && (
+                    <span className="text-sm text-green-700 flex items-center gap-1">
+                        <CheckCircle2 className="w-4 h-4" />
+                        Configuration enregistrée
+                    </span>
+                )}
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                >
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    Enregistrer
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default function VerticalSettingsEditor({
+    verticals = [],
+    loading = false,
+    onSave = async () => ({ success: false })
+}) {
+    const [selectedId, setSelectedId] = useState(null);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+            </div>
+        );
+    }
+
+    const selected = verticals.find((v) => v.id === selectedId) || verticals[0];
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div>
+                <h2 className="text-xl font-semibold text-slate-800 flex items-center gap-2">
+                    <Layers className="w-5 h-5 text-indigo-600" />
+                    Configuration des verticales
+                </h2>
+                <p className="text-sm text-slate-500 mt-1">
+                    Prompt, modèle et paramètres de recherche utilisés par l'assistant pour chaque verticale
+                </p>
+            </div>
+
+            {verticals.length === 0 ? (
+                <div className="bg-white rounded-xl border border-slate-200 p-12 text-center text-slate-500">
+                    Aucune verticale configurée
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                    <nav className="space-y-1">
+                        {verticals.map((vertical) => (
+                            <button
+                                key={vertical.id}
+                                onClick={() => setSelectedId(vertical.id)}
+                                className={`w-full flex items-center gap-2 px-3 py-2 text-sm rounded-lg text-left transition-colors ${
+                                    vertical.id === selected?.id
+                                        ? 'bg-indigo-50 text-indigo-700 font-medium'
+                                        : 'text-slate-600 hover:bg-slate-100'
+                                }`}
+                            >
+                                <span
+                                    className="w-2.5 h-2.5 rounded-full flex-shrink-0"
+                                    style={{ backgroundColor: vertical.color || '#6366f1' }}
+                                />
+                                <span className="truncate">{vertical.name}</span>
+                                {vertical.archived_at ? (
+                                    <span className="ml-auto text-xs text-slate-400">archivée</span>
+                                ) : !vertical.is_active && (
+                                    <span className="ml-auto text-xs text-slate-400">inactive</span>
+                                )}
+                            </button>
+                        ))}
+                    </nav>
+
+                    <div className="lg:col-span-3">
+                        {selected && (
+                            <VerticalSettingsForm key={selected.id} vertical={selected} onSave={onSave} />
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
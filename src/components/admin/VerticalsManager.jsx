@@ -0,0 +1,350 @@
+// ============================================================================
+// RECHERCHE : Composant VerticalsManager
+// Création, identité (nom, couleur, icône), ordre et archivage des verticales
+// (super admin)
+// ============================================================================
+
+import React, { useState } from 'react';
+import {
+    Plus,
+    Pencil,
+    ArrowUp,
+    ArrowDown,
+    Archive,
+    ArchiveRestore,
+    Save,
+    X,
+    AlertCircle,
+    Loader2
+} from 'lucide-react';
+import { DEFAULT_VERTICAL_COLOR, VERTICAL_ICONS, getVerticalIcon } from '../../lib/verticals';
+
+const COLOR_PRESETS = ['#6366f1', '#f59e0b', '#10b981', '#ec4899', '#0ea5e9', '#ef4444', '#8b5cf6', '#64748b'];
+
+const inputClasses = 'w-full px-3 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const emptyIdentity = {
+    id: '',
+    name: '',
+    description: '',
+    color: DEFAULT_VERTICAL_COLOR,
+    icon: 'layers'
+};
+
+/**
+ * Formulaire d'identité : création (avec identifiant) ou édition
+ */
+function VerticalIdentityForm({ vertical = null, onSubmit, onCancel }) {
+    const isNew = !vertical;
+    const [values, setValues] = useState(() => (isNew ? emptyIdentity : {
+        name: vertical.name || '',
+        description: vertical.description || '',
+        color: vertical.color || DEFAULT_VERTICAL_COLOR,
+        icon: vertical.icon || 'layers'
+    }));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const setValue = (field, value) => setValues((prev) => ({ ...prev, [field]: value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+
+        const result = await onSubmit({
+            ...values,
+            description: values.description.trim() || null
+        });
+
+        if (!result.success) {
+            setError(result.error || 'Erreur lors de l\'enregistrement');
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-4 bg-slate-50 border-t border-slate-200 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {isNew && (
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Identifiant</label>
+                        <input
+                            type="text"
+                            required
+                            value={values.id}
+                            onChange={(e) => setValue('id', e.target.value.toLowerCase())}
+                            placeholder="immobilier"
+                            className={`${inputClasses} font-mono text-sm`}
+                        />
+                        <p className="mt-1 text-xs text-slate-500">Définitif : référencé par les documents.</p>
+                    </div>
+                )}
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Nom</label>
+                    <input
+                        type="text"
+                        required
+                        value={values.name}
+                        onChange={(e) => setValue('name', e.target.value)}
+                        placeholder="ImmoFlow"
+                        className={inputClasses}
+                    />
+                </div>
+                <div className={isNew ? '' : 'md:col-span-2'}>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Description</label>
+                    <input
+                        type="text"
+                        value={values.description}
+                        onChange={(e) => setValue('description', e.target.value)}
+                        placeholder="Immobilier & Gestion locative"
+                        className={inputClasses}
+                    />
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Couleur</label>
+                    <div className="flex items-center gap-2 flex-wrap">
+                        {COLOR_PRESETS.map((color) => (
+                            <button
+                                key={color}
+                                type="button"
+                                onClick={() => setValue('color', color)}
+                                className={`w-7 h-7 rounded-full border-2 transition-transform ${
+                                    values.color.toLowerCase() === color ? 'border-slate-800 scale-110' : 'border-white'
+                                }`}
+                                style={{ backgroundColor: color }}
+                                title={color}
+                            />
+                        ))}
+                        <input
+                            type="color"
+                            value={values.color}
+                            onChange={(e) => setValue('color', e.target.value)}
+                            className="w-9 h-7 p-0 border border-slate-300 rounded cursor-pointer"
+                            title="Couleur personnalisée"
+                        />
+                    </div>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-slate-700 mb-1">Icône</label>
+                    <div className="flex items-center gap-1.5 flex-wrap">
+                        {Object.entries(VERTICAL_ICONS).map(([key, Icon]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                onClick={() => setValue('icon', key)}
+                                className={`p-1.5 rounded-lg border transition-colors ${
+                                    values.icon === key ? 'border-indigo-500 bg-white' : 'border-transparent hover:bg-white'
+                                }`}
+                                title={key}
+                            >
+                                <Icon className="w-4 h-4" style={{ color: values.color }} />
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            {error && (
+                <p className="text-sm text-red-600 flex items-center gap-1">
+                    <AlertCircle className="w-3.5 h-3.5" />
+                    {error}
+                </p>
+            )}
+
+            <div className="flex items-center justify-end gap-2">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="inline-flex items-center gap-1 px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+                >
+                    <X className="w-4 h-4" />
+                    Annuler
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                >
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                    {isNew ? 'Créer' : 'Enregistrer'}
+                </button>
+            </div>
+        </form>
+    );
+}
+
+export default function VerticalsManager({
+    verticals = [],
+    loading = false,
+    onCreate = async () => ({ success: false }),
+    onUpdate = async () => ({ success: false }),
+    onMove = async () => ({ success: false }),
+    onArchive = async () => ({ success: false }),
+    onRestore = async () => ({ success: false })
+}) {
+    const [editingId, setEditingId] = useState(null); // id, 'new' ou null
+    const [pendingId, setPendingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const runAction = async (verticalId, action) => {
+        setPendingId(verticalId);
+        setError(null);
+        const result = await action();
+        if (!result.success) setError(result.error || 'Erreur lors de la mise à jour');
+        setPendingId(null);
+    };
+
+    const closeOnSuccess = (action) => async (values) => {
+        const result = await action(values);
+        if (result.success) setEditingId(null);
+        return result;
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {/* Header */}
+            <div className="flex items-start justify-between gap-4">
+                <div>
+                    <h2 className="text-xl font-semibold text-slate-800">Verticales</h2>
+                    <p className="text-sm text-slate-500 mt-1">
+                        Ordre, couleur et icône dans les sélecteurs. Une verticale archivée n'est plus proposée
+                        à la sélection ni à l'import ; ses documents restent interrogeables par les administrateurs.
+                    </p>
+                </div>
+                <button
+                    onClick={() => setEditingId('new')}
+                    disabled={editingId === 'new'}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 flex-shrink-0"
+                >
+                    <Plus className="w-4 h-4" />
+                    Nouvelle verticale
+                </button>
+            </div>
+
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-center gap-2 text-sm text-red-700">
+                    <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                    {error}
+                </div>
+            )}
+
+            <div className="bg-white rounded-xl border border-slate-200 overflow-hidden divide-y divide-slate-200">
+                {editingId === 'new' && (
+                    <VerticalIdentityForm
+                        onSubmit={closeOnSuccess(onCreate)}
+                        onCancel={() => setEditingId(null)}
+                    />
+                )}
+
+                {verticals.map((vertical, index) => {
+                    const Icon = getVerticalIcon(vertical.icon);
+                    const archived = Boolean(vertical.archived_at);
+                    const busy = pendingId === vertical.id;
+                    const color = vertical.color || DEFAULT_VERTICAL_COLOR;
+
+                    return (
+                        <div key={vertical.id}>
+                            <div className={`flex items-center gap-3 px-4 py-3 ${archived ? 'opacity-60' : ''}`}>
+                                <div className="flex flex-col">
+                                    <button
+                                        onClick={() => runAction(vertical.id, () => onMove(vertical.id, -1))}
+                                        disabled={busy || index === 0}
+                                        className="p-0.5 text-slate-400 hover:text-slate-700 disabled:opacity-30"
+                                        title="Monter"
+                                    >
+                                        <ArrowUp className="w-3.5 h-3.5" />
+                                    </button>
+                                    <button
+                                        onClick={() => runAction(vertical.id, () => onMove(vertical.id, 1))}
+                                        disabled={busy || index === verticals.length - 1}
+                                        className="p-0.5 text-slate-400 hover:text-slate-700 disabled:opacity-30"
+                                        title="Descendre"
+                                    >
+                                        <ArrowDown className="w-3.5 h-3.5" />
+                                    </button>
+                                </div>
+
+                                <div
+                                    className="w-9 h-9 rounded-lg flex items-center justify-center flex-shrink-0"
+                                    style={{ backgroundColor: `${color}15` }}
+                                >
+                                    <Icon className="w-4 h-4" style={{ color }} />
+                                </div>
+
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm font-medium text-slate-800 flex items-center gap-2">
+                                        {vertical.name}
+                                        <span className="text-xs font-mono text-slate-400">{vertical.id}</span>
+                                        {archived ? (
+                                            <span className="text-xs px-1.5 py-0.5 bg-slate-100 text-slate-600 rounded">
+                                                Archivée le {new Date(vertical.archived_at).toLocaleDateString('fr-FR')}
+                                            </span>
+                                        ) : !vertical.is_active && (
+                                            <span className="text-xs text-slate-400">inactive</span>
+                                        )}
+                                    </p>
+                                    {vertical.description && (
+                                        <p className="text-xs text-slate-500 truncate">{vertical.description}</p>
+                                    )}
+                                </div>
+
+                                {busy && <Loader2 className="w-4 h-4 animate-spin text-slate-400" />}
+
+                                <button
+                                    onClick={() => setEditingId(editingId === vertical.id ? null : vertical.id)}
+                                    className="p-2 text-slate-400 hover:text-indigo-600 hover:bg-slate-100 rounded-lg transition-colors"
+                                    title="Modifier"
+                                >
+                                    <Pencil className="w-4 h-4" />
+                                </button>
+                                {archived ? (
+                                    <button
+                                        onClick={() => runAction(vertical.id, () => onRestore(vertical.id))}
+                                        disabled={busy}
+                                        className="p-2 text-slate-400 hover:text-green-600 hover:bg-slate-100 rounded-lg transition-colors"
+                                        title="Restaurer"
+                                    >
+                                        <ArchiveRestore className="w-4 h-4" />
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={() => {
+                                            if (window.confirm(`Archiver la verticale « ${vertical.name} » ? Elle ne sera plus proposée à la sélection ni à l'import.`)) {
+                                                runAction(vertical.id, () => onArchive(vertical.id));
+                                            }
+                                        }}
+                                        disabled={busy}
+                                        className="p-2 text-slate-400 hover:text-amber-600 hover:bg-slate-100 rounded-lg transition-colors"
+                                        title="Archiver"
+                                    >
+                                        <Archive className="w-4 h-4" />
+                                    </button>
+                                )}
+                            </div>
+
+                            {editingId === vertical.id && (
+                                <VerticalIdentityForm
+                                    vertical={vertical}
+                                    onSubmit={closeOnSuccess((values) => onUpdate(vertical.id, values))}
+                                    onCancel={() => setEditingId(null)}
+                                />
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
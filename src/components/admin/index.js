@@ -6,3 +6,8 @@ export { default as MembersList } from './MembersList';
 export { default as InviteMemberModal } from './InviteMemberModal';
 export { default as OrganizationSettings } from './OrganizationSettings';
 
+export { default as EmbeddingMigrationPanel } from './EmbeddingMigrationPanel';
+export { default as FeedbackList } from './FeedbackList';
+export { default as ApiKeysManager } from './ApiKeysManager';
+export { default as VerticalSettingsEditor } from './VerticalSettingsEditor';
+export { default as VerticalsManager } from './VerticalsManager';
@@ -1,15 +1,76 @@
-import React, { useState } from 'react';
-import { User, Bot, FileText, ChevronDown, ChevronUp, ExternalLink } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { User, Bot, FileText, ChevronDown, ChevronUp, ExternalLink, PanelRightOpen, ThumbsUp, ThumbsDown, MessageSquare, Loader2 } from 'lucide-react';
+import SourcePanel from './SourcePanel';
+import { formatSheetRows } from '../../lib/documents';
+
+// Marqueurs de citation émis par rag-brain : [1], [2], [1, 3]
+// Le numéro n renvoie à message.sources[n - 1]
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Découpe le texte en segments et puces de citation (numéros hors sources laissés en texte)
+ */
+const renderWithCitations = (content, sourceCount, activeSource, onCite) => {
+  if (!content || sourceCount === 0) return content;
+
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(CITATION_MARKER)) {
+    const numbers = match[1].split(',').map((value) => Number(value.trim()));
+    if (!numbers.every((n) => n >= 1 && n <= sourceCount)) continue;
+
+    parts.push(content.slice(lastIndex, match.index));
+    numbers.forEach((n) => {
+      parts.push(
+        <button
+          key={`${match.index}-${n}`}
+          type="button"
+          onClick={() => onCite(n - 1)}
+          title={`Voir la source ${n}`}
+          className={`inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 mx-0.5 align-text-top text-[11px] font-semibold rounded-md transition-colors duration-200 ${
+            activeSource === n - 1
+              ? 'bg-indigo-600 text-white'
+              : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+          }`}
+        >
+          {n}
+        </button>
+      );
+    });
+    lastIndex = match.index + match[0].length;
+  }
+
+  parts.push(content.slice(lastIndex));
+  return parts;
+};
 
 /**
  * ChatBubble - Affiche un message unique (User ou AI)
  * 
- * @param {Object} message - { role: 'user' | 'ai', content: string, sources?: array, timestamp?: Date }
+ * @param {Object} message - { role: 'user' | 'ai', content: string, sources?: array, query?: string, timestamp?: Date, isStreaming?: boolean }
+ * @param {Function|null} onFeedback - Enregistre un retour sur la réponse ({ rating, comment, query, answer, sources }, feedbackId) => id
  */
-const ChatBubble = ({ message }) => {
+const ChatBubble = ({ message, onFeedback = null }) => {
   const [sourcesExpanded, setSourcesExpanded] = useState(false);
+  const [activeSource, setActiveSource] = useState(null);
+  const [panelSource, setPanelSource] = useState(null);
+  const sourceRefs = useRef([]);
   const isUser = message.role === 'user';
   const hasSources = message.sources && message.sources.length > 0;
+  // Pas de retour sur le message d'accueil (sans question) ni pendant le streaming
+  const canGiveFeedback = !isUser && !!onFeedback && !message.isStreaming && !!message.query;
+
+  // Clic sur une citation : ouvre les sources et déplie la source correspondante
+  const handleCite = (sourceIndex) => {
+    setSourcesExpanded(true);
+    setActiveSource((prev) => (prev === sourceIndex ? null : sourceIndex));
+  };
+
+  useEffect(() => {
+    if (activeSource === null) return;
+    sourceRefs.current[activeSource]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [activeSource]);
 
   // Formatage du timestamp
   const formatTime = (timestamp) => {
@@ -54,11 +115,16 @@ const ChatBubble = ({ message }) => {
           <p className={`text-[15px] leading-relaxed whitespace-pre-wrap ${
             isUser ? 'text-white' : 'text-slate-700'
           }`}>
-            {message.content}
+            {isUser
+              ? message.content
+              : renderWithCitations(message.content, message.sources?.length || 0, activeSource, handleCite)}
+            {message.isStreaming && (
+              <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-slate-400 animate-pulse" />
+            )}
           </p>
 
           {/* Timestamp */}
-          {message.timestamp && (
+          {message.timestamp && !message.isStreaming && (
             <p className={`text-[11px] mt-2 ${
               isUser ? 'text-indigo-200' : 'text-slate-400'
             }`}>
@@ -67,6 +133,11 @@ const ChatBubble = ({ message }) => {
           )}
         </div>
 
+        {/* Retour utilisateur (uniquement pour AI) */}
+        {canGiveFeedback && (
+          <FeedbackBar message={message} onFeedback={onFeedback} />
+        )}
+
         {/* Section Sources (uniquement pour AI) */}
         {!isUser && hasSources && (
           <div className="mt-2">
@@ -92,9 +163,21 @@ const ChatBubble = ({ message }) => {
                 sourcesExpanded ? 'max-h-96 opacity-100 mt-2' : 'max-h-0 opacity-0'
               }`}
             >
-              <div className="flex flex-wrap gap-2">
+              <div className="flex flex-wrap gap-2 max-h-96 overflow-y-auto">
                 {message.sources.map((source, index) => (
-                  <SourceChip key={index} source={source} />
+                  <div
+                    key={index}
+                    ref={(el) => { sourceRefs.current[index] = el; }}
+                    className={activeSource === index ? 'w-full' : ''}
+                  >
+                    <SourceChip
+                      source={source}
+                      number={index + 1}
+                      isActive={activeSource === index}
+                      onToggle={() => setActiveSource((prev) => (prev === index ? null : index))}
+                      onOpen={() => setPanelSource(source)}
+                    />
+                  </div>
                 ))}
               </div>
             </div>
@@ -102,6 +185,13 @@ const ChatBubble = ({ message }) => {
         )}
       </div>
 
+      {/* Panneau de consultation de la source */}
+      <SourcePanel
+        source={panelSource}
+        query={message.query || message.content}
+        onClose={() => setPanelSource(null)}
+      />
+
       {/* Avatar User (droite) */}
       {isUser && (
         <div className="flex-shrink-0 ml-3 order-2">
@@ -114,15 +204,147 @@ const ChatBubble = ({ message }) => {
   );
 };
 
+/**
+ * FeedbackBar - Pouce haut / bas et commentaire sur une réponse
+ * Un pouce bas ouvre directement le champ de commentaire.
+ */
+const FeedbackBar = ({ message, onFeedback }) => {
+  const [rating, setRating] = useState(null);
+  const [feedbackId, setFeedbackId] = useState(null);
+  const [comment, setComment] = useState('');
+  const [showComment, setShowComment] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const submit = async (nextRating, nextComment = comment) => {
+    setIsSaving(true);
+    setStatus(null);
+    try {
+      const id = await onFeedback({
+        rating: nextRating,
+        comment: nextComment,
+        query: message.query,
+        answer: message.content,
+        sources: message.sources || []
+      }, feedbackId);
+      setFeedbackId(id);
+      setRating(nextRating);
+      return true;
+    } catch (err) {
+      console.warn('Retour non enregistré:', err.message);
+      setStatus('error');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRate = async (nextRating) => {
+    if (isSaving || nextRating === rating) return;
+    const saved = await submit(nextRating);
+    if (saved) setShowComment(nextRating === -1);
+  };
+
+  const handleCommentSubmit = async (e) => {
+    e.preventDefault();
+    if (!comment.trim() || rating === null) return;
+    const saved = await submit(rating, comment);
+    if (saved) {
+      setShowComment(false);
+      setStatus('thanks');
+    }
+  };
+
+  const buttonClasses = (active, activeClasses) => `p-1 rounded-md transition-colors duration-200 disabled:opacity-50 ${
+    active ? activeClasses : 'text-slate-400 hover:text-slate-600 hover:bg-slate-100'
+  }`;
+
+  return (
+    <div className="mt-1.5">
+      <div className="flex items-center gap-1 text-xs text-slate-400">
+        <button
+          type="button"
+          onClick={() => handleRate(1)}
+          disabled={isSaving}
+          title="Réponse utile"
+          className={buttonClasses(rating === 1, 'text-emerald-600 bg-emerald-50')}
+        >
+          <ThumbsUp className="w-3.5 h-3.5" />
+        </button>
+        <button
+          type="button"
+          onClick={() => handleRate(-1)}
+          disabled={isSaving}
+          title="Réponse incorrecte ou incomplète"
+          className={buttonClasses(rating === -1, 'text-red-600 bg-red-50')}
+        >
+          <ThumbsDown className="w-3.5 h-3.5" />
+        </button>
+        {rating !== null && !showComment && (
+          <button
+            type="button"
+            onClick={() => setShowComment(true)}
+            className="inline-flex items-center gap-1 ml-1 hover:text-indigo-600 transition-colors"
+          >
+            <MessageSquare className="w-3.5 h-3.5" />
+            Commenter
+          </button>
+        )}
+        {isSaving && <Loader2 className="w-3.5 h-3.5 ml-1 animate-spin" />}
+        {status === 'thanks' && <span className="ml-1 text-emerald-600">Merci pour votre retour</span>}
+        {status === 'error' && <span className="ml-1 text-red-500">Retour non enregistré</span>}
+      </div>
+
+      {showComment && (
+        <form onSubmit={handleCommentSubmit} className="mt-2 flex flex-col gap-2">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            autoFocus
+            placeholder={rating === -1
+              ? 'Qu\'est-ce qui n\'allait pas ? (document manquant, information erronée…)'
+              : 'Un commentaire sur cette réponse ?'}
+            className="w-full px-3 py-2 text-sm text-slate-700 bg-white border border-slate-200 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-indigo-500/20 focus:border-indigo-400"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setShowComment(false)}
+              className="px-3 py-1.5 text-xs font-medium text-slate-500 hover:text-slate-700"
+            >
+              Annuler
+            </button>
+            <button
+              type="submit"
+              disabled={!comment.trim() || isSaving}
+              className="px-3 py-1.5 text-xs font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+            >
+              Envoyer
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
 /**
  * SourceChip - Affiche une source sous forme de chip cliquable
+ * Active (citation cliquée), la chip est mise en avant et affiche l'extrait cité.
+ * Les passages renvoyés par rag-brain (avec id) s'ouvrent dans le panneau de consultation.
  */
-const SourceChip = ({ source }) => {
-  // Source peut être un string ou un objet { title, url, type }
+const SourceChip = ({ source, number, isActive = false, onToggle, onOpen }) => {
+  // Source peut être un string, un objet { title, url, type } ou un chunk renvoyé par rag-brain
   const isObject = typeof source === 'object';
-  const title = isObject ? source.title : source;
+  const metadata = (isObject && source.metadata) || {};
+  const location = formatSheetRows(metadata) || (metadata.page_start ? `p. ${metadata.page_start}` : null);
+  const page = location ? ` · ${location}` : '';
+  const title = isObject
+    ? `${source.title || metadata.filename || metadata.title || 'Document'}${page}`
+    : source;
   const url = isObject ? source.url : null;
-  const type = isObject ? source.type : 'document';
+  const type = isObject ? (source.type || (metadata.fileType === 'application/pdf' ? 'pdf' : 'document')) : 'document';
 
   // Icône selon le type
   const getIcon = () => {
@@ -136,8 +358,14 @@ const SourceChip = ({ source }) => {
     }
   };
 
+  const excerpt = isObject && typeof source.content === 'string' ? source.content : null;
+  const canOpen = isObject && !!source.id && !!onOpen;
+
   const ChipContent = () => (
     <>
+      {number && (
+        <span className="font-semibold text-indigo-600">{number}</span>
+      )}
       {getIcon()}
       <span className="truncate max-w-[200px]">{title}</span>
     </>
@@ -152,6 +380,54 @@ const SourceChip = ({ source }) => {
     hover:shadow-sm hover:border-slate-300
   `;
 
+  // Source citée : extrait complet sous le titre
+  if (isActive) {
+    return (
+      <div className="w-full px-3 py-2 text-xs bg-indigo-50/60 border border-indigo-300 rounded-lg ring-2 ring-indigo-100">
+        <button
+          type="button"
+          onClick={onToggle}
+          className="flex items-center gap-1.5 font-medium text-slate-700 hover:text-indigo-600"
+        >
+          <ChipContent />
+        </button>
+        {excerpt && (
+          <p className="mt-1.5 text-slate-600 leading-relaxed whitespace-pre-wrap line-clamp-6">
+            {excerpt}
+          </p>
+        )}
+        {canOpen ? (
+          <button
+            type="button"
+            onClick={onOpen}
+            className="inline-flex items-center gap-1 mt-1.5 text-indigo-600 hover:underline"
+          >
+            <PanelRightOpen className="w-3 h-3" />
+            Voir le passage
+          </button>
+        ) : url && (
+          <a
+            href={url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-1 mt-1.5 text-indigo-600 hover:underline"
+          >
+            <ExternalLink className="w-3 h-3" />
+            Ouvrir le document
+          </a>
+        )}
+      </div>
+    );
+  }
+
+  if (canOpen) {
+    return (
+      <button type="button" onClick={onOpen} className={`${baseClasses} cursor-pointer hover:text-indigo-600`}>
+        <ChipContent />
+      </button>
+    );
+  }
+
   if (url) {
     return (
       <a
@@ -165,6 +441,14 @@ const SourceChip = ({ source }) => {
     );
   }
 
+  if (excerpt && onToggle) {
+    return (
+      <button type="button" onClick={onToggle} className={`${baseClasses} cursor-pointer`}>
+        <ChipContent />
+      </button>
+    );
+  }
+
   return (
     <span className={baseClasses}>
       <ChipContent />
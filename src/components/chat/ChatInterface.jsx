@@ -1,7 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { MessageSquare, Sparkles, AlertCircle, RefreshCw } from 'lucide-react';
-import { supabase } from '../../lib/supabaseClient';
-import { callRagBrain } from '../../lib/supabaseClient';
+import { streamRagBrain } from '../../lib/supabaseClient';
 import ChatBubble from './ChatBubble';
 import ChatInput from './ChatInput';
 
@@ -18,6 +17,9 @@ const DEFAULT_VERTICAL_ID = 'audit';
 // Mode démo activé si pas de backend
 const DEMO_ALLOWED = import.meta.env.VITE_DEMO_MODE === 'true' || false;
 
+// Nombre de tours (question + réponse) envoyés comme historique à rag-brain
+const HISTORY_TURNS = 3;
+
 // ============================================
 // COMPOSANT PRINCIPAL
 // ============================================
@@ -27,10 +29,22 @@ const DEMO_ALLOWED = import.meta.env.VITE_DEMO_MODE === 'true' || false;
  * 
  * @param {string} verticalId - ID de la verticale active
  * @param {Function} onError - Callback pour remonter les erreurs
+ * @param {string|null} conversationId - Conversation persistée à afficher (null = nouvelle conversation)
+ * @param {Function} onConversationCreated - Appelé avec l'id de la conversation créée au premier message
+ * @param {Function} onCreateConversation - Crée une conversation (firstQuestion) => { id }
+ * @param {Function} onSaveMessage - Enregistre un tour (conversationId, { role, content, sources })
+ * @param {Function} onLoadMessages - Charge les messages d'une conversation (conversationId) => messages
+ * @param {Function} onFeedback - Enregistre un retour sur une réponse ({ rating, comment, query, answer, sources, conversationId }, feedbackId) => id
  */
 const ChatInterface = ({ 
   verticalId = DEFAULT_VERTICAL_ID,
-  onError = null 
+  onError = null,
+  conversationId = null,
+  onConversationCreated = null,
+  onCreateConversation = null,
+  onSaveMessage = null,
+  onLoadMessages = null,
+  onFeedback = null
 }) => {
   // ============================================
   // STATE
@@ -44,6 +58,15 @@ const ChatInterface = ({
   const messagesEndRef = useRef(null);
   const chatContainerRef = useRef(null);
 
+  // Permet d'interrompre le streaming en cours (changement de verticale, démontage)
+  const abortControllerRef = useRef(null);
+
+  // Conversation créée par ce composant : inutile de la recharger depuis la base
+  const createdConversationIdRef = useRef(null);
+
+  // Persistance active uniquement hors mode démo et si les callbacks sont fournis
+  const isPersistenceEnabled = !isDemoMode && !!onCreateConversation && !!onSaveMessage;
+
   // ============================================
   // EFFECTS
   // ============================================
@@ -53,8 +76,11 @@ const ChatInterface = ({
     scrollToBottom();
   }, [messages]);
 
-  // Message de bienvenue initial
+  // Message de bienvenue initial, suivi des messages de la conversation reprise
   useEffect(() => {
+    if (conversationId && conversationId === createdConversationIdRef.current) return;
+    createdConversationIdRef.current = null;
+
     const welcomeMessage = {
       id: 'welcome',
       role: 'ai',
@@ -63,8 +89,42 @@ const ChatInterface = ({
       sources: []
     };
     setMessages([welcomeMessage]);
+    setError(null);
+
+    if (!conversationId || !onLoadMessages) return;
+
+    let cancelled = false;
+    onLoadMessages(conversationId)
+      .then((history) => {
+        if (!cancelled) setMessages([welcomeMessage, ...history]);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Erreur chargement conversation:', err);
+        setError({ type: 'warning', message: 'Impossible de charger cette conversation.' });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [verticalId, conversationId]);
+
+  // Interrompre le streaming en cours au changement de verticale...
+  useEffect(() => {
+    abortControllerRef.current?.abort();
   }, [verticalId]);
 
+  // ... ou de conversation, sauf pour celle créée par le premier message (sa réponse est en cours)
+  useEffect(() => {
+    if (conversationId && conversationId === createdConversationIdRef.current) return;
+    abortControllerRef.current?.abort();
+  }, [conversationId]);
+
+  // ... et au démontage
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
   // ============================================
   // HELPERS
   // ============================================
@@ -77,6 +137,14 @@ const ChatInterface = ({
     return `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   };
 
+  // Derniers échanges de la conversation, au format attendu par rag-brain
+  const buildHistory = (previousMessages) => {
+    return previousMessages
+      .filter(m => m.id !== 'welcome' && !m.isStreaming && m.content)
+      .slice(-HISTORY_TURNS * 2)
+      .map(m => ({ role: m.role === 'ai' ? 'assistant' : 'user', content: m.content }));
+  };
+
   // Message de bienvenue personnalisé par verticale
   const getWelcomeMessage = (vertical) => {
     const messages = {
@@ -92,13 +160,30 @@ const ChatInterface = ({
   // API CALL - RAG BRAIN
   // ============================================
 
-  const callRagBrainAPI = async (query) => {
-    // Utiliser la fonction callRagBrain existante
-    const { data, error } = await callRagBrain(query, verticalId, {
-      matchThreshold: 0.5,
-      matchCount: 5
+  const callRagBrainAPI = async (query, history, onProgress) => {
+    abortControllerRef.current?.abort();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
+    // Streaming : les sources arrivent en premier, puis la réponse token par token
+    // Seuil et nombre de passages : ceux configurés pour la verticale
+    let streamedSources = [];
+    const { data, error } = await streamRagBrain(query, verticalId, {
+      history,
+      signal: abortController.signal
+    }, {
+      onSources: (sources) => {
+        streamedSources = sources;
+      },
+      onDelta: (_delta, answer) => {
+        onProgress?.({ content: answer, sources: streamedSources });
+      }
     });
 
+    if (abortControllerRef.current === abortController) {
+      abortControllerRef.current = null;
+    }
+
     if (error) {
       throw error;
     }
@@ -146,13 +231,43 @@ const ChatInterface = ({
     return demoResponses[verticalId] || demoResponses.default;
   };
 
+  // ============================================
+  // PERSISTANCE
+  // ============================================
+
+  // Crée la conversation au premier message si besoin, puis renvoie son id
+  const ensureConversation = async (firstQuestion) => {
+    if (conversationId) return conversationId;
+
+    const conversation = await onCreateConversation(firstQuestion);
+    createdConversationIdRef.current = conversation.id;
+    onConversationCreated?.(conversation.id);
+    return conversation.id;
+  };
+
+  // Enregistre un tour sans bloquer le chat en cas d'échec
+  const persistMessage = async (targetConversationId, message) => {
+    try {
+      await onSaveMessage(targetConversationId, message);
+    } catch (err) {
+      console.warn('Message non sauvegardé:', err.message);
+    }
+  };
+
+  // Retour sur une réponse, rattaché à la conversation en cours
+  const handleFeedback = (feedback, feedbackId) =>
+    onFeedback({ ...feedback, conversationId: conversationId || createdConversationIdRef.current }, feedbackId);
+
   // ============================================
   // SEND MESSAGE HANDLER
   // ============================================
 
-  const handleSendMessage = useCallback(async (content) => {
+  // isRetry : la question est déjà enregistrée dans la conversation (relance après une erreur)
+  const handleSendMessage = useCallback(async (content, previousMessages = messages, { isRetry = false } = {}) => {
     if (!content.trim() || isLoading) return;
 
+    const history = buildHistory(previousMessages);
+
     // Clear previous error
     setError(null);
 
@@ -167,6 +282,29 @@ const ChatInterface = ({
     setMessages(prev => [...prev, userMessage]);
     setIsLoading(true);
 
+    // Sauvegarde de la question dans la conversation (créée au premier message)
+    let targetConversationId = null;
+    if (isPersistenceEnabled) {
+      try {
+        const isNewConversation = !conversationId;
+        targetConversationId = await ensureConversation(userMessage.content);
+        if (!isRetry || isNewConversation) persistMessage(targetConversationId, userMessage);
+      } catch (persistError) {
+        console.warn('Conversation non sauvegardée:', persistError.message);
+      }
+    }
+
+    // Message AI affiché progressivement pendant le streaming
+    const aiMessageId = generateMessageId();
+    const upsertAiMessage = (patch) => {
+      setMessages(prev => {
+        if (!prev.some(m => m.id === aiMessageId)) {
+          return [...prev, { id: aiMessageId, role: 'ai', content: '', sources: [], query: userMessage.content, timestamp: new Date(), ...patch }];
+        }
+        return prev.map(m => (m.id === aiMessageId ? { ...m, ...patch } : m));
+      });
+    };
+
     try {
       let aiResponse;
 
@@ -175,9 +313,11 @@ const ChatInterface = ({
         aiResponse = await simulateDemoResponse(content);
       } else {
         try {
-          aiResponse = await callRagBrainAPI(content);
+          aiResponse = await callRagBrainAPI(content, history, (partial) => {
+            upsertAiMessage({ ...partial, isStreaming: true });
+          });
         } catch (apiError) {
-          if (DEMO_ALLOWED) {
+          if (DEMO_ALLOWED && apiError.name !== 'AbortError') {
             // Fallback vers mode démo si l'API échoue et que le mode est autorisé
             console.warn('API indisponible, bascule en mode démo:', apiError.message);
             aiResponse = await simulateDemoResponse(content);
@@ -192,18 +332,27 @@ const ChatInterface = ({
         }
       }
 
-      // Ajouter la réponse AI
-      const aiMessage = {
-        id: generateMessageId(),
-        role: 'ai',
+      // Finaliser la réponse AI
+      upsertAiMessage({
         content: aiResponse.content,
         sources: aiResponse.sources,
-        timestamp: new Date()
-      };
+        isStreaming: false
+      });
 
-      setMessages(prev => [...prev, aiMessage]);
+      if (targetConversationId) {
+        persistMessage(targetConversationId, {
+          role: 'ai',
+          content: aiResponse.content,
+          sources: aiResponse.sources
+        });
+      }
 
     } catch (err) {
+      // Retirer la réponse partielle éventuelle
+      setMessages(prev => prev.filter(m => m.id !== aiMessageId));
+
+      if (err.name === 'AbortError') return;
+
       console.error('Erreur envoi message:', err);
       setError({
         type: 'error',
@@ -215,18 +364,17 @@ const ChatInterface = ({
     } finally {
       setIsLoading(false);
     }
-  }, [isLoading, isDemoMode, verticalId, onError]);
+  }, [messages, isLoading, isDemoMode, verticalId, onError, conversationId, isPersistenceEnabled, onCreateConversation, onSaveMessage, onConversationCreated]);
 
   // Retry dernier message
   const handleRetry = () => {
     const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
     if (lastUserMessage) {
-      // Supprimer le dernier message AI (s'il y en a un après le user)
-      setMessages(prev => {
-        const lastUserIndex = prev.findLastIndex(m => m.role === 'user');
-        return prev.slice(0, lastUserIndex + 1);
-      });
-      handleSendMessage(lastUserMessage.content);
+      // Supprimer la dernière question (renvoyée ci-dessous) et ce qui la suit
+      const lastUserIndex = messages.findLastIndex(m => m.role === 'user');
+      const previousMessages = messages.slice(0, lastUserIndex);
+      setMessages(previousMessages);
+      handleSendMessage(lastUserMessage.content, previousMessages, { isRetry: true });
     }
   };
 
@@ -258,12 +406,16 @@ const ChatInterface = ({
             <EmptyState verticalId={verticalId} />
           ) : (
             messages.map((message) => (
-              <ChatBubble key={message.id} message={message} />
+              <ChatBubble
+                key={message.id}
+                message={message}
+                onFeedback={isDemoMode || !onFeedback ? null : handleFeedback}
+              />
             ))
           )}
 
-          {/* Indicateur de chargement */}
-          {isLoading && <TypingIndicator />}
+          {/* Indicateur de chargement (jusqu'au premier token streamé) */}
+          {isLoading && !messages.some(m => m.isStreaming) && <TypingIndicator />}
 
           {/* Message d'erreur */}
           {error && (
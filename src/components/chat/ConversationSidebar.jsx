@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { MessageSquarePlus, MessageSquare, Pencil, Trash2, Check, X, Loader2 } from 'lucide-react';
+
+/**
+ * ConversationSidebar - Liste des conversations passées de la verticale active
+ *
+ * @param {Array} conversations - [{ id, title, updated_at }]
+ * @param {string|null} activeConversationId - Conversation affichée dans le chat
+ * @param {boolean} loading - Chargement de la liste en cours
+ * @param {Function} onSelect - Reprendre une conversation (id)
+ * @param {Function} onNew - Démarrer une nouvelle conversation
+ * @param {Function} onRename - Renommer une conversation (id, title)
+ * @param {Function} onDelete - Supprimer une conversation (id)
+ */
+const ConversationSidebar = ({
+  conversations = [],
+  activeConversationId = null,
+  loading = false,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setEditingTitle(conversation.title);
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditingTitle('');
+  };
+
+  const submitRename = async () => {
+    const title = editingTitle.trim();
+    if (title) {
+      await onRename?.(editingId, title);
+    }
+    cancelEditing();
+  };
+
+  const handleDelete = (conversation) => {
+    if (window.confirm(`Supprimer la conversation « ${conversation.title} » ?`)) {
+      onDelete?.(conversation.id);
+    }
+  };
+
+  // Formatage de la date de dernière activité
+  const formatDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+      ? date.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' });
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between px-1 mb-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-slate-400">
+          Conversations
+        </p>
+        <button
+          onClick={onNew}
+          className="p-1.5 text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 rounded-lg transition-colors"
+          title="Nouvelle conversation"
+        >
+          <MessageSquarePlus className="w-4 h-4" />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-4 h-4 animate-spin text-slate-400" />
+        </div>
+      ) : conversations.length === 0 ? (
+        <p className="px-1 text-xs text-slate-400">
+          Aucune conversation pour cette verticale.
+        </p>
+      ) : (
+        <ul className="space-y-0.5">
+          {conversations.map((conversation) => {
+            const isActive = conversation.id === activeConversationId;
+            const isEditing = conversation.id === editingId;
+
+            return (
+              <li
+                key={conversation.id}
+                className={`group flex items-center gap-2 px-3 py-2 rounded-lg transition-colors ${isActive
+                  ? 'bg-indigo-50 text-indigo-700'
+                  : 'text-slate-600 hover:bg-slate-50'
+                  }`}
+              >
+                <MessageSquare className="w-4 h-4 flex-shrink-0 opacity-60" />
+
+                {isEditing ? (
+                  <>
+                    <input
+                      value={editingTitle}
+                      onChange={(e) => setEditingTitle(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') submitRename();
+                        if (e.key === 'Escape') cancelEditing();
+                      }}
+                      autoFocus
+                      className="flex-1 min-w-0 px-1.5 py-0.5 text-sm bg-white border border-indigo-300 rounded outline-none"
+                    />
+                    <button onClick={submitRename} className="p-1 hover:text-indigo-600" title="Valider">
+                      <Check className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={cancelEditing} className="p-1 hover:text-slate-800" title="Annuler">
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => onSelect?.(conversation.id)}
+                      className="flex-1 min-w-0 text-left"
+                    >
+                      <p className="text-sm font-medium truncate">{conversation.title}</p>
+                      <p className="text-[11px] text-slate-400">{formatDate(conversation.updated_at)}</p>
+                    </button>
+                    <div className="hidden group-hover:flex items-center">
+                      <button
+                        onClick={() => startEditing(conversation)}
+                        className="p-1 text-slate-400 hover:text-indigo-600"
+                        title="Renommer"
+                      >
+                        <Pencil className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(conversation)}
+                        className="p-1 text-slate-400 hover:text-red-600"
+                        title="Supprimer"
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ConversationSidebar;
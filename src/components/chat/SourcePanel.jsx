@@ -0,0 +1,211 @@
+import React, { useEffect, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { X, FileText, ExternalLink, Loader2, AlertCircle, Layers } from 'lucide-react';
+import { fetchDocumentPassage } from '../../lib/supabaseClient';
+import { formatSheetRows } from '../../lib/documents';
+
+/**
+ * Découpe le texte du passage en segments normaux / surlignés
+ */
+const renderHighlighted = (text, highlights = []) => {
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(({ start, end }, i) => {
+    if (start < cursor) return;
+    parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={i} className="bg-amber-100 text-slate-900 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+
+  parts.push(text.slice(cursor));
+  return parts;
+};
+
+// Position du passage : pages (PDF) ou feuille et lignes (tableur)
+const formatLocation = (metadata = {}) => {
+  const rows = formatSheetRows(metadata);
+  if (rows) return rows;
+  if (!metadata.page_start) return null;
+  return metadata.page_end && metadata.page_end !== metadata.page_start
+    ? `Pages ${metadata.page_start}-${metadata.page_end}`
+    : `Page ${metadata.page_start}`;
+};
+
+/**
+ * SourcePanel - Panneau latéral de consultation d'une source citée
+ *
+ * @param {Object|null} source - Chunk renvoyé par rag-brain ({ id, content, metadata, similarity, rerank_score })
+ * @param {string} query - Question à l'origine de la réponse (phrases pertinentes surlignées)
+ * @param {Function} onClose - Fermeture du panneau
+ */
+const SourcePanel = ({ source, query = '', onClose }) => {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!source?.id) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setDetails(null);
+
+    fetchDocumentPassage(source.id, query)
+      .then((result) => {
+        if (!cancelled) setDetails(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [source?.id, query]);
+
+  // Fermeture au clavier
+  useEffect(() => {
+    if (!source) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose?.();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [source, onClose]);
+
+  if (!source) return null;
+
+  const passage = details?.passage;
+  const metadata = passage?.metadata || source.metadata || {};
+  const sourceDocument = details?.document;
+  const title = sourceDocument?.title || sourceDocument?.filename || metadata.filename || metadata.title || 'Document';
+  const headingPath = passage?.heading_path || source.heading_path || [];
+  const location = formatLocation(metadata);
+  const isPdf = sourceDocument?.mime_type === 'application/pdf';
+
+  return createPortal(
+    <div className="fixed inset-0 z-50 flex justify-end">
+      {/* Fond */}
+      <div className="absolute inset-0 bg-slate-900/30" onClick={onClose} />
+
+      {/* Panneau */}
+      <aside className="relative w-full max-w-xl h-full bg-white shadow-2xl flex flex-col animate-fadeIn">
+        {/* En-tête */}
+        <div className="flex items-start justify-between gap-3 px-5 py-4 border-b border-slate-200">
+          <div className="min-w-0">
+            <div className="flex items-center gap-2 text-slate-800 font-semibold">
+              <FileText className="w-4 h-4 flex-shrink-0 text-indigo-600" />
+              <span className="truncate">{title}</span>
+            </div>
+            {headingPath.length > 0 && (
+              <p className="mt-1 text-xs text-slate-500 truncate">{headingPath.join(' > ')}</p>
+            )}
+          </div>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-lg text-slate-400 hover:text-slate-600 hover:bg-slate-100 transition-colors"
+            title="Fermer"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Métadonnées */}
+        <div className="px-5 py-3 border-b border-slate-100 flex flex-wrap gap-2 text-xs">
+          {location && (
+            <span className="px-2 py-1 rounded-md bg-slate-100 text-slate-600">{location}</span>
+          )}
+          {passage && metadata.chunk_count && (
+            <span className="px-2 py-1 rounded-md bg-slate-100 text-slate-600">
+              Passage {passage.chunk_index + 1} / {metadata.chunk_count}
+            </span>
+          )}
+          {typeof source.similarity === 'number' && (
+            <span className="px-2 py-1 rounded-md bg-indigo-50 text-indigo-700">
+              Similarité {Math.round(source.similarity * 100)}%
+            </span>
+          )}
+          {typeof source.rerank_score === 'number' && (
+            <span className="px-2 py-1 rounded-md bg-indigo-50 text-indigo-700">
+              Pertinence {Math.round(source.rerank_score * 100)}%
+            </span>
+          )}
+          {sourceDocument?.created_at && (
+            <span className="px-2 py-1 rounded-md bg-slate-100 text-slate-600">
+              Importé le {new Date(sourceDocument.created_at).toLocaleDateString('fr-FR')}
+            </span>
+          )}
+        </div>
+
+        {/* Contenu */}
+        <div className="flex-1 overflow-y-auto px-5 py-4 space-y-4">
+          {loading && (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+            </div>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <p>{error}</p>
+            </div>
+          )}
+
+          {details?.previous?.map((chunk) => (
+            <p key={chunk.id} className="text-sm text-slate-400 leading-relaxed whitespace-pre-wrap">
+              {chunk.content}
+            </p>
+          ))}
+
+          {(passage || (!loading && source.content)) && (
+            <div className="p-4 rounded-xl border border-indigo-200 bg-indigo-50/40">
+              <p className="flex items-center gap-1.5 mb-2 text-xs font-medium text-indigo-700">
+                <Layers className="w-3.5 h-3.5" />
+                Passage cité
+              </p>
+              <p className="text-sm text-slate-700 leading-relaxed whitespace-pre-wrap">
+                {passage
+                  ? renderHighlighted(passage.content, passage.highlights)
+                  : source.content}
+              </p>
+            </div>
+          )}
+
+          {details?.next?.map((chunk) => (
+            <p key={chunk.id} className="text-sm text-slate-400 leading-relaxed whitespace-pre-wrap">
+              {chunk.content}
+            </p>
+          ))}
+        </div>
+
+        {/* Fichier original */}
+        {details?.file_url && (
+          <div className="px-5 py-4 border-t border-slate-200">
+            <a
+              href={details.file_url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              <ExternalLink className="w-4 h-4" />
+              Ouvrir le fichier original{isPdf && location ? ` (${location.toLowerCase()})` : ''}
+            </a>
+          </div>
+        )}
+      </aside>
+    </div>,
+    document.body
+  );
+};
+
+export default SourcePanel;
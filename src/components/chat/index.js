@@ -6,6 +6,8 @@
 export { default as ChatInterface } from './ChatInterface';
 export { default as ChatBubble } from './ChatBubble';
 export { default as ChatInput } from './ChatInput';
+export { default as ConversationSidebar } from './ConversationSidebar';
+export { default as SourcePanel } from './SourcePanel';
 
 // Export par défaut du container principal
 export { default } from './ChatInterface';
@@ -0,0 +1,284 @@
+// ============================================================================
+// INGESTION : Composant DocumentDetailPanel
+// Détail d'un document : chunks, paramètres d'indexation, métadonnées, versions, imports
+// ============================================================================
+
+import React, { useEffect, useState } from 'react';
+import {
+    FileText,
+    X,
+    ExternalLink,
+    Tags,
+    Trash2,
+    AlertCircle,
+    Loader2
+} from 'lucide-react';
+import {
+    DOCUMENT_STATUSES,
+    formatDateTime,
+    getDocumentTitle,
+    getDocumentTypeLabel,
+    getUploaderLabel
+} from '../../lib/documents';
+
+// Métadonnées techniques déjà affichées ailleurs
+const HIDDEN_METADATA_KEYS = ['storageUrl'];
+
+const formatMetadataValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+function DetailRow({ label, children }) {
+    return (
+        <div className="flex justify-between gap-4 py-2 border-b border-slate-100 text-sm">
+            <dt className="text-slate-500 flex-shrink-0">{label}</dt>
+            <dd className="text-slate-800 text-right break-all">{children}</dd>
+        </div>
+    );
+}
+
+export default function DocumentDetailPanel({
+    item = null,
+    verticals = [],
+    uploaders = { users: [], api_keys: [] },
+    onLoad = async () => ({ success: false }),
+    onClose = () => {},
+    onRetag = () => {},
+    onDelete = () => {}
+}) {
+    const [details, setDetails] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!item) return undefined;
+        let cancelled = false;
+
+        setLoading(true);
+        setError(null);
+        setDetails(null);
+
+        onLoad(item).then((result) => {
+            if (cancelled) return;
+            if (result.success) setDetails(result);
+            else setError(result.error || 'Document indisponible');
+            setLoading(false);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [item, onLoad]);
+
+    // Fermeture au clavier
+    useEffect(() => {
+        if (!item) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [item, onClose]);
+
+    if (!item) return null;
+
+    const doc = details?.document || details?.job || item;
+    const status = DOCUMENT_STATUSES[item.status] || DOCUMENT_STATUSES.indexed;
+    const verticalsById = Object.fromEntries(verticals.map((v) => [v.id, v]));
+    const metadata = Object.entries(doc.metadata || {}).filter(([key]) => !HIDDEN_METADATA_KEYS.includes(key));
+    const canManage = Boolean(doc.can_manage ?? item.can_manage);
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end">
+            {/* Fond */}
+            <div className="absolute inset-0 bg-slate-900/30" onClick={onClose} />
+
+            {/* Panneau */}
+            <aside className="relative w-full max-w-xl h-full bg-white shadow-2xl flex flex-col">
+                {/* En-tête */}
+                <div className="flex items-start justify-between gap-3 px-5 py-4 border-b border-slate-200">
+                    <div className="min-w-0">
+                        <div className="flex items-center gap-2 text-slate-800 font-semibold">
+                            <FileText className="w-4 h-4 flex-shrink-0 text-indigo-600" />
+                            <span className="truncate">{getDocumentTitle(item)}</span>
+                        </div>
+                        <div className="mt-1 flex flex-wrap items-center gap-1.5">
+                            <span className={`text-xs px-1.5 py-0.5 rounded ${status.classes}`}>{status.label}</span>
+                            {(doc.vertical_ids || []).map((verticalId) => (
+                                <span
+                                    key={verticalId}
+                                    className="text-xs px-1.5 py-0.5 rounded bg-slate-100 text-slate-600"
+                                >
+                                    {verticalsById[verticalId]?.name || verticalId}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-slate-600 hover:bg-slate-100 transition-colors"
+                        title="Fermer"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                {/* Actions */}
+                {canManage && (
+                    <div className="flex items-center gap-2 px-5 py-3 border-b border-slate-100">
+                        {item.kind === 'document' && (
+                            <button
+                                onClick={() => onRetag(item)}
+                                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm text-slate-700 border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+                            >
+                                <Tags className="w-4 h-4" />
+                                Verticales
+                            </button>
+                        )}
+                        {item.status !== 'processing' && (
+                            <button
+                                onClick={() => onDelete(item)}
+                                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                                Supprimer
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {/* Contenu */}
+                <div className="flex-1 overflow-y-auto px-5 py-4 space-y-6">
+                    {loading && (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="w-6 h-6 animate-spin text-indigo-600" />
+                        </div>
+                    )}
+
+                    {error && (
+                        <p className="text-sm text-red-600 flex items-center gap-1">
+                            <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                            {error}
+                        </p>
+                    )}
+
+                    {details && (
+                        <>
+                            {item.status === 'failed' && doc.error && (
+                                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                                    {doc.error}
+                                </div>
+                            )}
+
+                            <section>
+                                <h3 className="text-sm font-semibold text-slate-800 mb-1">Indexation</h3>
+                                <dl>
+                                    <DetailRow label="Fichier">{doc.filename || '—'}</DetailRow>
+                                    <DetailRow label="Type">{getDocumentTypeLabel(doc.mime_type || item.mime_type)}</DetailRow>
+                                    <DetailRow label="Importé par">{getUploaderLabel({ ...item, ...doc }, uploaders)}</DetailRow>
+                                    <DetailRow label="Importé le">{formatDateTime(doc.created_at)}</DetailRow>
+                                    {details.document ? (
+                                        <>
+                                            <DetailRow label="Chunks">
+                                                {details.indexed_chunks}
+                                                {details.indexed_chunks !== doc.chunk_count && ` (${doc.chunk_count} attendus)`}
+                                            </DetailRow>
+                                            <DetailRow label="Taille des chunks">
+                                                {doc.chunk_size ? `${doc.chunk_size} car. (chevauchement ${doc.chunk_overlap ?? 0})` : '—'}
+                                            </DetailRow>
+                                            <DetailRow label="Texte extrait">{doc.content_length?.toLocaleString('fr-FR')} caractères</DetailRow>
+                                            {doc.page_count && <DetailRow label="Pages">{doc.page_count}</DetailRow>}
+                                            <DetailRow label="Modèle d'embedding">{doc.embedding_model || '—'}</DetailRow>
+                                            <DetailRow label="Version">{doc.version ?? 1}</DetailRow>
+                                            {doc.content_hash && (
+                                                <DetailRow label="Empreinte SHA-256">
+                                                    <span className="font-mono text-xs" title={doc.content_hash}>{doc.content_hash.slice(0, 16)}…</span>
+                                                </DetailRow>
+                                            )}
+                                        </>
+                                    ) : (
+                                        <>
+                                            <DetailRow label="Chunks">
+                                                {doc.chunk_count ? `${doc.chunks_embedded} / ${doc.chunk_count}` : '—'}
+                                            </DetailRow>
+                                            <DetailRow label="Tentatives">{doc.attempts}</DetailRow>
+                                        </>
+                                    )}
+                                </dl>
+                                {details.file_url && (
+                                    <a
+                                        href={details.file_url}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                        className="mt-3 inline-flex items-center gap-1.5 text-sm text-indigo-600 hover:underline"
+                                    >
+                                        <ExternalLink className="w-4 h-4" />
+                                        Ouvrir le fichier
+                                    </a>
+                                )}
+                            </section>
+
+                            {metadata.length > 0 && (
+                                <section>
+                                    <h3 className="text-sm font-semibold text-slate-800 mb-1">Métadonnées</h3>
+                                    <dl>
+                                        {metadata.map(([key, value]) => (
+                                            <DetailRow key={key} label={key}>{formatMetadataValue(value)}</DetailRow>
+                                        ))}
+                                    </dl>
+                                </section>
+                            )}
+
+                            {details.versions?.length > 1 && (
+                                <section>
+                                    <h3 className="text-sm font-semibold text-slate-800 mb-1">Versions</h3>
+                                    <dl>
+                                        {details.versions.map((version) => (
+                                            <DetailRow
+                                                key={version.id}
+                                                label={`v${version.version}${version.id === doc.id ? ' (actuelle)' : ''}`}
+                                            >
+                                                <span className="text-slate-600">
+                                                    {formatDateTime(version.created_at)}
+                                                    {' · '}
+                                                    {getUploaderLabel(version, uploaders)}
+                                                    {version.superseded_at && ` · remplacée le ${formatDateTime(version.superseded_at)}`}
+                                                </span>
+                                                {version.file_url && (
+                                                    <a
+                                                        href={version.file_url}
+                                                        target="_blank"
+                                                        rel="noopener noreferrer"
+                                                        className="ml-2 inline-flex items-center text-indigo-600 hover:underline"
+                                                        title="Ouvrir le fichier"
+                                                    >
+                                                        <ExternalLink className="w-3.5 h-3.5" />
+                                                    </a>
+                                                )}
+                                            </DetailRow>
+                                        ))}
+                                    </dl>
+                                </section>
+                            )}
+
+                            {details.jobs?.length > 0 && (
+                                <section>
+                                    <h3 className="text-sm font-semibold text-slate-800 mb-1">Imports</h3>
+                                    <dl>
+                                        {details.jobs.map((job) => (
+                                            <DetailRow key={job.id} label={formatDateTime(job.created_at)}>
+                                                {job.status}{job.attempts > 1 && ` (${job.attempts} tentatives)`}
+                                            </DetailRow>
+                                        ))}
+                                    </dl>
+                                </section>
+                            )}
+                        </>
+                    )}
+                </div>
+            </aside>
+        </div>
+    );
+}
@@ -0,0 +1,127 @@
+// ============================================================================
+// INGESTION : Composant DocumentFilters
+// Recherche par nom de fichier et filtres de la bibliothèque de documents
+// ============================================================================
+
+import React, { useEffect, useState } from 'react';
+import { Search, X } from 'lucide-react';
+import { DOCUMENT_STATUSES, DOCUMENT_TYPES } from '../../lib/documents';
+
+// Délai avant de lancer la recherche pendant la saisie
+const SEARCH_DEBOUNCE_MS = 300;
+
+const selectClasses = 'px-3 py-2 text-sm bg-white border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+export default function DocumentFilters({
+    filters,
+    verticals = [],
+    uploaders = { users: [], api_keys: [] },
+    onChange = () => {},
+    onReset = () => {}
+}) {
+    const [search, setSearch] = useState(filters.search);
+
+    // Filtres réinitialisés depuis la page
+    useEffect(() => {
+        setSearch(filters.search);
+    }, [filters.search]);
+
+    useEffect(() => {
+        if (search === filters.search) return undefined;
+        const timer = setTimeout(() => onChange({ search }), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [search, filters.search, onChange]);
+
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    return (
+        <div className="bg-white rounded-xl border border-slate-200 p-4 space-y-3">
+            <div className="relative">
+                <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                    type="search"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Rechercher un fichier..."
+                    className="w-full pl-9 pr-3 py-2 text-sm border border-slate-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                />
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2">
+                <select
+                    value={filters.vertical_id}
+                    onChange={(e) => onChange({ vertical_id: e.target.value })}
+                    className={selectClasses}
+                >
+                    <option value="">Toutes les verticales</option>
+                    {verticals.map((vertical) => (
+                        <option key={vertical.id} value={vertical.id}>{vertical.name}</option>
+                    ))}
+                </select>
+
+                <select
+                    value={filters.uploader}
+                    onChange={(e) => onChange({ uploader: e.target.value })}
+                    className={selectClasses}
+                >
+                    <option value="">Tous les auteurs</option>
+                    {uploaders.users.map((user) => (
+                        <option key={user.id} value={user.id}>{user.full_name || user.email}</option>
+                    ))}
+                    {uploaders.api_keys.length > 0 && <option value="api_key">Clés d'API</option>}
+                </select>
+
+                <select
+                    value={filters.mime_type}
+                    onChange={(e) => onChange({ mime_type: e.target.value })}
+                    className={selectClasses}
+                >
+                    <option value="">Tous les types</option>
+                    {DOCUMENT_TYPES.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                    ))}
+                </select>
+
+                <select
+                    value={filters.status}
+                    onChange={(e) => onChange({ status: e.target.value })}
+                    className={selectClasses}
+                >
+                    <option value="">Tous les statuts</option>
+                    {Object.entries(DOCUMENT_STATUSES).map(([value, { label }]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+
+                <div className="flex items-center gap-1.5 text-sm text-slate-500">
+                    <span>Du</span>
+                    <input
+                        type="date"
+                        value={filters.date_from}
+                        max={filters.date_to || undefined}
+                        onChange={(e) => onChange({ date_from: e.target.value })}
+                        className={selectClasses}
+                    />
+                    <span>au</span>
+                    <input
+                        type="date"
+                        value={filters.date_to}
+                        min={filters.date_from || undefined}
+                        onChange={(e) => onChange({ date_to: e.target.value })}
+                        className={selectClasses}
+                    />
+                </div>
+
+                {hasFilters && (
+                    <button
+                        onClick={onReset}
+                        className="inline-flex items-center gap-1 px-3 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+                    >
+                        <X className="w-4 h-4" />
+                        Réinitialiser
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,180 @@
+// ============================================================================
+// INGESTION : Composant DocumentsTable
+// Liste paginée des documents indexés et des imports en cours ou en échec
+// ============================================================================
+
+import React from 'react';
+import { ChevronLeft, ChevronRight, FileText, Loader2 } from 'lucide-react';
+import {
+    DOCUMENT_STATUSES,
+    formatDateTime,
+    getDocumentTitle,
+    getDocumentTypeLabel,
+    getUploaderLabel
+} from '../../lib/documents';
+
+export default function DocumentsTable({
+    documents = [],
+    verticals = [],
+    uploaders = { users: [], api_keys: [] },
+    loading = false,
+    total = 0,
+    page = 0,
+    pageSize = 25,
+    selectedIds = [],
+    onToggle = () => {},
+    onToggleAll = () => {},
+    onOpen = () => {},
+    onPageChange = () => {}
+}) {
+    const verticalsById = Object.fromEntries(verticals.map((v) => [v.id, v]));
+
+    // Sélection : documents modifiables par l'utilisateur, hors imports en cours
+    const isSelectable = (doc) => doc.can_manage && doc.status !== 'processing';
+    const selectable = documents.filter(isSelectable);
+    const allSelected = selectable.length > 0 && selectable.every((doc) => selectedIds.includes(doc.id));
+
+    const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+    const firstIndex = total === 0 ? 0 : page * pageSize + 1;
+    const lastIndex = Math.min((page + 1) * pageSize, total);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="w-8 h-8 animate-spin text-indigo-600" />
+            </div>
+        );
+    }
+
+    if (documents.length === 0) {
+        return (
+            <div className="bg-white rounded-xl border border-slate-200 p-12 text-center text-slate-500">
+                Aucun document
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-xl border border-slate-200 overflow-hidden">
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead className="bg-slate-50 text-left text-xs font-medium text-slate-500 uppercase tracking-wide">
+                        <tr>
+                            <th className="w-10 px-4 py-3">
+                                <input
+                                    type="checkbox"
+                                    checked={allSelected}
+                                    disabled={selectable.length === 0}
+                                    onChange={() => onToggleAll(selectable, !allSelected)}
+                                    className="w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500"
+                                />
+                            </th>
+                            <th className="px-4 py-3">Document</th>
+                            <th className="px-4 py-3">Verticales</th>
+                            <th className="px-4 py-3">Type</th>
+                            <th className="px-4 py-3">Importé par</th>
+                            <th className="px-4 py-3">Date</th>
+                            <th className="px-4 py-3">Statut</th>
+                            <th className="px-4 py-3 text-right">Chunks</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-100">
+                        {documents.map((doc) => {
+                            const status = DOCUMENT_STATUSES[doc.status] || DOCUMENT_STATUSES.indexed;
+
+                            return (
+                                <tr
+                                    key={doc.id}
+                                    onClick={() => onOpen(doc)}
+                                    className="hover:bg-slate-50 cursor-pointer"
+                                >
+                                    <td className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedIds.includes(doc.id)}
+                                            disabled={!isSelectable(doc)}
+                                            onChange={() => onToggle(doc)}
+                                            className="w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500 disabled:opacity-40"
+                                        />
+                                    </td>
+                                    <td className="px-4 py-3 max-w-xs">
+                                        <div className="flex items-center gap-2 min-w-0">
+                                            <FileText className="w-4 h-4 text-slate-400 flex-shrink-0" />
+                                            <span className="font-medium text-slate-800 truncate">{getDocumentTitle(doc)}</span>
+                                            {doc.version > 1 && (
+                                                <span
+                                                    className="text-xs px-1.5 py-0.5 rounded bg-slate-100 text-slate-600 flex-shrink-0"
+                                                    title={`${doc.version - 1} version${doc.version > 2 ? 's' : ''} précédente${doc.version > 2 ? 's' : ''}`}
+                                                >
+                                                    v{doc.version}
+                                                </span>
+                                            )}
+                                        </div>
+                                        {doc.title && doc.filename && doc.title !== doc.filename && (
+                                            <p className="text-xs text-slate-500 truncate pl-6">{doc.filename}</p>
+                                        )}
+                                    </td>
+                                    <td className="px-4 py-3">
+                                        <div className="flex flex-wrap gap-1">
+                                            {(doc.vertical_ids || []).map((verticalId) => {
+                                                const vertical = verticalsById[verticalId];
+                                                return (
+                                                    <span
+                                                        key={verticalId}
+                                                        className="text-xs px-1.5 py-0.5 rounded"
+                                                        style={{
+                                                            backgroundColor: `${vertical?.color || '#64748b'}15`,
+                                                            color: vertical?.color || '#475569'
+                                                        }}
+                                                    >
+                                                        {vertical?.name || verticalId}
+                                                    </span>
+                                                );
+                                            })}
+                                        </div>
+                                    </td>
+                                    <td className="px-4 py-3 text-slate-600 whitespace-nowrap">{getDocumentTypeLabel(doc.mime_type)}</td>
+                                    <td className="px-4 py-3 text-slate-600 whitespace-nowrap">{getUploaderLabel(doc, uploaders)}</td>
+                                    <td className="px-4 py-3 text-slate-600 whitespace-nowrap">{formatDateTime(doc.created_at)}</td>
+                                    <td className="px-4 py-3">
+                                        <span
+                                            className={`text-xs px-1.5 py-0.5 rounded whitespace-nowrap ${status.classes}`}
+                                            title={doc.error || undefined}
+                                        >
+                                            {status.label}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 py-3 text-right text-slate-600">{doc.chunk_count ?? '—'}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Pagination */}
+            <div className="flex items-center justify-between px-4 py-3 border-t border-slate-200 text-sm text-slate-600">
+                <span>{firstIndex}–{lastIndex} sur {total}</span>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={() => onPageChange(page - 1)}
+                        disabled={page === 0}
+                        className="p-1.5 rounded-lg hover:bg-slate-100 transition-colors disabled:opacity-40"
+                        title="Page précédente"
+                    >
+                        <ChevronLeft className="w-4 h-4" />
+                    </button>
+                    <span>Page {page + 1} / {pageCount}</span>
+                    <button
+                        onClick={() => onPageChange(page + 1)}
+                        disabled={page + 1 >= pageCount}
+                        className="p-1.5 rounded-lg hover:bg-slate-100 transition-colors disabled:opacity-40"
+                        title="Page suivante"
+                    >
+                        <ChevronRight className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
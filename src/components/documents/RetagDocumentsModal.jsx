@@ -0,0 +1,159 @@
+// ============================================================================
+// INGESTION : Composant RetagDocumentsModal
+// Réaffectation des verticales de plusieurs documents
+// ============================================================================
+
+import React, { useState } from 'react';
+import { Tags, X, AlertCircle, Loader2 } from 'lucide-react';
+import { isArchivedVertical } from '../../lib/verticals';
+
+const MODES = [
+    { value: 'add', label: 'Ajouter', help: 'Les verticales actuelles sont conservées' },
+    { value: 'remove', label: 'Retirer', help: 'Chaque document garde au moins une verticale' },
+    { value: 'replace', label: 'Remplacer', help: 'Seules les verticales cochées sont conservées' }
+];
+
+export default function RetagDocumentsModal({
+    isOpen = false,
+    documentCount = 0,
+    verticals = [],
+    onClose = () => {},
+    onSubmit = async () => ({ success: false })
+}) {
+    const [mode, setMode] = useState('add');
+    const [selectedVerticals, setSelectedVerticals] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    if (!isOpen) return null;
+
+    // Une verticale archivée peut être retirée, mais plus attribuée
+    const choices = mode === 'remove' ? verticals : verticals.filter((v) => !isArchivedVertical(v));
+    const chosen = selectedVerticals.filter((id) => choices.some((v) => v.id === id));
+
+    const toggleVertical = (verticalId) => {
+        setSelectedVerticals((prev) => (prev.includes(verticalId)
+            ? prev.filter((id) => id !== verticalId)
+            : [...prev, verticalId]));
+    };
+
+    const handleClose = () => {
+        if (saving) return;
+        setSelectedVerticals([]);
+        setError(null);
+        onClose();
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+
+        const result = await onSubmit(chosen, mode);
+        setSaving(false);
+
+        if (result.success) {
+            setSelectedVerticals([]);
+            onClose();
+        } else {
+            setError(result.error || 'Erreur lors de la mise à jour');
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
+            <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-6">
+                {/* Header */}
+                <div className="flex items-center justify-between mb-6">
+                    <div className="flex items-center gap-3">
+                        <div className="w-10 h-10 bg-indigo-100 rounded-xl flex items-center justify-center">
+                            <Tags className="w-5 h-5 text-indigo-600" />
+                        </div>
+                        <div>
+                            <h2 className="text-lg font-semibold text-slate-800">
+                                Modifier les verticales
+                            </h2>
+                            <p className="text-sm text-slate-500">
+                                {documentCount} document{documentCount > 1 ? 's' : ''} sélectionné{documentCount > 1 ? 's' : ''}
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={handleClose}
+                        disabled={saving}
+                        className="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg transition-colors disabled:opacity-50"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-5">
+                    {/* Mode */}
+                    <div>
+                        <div className="flex rounded-lg border border-slate-200 bg-white p-0.5">
+                            {MODES.map((option) => (
+                                <button
+                                    key={option.value}
+                                    type="button"
+                                    onClick={() => setMode(option.value)}
+                                    className={`flex-1 px-3 py-1.5 text-sm rounded-md transition-colors ${
+                                        mode === option.value
+                                            ? 'bg-indigo-600 text-white'
+                                            : 'text-slate-600 hover:text-slate-900'
+                                    }`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="mt-1.5 text-xs text-slate-500">
+                            {MODES.find((option) => option.value === mode)?.help}
+                        </p>
+                    </div>
+
+                    {/* Verticales */}
+                    <div className="space-y-2 max-h-64 overflow-y-auto">
+                        {choices.map((vertical) => (
+                            <label key={vertical.id} className="flex items-center gap-3 text-sm text-slate-700 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedVerticals.includes(vertical.id)}
+                                    onChange={() => toggleVertical(vertical.id)}
+                                    className="w-4 h-4 text-indigo-600 border-slate-300 rounded focus:ring-indigo-500"
+                                />
+                                <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: vertical.color }} />
+                                {vertical.name}
+                            </label>
+                        ))}
+                    </div>
+
+                    {error && (
+                        <p className="text-sm text-red-600 flex items-center gap-1">
+                            <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                            {error}
+                        </p>
+                    )}
+
+                    <div className="flex items-center justify-end gap-2">
+                        <button
+                            type="button"
+                            onClick={handleClose}
+                            disabled={saving}
+                            className="px-4 py-2 text-sm text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+                        >
+                            Annuler
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={saving || chosen.length === 0}
+                            className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                        >
+                            {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                            Appliquer
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
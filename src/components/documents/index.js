@@ -0,0 +1,8 @@
+// ============================================================================
+// INGESTION : Index des composants de la bibliothèque de documents
+// ============================================================================
+
+export { default as DocumentFilters } from './DocumentFilters';
+export { default as DocumentsTable } from './DocumentsTable';
+export { default as DocumentDetailPanel } from './DocumentDetailPanel';
+export { default as RetagDocumentsModal } from './RetagDocumentsModal';
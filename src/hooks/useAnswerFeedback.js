@@ -0,0 +1,72 @@
+// ============================================================================
+// CHAT : Hook useAnswerFeedback
+// Enregistrement des retours (pouce haut / bas, commentaire) sur les réponses
+// ============================================================================
+
+import { useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+// Aperçu des sources conservé avec le retour (les chunks peuvent être supprimés ensuite)
+const toSourceSnapshot = (source) => ({
+    id: source.id,
+    filename: source.metadata?.filename || source.metadata?.title || null,
+    page_start: source.metadata?.page_start || null,
+    page_end: source.metadata?.page_end || null,
+    sheet_name: source.metadata?.sheet_name || null,
+    row_start: source.metadata?.row_start || null,
+    row_end: source.metadata?.row_end || null,
+    similarity: source.similarity ?? null,
+    rerank_score: source.rerank_score ?? null
+});
+
+export function useAnswerFeedback(verticalId, userId, orgId = null) {
+    /**
+     * Enregistre ou met à jour un retour.
+     * @param {Object} feedback - { rating: 1 | -1, comment, query, answer, sources, conversationId }
+     * @param {string|null} feedbackId - Retour déjà enregistré pour cette réponse
+     * @returns {Promise<string>} id du retour
+     */
+    const submitFeedback = useCallback(async (feedback, feedbackId = null) => {
+        if (!userId) throw new Error('Non authentifié');
+
+        if (feedbackId) {
+            const { error: updateError } = await supabase
+                .from('answer_feedback')
+                .update({
+                    rating: feedback.rating,
+                    comment: feedback.comment?.trim() || null,
+                })
+                .eq('id', feedbackId);
+
+            if (updateError) throw updateError;
+            return feedbackId;
+        }
+
+        // Seuls les passages renvoyés par rag-brain (avec id) sont rattachés
+        const sources = (feedback.sources || []).filter((source) => typeof source === 'object' && source.id);
+
+        const { data, error: insertError } = await supabase
+            .from('answer_feedback')
+            .insert({
+                user_id: userId,
+                org_id: orgId,
+                vertical_id: verticalId,
+                conversation_id: feedback.conversationId || null,
+                rating: feedback.rating,
+                comment: feedback.comment?.trim() || null,
+                query: feedback.query || '',
+                answer: feedback.answer || '',
+                source_ids: sources.map((source) => source.id),
+                sources: sources.map(toSourceSnapshot),
+            })
+            .select('id')
+            .single();
+
+        if (insertError) throw insertError;
+        return data.id;
+    }, [verticalId, userId, orgId]);
+
+    return {
+        submitFeedback,
+    };
+}
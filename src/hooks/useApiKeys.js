@@ -0,0 +1,133 @@
+// ============================================================================
+// BRIQUE 6 : Hook useApiKeys
+// Clés d'API de l'organisation (ingest-api, rag-brain) : création, révocation
+// ============================================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+export const API_KEY_SCOPES = ['ingest', 'query'];
+
+// Préfixe des clés générées et longueur affichée pour les identifier
+const KEY_PREFIX = 'crk_';
+const DISPLAYED_PREFIX_LENGTH = 12;
+
+// Colonnes lues : jamais l'empreinte
+const KEY_COLUMNS = 'id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// 32 octets aléatoires
+const generateKey = () => {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    return `${KEY_PREFIX}${toHex(bytes)}`;
+};
+
+// Empreinte SHA-256 (hex), identique à hashApiKey (_shared/auth.ts)
+const hashKey = async (key) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    return toHex(new Uint8Array(digest));
+};
+
+export function useApiKeys(orgId, userId) {
+    const [apiKeys, setApiKeys] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchApiKeys = useCallback(async () => {
+        if (!orgId) {
+            setApiKeys([]);
+            setLoading(false);
+            return;
+        }
+
+        try {
+            setLoading(true);
+            setError(null);
+
+            const { data, error: fetchError } = await supabase
+                .from('org_api_keys')
+                .select(KEY_COLUMNS)
+                .eq('org_id', orgId)
+                .order('created_at', { ascending: false });
+
+            if (fetchError) throw fetchError;
+            setApiKeys(data || []);
+        } catch (err) {
+            console.error('Erreur chargement clés d\'API:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [orgId]);
+
+    useEffect(() => {
+        fetchApiKeys();
+    }, [fetchApiKeys]);
+
+    // Créer une clé : la clé en clair n'est renvoyée qu'ici, seule son empreinte est stockée
+    const createApiKey = useCallback(async ({ name, scopes, expiresAt = null }) => {
+        if (!name?.trim()) {
+            return { success: false, error: 'Le nom est requis' };
+        }
+        if (!scopes?.length || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+            return { success: false, error: 'Sélectionnez au moins un droit' };
+        }
+        if (expiresAt && new Date(expiresAt) <= new Date()) {
+            return { success: false, error: 'La date d\'expiration doit être dans le futur' };
+        }
+
+        try {
+            const key = generateKey();
+
+            const { data, error: insertError } = await supabase
+                .from('org_api_keys')
+                .insert({
+                    org_id: orgId,
+                    name: name.trim(),
+                    key_prefix: key.slice(0, DISPLAYED_PREFIX_LENGTH),
+                    key_hash: await hashKey(key),
+                    scopes,
+                    expires_at: expiresAt,
+                    created_by: userId
+                })
+                .select(KEY_COLUMNS)
+                .single();
+
+            if (insertError) throw insertError;
+
+            setApiKeys((prev) => [data, ...prev]);
+            return { success: true, key };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [orgId, userId]);
+
+    const revokeApiKey = useCallback(async (keyId) => {
+        try {
+            const { data, error: updateError } = await supabase
+                .from('org_api_keys')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', keyId)
+                .select(KEY_COLUMNS)
+                .single();
+
+            if (updateError) throw updateError;
+
+            setApiKeys((prev) => prev.map((k) => (k.id === keyId ? data : k)));
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, []);
+
+    return {
+        apiKeys,
+        loading,
+        error,
+        createApiKey,
+        revokeApiKey,
+        refresh: fetchApiKeys,
+    };
+}
@@ -0,0 +1,186 @@
+// ============================================================================
+// CHAT : Hook useConversations
+// Historique persistant des conversations d'une verticale
+// ============================================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+// Longueur max du titre généré à partir de la première question
+const TITLE_MAX_LENGTH = 60;
+
+// Convertit une ligne de la table messages au format du chat
+const toChatMessage = (row) => ({
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    sources: row.sources || [],
+    timestamp: row.created_at
+});
+
+export function useConversations(verticalId, userId, orgId = null) {
+    const [conversations, setConversations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Charger les conversations de la verticale
+    const loadConversations = useCallback(async () => {
+        if (!verticalId || !userId) {
+            setConversations([]);
+            setLoading(false);
+            return;
+        }
+
+        try {
+            const { data, error: listError } = await supabase
+                .from('conversations')
+                .select('id, title, vertical_id, created_at, updated_at')
+                .eq('user_id', userId)
+                .eq('vertical_id', verticalId)
+                .order('updated_at', { ascending: false });
+
+            if (listError) throw listError;
+            setConversations(data || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [verticalId, userId]);
+
+    // Charger les données au montage et quand la verticale change
+    useEffect(() => {
+        setLoading(true);
+        setError(null);
+        loadConversations();
+    }, [loadConversations]);
+
+    // Créer une conversation (titre = début de la première question)
+    const createConversation = useCallback(async (firstQuestion = '') => {
+        const trimmed = firstQuestion.trim().replace(/\s+/g, ' ');
+        const title = trimmed.length > TITLE_MAX_LENGTH
+            ? `${trimmed.slice(0, TITLE_MAX_LENGTH - 1)}…`
+            : trimmed || 'Nouvelle conversation';
+
+        const { data, error: insertError } = await supabase
+            .from('conversations')
+            .insert({
+                user_id: userId,
+                org_id: orgId,
+                vertical_id: verticalId,
+                title,
+            })
+            .select('id, title, vertical_id, created_at, updated_at')
+            .single();
+
+        if (insertError) throw insertError;
+
+        setConversations(prev => [data, ...prev]);
+        return data;
+    }, [verticalId, userId, orgId]);
+
+    // Renommer une conversation
+    const renameConversation = useCallback(async (conversationId, title) => {
+        try {
+            const { error: updateError } = await supabase
+                .from('conversations')
+                .update({ title: title.trim() })
+                .eq('id', conversationId);
+
+            if (updateError) throw updateError;
+
+            setConversations(prev => prev.map(c => (
+                c.id === conversationId ? { ...c, title: title.trim() } : c
+            )));
+            return { success: true };
+        } catch (err) {
+            setError(err.message);
+            return { success: false, error: err.message };
+        }
+    }, []);
+
+    // Supprimer une conversation (les messages suivent en cascade)
+    const deleteConversation = useCallback(async (conversationId) => {
+        try {
+            const { error: deleteError } = await supabase
+                .from('conversations')
+                .delete()
+                .eq('id', conversationId);
+
+            if (deleteError) throw deleteError;
+
+            setConversations(prev => prev.filter(c => c.id !== conversationId));
+            return { success: true };
+        } catch (err) {
+            setError(err.message);
+            return { success: false, error: err.message };
+        }
+    }, []);
+
+    // Charger les messages d'une conversation
+    const fetchMessages = useCallback(async (conversationId) => {
+        const { data, error: messagesError } = await supabase
+            .from('messages')
+            .select('id, role, content, sources, created_at')
+            .eq('conversation_id', conversationId)
+            .order('created_at', { ascending: true });
+
+        if (messagesError) throw messagesError;
+
+        // La question d'une réponse est le message utilisateur qui la précède
+        let lastQuestion = null;
+        return (data || []).map((row) => {
+            const message = toChatMessage(row);
+            if (message.role === 'user') lastQuestion = message.content;
+            else message.query = lastQuestion;
+            return message;
+        });
+    }, []);
+
+    // Enregistrer un tour (question ou réponse) dans une conversation
+    const saveMessage = useCallback(async (conversationId, message) => {
+        const { data, error: insertError } = await supabase
+            .from('messages')
+            .insert({
+                conversation_id: conversationId,
+                role: message.role,
+                content: message.content,
+                sources: message.sources || [],
+            })
+            .select('id, role, content, sources, created_at')
+            .single();
+
+        if (insertError) throw insertError;
+
+        // Remonter la conversation en tête de liste
+        setConversations(prev => {
+            const current = prev.find(c => c.id === conversationId);
+            if (!current) return prev;
+            return [
+                { ...current, updated_at: data.created_at },
+                ...prev.filter(c => c.id !== conversationId)
+            ];
+        });
+
+        return toChatMessage(data);
+    }, []);
+
+    // Rafraîchir les données
+    const refresh = useCallback(() => {
+        setLoading(true);
+        setError(null);
+        loadConversations();
+    }, [loadConversations]);
+
+    return {
+        conversations,
+        loading,
+        error,
+        createConversation,
+        renameConversation,
+        deleteConversation,
+        fetchMessages,
+        saveMessage,
+        refresh,
+    };
+}
@@ -0,0 +1,172 @@
+// ============================================================================
+// INGESTION : Hook useDocuments
+// Bibliothèque de documents : recherche, filtres, réaffectation, suppression
+// (Edge Function document-library)
+// ============================================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+export const PAGE_SIZE = 25;
+
+// Rafraîchissement tant que des imports sont en cours
+const PROCESSING_REFRESH_MS = 5000;
+
+export const EMPTY_FILTERS = {
+    search: '',
+    vertical_id: '',
+    uploader: '',
+    mime_type: '',
+    status: '',
+    date_from: '',
+    date_to: '',
+};
+
+// Bornes de dates (jours entiers) et filtres vides retirés
+const toRequestFilters = (filters) => {
+    const request = {};
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) request[key] = value;
+    });
+    if (filters.date_from) request.date_from = new Date(`${filters.date_from}T00:00:00`).toISOString();
+    if (filters.date_to) request.date_to = new Date(`${filters.date_to}T23:59:59.999`).toISOString();
+    return request;
+};
+
+// Appel de l'Edge Function document-library
+const callLibrary = async (action, payload = {}) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) throw new Error('Non authentifié');
+
+    const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+    const response = await fetch(`${supabaseUrl}/functions/v1/document-library`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${session.access_token}`,
+            'apikey': import.meta.env.VITE_SUPABASE_ANON_KEY,
+        },
+        body: JSON.stringify({ action, ...payload }),
+    });
+
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error || `Erreur serveur (${response.status})`);
+    return result;
+};
+
+export function useDocuments() {
+    const [documents, setDocuments] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(0);
+    const [filters, setFiltersState] = useState(EMPTY_FILTERS);
+    const [uploaders, setUploaders] = useState({ users: [], api_keys: [] });
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchDocuments = useCallback(async ({ silent = false } = {}) => {
+        try {
+            if (!silent) setLoading(true);
+            setError(null);
+
+            const result = await callLibrary('list', {
+                filters: toRequestFilters(filters),
+                page,
+                page_size: PAGE_SIZE,
+            });
+
+            setDocuments(result.documents || []);
+            setTotal(result.total || 0);
+            setUploaders(result.uploaders || { users: [], api_keys: [] });
+        } catch (err) {
+            console.error('Erreur chargement documents:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, page]);
+
+    useEffect(() => {
+        fetchDocuments();
+    }, [fetchDocuments]);
+
+    // Suivi des imports en cours sans recharger toute la page
+    const hasProcessing = documents.some((doc) => doc.status === 'processing');
+    useEffect(() => {
+        if (!hasProcessing) return undefined;
+        const timer = setInterval(() => fetchDocuments({ silent: true }), PROCESSING_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [hasProcessing, fetchDocuments]);
+
+    // Un changement de filtre ramène à la première page
+    const setFilters = useCallback((changes) => {
+        setFiltersState((prev) => ({ ...prev, ...changes }));
+        setPage(0);
+    }, []);
+
+    const resetFilters = useCallback(() => {
+        setFiltersState(EMPTY_FILTERS);
+        setPage(0);
+    }, []);
+
+    // Détail d'un document indexé ou d'un import non terminé
+    const getDocument = useCallback(async (item) => {
+        try {
+            const result = await callLibrary('get', { id: item.id, kind: item.kind });
+            return { success: true, ...result };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, []);
+
+    // mode : replace (remplace), add (ajoute), remove (retire)
+    const retagDocuments = useCallback(async (documentIds, targetVerticals, mode = 'replace') => {
+        try {
+            await callLibrary('retag', {
+                document_ids: documentIds,
+                target_verticals: targetVerticals,
+                mode,
+            });
+            await fetchDocuments({ silent: true });
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [fetchDocuments]);
+
+    // Documents indexés (fichiers et chunks compris) et imports en échec
+    const deleteDocuments = useCallback(async (items) => {
+        try {
+            await callLibrary('delete', {
+                document_ids: items.filter((item) => item.kind === 'document').map((item) => item.id),
+                job_ids: items.filter((item) => item.kind === 'job').map((item) => item.id),
+            });
+            // Page vidée : retour à la page précédente (rechargée par l'effet)
+            if (page > 0 && items.length >= documents.length) {
+                setPage(page - 1);
+            } else {
+                await fetchDocuments({ silent: true });
+            }
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [page, documents.length, fetchDocuments]);
+
+    return {
+        documents,
+        total,
+        page,
+        setPage,
+        pageSize: PAGE_SIZE,
+        filters,
+        setFilters,
+        resetFilters,
+        uploaders,
+        loading,
+        error,
+        getDocument,
+        retagDocuments,
+        deleteDocuments,
+        refresh: fetchDocuments,
+    };
+}
@@ -0,0 +1,126 @@
+// ============================================================================
+// RECHERCHE : Hook useEmbeddingMigration
+// Pilotage de la migration vers un nouveau modèle d'embedding (super admin)
+// ============================================================================
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+export function useEmbeddingMigration() {
+    const [activeModel, setActiveModel] = useState(null);
+    const [models, setModels] = useState([]);
+    const [migration, setMigration] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [isProcessing, setIsProcessing] = useState(false);
+    const [error, setError] = useState(null);
+
+    // La boucle "run" s'arrête si la page est quittée ou la migration annulée
+    const processingRef = useRef(false);
+    const stopRef = useRef(false);
+
+    // Appel de l'Edge Function reembed-documents
+    const callReembed = useCallback(async (action, payload = {}) => {
+        const { data: { session } } = await supabase.auth.getSession();
+        if (!session) throw new Error('Non authentifié');
+
+        const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+        const response = await fetch(`${supabaseUrl}/functions/v1/reembed-documents`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${session.access_token}`,
+            },
+            body: JSON.stringify({ action, ...payload }),
+        });
+
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        setActiveModel(result.active_model);
+        setModels(result.models || []);
+        setMigration(result.migration);
+        return result;
+    }, []);
+
+    // Charger l'état courant
+    const refresh = useCallback(async () => {
+        try {
+            setError(null);
+            await callReembed('status');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [callReembed]);
+
+    // Enchaîner les appels "run" jusqu'à la fin de la migration
+    const processMigration = useCallback(async () => {
+        if (processingRef.current) return;
+        processingRef.current = true;
+        stopRef.current = false;
+        setIsProcessing(true);
+        setError(null);
+
+        try {
+            let result;
+            do {
+                result = await callReembed('run');
+            } while (!stopRef.current && result.migration?.status === 'running');
+        } catch (err) {
+            setError(err.message);
+            // La migration est passée en échec côté serveur : recharger son état
+            await callReembed('status').catch(() => {});
+        } finally {
+            processingRef.current = false;
+            setIsProcessing(false);
+        }
+    }, [callReembed]);
+
+    // Démarrer une migration vers un modèle
+    const startMigration = useCallback(async (targetModel) => {
+        try {
+            setError(null);
+            await callReembed('start', { target_model: targetModel });
+        } catch (err) {
+            setError(err.message);
+            return { success: false, error: err.message };
+        }
+
+        processMigration();
+        return { success: true };
+    }, [callReembed, processMigration]);
+
+    // Annuler la migration en cours
+    const cancelMigration = useCallback(async () => {
+        stopRef.current = true;
+        try {
+            setError(null);
+            await callReembed('cancel');
+            return { success: true };
+        } catch (err) {
+            setError(err.message);
+            return { success: false, error: err.message };
+        }
+    }, [callReembed]);
+
+    useEffect(() => {
+        refresh();
+        return () => {
+            stopRef.current = true;
+        };
+    }, [refresh]);
+
+    return {
+        activeModel,
+        models,
+        migration,
+        loading,
+        isProcessing,
+        error,
+        startMigration,
+        resumeMigration: processMigration,
+        cancelMigration,
+        refresh,
+    };
+}
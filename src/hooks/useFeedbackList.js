@@ -0,0 +1,99 @@
+// ============================================================================
+// CHAT : Hook useFeedbackList
+// Consultation des retours négatifs par verticale (administration)
+// ============================================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+// Nombre max de retours chargés par requête
+const FEEDBACK_LIMIT = 200;
+
+export function useFeedbackList(orgId, userId) {
+    const [feedback, setFeedback] = useState([]);
+    const [verticals, setVerticals] = useState([]);
+    const [rating, setRating] = useState(-1);
+    const [showResolved, setShowResolved] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Charger les retours de l'organisation
+    const fetchFeedback = useCallback(async () => {
+        if (!orgId) {
+            setFeedback([]);
+            setLoading(false);
+            return;
+        }
+
+        try {
+            setLoading(true);
+            setError(null);
+
+            let query = supabase
+                .from('answer_feedback')
+                .select('*')
+                .eq('org_id', orgId)
+                .order('created_at', { ascending: false })
+                .limit(FEEDBACK_LIMIT);
+
+            if (rating !== null) query = query.eq('rating', rating);
+            if (!showResolved) query = query.is('resolved_at', null);
+
+            const { data, error: fetchError } = await query;
+
+            if (fetchError) throw fetchError;
+            setFeedback(data || []);
+        } catch (err) {
+            console.error('Erreur chargement retours:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [orgId, rating, showResolved]);
+
+    // Libellés des verticales (les retours ne stockent que l'id)
+    useEffect(() => {
+        supabase
+            .from('verticals')
+            .select('id, name, color')
+            .order('name')
+            .then(({ data, error: fetchError }) => {
+                if (fetchError) {
+                    console.warn('Impossible de charger les verticales:', fetchError.message);
+                    return;
+                }
+                setVerticals(data || []);
+            });
+    }, []);
+
+    useEffect(() => {
+        fetchFeedback();
+    }, [fetchFeedback]);
+
+    // Marquer un retour comme traité (document ajouté ou corrigé)
+    const resolveFeedback = useCallback(async (feedbackId) => {
+        const { error: updateError } = await supabase
+            .from('answer_feedback')
+            .update({
+                resolved_at: new Date().toISOString(),
+                resolved_by: userId,
+            })
+            .eq('id', feedbackId);
+
+        if (updateError) throw updateError;
+        await fetchFeedback();
+    }, [userId, fetchFeedback]);
+
+    return {
+        feedback,
+        verticals,
+        rating,
+        setRating,
+        showResolved,
+        setShowResolved,
+        loading,
+        error,
+        resolveFeedback,
+        refresh: fetchFeedback,
+    };
+}
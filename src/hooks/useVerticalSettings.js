@@ -0,0 +1,215 @@
+// ============================================================================
+// RECHERCHE : Hook useVerticalSettings
+// Configuration des verticales lue par rag-brain, création, ordre et
+// archivage (super admin)
+// ============================================================================
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabaseClient';
+
+// Colonnes éditables depuis l'administration
+const EDITABLE_FIELDS = [
+    'system_prompt',
+    'chat_model',
+    'temperature',
+    'match_threshold',
+    'match_count',
+    'retrieval_mode',
+    'answer_style',
+    'members_can_ingest'
+];
+
+// Identité affichée dans les sélecteurs
+const IDENTITY_FIELDS = ['name', 'description', 'color', 'icon'];
+
+// Même contrainte que verticals_id_format
+const VERTICAL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const pickFields = (fields, values) => Object.fromEntries(
+    fields
+        .filter((field) => values[field] !== undefined)
+        .map((field) => [field, values[field]])
+);
+
+const validateIdentity = ({ name, color }) => {
+    if (name !== undefined && !name?.trim()) return 'Le nom est requis';
+    if (color && !COLOR_PATTERN.test(color)) return 'Couleur invalide (format #RRGGBB)';
+    return null;
+};
+
+export function useVerticalSettings() {
+    const [verticals, setVerticals] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Charger toutes les verticales (actives, inactives ou archivées)
+    const loadVerticals = useCallback(async () => {
+        try {
+            setError(null);
+            const { data, error: fetchError } = await supabase
+                .from('verticals')
+                .select('*')
+                .order('sort_order')
+                .order('name');
+
+            if (fetchError) throw fetchError;
+            setVerticals(data || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadVerticals();
+    }, [loadVerticals]);
+
+    const applyUpdate = useCallback(async (verticalId, changes) => {
+        const { data, error: updateError } = await supabase
+            .from('verticals')
+            .update(changes)
+            .eq('id', verticalId)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        setVerticals((prev) => prev.map((v) => (v.id === verticalId ? data : v)));
+        return data;
+    }, []);
+
+    // Enregistrer la configuration d'une verticale
+    const updateVerticalSettings = useCallback(async (verticalId, settings) => {
+        try {
+            await applyUpdate(verticalId, pickFields(EDITABLE_FIELDS, settings));
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [applyUpdate]);
+
+    // Nom, description, couleur et icône
+    const updateVertical = useCallback(async (verticalId, identity) => {
+        const validationError = validateIdentity(identity);
+        if (validationError) return { success: false, error: validationError };
+
+        try {
+            const changes = pickFields(IDENTITY_FIELDS, identity);
+            if (changes.name) changes.name = changes.name.trim();
+            await applyUpdate(verticalId, changes);
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [applyUpdate]);
+
+    // Créer une verticale, placée en fin de liste
+    const createVertical = useCallback(async ({ id, ...identity }) => {
+        const verticalId = (id || '').trim().toLowerCase();
+
+        if (!VERTICAL_ID_PATTERN.test(verticalId)) {
+            return {
+                success: false,
+                error: 'Identifiant invalide : 2 à 32 caractères, minuscules, chiffres, - ou _'
+            };
+        }
+        if (verticals.some((v) => v.id === verticalId)) {
+            return { success: false, error: `La verticale « ${verticalId} » existe déjà` };
+        }
+
+        const validationError = validateIdentity({ name: identity.name ?? '', color: identity.color });
+        if (validationError) return { success: false, error: validationError };
+
+        try {
+            const { data, error: insertError } = await supabase
+                .from('verticals')
+                .insert({
+                    ...pickFields(IDENTITY_FIELDS, identity),
+                    id: verticalId,
+                    name: identity.name.trim(),
+                    is_active: true,
+                    sort_order: verticals.reduce((max, v) => Math.max(max, v.sort_order ?? 0), -1) + 1
+                })
+                .select()
+                .single();
+
+            if (insertError) throw insertError;
+
+            setVerticals((prev) => [...prev, data]);
+            return { success: true, vertical: data };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [verticals]);
+
+    // Déplacer une verticale d'un rang (direction : -1 vers le haut, 1 vers le bas)
+    const moveVertical = useCallback(async (verticalId, direction) => {
+        const index = verticals.findIndex((v) => v.id === verticalId);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= verticals.length) return { success: true };
+
+        const reordered = [...verticals];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+        try {
+            // Renumérote la liste : les sort_order existants peuvent être ex aequo
+            const updates = reordered
+                .map((v, position) => ({ id: v.id, position, changed: v.sort_order !== position }))
+                .filter((entry) => entry.changed);
+
+            for (const { id, position } of updates) {
+                const { error: updateError } = await supabase
+                    .from('verticals')
+                    .update({ sort_order: position })
+                    .eq('id', id);
+
+                if (updateError) throw updateError;
+            }
+
+            setVerticals(reordered.map((v, position) => ({ ...v, sort_order: position })));
+            return { success: true };
+        } catch (err) {
+            await loadVerticals();
+            return { success: false, error: err.message };
+        }
+    }, [verticals, loadVerticals]);
+
+    // Archiver : masquée à la sélection et à l'import, documents conservés
+    const archiveVertical = useCallback(async (verticalId) => {
+        const remaining = verticals.filter((v) => v.id !== verticalId && v.is_active && !v.archived_at);
+        if (remaining.length === 0) {
+            return { success: false, error: 'Impossible d\'archiver la dernière verticale active' };
+        }
+
+        try {
+            await applyUpdate(verticalId, { archived_at: new Date().toISOString(), is_active: false });
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [verticals, applyUpdate]);
+
+    const restoreVertical = useCallback(async (verticalId) => {
+        try {
+            await applyUpdate(verticalId, { archived_at: null, is_active: true });
+            return { success: true };
+        } catch (err) {
+            return { success: false, error: err.message };
+        }
+    }, [applyUpdate]);
+
+    return {
+        verticals,
+        loading,
+        error,
+        updateVerticalSettings,
+        updateVertical,
+        createVertical,
+        moveVertical,
+        archiveVertical,
+        restoreVertical,
+        refresh: loadVerticals,
+    };
+}
@@ -0,0 +1,50 @@
+/**
+ * Bibliothèque de documents : libellés partagés par les filtres, la liste
+ * et le détail (page /documents)
+ */
+
+// Types proposés au filtrage (mime_type des documents importés)
+export const DOCUMENT_TYPES = [
+  { value: 'application/pdf', label: 'PDF' },
+  { value: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', label: 'Word' },
+  { value: 'application/msword', label: 'Word (.doc)' },
+  { value: 'text/plain', label: 'Texte' },
+  { value: 'text/markdown', label: 'Markdown' },
+  { value: 'text/csv', label: 'CSV' },
+  { value: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', label: 'Excel' },
+]
+
+// Statuts de la vue document_library
+export const DOCUMENT_STATUSES = {
+  indexed: { label: 'Indexé', classes: 'bg-green-100 text-green-700' },
+  processing: { label: 'En cours', classes: 'bg-indigo-100 text-indigo-700' },
+  failed: { label: 'Échec', classes: 'bg-red-100 text-red-700' },
+}
+
+export const getDocumentTypeLabel = (mimeType) =>
+  DOCUMENT_TYPES.find((type) => type.value === mimeType)?.label || mimeType || '—'
+
+export const getDocumentTitle = (doc) => doc?.title || doc?.filename || 'Document sans nom'
+
+// Auteur de l'import : membre de l'organisation ou clé d'API
+export const getUploaderLabel = (doc, uploaders) => {
+  if (doc?.api_key_id) {
+    const apiKey = uploaders?.api_keys?.find((key) => key.id === doc.api_key_id)
+    return apiKey ? `Clé « ${apiKey.name} »` : 'Clé d\'API'
+  }
+  const user = uploaders?.users?.find((u) => u.id === doc?.uploaded_by)
+  return user?.full_name || user?.email || '—'
+}
+
+// Lignes d'un chunk de tableur : "Feuille Budget, lignes 40–60" (null pour un autre format)
+export const formatSheetRows = (metadata = {}) => {
+  if (!metadata.row_start) return null
+  const rows = metadata.row_end && metadata.row_end !== metadata.row_start
+    ? `lignes ${metadata.row_start}–${metadata.row_end}`
+    : `ligne ${metadata.row_start}`
+  return metadata.sheet_name ? `Feuille ${metadata.sheet_name}, ${rows}` : rows.charAt(0).toUpperCase() + rows.slice(1)
+}
+
+export const formatDateTime = (value) => (value
+  ? new Date(value).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' })
+  : '—')
@@ -0,0 +1,132 @@
+/**
+ * Suivi des imports asynchrones (table ingestion_jobs) : ingest-api répond
+ * avec l'id de la tâche, ingest-worker la fait avancer jusqu'à done ou failed
+ */
+
+export const JOB_COLUMNS = 'id, status, filename, vertical_ids, chunk_count, chunks_embedded, source_document_id, error, error_code, created_at, started_at, finished_at'
+
+// Libellés affichés pendant le traitement
+export const JOB_STATUS_LABELS = {
+  queued: 'En file d\'attente',
+  extracting: 'Extraction du texte',
+  chunking: 'Découpage',
+  embedding: 'Indexation',
+  done: 'Terminé',
+  failed: 'Échec',
+}
+
+// Interrogation de secours si Realtime n'est pas disponible
+const POLL_INTERVAL_MS = 2000
+
+// Sans nouvel état pendant ce délai, le suivi est abandonné (un worker arrêté est
+// relayé côté serveur au bout de 15 minutes, cf. claim_ingestion_job)
+export const JOB_STALL_TIMEOUT_MS = 20 * 60 * 1000
+
+const isFinished = (job) => job.status === 'done' || job.status === 'failed'
+
+/**
+ * Avancement d'une tâche (0-100). L'étape embedding progresse avec les chunks indexés.
+ */
+export const jobProgress = (job) => {
+  switch (job?.status) {
+    case 'queued':
+      return 0
+    case 'extracting':
+      return 10
+    case 'chunking':
+      return 25
+    case 'embedding':
+      return job.chunk_count
+        ? 30 + Math.round((70 * (job.chunks_embedded || 0)) / job.chunk_count)
+        : 30
+    case 'done':
+      return 100
+    default:
+      return 0
+  }
+}
+
+/**
+ * Attend la fin d'une tâche d'import. onUpdate reçoit chaque nouvel état.
+ * Résout avec la tâche terminée, rejette si elle a échoué (error.code reprend
+ * error_code de la tâche, ex. duplicate) ou si elle n'avance plus pendant
+ * stallTimeoutMs (error.code = timeout ; la tâche peut encore aboutir).
+ */
+export function waitForIngestionJob(supabaseClient, jobId, onUpdate, { stallTimeoutMs = JOB_STALL_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    let settled = false
+    let pollTimer = null
+    let stallTimer = null
+    let lastUpdate = null
+
+    const cleanup = () => {
+      settled = true
+      clearInterval(pollTimer)
+      clearTimeout(stallTimer)
+      supabaseClient.removeChannel(channel)
+    }
+
+    const handleStall = () => {
+      if (settled) return
+      cleanup()
+      const error = new Error('L\'import ne progresse plus : il sera repris en arrière-plan, suivez-le dans la bibliothèque')
+      error.code = 'timeout'
+      reject(error)
+    }
+    const armStallTimer = () => {
+      clearTimeout(stallTimer)
+      stallTimer = setTimeout(handleStall, stallTimeoutMs)
+    }
+
+    const handleJob = (job) => {
+      if (settled || !job) return
+
+      // Realtime et interrogation peuvent livrer le même état
+      if (job.updated_at && job.updated_at === lastUpdate) return
+      lastUpdate = job.updated_at
+      armStallTimer()
+
+      onUpdate?.(job)
+      if (!isFinished(job)) return
+
+      cleanup()
+      if (job.status === 'failed') {
+        const error = new Error(job.error || 'L\'import a échoué')
+        error.code = job.error_code
+        reject(error)
+      } else {
+        resolve(job)
+      }
+    }
+
+    const poll = async () => {
+      const { data, error } = await supabaseClient
+        .from('ingestion_jobs')
+        .select(`${JOB_COLUMNS}, updated_at`)
+        .eq('id', jobId)
+        .maybeSingle()
+
+      if (error) {
+        console.warn('Suivi de l\'import indisponible:', error.message)
+        return
+      }
+      handleJob(data)
+    }
+
+    const channel = supabaseClient
+      .channel(`ingestion-job-${jobId}`)
+      .on(
+        'postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'ingestion_jobs', filter: `id=eq.${jobId}` },
+        (payload) => handleJob(payload.new)
+      )
+      .subscribe((status) => {
+        // Abonnement actif : relire l'état, la tâche a pu avancer avant
+        if (status === 'SUBSCRIBED') poll()
+      })
+
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS)
+    armStallTimer()
+    poll()
+  })
+}
@@ -42,30 +42,41 @@ export async function checkEmailExists(email) {
   }
 }
 
-export async function callRagBrain(query, verticalId, options = {}) {
-  try {
-    const { data: { session } } = await supabase.auth.getSession()
-    if (!session) throw new Error('Utilisateur non authentifié')
+function buildRagBrainBody(query, verticalId, options = {}) {
+  return {
+    query: query.trim(),
+    vertical_id: verticalId.trim(),
+    history: options.history || [],
+    // Absents : seuil, nombre de passages et mode configurés pour la verticale
+    ...(options.matchThreshold !== undefined && { match_threshold: options.matchThreshold }),
+    ...(options.matchCount !== undefined && { match_count: options.matchCount }),
+    ...(options.retrievalMode && { retrieval_mode: options.retrievalMode }),
+    ...(options.rerank !== undefined && { rerank: options.rerank })
+  }
+}
+
+async function postRagBrain(requestBody, signal) {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new Error('Utilisateur non authentifié')
 
-    const requestBody = {
-      query: query.trim(),
-      vertical_id: verticalId.trim(),
-      match_threshold: options.matchThreshold || 0.5,
-      match_count: options.matchCount || 5
+  return fetch(
+    `${supabaseUrl}/functions/v1/rag-brain`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'apikey': supabaseAnonKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(requestBody),
+      signal,
     }
+  )
+}
 
-    const response = await fetch(
-      `${supabaseUrl}/functions/v1/rag-brain`,
-      {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${session.access_token}`,
-          'apikey': supabaseAnonKey,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-      }
-    )
+export async function callRagBrain(query, verticalId, options = {}) {
+  try {
+    const response = await postRagBrain(buildRagBrainBody(query, verticalId, options))
 
     const data = await response.json()
     if (!response.ok) throw new Error(data.error || `Erreur HTTP: ${response.status}`)
@@ -85,12 +96,118 @@ export async function callRagBrain(query, verticalId, options = {}) {
   }
 }
 
+/**
+ * Interroge rag-brain en mode streaming (Server-Sent Events)
+ * Les handlers sont appelés au fil de l'eau : sources, puis deltas de réponse, puis fin.
+ * @param {string} query - Question de l'utilisateur
+ * @param {string} verticalId - Verticale active
+ * @param {Object} options - { matchThreshold, matchCount, retrievalMode: 'vector' | 'hybrid', rerank: boolean | 'llm' | 'lexical', history: [{ role: 'user' | 'assistant', content }], signal }
+ * @param {Object} handlers - { onSources(sources), onDelta(text), onDone({ citations, processingTime }) }
+ * @returns {Promise<{ data: { answer, sources, citations, processingTime } | null, error: Error | null }>}
+ */
+export async function streamRagBrain(query, verticalId, options = {}, handlers = {}) {
+  try {
+    const requestBody = { ...buildRagBrainBody(query, verticalId, options), stream: true }
+    const response = await postRagBrain(requestBody, options.signal)
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.error || `Erreur HTTP: ${response.status}`)
+    }
+
+    // citations : [{ index, source_id, label }], index = marqueur [n] = position dans sources
+    const result = { answer: '', sources: [], citations: [], processingTime: null }
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+
+    const handleEvent = (event, payload) => {
+      switch (event) {
+        case 'sources':
+          result.sources = payload.sources || []
+          handlers.onSources?.(result.sources)
+          break
+        case 'delta':
+          result.answer += payload.content
+          handlers.onDelta?.(payload.content, result.answer)
+          break
+        case 'done':
+          result.citations = payload.citations || []
+          result.processingTime = payload.processing_time_ms
+          handlers.onDone?.({ citations: result.citations, processingTime: result.processingTime })
+          break
+        case 'error':
+          throw new Error(payload.error || 'Erreur de streaming')
+        default:
+          break
+      }
+    }
+
+    while (true) {
+      const { value, done } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+
+      // Les événements SSE sont séparés par une ligne vide
+      let separatorIndex
+      while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, separatorIndex)
+        buffer = buffer.slice(separatorIndex + 2)
+
+        let event = 'message'
+        let data = ''
+        for (const line of rawEvent.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim()
+          else if (line.startsWith('data:')) data += line.slice(5).trim()
+        }
+        if (data) handleEvent(event, JSON.parse(data))
+      }
+    }
+
+    return { data: result, error: null }
+  } catch (err) {
+    console.error('Erreur RAG (stream):', err)
+    return { data: null, error: err }
+  }
+}
+
+/**
+ * Charge le détail d'une source citée (passage surligné, voisins, lien vers le fichier)
+ * @param {string} documentId - id du chunk renvoyé dans les sources de rag-brain
+ * @param {string} query - Question à l'origine de la citation (surlignage)
+ * @returns {Promise<{ passage, previous, next, document, file_url }>}
+ */
+export async function fetchDocumentPassage(documentId, query = '') {
+  const { data: { session } } = await supabase.auth.getSession()
+  if (!session) throw new Error('Utilisateur non authentifié')
+
+  const response = await fetch(
+    `${supabaseUrl}/functions/v1/document-passage`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${session.access_token}`,
+        'apikey': supabaseAnonKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ document_id: documentId, query }),
+    }
+  )
+
+  const result = await response.json()
+  if (!result.success) throw new Error(result.error || 'Passage indisponible')
+
+  return result
+}
+
 /**
  * Upload un enregistrement audio pour analyse (Compatible OpenAI)
  * @param {File} file - Le fichier audio avec le bon mime-type
  * @param {string} title - Titre de la réunion
+ * @param {string[]} targetVerticals - Verticales auxquelles rattacher la réunion
  */
-export async function uploadMeetingAudio(file, title = 'Réunion Audio') {
+export async function uploadMeetingAudio(file, title = 'Réunion Audio', targetVerticals = []) {
   try {
     const { data: { session } } = await supabase.auth.getSession()
     if (!session) throw new Error('Non connecté')
@@ -98,6 +215,7 @@ export async function uploadMeetingAudio(file, title = 'Réunion Audio') {
     const formData = new FormData()
     formData.append('audio', file) // Envoi sous la clé 'audio' (le backend accepte 'file' aussi)
     formData.append('title', title)
+    formData.append('target_verticals', JSON.stringify(targetVerticals))
 
     const response = await fetch(
       `${supabaseUrl}/functions/v1/process-audio`,
@@ -0,0 +1,118 @@
+/**
+ * File d'import de SmartUploader : collecte des fichiers déposés (dossiers compris),
+ * type des fichiers et exécution des imports avec une concurrence bornée
+ */
+
+// Imports simultanés (envoi + indexation) par défaut
+export const UPLOAD_CONCURRENCY = 3
+
+// Statuts d'un fichier de la file
+export const QUEUE_STATUS_LABELS = {
+  pending: 'En attente',
+  uploading: 'En cours',
+  success: 'Indexé',
+  duplicate: 'Doublon',
+  error: 'Échec',
+  invalid: 'Refusé',
+}
+
+// Navigateurs qui ne renseignent pas file.type (Markdown notamment)
+const EXTENSION_TYPES = {
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  markdown: 'text/markdown',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+
+export const getFileType = (file) => {
+  if (file.type) return file.type
+  const extension = file.name.split('.').pop()?.toLowerCase()
+  return EXTENSION_TYPES[extension] || ''
+}
+
+// Fichiers système des dossiers (.DS_Store, Thumbs.db...)
+const isSystemFile = (name) => name.startsWith('.') || name === 'Thumbs.db' || name === 'desktop.ini'
+
+const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject))
+
+const walkEntry = async (entry, files) => {
+  if (entry.isFile) {
+    if (!isSystemFile(entry.name)) {
+      files.push({ file: await entryFile(entry), path: entry.fullPath.replace(/^\//, '') })
+    }
+    return
+  }
+  if (!entry.isDirectory) return
+
+  // readEntries renvoie le contenu par lots, jusqu'à un lot vide
+  const reader = entry.createReader()
+  let batch
+  do {
+    batch = await readEntries(reader)
+    for (const child of batch) await walkEntry(child, files)
+  } while (batch.length > 0)
+}
+
+/**
+ * Fichiers d'un dépôt (drag & drop), dossiers parcourus récursivement.
+ * Chaque fichier est accompagné de son chemin relatif au dépôt.
+ * Doit être appelée pendant l'événement drop (les entrées expirent ensuite).
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+
+  // Navigateur sans accès aux dossiers : fichiers déposés uniquement
+  if (entries.length === 0 || entries.some((entry) => !entry)) {
+    return Array.from(dataTransfer.files || []).map((file) => ({ file, path: file.name }))
+  }
+
+  const files = []
+  for (const entry of entries) await walkEntry(entry, files)
+  return files
+}
+
+/**
+ * Fichiers d'un input (sélection multiple ou dossier via webkitdirectory)
+ */
+export const filesFromInput = (fileList) => Array.from(fileList || [])
+  .filter((file) => !isSystemFile(file.name))
+  .map((file) => ({ file, path: file.webkitRelativePath || file.name }))
+
+/**
+ * Exécute worker sur chaque élément, au plus limit à la fois.
+ * worker ne doit pas rejeter : chaque élément gère son propre échec.
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  let next = 0
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++
+      await worker(items[index], index)
+    }
+  })
+  await Promise.all(runners)
+}
+
+/**
+ * Bilan de la file : nombre de fichiers par statut et nouvelles versions
+ */
+export const summarizeQueue = (items) => {
+  const summary = { total: items.length, versions: 0 }
+  Object.keys(QUEUE_STATUS_LABELS).forEach((status) => {
+    summary[status] = 0
+  })
+
+  items.forEach((item) => {
+    summary[item.status] += 1
+    if (item.status === 'success' && item.previousVersion) summary.versions += 1
+  })
+  return summary
+}
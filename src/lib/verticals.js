@@ -0,0 +1,73 @@
+import {
+  Briefcase,
+  Building2,
+  Calculator,
+  ClipboardCheck,
+  Factory,
+  GraduationCap,
+  HeartPulse,
+  Landmark,
+  Layers,
+  Leaf,
+  Scale,
+  ShieldCheck,
+  Truck,
+  Users
+} from 'lucide-react'
+
+/**
+ * Verticales : valeurs par défaut et icônes partagées par le sélecteur,
+ * le context, l'upload et l'administration
+ */
+
+// Utilisées tant que la table verticals n'a pas répondu (ou est vide)
+export const DEFAULT_VERTICALS = [
+  { id: 'audit', name: 'AuditFlow', description: 'Audit & Conformité', icon: 'clipboard-check', color: '#6366f1', sort_order: 0 },
+  { id: 'btp', name: 'BatiFlow', description: 'Construction & BTP', icon: 'building', color: '#f59e0b', sort_order: 1 },
+  { id: 'juridique', name: 'JuriFlow', description: 'Droit & Juridique', icon: 'scale', color: '#10b981', sort_order: 2 },
+  { id: 'rh', name: 'RHFlow', description: 'Ressources Humaines', icon: 'users', color: '#ec4899', sort_order: 3 },
+]
+
+// Clé stockée dans verticals.icon -> composant lucide
+export const VERTICAL_ICONS = {
+  'clipboard-check': ClipboardCheck,
+  'building': Building2,
+  'scale': Scale,
+  'users': Users,
+  'briefcase': Briefcase,
+  'calculator': Calculator,
+  'factory': Factory,
+  'graduation-cap': GraduationCap,
+  'heart-pulse': HeartPulse,
+  'landmark': Landmark,
+  'leaf': Leaf,
+  'shield-check': ShieldCheck,
+  'truck': Truck,
+  'layers': Layers,
+}
+
+export const DEFAULT_VERTICAL_COLOR = '#6366f1'
+
+export const getVerticalIcon = (icon) => VERTICAL_ICONS[icon] || Layers
+
+export const isArchivedVertical = (vertical) => Boolean(vertical?.archived_at)
+
+/**
+ * Verticales proposées à la sélection, dans l'ordre défini par les super admins.
+ * Les verticales archivées ne sont incluses que sur demande (administrateurs) :
+ * leurs documents restent interrogeables.
+ */
+export async function fetchSelectableVerticals(supabaseClient, { includeArchived = false } = {}) {
+  let request = supabaseClient.from('verticals').select('*')
+
+  request = includeArchived
+    ? request.or('is_active.eq.true,archived_at.not.is.null')
+    : request.eq('is_active', true).is('archived_at', null)
+
+  const { data, error } = await request
+    .order('sort_order')
+    .order('name')
+
+  if (error) throw error
+  return data || []
+}
@@ -7,15 +7,28 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useOrganization } from '../hooks/useOrganization';
+import { useEmbeddingMigration } from '../hooks/useEmbeddingMigration';
+import { useFeedbackList } from '../hooks/useFeedbackList';
+import { useVerticalSettings } from '../hooks/useVerticalSettings';
+import { useApiKeys } from '../hooks/useApiKeys';
 import {
     MembersList,
     InviteMemberModal,
-    OrganizationSettings
+    OrganizationSettings,
+    EmbeddingMigrationPanel,
+    FeedbackList,
+    ApiKeysManager,
+    VerticalSettingsEditor,
+    VerticalsManager
 } from '../components/admin';
 import {
     ArrowLeft,
     Users,
     Building2,
+    Cpu,
+    Layers,
+    MessageSquareWarning,
+    KeyRound,
     Settings,
     Shield,
     AlertCircle,
@@ -37,9 +50,181 @@ const TABS = [
         label: 'Organisation',
         icon: Building2,
         description: 'Paramètres de l\'organisation'
+    },
+    {
+        id: 'feedback',
+        label: 'Retours',
+        icon: MessageSquareWarning,
+        description: 'Retours des utilisateurs sur les réponses'
+    },
+    {
+        id: 'api-keys',
+        label: 'Clés d\'API',
+        icon: KeyRound,
+        description: 'Accès programmatique à l\'import et aux questions'
+    },
+    {
+        id: 'verticals',
+        label: 'Verticales',
+        icon: Layers,
+        description: 'Création, ordre, archivage et paramètres de recherche des verticales',
+        superAdminOnly: true
+    },
+    {
+        id: 'embeddings',
+        label: 'Embeddings',
+        icon: Cpu,
+        description: 'Modèle d\'embedding et ré-indexation',
+        superAdminOnly: true
     }
 ];
 
+/**
+ * Panneau de migration des embeddings (monté uniquement pour les super admins)
+ */
+function EmbeddingsTab() {
+    const {
+        activeModel,
+        models,
+        migration,
+        loading,
+        isProcessing,
+        error,
+        startMigration,
+        resumeMigration,
+        cancelMigration
+    } = useEmbeddingMigration();
+
+    return (
+        <>
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center gap-3 text-red-700">
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                    <p>{error}</p>
+                </div>
+            )}
+            <EmbeddingMigrationPanel
+                activeModel={activeModel}
+                models={models}
+                migration={migration}
+                loading={loading}
+                isProcessing={isProcessing}
+                onStart={startMigration}
+                onResume={resumeMigration}
+                onCancel={cancelMigration}
+            />
+        </>
+    );
+}
+
+/**
+ * Configuration des verticales (monté uniquement pour les super admins)
+ */
+function VerticalsTab() {
+    const {
+        verticals,
+        loading,
+        error,
+        updateVerticalSettings,
+        updateVertical,
+        createVertical,
+        moveVertical,
+        archiveVertical,
+        restoreVertical
+    } = useVerticalSettings();
+
+    return (
+        <>
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center gap-3 text-red-700">
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                    <p>{error}</p>
+                </div>
+            )}
+            <div className="space-y-10">
+                <VerticalsManager
+                    verticals={verticals}
+                    loading={loading}
+                    onCreate={createVertical}
+                    onUpdate={updateVertical}
+                    onMove={moveVertical}
+                    onArchive={archiveVertical}
+                    onRestore={restoreVertical}
+                />
+                <VerticalSettingsEditor
+                    verticals={verticals}
+                    loading={loading}
+                    onSave={updateVerticalSettings}
+                />
+            </div>
+        </>
+    );
+}
+
+/**
+ * Clés d'API de l'organisation (monté uniquement sur l'onglet actif)
+ */
+function ApiKeysTab({ orgId, userId }) {
+    const { apiKeys, loading, error, createApiKey, revokeApiKey } = useApiKeys(orgId, userId);
+
+    return (
+        <>
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center gap-3 text-red-700">
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                    <p>{error}</p>
+                </div>
+            )}
+            <ApiKeysManager
+                apiKeys={apiKeys}
+                loading={loading}
+                onCreate={createApiKey}
+                onRevoke={revokeApiKey}
+            />
+        </>
+    );
+}
+
+/**
+ * Retours utilisateurs sur les réponses (monté uniquement sur l'onglet actif)
+ */
+function FeedbackTab({ orgId, userId }) {
+    const {
+        feedback,
+        verticals,
+        rating,
+        setRating,
+        showResolved,
+        setShowResolved,
+        loading,
+        error,
+        resolveFeedback,
+        refresh
+    } = useFeedbackList(orgId, userId);
+
+    return (
+        <>
+            {error && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center gap-3 text-red-700">
+                    <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                    <p>{error}</p>
+                </div>
+            )}
+            <FeedbackList
+                feedback={feedback}
+                verticals={verticals}
+                loading={loading}
+                rating={rating}
+                showResolved={showResolved}
+                onRatingChange={setRating}
+                onShowResolvedChange={setShowResolved}
+                onResolve={resolveFeedback}
+                onRefresh={refresh}
+            />
+        </>
+    );
+}
+
 /**
  * Page Admin principale
  */
@@ -148,7 +333,7 @@ export default function Admin() {
             <div className="bg-white border-b border-slate-200">
                 <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
                     <nav className="flex gap-1 -mb-px">
-                        {TABS.map((tab) => {
+                        {TABS.filter((tab) => !tab.superAdminOnly || isSuperAdmin).map((tab) => {
                             const Icon = tab.icon;
                             const isActive = activeTab === tab.id;
 
@@ -212,6 +397,26 @@ export default function Admin() {
                         onUpdateName={updateOrganizationName}
                     />
                 )}
+
+                {/* Vue Retours utilisateurs */}
+                {activeTab === 'feedback' && (
+                    <FeedbackTab orgId={profile?.org_id || null} userId={user?.id} />
+                )}
+
+                {/* Vue Clés d'API */}
+                {activeTab === 'api-keys' && (
+                    <ApiKeysTab orgId={profile?.org_id || null} userId={user?.id} />
+                )}
+
+                {/* Vue Verticales (super admin) */}
+                {activeTab === 'verticals' && isSuperAdmin && (
+                    <VerticalsTab />
+                )}
+
+                {/* Vue Embeddings (super admin) */}
+                {activeTab === 'embeddings' && isSuperAdmin && (
+                    <EmbeddingsTab />
+                )}
             </main>
 
             {/* Modal d'invitation */}
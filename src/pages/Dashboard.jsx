@@ -1,12 +1,15 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import VerticalSelector from '../components/VerticalSelector'
 import { VerticalProvider, useVertical } from '../components/VerticalContext'
 import SmartUploader from '../components/SmartUploader'
-import { ChatInterface } from '../components/chat'
+import { ChatInterface, ConversationSidebar } from '../components/chat'
+import { useConversations } from '../hooks/useConversations'
+import { useAnswerFeedback } from '../hooks/useAnswerFeedback'
 import AudioRecorder from '../components/AudioRecorder'
 import supabase from '../lib/supabaseClient'
+import { isArchivedVertical } from '../lib/verticals'
 import {
   MessageSquare,
   Settings,
@@ -15,16 +18,38 @@ import {
   LogOut,
   Menu,
   X as XIcon,
-  Shield
+  Shield,
+  FolderOpen
 } from 'lucide-react'
 
 function DashboardLayout() {
   const navigate = useNavigate()
   const { user, profile, signOut, isOrgAdmin, isSuperAdmin } = useAuth()
-  const { currentVertical, setCurrentVertical, getCurrentVerticalInfo } = useVertical()
+  const { currentVertical, setCurrentVertical, getCurrentVerticalInfo, availableVerticals } = useVertical()
 
   const [activeTab, setActiveTab] = useState('chat')
   const [sidebarOpen, setSidebarOpen] = useState(true)
+  const [activeConversationId, setActiveConversationId] = useState(null)
+
+  const {
+    conversations,
+    loading: conversationsLoading,
+    createConversation,
+    renameConversation,
+    deleteConversation,
+    fetchMessages,
+    saveMessage
+  } = useConversations(currentVertical, user?.id, profile?.org_id || null)
+
+  const { submitFeedback } = useAnswerFeedback(currentVertical || 'audit', user?.id, profile?.org_id || null)
+
+  // Pas de nouvel import dans une verticale archivée
+  const uploadVerticals = availableVerticals.filter((vertical) => !isArchivedVertical(vertical))
+
+  // Changer de verticale démarre une nouvelle conversation
+  useEffect(() => {
+    setActiveConversationId(null)
+  }, [currentVertical])
 
   const handleLogout = async () => {
     await signOut()
@@ -34,6 +59,18 @@ function DashboardLayout() {
     console.log('Document uploadé:', result)
   }
 
+  const handleSelectConversation = (conversationId) => {
+    setActiveConversationId(conversationId)
+    setActiveTab('chat')
+  }
+
+  const handleDeleteConversation = async (conversationId) => {
+    const result = await deleteConversation(conversationId)
+    if (result.success && conversationId === activeConversationId) {
+      setActiveConversationId(null)
+    }
+  }
+
   const handleRecordingSuccess = (meeting) => {
     console.log('Meeting processed:', meeting)
     // Ici on pourrait ajouter une notif ou rafraîchir une liste
@@ -72,11 +109,12 @@ function DashboardLayout() {
             currentVertical={currentVertical}
             onVerticalChange={setCurrentVertical}
             supabaseClient={supabase}
+            includeArchived={isOrgAdmin || isSuperAdmin}
             showLabel={true}
           />
         </div>
 
-        <nav className="flex-1 p-4">
+        <nav className="flex-1 p-4 overflow-y-auto">
           <div className="space-y-1">
             <button
               onClick={() => setActiveTab('chat')}
@@ -100,6 +138,14 @@ function DashboardLayout() {
               <span className="font-medium">Importer</span>
             </button>
 
+            <button
+              onClick={() => navigate('/documents')}
+              className="w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-colors duration-200 text-slate-600 hover:bg-slate-50"
+            >
+              <FolderOpen className="w-5 h-5" />
+              <span className="font-medium">Documents</span>
+            </button>
+
             <button
               onClick={() => setActiveTab('meetings')}
               className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-colors duration-200 ${activeTab === 'meetings'
@@ -133,6 +179,19 @@ function DashboardLayout() {
               </button>
             )}
           </div>
+
+          {/* Historique des conversations de la verticale active */}
+          {activeTab === 'chat' && (
+            <ConversationSidebar
+              conversations={conversations}
+              activeConversationId={activeConversationId}
+              loading={conversationsLoading}
+              onSelect={handleSelectConversation}
+              onNew={() => setActiveConversationId(null)}
+              onRename={renameConversation}
+              onDelete={handleDeleteConversation}
+            />
+          )}
         </nav>
 
         <div className="p-4 border-t border-slate-100">
@@ -184,6 +243,12 @@ function DashboardLayout() {
             <ChatInterface
               verticalId={currentVertical || 'audit'}
               onError={(err) => console.error('Chat error:', err)}
+              conversationId={activeConversationId}
+              onConversationCreated={setActiveConversationId}
+              onCreateConversation={createConversation}
+              onSaveMessage={saveMessage}
+              onLoadMessages={fetchMessages}
+              onFeedback={submitFeedback}
             />
           )}
 
@@ -198,7 +263,9 @@ function DashboardLayout() {
                 </p>
                 <SmartUploader
                   supabaseClient={supabase}
-                  defaultVertical={currentVertical || 'audit'}
+                  orgId={profile?.org_id || null}
+                  defaultVertical={uploadVerticals.some((v) => v.id === currentVertical) ? currentVertical : uploadVerticals[0]?.id}
+                  availableVerticals={uploadVerticals}
                   onUpload={handleUploadSuccess}
                 />
               </div>
@@ -213,7 +280,7 @@ function DashboardLayout() {
                   <p className="text-slate-600 mb-8">
                     Enregistrez vos réunions de chantier ou d'audit. L'IA générera automatiquement un résumé structuré et la liste des actions.
                   </p>
-                  <AudioRecorder onRecordingComplete={handleRecordingSuccess} />
+                  <AudioRecorder onRecordingComplete={handleRecordingSuccess} targetVerticals={[currentVertical]} />
                 </div>
               </div>
             </div>
@@ -236,8 +303,11 @@ function DashboardLayout() {
 }
 
 export default function Dashboard() {
+  const { isOrgAdmin, isSuperAdmin } = useAuth()
+
+  // Les administrateurs peuvent encore interroger les verticales archivées
   return (
-    <VerticalProvider supabaseClient={supabase} defaultVertical="audit">
+    <VerticalProvider supabaseClient={supabase} defaultVertical="audit" includeArchived={isOrgAdmin || isSuperAdmin}>
       <DashboardLayout />
     </VerticalProvider>
   )
@@ -0,0 +1,232 @@
+// ============================================================================
+// INGESTION : Page Documents
+// Bibliothèque des documents importés dans l'organisation
+// ============================================================================
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useDocuments } from '../hooks/useDocuments';
+import { supabase } from '../lib/supabaseClient';
+import { fetchSelectableVerticals } from '../lib/verticals';
+import {
+    DocumentFilters,
+    DocumentsTable,
+    DocumentDetailPanel,
+    RetagDocumentsModal
+} from '../components/documents';
+import {
+    ArrowLeft,
+    FolderOpen,
+    RefreshCw,
+    Tags,
+    Trash2,
+    AlertCircle,
+    Loader2
+} from 'lucide-react';
+
+export default function Documents() {
+    const navigate = useNavigate();
+    const { organization } = useAuth();
+
+    const {
+        documents,
+        total,
+        page,
+        setPage,
+        pageSize,
+        filters,
+        setFilters,
+        resetFilters,
+        uploaders,
+        loading,
+        error,
+        getDocument,
+        retagDocuments,
+        deleteDocuments,
+        refresh
+    } = useDocuments();
+
+    const [verticals, setVerticals] = useState([]);
+    const [selected, setSelected] = useState([]);
+    const [openedItem, setOpenedItem] = useState(null);
+    const [retagTargets, setRetagTargets] = useState(null);
+    const [deleting, setDeleting] = useState(false);
+    const [actionError, setActionError] = useState(null);
+
+    // Verticales archivées comprises : leurs documents restent consultables
+    useEffect(() => {
+        fetchSelectableVerticals(supabase, { includeArchived: true })
+            .then(setVerticals)
+            .catch((err) => console.warn('Impossible de charger les verticales:', err.message));
+    }, []);
+
+    // La sélection porte sur la page affichée
+    useEffect(() => {
+        setSelected([]);
+    }, [page, filters]);
+
+    const selectedDocuments = selected.filter((item) => item.kind === 'document');
+
+    const toggleItem = (item) => {
+        setSelected((prev) => (prev.some((s) => s.id === item.id)
+            ? prev.filter((s) => s.id !== item.id)
+            : [...prev, item]));
+    };
+
+    const toggleAll = (items, checked) => {
+        setSelected(checked ? items : []);
+    };
+
+    const handleRetag = async (verticalIds, mode) => {
+        const result = await retagDocuments(retagTargets.map((item) => item.id), verticalIds, mode);
+        if (result.success) {
+            setSelected([]);
+            // Détail ouvert : recharger ses verticales
+            if (openedItem) setOpenedItem({ ...openedItem });
+        }
+        return result;
+    };
+
+    const handleDelete = async (items) => {
+        const label = items.length === 1
+            ? `« ${items[0].filename || items[0].title || 'ce document'} »`
+            : `ces ${items.length} documents`;
+        if (!window.confirm(`Supprimer ${label} ? Les fichiers, les versions précédentes et tous les passages indexés seront effacés.`)) return;
+
+        setDeleting(true);
+        setActionError(null);
+        const result = await deleteDocuments(items);
+        setDeleting(false);
+
+        if (result.success) {
+            setSelected([]);
+            if (openedItem && items.some((item) => item.id === openedItem.id)) setOpenedItem(null);
+        } else {
+            setActionError(result.error || 'Erreur lors de la suppression');
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-slate-50">
+            {/* Header */}
+            <header className="bg-white border-b border-slate-200 sticky top-0 z-10">
+                <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                    <div className="flex items-center justify-between h-16">
+                        <div className="flex items-center gap-4">
+                            <button
+                                onClick={() => navigate('/dashboard')}
+                                className="flex items-center gap-2 text-slate-600 hover:text-slate-900 transition-colors"
+                            >
+                                <ArrowLeft className="w-5 h-5" />
+                                <span className="hidden sm:inline">Retour</span>
+                            </button>
+
+                            <div className="h-6 w-px bg-slate-200" />
+
+                            <div className="flex items-center gap-3">
+                                <div className="w-10 h-10 bg-indigo-600 rounded-xl flex items-center justify-center">
+                                    <FolderOpen className="w-5 h-5 text-white" />
+                                </div>
+                                <div>
+                                    <h1 className="font-semibold text-slate-800">
+                                        Documents
+                                    </h1>
+                                    <p className="text-xs text-slate-500">
+                                        {organization?.name || 'Mon Organisation'}
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+
+                        <button
+                            onClick={() => refresh()}
+                            className="inline-flex items-center gap-2 px-3 py-2 text-sm text-slate-600 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors"
+                        >
+                            <RefreshCw className="w-4 h-4" />
+                            Actualiser
+                        </button>
+                    </div>
+                </div>
+            </header>
+
+            {/* Contenu principal */}
+            <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+                {(error || actionError) && (
+                    <div className="p-4 bg-red-50 border border-red-200 rounded-xl flex items-center gap-3 text-red-700">
+                        <AlertCircle className="w-5 h-5 flex-shrink-0" />
+                        <p>{actionError || error}</p>
+                    </div>
+                )}
+
+                <DocumentFilters
+                    filters={filters}
+                    verticals={verticals}
+                    uploaders={uploaders}
+                    onChange={setFilters}
+                    onReset={resetFilters}
+                />
+
+                {/* Actions groupées */}
+                {selected.length > 0 && (
+                    <div className="flex items-center gap-3 px-4 py-3 bg-indigo-50 border border-indigo-200 rounded-xl text-sm">
+                        <span className="font-medium text-indigo-800">
+                            {selected.length} sélectionné{selected.length > 1 ? 's' : ''}
+                        </span>
+                        <div className="ml-auto flex items-center gap-2">
+                            <button
+                                onClick={() => setRetagTargets(selectedDocuments)}
+                                disabled={selectedDocuments.length === 0}
+                                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-slate-700 bg-white border border-slate-200 rounded-lg hover:bg-slate-50 transition-colors disabled:opacity-50"
+                            >
+                                <Tags className="w-4 h-4" />
+                                Modifier les verticales
+                            </button>
+                            <button
+                                onClick={() => handleDelete(selected)}
+                                disabled={deleting}
+                                className="inline-flex items-center gap-1.5 px-3 py-1.5 text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                            >
+                                {deleting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                                Supprimer
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                <DocumentsTable
+                    documents={documents}
+                    verticals={verticals}
+                    uploaders={uploaders}
+                    loading={loading}
+                    total={total}
+                    page={page}
+                    pageSize={pageSize}
+                    selectedIds={selected.map((item) => item.id)}
+                    onToggle={toggleItem}
+                    onToggleAll={toggleAll}
+                    onOpen={setOpenedItem}
+                    onPageChange={setPage}
+                />
+            </main>
+
+            <DocumentDetailPanel
+                item={openedItem}
+                verticals={verticals}
+                uploaders={uploaders}
+                onLoad={getDocument}
+                onClose={() => setOpenedItem(null)}
+                onRetag={(item) => setRetagTargets([item])}
+                onDelete={(item) => handleDelete([item])}
+            />
+
+            <RetagDocumentsModal
+                isOpen={Boolean(retagTargets)}
+                documentCount={retagTargets?.length || 0}
+                verticals={verticals}
+                onClose={() => setRetagTargets(null)}
+                onSubmit={handleRetag}
+            />
+        </div>
+    );
+}
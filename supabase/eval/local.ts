@@ -0,0 +1,101 @@
+// ============================================================================
+// ÉVALUATION : Substitut local de la base
+// Recherche en mémoire suivant les mêmes règles que match_documents /
+// hybrid_match_documents, sur les vecteurs du fournisseur local (fake).
+// ============================================================================
+
+import { tokenize } from "../functions/_shared/reranker.ts";
+import { hashEmbedding } from "../functions/_shared/providers/fake.ts";
+
+export interface CorpusChunk {
+    id: string;
+    parent_document_id?: string | null;
+    vertical_ids: string[];
+    content: string;
+    heading_path?: string[] | null;
+    metadata?: Record<string, any> | null;
+}
+
+export interface SearchResult extends CorpusChunk {
+    similarity: number;
+    full_text_rank?: number | null;
+    semantic_rank?: number | null;
+    rrf_score?: number;
+}
+
+export interface SearchOptions {
+    mode: 'vector' | 'hybrid';
+    threshold: number;
+    count: number;
+    verticalId: string;
+}
+
+// Constante de la fusion Reciprocal Rank Fusion (cf. hybrid_match_documents)
+const RRF_K = 60;
+
+const cosine = (a: number[], b: number[]): number =>
+    a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+// Même texte embeddé qu'à l'ingestion (chunkEmbeddingText) : chemin de titres + contenu
+const embeddingText = (chunk: CorpusChunk): string =>
+    chunk.heading_path?.length ? `${chunk.heading_path.join(' > ')}\n\n${chunk.content}` : chunk.content;
+
+/**
+ * Index en mémoire d'un corpus, interrogé comme les fonctions SQL de recherche.
+ */
+export const createLocalIndex = (corpus: CorpusChunk[]) => {
+    const vectors = new Map(corpus.map((chunk) => [chunk.id, hashEmbedding(embeddingText(chunk))]));
+
+    // Rang plein texte : nombre d'occurrences des termes de la question (OU logique, cf. search_tsquery)
+    const fullTextRanking = (chunks: CorpusChunk[], query: string, limit: number) => {
+        const queryTerms = new Set(tokenize(query));
+        return chunks
+            .map((chunk) => ({
+                chunk,
+                score: tokenize(chunk.content).filter((term) => queryTerms.has(term)).length,
+            }))
+            .filter((entry) => entry.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map((entry) => entry.chunk.id);
+    };
+
+    return {
+        search(query: string, queryEmbedding: number[], options: SearchOptions): SearchResult[] {
+            const candidates = corpus.filter((chunk) => chunk.vertical_ids.includes(options.verticalId));
+            const similarity = new Map(candidates.map((chunk) => [chunk.id, cosine(vectors.get(chunk.id)!, queryEmbedding)]));
+
+            const semantic = candidates
+                .filter((chunk) => similarity.get(chunk.id)! > options.threshold)
+                .sort((a, b) => similarity.get(b.id)! - similarity.get(a.id)!);
+
+            if (options.mode === 'vector') {
+                return semantic
+                    .slice(0, options.count)
+                    .map((chunk) => ({ ...chunk, similarity: similarity.get(chunk.id)! }));
+            }
+
+            // Hybride : fusion RRF des deux classements (chacun limité à 2 × count)
+            const fullTextIds = fullTextRanking(candidates, query, options.count * 2);
+            const semanticIds = semantic.slice(0, options.count * 2).map((chunk) => chunk.id);
+            const ids = [...new Set([...fullTextIds, ...semanticIds])];
+
+            return ids
+                .map((id) => {
+                    const chunk = candidates.find((c) => c.id === id)!;
+                    const fullTextRank = fullTextIds.indexOf(id) + 1 || null;
+                    const semanticRank = semanticIds.indexOf(id) + 1 || null;
+                    return {
+                        ...chunk,
+                        similarity: similarity.get(id)!,
+                        full_text_rank: fullTextRank,
+                        semantic_rank: semanticRank,
+                        rrf_score: (fullTextRank ? 1 / (RRF_K + fullTextRank) : 0)
+                            + (semanticRank ? 1 / (RRF_K + semanticRank) : 0),
+                    };
+                })
+                .sort((a, b) => b.rrf_score - a.rrf_score)
+                .slice(0, options.count);
+        },
+    };
+};
@@ -0,0 +1,87 @@
+// ============================================================================
+// ÉVALUATION : Métriques de recherche et de réponse
+// recall@k et MRR sur les documents attendus, couverture des faits attendus
+// et fidélité de la réponse au contexte retrouvé
+// ============================================================================
+
+import { tokenize } from "../functions/_shared/reranker.ts";
+import { stripCitationMarkers } from "../functions/_shared/prompt.ts";
+
+export interface RetrievedSource {
+    id: string;
+    content: string;
+    parent_document_id?: string | null;
+}
+
+// Part minimale des termes d'une phrase présents dans le contexte pour qu'elle soit "ancrée"
+export const SUPPORT_THRESHOLD = 0.6;
+
+// Phrase : jusqu'à la ponctuation finale ou au saut de ligne
+const SENTENCE = /[^.!?\n]+[.!?]*/g;
+
+// Réponse qui signale l'absence d'information (règle 2 du prompt système)
+const ABSTENTION = /ne (?:contient|mentionne|précise) pas|aucune? (?:information|document)/i;
+
+export const isAbstention = (answer: string): boolean => ABSTENTION.test(answer);
+
+/**
+ * Les ids attendus du jeu de référence désignent un chunk ou son document d'origine.
+ */
+const matchesExpected = (source: RetrievedSource, expected: Set<string>): boolean =>
+    expected.has(source.id) || (!!source.parent_document_id && expected.has(source.parent_document_id));
+
+/**
+ * Part des documents attendus présents dans les k premières sources.
+ */
+export const recallAtK = (sources: RetrievedSource[], expectedIds: string[], k: number): number => {
+    if (expectedIds.length === 0) return 1;
+
+    const topK = sources.slice(0, k);
+    const found = expectedIds.filter((id) => topK.some((source) => matchesExpected(source, new Set([id]))));
+    return found.length / expectedIds.length;
+};
+
+/**
+ * Inverse du rang de la première source pertinente (0 si aucune).
+ */
+export const reciprocalRank = (sources: RetrievedSource[], expectedIds: string[]): number => {
+    const expected = new Set(expectedIds);
+    const rank = sources.findIndex((source) => matchesExpected(source, expected));
+    return rank === -1 ? 0 : 1 / (rank + 1);
+};
+
+/**
+ * Part des faits attendus présents dans la réponse.
+ * Un fait est couvert si tous ses termes significatifs apparaissent dans la réponse.
+ */
+export const factCoverage = (answer: string, facts: string[]): number => {
+    if (facts.length === 0) return 1;
+
+    const answerTerms = new Set(tokenize(answer));
+    const covered = facts.filter((fact) => tokenize(fact).every((term) => answerTerms.has(term)));
+    return covered.length / facts.length;
+};
+
+/**
+ * Fidélité : part des phrases de la réponse dont les termes se retrouvent dans le contexte.
+ * Une réponse qui signale l'absence d'information n'affirme rien : elle est fidèle.
+ */
+export const faithfulness = (answer: string, sources: RetrievedSource[]): number => {
+    if (isAbstention(answer)) return 1;
+
+    const contextTerms = new Set(sources.flatMap((source) => tokenize(source.content)));
+
+    const sentences = (stripCitationMarkers(answer).match(SENTENCE) ?? [])
+        .map((sentence) => tokenize(sentence))
+        .filter((terms) => terms.length > 0);
+
+    if (sentences.length === 0) return 1;
+
+    const supported = sentences.filter((terms) =>
+        terms.filter((term) => contextTerms.has(term)).length / terms.length >= SUPPORT_THRESHOLD
+    );
+    return supported.length / sentences.length;
+};
+
+export const mean = (values: number[]): number =>
+    values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
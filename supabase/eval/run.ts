@@ -0,0 +1,314 @@
+// ============================================================================
+// ÉVALUATION : Banc d'essai hors ligne de rag-brain
+// Rejoue un jeu de référence (question, verticale, documents attendus, faits
+// attendus) et calcule recall@k, MRR, couverture des faits et fidélité.
+//
+//   deno run --allow-read supabase/eval/run.ts [options]
+//
+// Cibles :
+//   local  (défaut) sans réseau : fournisseur fake (embedding haché, chat extractif)
+//          et recherche en mémoire. Même prompt, citations et reranker lexical que rag-brain.
+//   remote rag-brain déployé (SUPABASE_URL, SUPABASE_ANON_KEY et EVAL_ACCESS_TOKEN,
+//          --allow-net --allow-env). EVAL_ACCESS_TOKEN est le JWT d'un utilisateur : seuls
+//          les documents de son organisation sont interrogés, les ids attendus doivent en faire partie.
+// ============================================================================
+
+import { buildSystemPrompt, extractCitations } from "../functions/_shared/prompt.ts";
+import {
+    createLexicalReranker,
+    rerankFetchCount,
+    resolveRerankerId,
+    type RerankerId
+} from "../functions/_shared/reranker.ts";
+import { createFakeChat, hashEmbedding } from "../functions/_shared/providers/fake.ts";
+import { createLocalIndex, type CorpusChunk } from "./local.ts";
+import {
+    factCoverage,
+    faithfulness,
+    mean,
+    reciprocalRank,
+    recallAtK,
+    type RetrievedSource
+} from "./metrics.ts";
+
+interface GoldenCase {
+    id: string;
+    question: string;
+    vertical_id: string;
+    expected_document_ids: string[];  // ids de chunks ou de documents d'origine ; [] = hors corpus
+    expected_facts: string[];
+}
+
+interface GoldenSet {
+    description?: string;
+    settings?: Partial<EvalSettings>;
+    corpus?: CorpusChunk[];
+    cases: GoldenCase[];
+}
+
+interface EvalSettings {
+    match_threshold: number;
+    match_count: number;
+    retrieval_mode: 'vector' | 'hybrid';
+    rerank: RerankerId | null;
+}
+
+interface CaseRun {
+    sources: RetrievedSource[];
+    answer: string;
+}
+
+interface CaseResult {
+    id: string;
+    recall: number | null;      // null : question hors corpus (pas de document attendu)
+    reciprocal_rank: number | null;
+    facts: number;
+    faithfulness: number;
+    cited: number;              // Nombre de sources citées dans la réponse
+    error?: string;
+}
+
+const DEFAULT_GOLDEN_SET = new URL('./golden/default.json', import.meta.url);
+
+// Valeurs par défaut de rag-brain
+const DEFAULT_SETTINGS: EvalSettings = {
+    match_threshold: 0.5,
+    match_count: 5,
+    retrieval_mode: 'vector',
+    rerank: null,
+};
+
+const USAGE = `Usage : deno run --allow-read supabase/eval/run.ts [options]
+
+  --golden <fichier>        Jeu de référence JSON (défaut : supabase/eval/golden/default.json)
+  --target <local|remote>   Substituts locaux ou rag-brain déployé (défaut : local)
+  --threshold <n>           match_threshold
+  --count <n>               match_count (k des métriques)
+  --mode <vector|hybrid>    retrieval_mode
+  --rerank <llm|lexical>    Reranking (llm : cible remote uniquement)
+  --json                    Résultats détaillés en JSON
+  --min-recall <n>          Code de sortie 1 si recall@k moyen < n
+  --min-mrr <n>             Code de sortie 1 si MRR < n
+  --min-faithfulness <n>    Code de sortie 1 si fidélité moyenne < n`;
+
+// Options "--nom valeur" et drapeaux "--nom"
+const parseArgs = (args: string[]): Record<string, string | true> => {
+    const options: Record<string, string | true> = {};
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) throw new Error(`Argument inattendu : ${args[i]}`);
+        const name = args[i].slice(2);
+        const next = args[i + 1];
+        if (next !== undefined && !next.startsWith('--')) {
+            options[name] = next;
+            i++;
+        } else {
+            options[name] = true;
+        }
+    }
+    return options;
+};
+
+const numberOption = (options: Record<string, string | true>, name: string): number | undefined => {
+    const value = options[name];
+    if (value === undefined) return undefined;
+    const parsed = Number(value);
+    if (value === true || !Number.isFinite(parsed)) throw new Error(`--${name} attend un nombre`);
+    return parsed;
+};
+
+// ---------------------------------------------------------------------------
+// Cibles
+// ---------------------------------------------------------------------------
+
+/**
+ * Chaîne de rag-brain rejouée avec les substituts locaux.
+ */
+const createLocalTarget = (corpus: CorpusChunk[], settings: EvalSettings) => {
+    if (settings.rerank === 'llm') {
+        throw new Error('Le reranker llm nécessite la cible remote (utilisez --rerank lexical en local)');
+    }
+    const index = createLocalIndex(corpus);
+    const chat = createFakeChat();
+
+    return async (goldenCase: GoldenCase): Promise<CaseRun> => {
+        const candidates = index.search(goldenCase.question, hashEmbedding(goldenCase.question), {
+            mode: settings.retrieval_mode,
+            threshold: settings.match_threshold,
+            count: settings.rerank ? rerankFetchCount(settings.match_count) : settings.match_count,
+            verticalId: goldenCase.vertical_id,
+        });
+
+        const sources = settings.rerank
+            ? await createLexicalReranker().rerank(goldenCase.question, candidates, settings.match_count)
+            : candidates;
+
+        const answer = await chat.complete([
+            { role: 'system', content: buildSystemPrompt(goldenCase.vertical_id, sources) },
+            { role: 'user', content: goldenCase.question },
+        ]);
+
+        return { sources, answer };
+    };
+};
+
+/**
+ * rag-brain déployé, appelé comme le fait le frontend.
+ */
+const createRemoteTarget = (settings: EvalSettings) => {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL');
+    const anonKey = Deno.env.get('SUPABASE_ANON_KEY') ?? '';
+    // rag-brain dérive l'organisation du JWT : la clé anon seule ne suffit pas
+    const accessToken = Deno.env.get('EVAL_ACCESS_TOKEN');
+
+    if (!supabaseUrl || !accessToken) {
+        throw new Error('Cible remote : SUPABASE_URL et EVAL_ACCESS_TOKEN (JWT d\'un utilisateur) sont requis');
+    }
+
+    return async (goldenCase: GoldenCase): Promise<CaseRun> => {
+        const response = await fetch(`${supabaseUrl}/functions/v1/rag-brain`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                'apikey': anonKey,
+            },
+            body: JSON.stringify({
+                query: goldenCase.question,
+                vertical_id: goldenCase.vertical_id,
+                match_threshold: settings.match_threshold,
+                match_count: settings.match_count,
+                retrieval_mode: settings.retrieval_mode,
+                rerank: settings.rerank ?? false,
+            }),
+        });
+
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error || `HTTP ${response.status}`);
+
+        return { sources: result.sources || [], answer: result.answer || '' };
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Évaluation
+// ---------------------------------------------------------------------------
+
+const evaluateCase = (goldenCase: GoldenCase, run: CaseRun, k: number): CaseResult => {
+    const hasExpected = goldenCase.expected_document_ids.length > 0;
+
+    return {
+        id: goldenCase.id,
+        recall: hasExpected ? recallAtK(run.sources, goldenCase.expected_document_ids, k) : null,
+        reciprocal_rank: hasExpected ? reciprocalRank(run.sources, goldenCase.expected_document_ids) : null,
+        facts: factCoverage(run.answer, goldenCase.expected_facts),
+        faithfulness: faithfulness(run.answer, run.sources),
+        cited: extractCitations(run.answer, run.sources).length,
+    };
+};
+
+const summarize = (results: CaseResult[]) => {
+    const scored = results.filter((result) => !result.error);
+    const retrieval = scored.filter((result) => result.recall !== null);
+
+    return {
+        cases: results.length,
+        errors: results.length - scored.length,
+        recall_at_k: mean(retrieval.map((result) => result.recall!)),
+        mrr: mean(retrieval.map((result) => result.reciprocal_rank!)),
+        facts: mean(scored.map((result) => result.facts)),
+        faithfulness: mean(scored.map((result) => result.faithfulness)),
+    };
+};
+
+const format = (value: number | null) => value === null ? '  -  ' : value.toFixed(2);
+
+const main = async () => {
+    const options = parseArgs(Deno.args);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const goldenPath = typeof options.golden === 'string' ? options.golden : DEFAULT_GOLDEN_SET;
+    const golden: GoldenSet = JSON.parse(await Deno.readTextFile(goldenPath));
+    const target = options.target ?? 'local';
+
+    const settings: EvalSettings = {
+        ...DEFAULT_SETTINGS,
+        ...golden.settings,
+        ...(numberOption(options, 'threshold') !== undefined && { match_threshold: numberOption(options, 'threshold')! }),
+        ...(numberOption(options, 'count') !== undefined && { match_count: numberOption(options, 'count')! }),
+        ...(typeof options.mode === 'string' && { retrieval_mode: options.mode as EvalSettings['retrieval_mode'] }),
+        ...(options.rerank !== undefined && { rerank: resolveRerankerId(options.rerank) }),
+    };
+
+    if (!['vector', 'hybrid'].includes(settings.retrieval_mode)) {
+        throw new Error('--mode invalide. Valeurs acceptées : vector, hybrid');
+    }
+
+    let runCase: (goldenCase: GoldenCase) => Promise<CaseRun>;
+    if (target === 'local') {
+        if (!golden.corpus?.length) throw new Error('La cible local nécessite un corpus dans le jeu de référence');
+        runCase = createLocalTarget(golden.corpus, settings);
+    } else if (target === 'remote') {
+        runCase = createRemoteTarget(settings);
+    } else {
+        throw new Error('--target invalide. Valeurs acceptées : local, remote');
+    }
+
+    const k = settings.match_count;
+    const results: CaseResult[] = [];
+
+    for (const goldenCase of golden.cases) {
+        try {
+            results.push(evaluateCase(goldenCase, await runCase(goldenCase), k));
+        } catch (error: any) {
+            results.push({ id: goldenCase.id, recall: null, reciprocal_rank: null, facts: 0, faithfulness: 0, cited: 0, error: error.message });
+        }
+    }
+
+    const summary = summarize(results);
+
+    if (options.json) {
+        console.log(JSON.stringify({ target, settings, summary, results }, null, 2));
+    } else {
+        console.log(`Jeu de référence : ${goldenPath} (${results.length} questions)`);
+        console.log(`Cible ${target} · mode ${settings.retrieval_mode} · seuil ${settings.match_threshold} · k=${k} · rerank ${settings.rerank ?? 'aucun'}\n`);
+        console.log(`   ${'question'.padEnd(32)} recall@${k}   RR    faits  fidélité  citées`);
+
+        for (const result of results) {
+            if (result.error) {
+                console.log(` ✗ ${result.id.padEnd(32)} erreur : ${result.error}`);
+                continue;
+            }
+            const ok = (result.recall ?? 1) === 1 && result.facts === 1 && result.faithfulness === 1;
+            console.log(` ${ok ? '✓' : '·'} ${result.id.padEnd(32)} ${format(result.recall)}     ${format(result.reciprocal_rank)}  ${format(result.facts)}  ${format(result.faithfulness)}     ${result.cited}`);
+        }
+
+        console.log(`\nMoyennes : recall@${k} ${format(summary.recall_at_k)} · MRR ${format(summary.mrr)} · faits ${format(summary.facts)} · fidélité ${format(summary.faithfulness)}${summary.errors ? ` · ${summary.errors} erreur(s)` : ''}`);
+    }
+
+    // Seuils de non-régression (CI)
+    const failures = [
+        ['min-recall', summary.recall_at_k, `recall@${k}`],
+        ['min-mrr', summary.mrr, 'MRR'],
+        ['min-faithfulness', summary.faithfulness, 'fidélité'],
+    ].flatMap(([option, value, label]) => {
+        const min = numberOption(options, option as string);
+        return min !== undefined && (value as number) < min ? [`${label} ${(value as number).toFixed(2)} < ${min}`] : [];
+    });
+
+    if (summary.errors > 0) failures.push(`${summary.errors} question(s) en erreur`);
+
+    if (failures.length > 0) {
+        console.error(`\n❌ Seuils non atteints : ${failures.join(', ')}`);
+        Deno.exit(1);
+    }
+};
+
+try {
+    await main();
+} catch (error: any) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    Deno.exit(2);
+}
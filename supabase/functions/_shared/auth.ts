@@ -0,0 +1,162 @@
+// ============================================================================
+// Authentification des appelants des Edge Functions
+// L'organisation est toujours dérivée du JWT (profil de l'utilisateur),
+// jamais lue dans le corps de la requête. Erreurs : 401 (appelant non
+// authentifié), 403 (authentifié mais non autorisé).
+// Les scripts sans session utilisateur s'authentifient par une clé d'API
+// d'organisation (en-tête x-api-key, table org_api_keys).
+// ============================================================================
+
+import type { SupabaseClient, User } from "https://esm.sh/@supabase/supabase-js@2";
+
+export type MemberRole = 'owner' | 'admin' | 'member';
+
+export type ApiKeyScope = 'ingest' | 'query';
+
+export const API_KEY_HEADER = 'x-api-key';
+
+export interface CallerContext {
+    user: User | null;      // null pour une clé d'API
+    apiKeyId: string | null;
+    orgId: string;
+    role: MemberRole;       // Rôle dans l'organisation ('owner' pour un super admin, 'admin' pour une clé d'API)
+    isSuperAdmin: boolean;
+}
+
+export interface CallerOptions {
+    apiKeyScope?: ApiKeyScope;  // Absent : les clés d'API ne sont pas acceptées
+}
+
+/**
+ * Erreur portant le statut HTTP à renvoyer.
+ */
+export class HttpError extends Error {
+    status: number;
+
+    constructor(status: number, message: string) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Statut HTTP d'une erreur : celui d'une HttpError, sinon le statut par défaut de la fonction
+export const errorStatus = (error: unknown, fallback: number): number =>
+    error instanceof HttpError ? error.status : fallback;
+
+export const isOrgAdmin = (caller: CallerContext): boolean =>
+    caller.role === 'owner' || caller.role === 'admin';
+
+/**
+ * Utilisateur authentifié par l'en-tête Authorization (client service role requis).
+ */
+export const getAuthenticatedUser = async (supabaseAdmin: SupabaseClient, req: Request): Promise<User> => {
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader?.startsWith('Bearer ')) {
+        throw new HttpError(401, 'Token d\'authentification manquant');
+    }
+
+    const { data: { user }, error } = await supabaseAdmin.auth.getUser(authHeader.replace('Bearer ', ''));
+
+    if (error || !user) {
+        throw new HttpError(401, 'Authentification invalide');
+    }
+
+    return user;
+};
+
+// Empreinte SHA-256 (hex) d'une clé d'API, identique à celle calculée par useApiKeys
+export const hashApiKey = async (key: string): Promise<string> => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Clé d'API valide (non révoquée, non expirée) et disposant du scope demandé.
+ */
+const getApiKeyContext = async (
+    supabaseAdmin: SupabaseClient,
+    key: string,
+    scope: ApiKeyScope
+): Promise<CallerContext> => {
+    const { data: apiKey, error } = await supabaseAdmin
+        .from('org_api_keys')
+        .select('id, org_id, scopes, expires_at, revoked_at')
+        .eq('key_hash', await hashApiKey(key.trim()))
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!apiKey || apiKey.revoked_at) {
+        throw new HttpError(401, 'Clé d\'API invalide ou révoquée');
+    }
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+        throw new HttpError(401, 'Clé d\'API expirée');
+    }
+    if (!apiKey.scopes.includes(scope)) {
+        throw new HttpError(403, `Cette clé d'API n'a pas le droit « ${scope} »`);
+    }
+
+    const { error: touchError } = await supabaseAdmin
+        .from('org_api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', apiKey.id);
+
+    if (touchError) console.warn('[auth] last_used_at non mis à jour:', touchError.message);
+
+    // Les clés sont créées par les administrateurs de l'organisation, dont elles héritent les droits
+    return { user: null, apiKeyId: apiKey.id, orgId: apiKey.org_id, role: 'admin', isSuperAdmin: false };
+};
+
+/**
+ * Appelant authentifié : utilisateur membre actif de son organisation, ou clé d'API
+ * (si la fonction accepte son scope).
+ */
+export const getCallerContext = async (
+    supabaseAdmin: SupabaseClient,
+    req: Request,
+    options: CallerOptions = {}
+): Promise<CallerContext> => {
+    const apiKey = req.headers.get(API_KEY_HEADER);
+    if (apiKey) {
+        if (!options.apiKeyScope) {
+            throw new HttpError(403, 'Les clés d\'API ne sont pas acceptées par cette fonction');
+        }
+        return getApiKeyContext(supabaseAdmin, apiKey, options.apiKeyScope);
+    }
+
+    const user = await getAuthenticatedUser(supabaseAdmin, req);
+
+    const { data: profile, error } = await supabaseAdmin
+        .from('profiles')
+        .select('org_id, app_role')
+        .eq('id', user.id)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!profile?.org_id) {
+        throw new HttpError(403, 'Aucune organisation associée à cet utilisateur');
+    }
+
+    const isSuperAdmin = profile.app_role === 'super_admin';
+    if (isSuperAdmin) {
+        return { user, apiKeyId: null, orgId: profile.org_id, role: 'owner', isSuperAdmin };
+    }
+
+    const { data: membership, error: membershipError } = await supabaseAdmin
+        .from('organization_members')
+        .select('role')
+        .eq('org_id', profile.org_id)
+        .eq('user_id', user.id)
+        .eq('status', 'active')
+        .maybeSingle();
+
+    if (membershipError) throw membershipError;
+
+    if (!membership) {
+        throw new HttpError(403, 'Vous n\'êtes pas membre actif de cette organisation');
+    }
+
+    return { user, apiKeyId: null, orgId: profile.org_id, role: membership.role, isSuperAdmin };
+};
@@ -0,0 +1,239 @@
+// ============================================================================
+// Découpage de documents en chunks pour l'indexation vectorielle
+// Respecte les titres Markdown et les paragraphes, avec chevauchement
+// ============================================================================
+
+export const DEFAULT_CHUNK_SIZE = 1000;
+export const DEFAULT_CHUNK_OVERLAP = 150;
+export const MIN_CHUNK_SIZE = 200;
+export const MAX_CHUNK_SIZE = 4000;
+
+export interface ChunkOptions {
+    chunkSize?: number;     // Taille cible max d'un chunk, en caractères
+    chunkOverlap?: number;  // Chevauchement entre deux chunks consécutifs d'une même section
+}
+
+export interface TextChunk {
+    index: number;          // Position du chunk dans le document (0..n-1)
+    content: string;        // Texte du chunk (extrait exact du document normalisé)
+    headingPath: string[];  // Titres englobants, du plus général au plus précis
+    start: number;          // Offset de début dans le texte normalisé
+    end: number;            // Offset de fin (exclu) dans le texte normalisé
+}
+
+interface Block {
+    type: 'heading' | 'paragraph';
+    start: number;
+    end: number;
+    level?: number;
+    title?: string;
+}
+
+interface Range {
+    start: number;
+    end: number;
+}
+
+interface PendingChunk extends Range {
+    headingPath: string[];
+    hasContent: boolean;
+}
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+
+/**
+ * Normalise les fins de ligne : les offsets des chunks sont relatifs à ce texte.
+ */
+export const normalizeText = (text: string): string => text.replace(/\r\n?/g, '\n');
+
+/**
+ * Borne la taille et le chevauchement demandés à des valeurs raisonnables.
+ */
+export const resolveChunkOptions = (options: ChunkOptions = {}) => {
+    const chunkSize = Math.min(
+        Math.max(Math.floor(options.chunkSize ?? DEFAULT_CHUNK_SIZE), MIN_CHUNK_SIZE),
+        MAX_CHUNK_SIZE
+    );
+    const chunkOverlap = Math.min(
+        Math.max(Math.floor(options.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP), 0),
+        Math.floor(chunkSize / 2)
+    );
+    return { chunkSize, chunkOverlap };
+};
+
+// Découpe le texte en blocs : titres Markdown et paragraphes (séparés par une ligne vide).
+// Les blocs de code délimités (```) ne sont jamais interprétés comme des titres.
+const parseBlocks = (text: string): Block[] => {
+    const blocks: Block[] = [];
+    let paragraph: Range | null = null;
+    let inFence = false;
+    let offset = 0;
+
+    const closeParagraph = () => {
+        if (paragraph) blocks.push({ type: 'paragraph', ...paragraph });
+        paragraph = null;
+    };
+
+    for (const line of text.split('\n')) {
+        const lineStart = offset;
+        const lineEnd = offset + line.length;
+        offset = lineEnd + 1;
+
+        if (FENCE_REGEX.test(line)) inFence = !inFence;
+
+        const heading = inFence ? null : line.match(HEADING_REGEX);
+        if (heading) {
+            closeParagraph();
+            blocks.push({
+                type: 'heading',
+                start: lineStart,
+                end: lineEnd,
+                level: heading[1].length,
+                title: heading[2].trim(),
+            });
+            continue;
+        }
+
+        if (!inFence && line.trim() === '') {
+            closeParagraph();
+            continue;
+        }
+
+        const leading = line.length - line.trimStart().length;
+        const trailing = line.length - line.trimEnd().length;
+        if (paragraph) {
+            paragraph.end = lineEnd - trailing;
+        } else {
+            paragraph = { start: lineStart + leading, end: lineEnd - trailing };
+        }
+    }
+
+    closeParagraph();
+    return blocks;
+};
+
+// Découpe un intervalle trop long en morceaux de taille <= maxSize :
+// d'abord par phrases, puis en dernier recours sur les espaces.
+const splitRange = (text: string, range: Range, maxSize: number): Range[] => {
+    if (range.end - range.start <= maxSize) return [range];
+
+    const sentences: Range[] = [];
+    const sentenceRegex = /[^.!?…]+(?:[.!?…]+|$)/g;
+    const slice = text.slice(range.start, range.end);
+    let match: RegExpExecArray | null;
+
+    while ((match = sentenceRegex.exec(slice)) !== null) {
+        if (match[0].trim() === '') continue;
+        const leading = match[0].length - match[0].trimStart().length;
+        const trailing = match[0].length - match[0].trimEnd().length;
+        sentences.push({
+            start: range.start + match.index + leading,
+            end: range.start + match.index + match[0].length - trailing,
+        });
+    }
+
+    const pieces: Range[] = [];
+    for (const sentence of sentences) {
+        let start = sentence.start;
+        while (sentence.end - start > maxSize) {
+            const window = text.slice(start, start + maxSize);
+            const lastSpace = window.search(/\s\S*$/);
+            const cut = lastSpace > maxSize / 2 ? start + lastSpace : start + maxSize;
+            pieces.push({ start, end: cut });
+            start = cut;
+            while (start < sentence.end && /\s/.test(text[start])) start++;
+        }
+        if (start < sentence.end) pieces.push({ start, end: sentence.end });
+    }
+
+    return pieces;
+};
+
+// Début du chevauchement : recule de `overlap` caractères puis se cale sur un début de mot
+const overlapStart = (text: string, chunk: Range, overlap: number): number => {
+    if (overlap <= 0) return chunk.end;
+
+    let start = Math.max(chunk.start, chunk.end - overlap);
+    if (start > chunk.start && !/\s/.test(text[start - 1])) {
+        while (start < chunk.end && !/\s/.test(text[start])) start++;
+    }
+    while (start < chunk.end && /\s/.test(text[start])) start++;
+    return start;
+};
+
+/**
+ * Découpe un texte en chunks.
+ *
+ * - Un nouveau titre Markdown ferme le chunk en cours : un chunk ne couvre
+ *   jamais deux sections (les titres consécutifs sans contenu sont regroupés).
+ * - Les paragraphes sont regroupés tant que la taille cible n'est pas atteinte ;
+ *   un paragraphe trop long est découpé par phrases.
+ * - Deux chunks consécutifs d'une même section se chevauchent de `chunkOverlap` caractères.
+ */
+export function chunkText(rawText: string, options: ChunkOptions = {}): TextChunk[] {
+    const { chunkSize, chunkOverlap } = resolveChunkOptions(options);
+    const text = normalizeText(rawText);
+    const chunks: TextChunk[] = [];
+
+    let headingStack: { level: number; title: string }[] = [];
+    let current: PendingChunk | null = null;
+
+    const emit = (chunk: PendingChunk | null) => {
+        if (chunk && chunk.hasContent) {
+            chunks.push({
+                index: chunks.length,
+                content: text.slice(chunk.start, chunk.end),
+                headingPath: chunk.headingPath,
+                start: chunk.start,
+                end: chunk.end,
+            });
+        }
+    };
+
+    for (const block of parseBlocks(text)) {
+        if (block.type === 'heading') {
+            // Un titre ouvre une nouvelle section
+            if (current?.hasContent) {
+                emit(current);
+                current = null;
+            }
+            headingStack = headingStack.filter((h) => h.level < block.level!);
+            headingStack.push({ level: block.level!, title: block.title! });
+
+            const headingPath = headingStack.map((h) => h.title);
+            if (current) {
+                current.end = block.end;
+                current.headingPath = headingPath;
+            } else {
+                current = { start: block.start, end: block.end, headingPath, hasContent: false };
+            }
+            continue;
+        }
+
+        for (const piece of splitRange(text, block, chunkSize)) {
+            if (!current) {
+                current = { ...piece, headingPath: headingStack.map((h) => h.title), hasContent: true };
+                continue;
+            }
+
+            if (piece.end - current.start <= chunkSize) {
+                current.end = piece.end;
+                current.hasContent = true;
+                continue;
+            }
+
+            // Taille atteinte : on ferme le chunk et on repart avec un chevauchement
+            const headingPath: string[] = current.headingPath;
+            const hadContent: boolean = current.hasContent;
+            let start: number = hadContent ? overlapStart(text, current, chunkOverlap) : current.start;
+            if (piece.end - start > chunkSize) start = piece.start;
+
+            if (hadContent) emit(current);
+            current = { start, end: piece.end, headingPath, hasContent: true };
+        }
+    }
+
+    emit(current);
+    return chunks;
+}
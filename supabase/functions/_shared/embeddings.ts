@@ -0,0 +1,148 @@
+// ============================================================================
+// Registre des modèles d'embedding
+// Ingestion (ingest-api) et recherche (rag-brain) doivent utiliser le même modèle :
+// l'identifiant du modèle est stocké sur chaque chunk et filtré à la recherche.
+// ============================================================================
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { embedWithFake } from "./providers/fake.ts";
+import { embedWithGemini } from "./providers/gemini.ts";
+import { embedWithOpenAI } from "./providers/openai.ts";
+import type { EmbedFunction, EmbeddingInputType } from "./providers/types.ts";
+
+export type { EmbeddingInputType };
+
+export interface EmbeddingModel {
+    id: string;            // Identifiant stocké dans documents.embedding_model
+    provider: 'openai' | 'gemini' | 'fake';
+    model: string;         // Nom du modèle chez le fournisseur
+    dimensions: number;    // Doit correspondre à la colonne documents.embedding
+    maxBatchSize: number;  // Nombre max de textes par appel
+}
+
+export interface EmbeddingProvider extends EmbeddingModel {
+    embed(texts: string[], inputType?: EmbeddingInputType): Promise<number[][]>;
+}
+
+export const EMBEDDING_MODELS: Record<string, EmbeddingModel> = {
+    'gemini/text-embedding-004': {
+        id: 'gemini/text-embedding-004',
+        provider: 'gemini',
+        model: 'text-embedding-004',
+        dimensions: 768,
+        maxBatchSize: 100,
+    },
+    'openai/text-embedding-3-small': {
+        id: 'openai/text-embedding-3-small',
+        provider: 'openai',
+        model: 'text-embedding-3-small',
+        dimensions: 768, // Réduit de 1536 à 768 pour rester compatible avec la table
+        maxBatchSize: 100,
+    },
+};
+
+// Modèle local déterministe (hors ligne) : absent du registre proposé aux super admins,
+// il s'active via EMBEDDING_MODEL ou app_settings.active_embedding_model
+export const FAKE_EMBEDDING_MODEL: EmbeddingModel = {
+    id: 'fake/hash-768',
+    provider: 'fake',
+    model: 'hash-768',
+    dimensions: 768,
+    maxBatchSize: 1000,
+};
+
+const EMBED_FUNCTIONS: Record<EmbeddingModel['provider'], EmbedFunction> = {
+    openai: embedWithOpenAI,
+    gemini: embedWithGemini,
+    fake: embedWithFake,
+};
+
+// Modèle utilisé historiquement par ingest-api : le corpus existant est dans cet espace
+export const DEFAULT_EMBEDDING_MODEL = 'gemini/text-embedding-004';
+
+/**
+ * Résout un modèle du registre (par défaut : variable EMBEDDING_MODEL).
+ */
+export const getEmbeddingModel = (id?: string | null): EmbeddingModel => {
+    const modelId = id || Deno.env.get('EMBEDDING_MODEL') || DEFAULT_EMBEDDING_MODEL;
+    const model = modelId === FAKE_EMBEDDING_MODEL.id ? FAKE_EMBEDDING_MODEL : EMBEDDING_MODELS[modelId];
+    if (!model) {
+        throw new Error(`Modèle d'embedding inconnu : ${modelId}. Valeurs acceptées : ${Object.keys(EMBEDDING_MODELS).join(', ')}`);
+    }
+    return model;
+};
+
+/**
+ * Modèle actif du corpus (app_settings.active_embedding_model).
+ * Repli sur EMBEDDING_MODEL / le modèle par défaut si le paramètre est absent.
+ */
+export const getActiveEmbeddingModelId = async (supabase: SupabaseClient): Promise<string> => {
+    const { data, error } = await supabase
+        .from('app_settings')
+        .select('value')
+        .eq('key', 'active_embedding_model')
+        .maybeSingle();
+
+    if (error) throw error;
+    return getEmbeddingModel(typeof data?.value === 'string' ? data.value : null).id;
+};
+
+export interface EmbeddingMigration {
+    id: string;
+    source_model: string;
+    target_model: string;
+    status: 'running' | 'failed' | 'cancelled' | 'completed';
+    total_count: number;
+    processed_count: number;
+    batch_size: number;
+    last_error: string | null;
+}
+
+/**
+ * Migration de modèle en cours (ou interrompue par une erreur), null sinon.
+ * Tant qu'elle existe, les nouveaux chunks doivent aussi être embeddés avec le modèle cible.
+ */
+export const getPendingEmbeddingMigration = async (supabase: SupabaseClient): Promise<EmbeddingMigration | null> => {
+    const { data, error } = await supabase
+        .from('embedding_migrations')
+        .select('*')
+        .in('status', ['running', 'failed'])
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Crée le client d'embedding pour un modèle du registre.
+ * Les textes sont envoyés par lots de `maxBatchSize`.
+ */
+export const createEmbeddingProvider = (id?: string | null): EmbeddingProvider => {
+    const model = getEmbeddingModel(id);
+
+    return {
+        ...model,
+        async embed(texts: string[], inputType: EmbeddingInputType = 'document') {
+            const vectors: number[][] = [];
+            for (let i = 0; i < texts.length; i += model.maxBatchSize) {
+                const batch = texts.slice(i, i + model.maxBatchSize);
+                const batchVectors = await EMBED_FUNCTIONS[model.provider](model, batch, inputType);
+
+                if (batchVectors.some((vector) => vector.length !== model.dimensions)) {
+                    throw new Error(`Dimension d'embedding inattendue pour ${model.id} (attendu : ${model.dimensions})`);
+                }
+                vectors.push(...batchVectors);
+            }
+            return vectors;
+        },
+    };
+};
+
+/**
+ * Texte embeddé pour un chunk : le chemin de titres est ajouté pour situer le chunk.
+ * Partagé entre l'ingestion et la ré-indexation pour produire des vecteurs identiques.
+ */
+export const chunkEmbeddingText = (content: string, headingPath: string[] | null | undefined): string =>
+    headingPath && headingPath.length > 0
+        ? `${headingPath.join(' > ')}\n\n${content}`
+        : content;
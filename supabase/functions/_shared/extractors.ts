@@ -0,0 +1,235 @@
+// ============================================================================
+// Extraction du texte des fichiers importés (PDF, DOCX, tableurs, texte brut)
+// Le texte produit alimente le chunker (titres DOCX convertis en Markdown) ;
+// les tableurs sont en plus découpés par feuille et par ligne (spreadsheets.ts)
+// ============================================================================
+
+import { extractText, getDocumentProxy } from "https://esm.sh/unpdf@0.12.1";
+import mammoth from "https://esm.sh/mammoth@1.8.0";
+// @deno-types="https://cdn.sheetjs.com/xlsx-0.20.3/package/types/index.d.ts"
+import * as XLSX from "https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs";
+import { CELL_SEPARATOR, type Sheet, type SheetRow } from "./spreadsheets.ts";
+
+export const PDF_MIME_TYPE = 'application/pdf';
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+export const LEGACY_DOC_MIME_TYPE = 'application/msword';
+export const CSV_MIME_TYPE = 'text/csv';
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown'];
+
+const EXTENSION_MIME_TYPES: Record<string, string> = {
+    pdf: PDF_MIME_TYPE,
+    docx: DOCX_MIME_TYPE,
+    doc: LEGACY_DOC_MIME_TYPE,
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: CSV_MIME_TYPE,
+    xlsx: XLSX_MIME_TYPE,
+};
+
+export interface ExtractedPage {
+    page: number;   // Numéro de page (1..n)
+    start: number;  // Offset de début de la page dans le texte extrait
+    end: number;    // Offset de fin (exclu)
+}
+
+export interface ExtractedDocument {
+    format: 'pdf' | 'docx' | 'spreadsheet' | 'text';
+    text: string;              // Texte normalisé (fins de ligne \n)
+    pages: ExtractedPage[];    // Vide si le format n'a pas de pagination
+    sheets?: Sheet[];          // Tableurs : feuilles et lignes (offsets dans text)
+}
+
+/**
+ * Détermine le type MIME effectif (le navigateur envoie parfois un type vide).
+ */
+export const resolveMimeType = (mimeType: string | null | undefined, filename = ''): string => {
+    if (mimeType && mimeType !== 'application/octet-stream') return mimeType;
+    const extension = filename.split('.').pop()?.toLowerCase() ?? '';
+    return EXTENSION_MIME_TYPES[extension] ?? mimeType ?? '';
+};
+
+/**
+ * Indique si le format doit être extrait côté serveur (fichier binaire).
+ */
+export const isBinaryFormat = (mimeType: string): boolean =>
+    mimeType === PDF_MIME_TYPE || mimeType === DOCX_MIME_TYPE || mimeType === LEGACY_DOC_MIME_TYPE || mimeType === XLSX_MIME_TYPE;
+
+/**
+ * Indique si le format est un tableur (découpé par groupes de lignes).
+ */
+export const isSpreadsheetFormat = (mimeType: string): boolean =>
+    mimeType === CSV_MIME_TYPE || mimeType === XLSX_MIME_TYPE;
+
+// Texte PDF : une page = un bloc, pages séparées par une ligne vide
+const extractPdf = async (bytes: Uint8Array): Promise<ExtractedDocument> => {
+    const pdf = await getDocumentProxy(bytes);
+    const { text: pageTexts } = await extractText(pdf, { mergePages: false });
+
+    const pages: ExtractedPage[] = [];
+    let text = '';
+
+    (pageTexts as string[]).forEach((rawPage, i) => {
+        const pageText = rawPage.replace(/\r\n?/g, '\n').replace(/[ \t]+\n/g, '\n').trim();
+        if (!pageText) return;
+
+        if (text) text += '\n\n';
+        pages.push({ page: i + 1, start: text.length, end: text.length + pageText.length });
+        text += pageText;
+    });
+
+    if (!text) {
+        throw new Error('Aucun texte trouvé dans le PDF (document scanné ?). La reconnaissance de caractères n\'est pas prise en charge.');
+    }
+
+    return { format: 'pdf', text, pages };
+};
+
+const decodeEntities = (value: string): string =>
+    value
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&amp;/g, '&');
+
+const stripTags = (html: string): string => decodeEntities(html.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+
+// Convertit le HTML (simple) produit par mammoth en Markdown :
+// titres -> #, paragraphes, listes -> "- ", tableaux -> lignes "cellule | cellule"
+const htmlToMarkdown = (html: string): string => {
+    const blocks: string[] = [];
+    const blockRegex = /<(h[1-6]|p|li|table)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = blockRegex.exec(html)) !== null) {
+        const [, tag, inner] = match;
+
+        if (tag === 'table') {
+            const rows = [...inner.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/g)]
+                .map((row) => [...row[1].matchAll(/<t[dh]\b[^>]*>([\s\S]*?)<\/t[dh]>/g)]
+                    .map((cell) => stripTags(cell[1]))
+                    .join(' | '))
+                .filter((row) => row.replace(/[|\s]/g, ''));
+            if (rows.length > 0) blocks.push(rows.join('\n'));
+            continue;
+        }
+
+        const text = stripTags(inner);
+        if (!text) continue;
+
+        if (tag.startsWith('h')) {
+            blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+        } else if (tag === 'li') {
+            blocks.push(`- ${text}`);
+        } else {
+            blocks.push(text);
+        }
+    }
+
+    return blocks.join('\n\n');
+};
+
+const extractDocx = async (bytes: Uint8Array): Promise<ExtractedDocument> => {
+    const arrayBuffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const { value: html } = await mammoth.convertToHtml({ arrayBuffer });
+    const text = htmlToMarkdown(html);
+
+    if (!text) throw new Error('Aucun texte trouvé dans le document Word');
+
+    return { format: 'docx', text, pages: [] };
+};
+
+// Cellule sur une seule ligne (le texte d'une ligne du tableur tient sur une ligne)
+const cellText = (value: unknown): string => String(value ?? '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Extrait les feuilles d'un tableur : fichier XLSX, ou CSV (octets ou texte déjà lu).
+ * La première ligne non vide d'une feuille sert d'en-tête (colonnes sans nom : "Colonne C").
+ * Les feuilles masquées ou sans ligne de données sont ignorées.
+ */
+export const extractSpreadsheet = (data: Uint8Array | string, mimeType: string): ExtractedDocument => {
+    const isCsv = mimeType === CSV_MIME_TYPE;
+
+    // CSV décodé en UTF-8 (séparateur , ; ou tabulation détecté par SheetJS), valeurs gardées telles quelles
+    const workbook = isCsv
+        ? XLSX.read(typeof data === 'string' ? data : new TextDecoder('utf-8').decode(data), { type: 'string', raw: true })
+        : XLSX.read(data, { type: typeof data === 'string' ? 'string' : 'array', cellDates: true });
+
+    const sheets: Sheet[] = [];
+    let text = '';
+
+    workbook.SheetNames.forEach((name, i) => {
+        if (workbook.Workbook?.Sheets?.[i]?.Hidden) return;
+
+        const worksheet = workbook.Sheets[name];
+        if (!worksheet?.['!ref']) return;
+
+        // Valeurs formatées (dates, montants) comme affichées dans le tableur
+        const range = XLSX.utils.decode_range(worksheet['!ref']);
+        const lines = XLSX.utils.sheet_to_json<unknown[]>(worksheet, { header: 1, raw: false, defval: '', blankrows: true })
+            .map((cells, j) => ({ row: range.s.r + j + 1, cells: cells.map(cellText) }))
+            .filter((line) => line.cells.some(Boolean));
+
+        if (lines.length < 2) return;
+
+        // Colonnes jusqu'à la dernière cellule renseignée
+        const width = Math.max(...lines.map((line) => line.cells.findLastIndex(Boolean) + 1));
+        const renderCells = (cells: string[], fallback: (column: number) => string) =>
+            Array.from({ length: width }, (_, c) => cells[c] || fallback(c)).join(CELL_SEPARATOR);
+
+        const [headerLine, ...dataLines] = lines;
+        const header = renderCells(headerLine.cells, (c) => `Colonne ${XLSX.utils.encode_col(range.s.c + c)}`);
+
+        if (text) text += '\n\n';
+        if (!isCsv) text += `## Feuille ${name}\n`;
+        text += header;
+
+        const rows: SheetRow[] = dataLines.map((line) => {
+            const rowText = renderCells(line.cells, () => '');
+            text += '\n';
+            const start = text.length;
+            text += rowText;
+            return { row: line.row, text: rowText, start, end: text.length };
+        });
+
+        sheets.push({ name: isCsv ? null : name, header, rows });
+    });
+
+    if (sheets.length === 0) throw new Error('Aucune donnée trouvée dans le tableur (ligne d\'en-tête et au moins une ligne attendues)');
+
+    return { format: 'spreadsheet', text, pages: [], sheets };
+};
+
+/**
+ * Extrait le texte d'un fichier selon son type MIME.
+ */
+export async function extractDocument(bytes: Uint8Array, mimeType: string): Promise<ExtractedDocument> {
+    if (mimeType === PDF_MIME_TYPE) return extractPdf(bytes);
+    if (mimeType === DOCX_MIME_TYPE) return extractDocx(bytes);
+
+    if (isSpreadsheetFormat(mimeType)) return extractSpreadsheet(bytes, mimeType);
+
+    if (mimeType === LEGACY_DOC_MIME_TYPE) {
+        throw new Error('Le format Word 97-2003 (.doc) n\'est pas pris en charge : enregistrez le fichier en .docx');
+    }
+
+    if (TEXT_MIME_TYPES.includes(mimeType) || mimeType.startsWith('text/')) {
+        const text = new TextDecoder('utf-8').decode(bytes).replace(/\r\n?/g, '\n');
+        return { format: 'text', text, pages: [] };
+    }
+
+    throw new Error(`Type de fichier non supporté : ${mimeType || 'inconnu'}`);
+}
+
+/**
+ * Pages couvertes par un intervalle du texte extrait (null si non paginé).
+ */
+export const pageRangeFor = (pages: ExtractedPage[], start: number, end: number) => {
+    const covered = pages.filter((p) => p.start < end && p.end > start);
+    if (covered.length === 0) return null;
+    return { page_start: covered[0].page, page_end: covered[covered.length - 1].page };
+};
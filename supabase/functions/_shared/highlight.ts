@@ -0,0 +1,46 @@
+// ============================================================================
+// Surlignage des phrases d'un passage qui répondent à une question
+// ============================================================================
+
+import { tokenize } from "./reranker.ts";
+
+export interface HighlightRange {
+    start: number;  // Offset de début dans le texte du passage
+    end: number;    // Offset de fin (exclu)
+    score: number;  // Part des termes de la question présents dans la phrase (0..1)
+}
+
+// Nombre max de phrases surlignées et score minimal pour l'être
+const MAX_HIGHLIGHTS = 3;
+const MIN_HIGHLIGHT_SCORE = 0.25;
+
+// Phrase : jusqu'à la ponctuation finale ou au saut de ligne
+const SENTENCE = /[^.!?\n]+(?:[.!?]+|$)/gm;
+
+/**
+ * Phrases du passage les plus proches de la question, dans l'ordre du texte.
+ */
+export const highlightSentences = (text: string, query: string): HighlightRange[] => {
+    const queryTerms = new Set(tokenize(query));
+    if (queryTerms.size === 0) return [];
+
+    const sentences: HighlightRange[] = [];
+    for (const match of text.matchAll(SENTENCE)) {
+        const raw = match[0];
+        const leading = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+        if (!trimmed) continue;
+
+        const sentenceTerms = new Set(tokenize(trimmed));
+        const matched = [...queryTerms].filter((term) => sentenceTerms.has(term)).length;
+        const start = match.index! + leading;
+
+        sentences.push({ start, end: start + trimmed.length, score: matched / queryTerms.size });
+    }
+
+    return sentences
+        .filter((sentence) => sentence.score >= MIN_HIGHLIGHT_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_HIGHLIGHTS)
+        .sort((a, b) => a.start - b.start);
+};
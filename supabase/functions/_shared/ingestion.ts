@@ -0,0 +1,327 @@
+// ============================================================================
+// Traitement d'un import (tâche ingestion_jobs) : extraction, découpage,
+// embedding et indexation. Exécuté par ingest-worker ; l'avancement est écrit
+// sur la tâche à chaque étape (suivi Realtime côté client).
+// ============================================================================
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { chunkText, normalizeText, resolveChunkOptions, type TextChunk } from "./chunker.ts";
+import {
+    chunkEmbeddingText,
+    createEmbeddingProvider,
+    getActiveEmbeddingModelId,
+    getPendingEmbeddingMigration,
+} from "./embeddings.ts";
+import {
+    extractDocument,
+    extractSpreadsheet,
+    isBinaryFormat,
+    isSpreadsheetFormat,
+    pageRangeFor,
+    resolveMimeType,
+    type ExtractedDocument,
+} from "./extractors.ts";
+import { chunkSpreadsheet, sheetRangeFor } from "./spreadsheets.ts";
+
+// Nombre de chunks embeddés et insérés par lot
+const EMBED_BATCH_SIZE = 50;
+
+// Bucket où SmartUploader dépose les fichiers originaux
+export const STORAGE_BUCKET = 'documents';
+
+/**
+ * Les fichiers d'une organisation sont déposés sous `${org_id}/` (politiques du bucket) :
+ * un chemin hors de ce préfixe appartient à une autre organisation et n'est jamais lu,
+ * signé ni supprimé pour son compte.
+ */
+export const isOrgStoragePath = (orgId: string, storagePath: string): boolean =>
+    storagePath.startsWith(`${orgId}/`) && !storagePath.split('/').includes('..');
+
+export type IngestionStatus = 'queued' | 'extracting' | 'chunking' | 'embedding' | 'done' | 'failed';
+
+// Requête d'import validée par ingest-api
+export interface IngestionPayload {
+    content?: string | null;
+    storage_path?: string | null;
+    metadata: Record<string, any>;
+    chunk_size?: number;
+    chunk_overlap?: number;
+}
+
+export interface IngestionJob {
+    id: string;
+    org_id: string;
+    created_by: string | null;
+    api_key_id: string | null;
+    status: IngestionStatus;
+    vertical_ids: string[];
+    payload: IngestionPayload;
+    content_hash: string | null;
+}
+
+// Violation de contrainte d'unicité (Postgres)
+const UNIQUE_VIOLATION = '23505';
+
+// Cause d'échec exploitable par le client (ingestion_jobs.error_code)
+export type IngestionErrorCode = 'duplicate';
+
+export class IngestionError extends Error {
+    code: IngestionErrorCode;
+
+    constructor(code: IngestionErrorCode, message: string) {
+        super(message);
+        this.name = 'IngestionError';
+        this.code = code;
+    }
+}
+
+// Empreinte SHA-256 (hex) attendue dans ingestion_jobs.content_hash
+export const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const toHex = (bytes: Uint8Array) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const sha256 = async (bytes: Uint8Array): Promise<string> =>
+    toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+
+/**
+ * Empreinte d'un contenu texte fourni directement (fins de ligne normalisées).
+ * Les fichiers stockés sont hachés par ingest-worker, à l'extraction.
+ */
+export const hashTextContent = (content: string): Promise<string> =>
+    sha256(new TextEncoder().encode(normalizeText(content)));
+
+export const updateIngestionJob = async (
+    supabase: SupabaseClient,
+    jobId: string,
+    changes: Record<string, unknown>
+): Promise<void> => {
+    const { error } = await supabase.from('ingestion_jobs').update(changes).eq('id', jobId);
+    if (error) throw error;
+};
+
+export const failIngestionJob = (supabase: SupabaseClient, jobId: string, error: unknown): Promise<void> =>
+    updateIngestionJob(supabase, jobId, {
+        status: 'failed',
+        error: error instanceof Error ? error.message : String(error),
+        error_code: error instanceof IngestionError ? error.code : null,
+        finished_at: new Date().toISOString(),
+    });
+
+interface ExtractedPayload {
+    extracted: ExtractedDocument;
+    contentHash: string;    // Texte fourni si présent, sinon fichier stocké
+}
+
+// Texte du document : fichier stocké (PDF, DOCX, XLSX...) ou contenu texte fourni directement.
+// L'empreinte est calculée sur ce qui est lu, sans second téléchargement.
+const extractPayload = async (supabase: SupabaseClient, payload: IngestionPayload, mimeType: string): Promise<ExtractedPayload> => {
+    const { content, storage_path } = payload;
+
+    if (storage_path && (isBinaryFormat(mimeType) || !content)) {
+        const { data: file, error: downloadError } = await supabase.storage
+            .from(STORAGE_BUCKET)
+            .download(storage_path);
+
+        if (downloadError || !file) {
+            throw new Error(`Fichier introuvable dans le stockage : ${storage_path}`);
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        return {
+            extracted: await extractDocument(bytes, mimeType),
+            contentHash: await sha256(bytes),
+        };
+    }
+
+    if (typeof content === 'string' && !content.startsWith('[PDF:BASE64]')) {
+        // CSV transmis en texte : découpé comme un tableur
+        const extracted: ExtractedDocument = isSpreadsheetFormat(mimeType)
+            ? extractSpreadsheet(content, mimeType)
+            : { format: 'text', text: content, pages: [] };
+        return { extracted, contentHash: await hashTextContent(content) };
+    }
+
+    throw new Error('Les fichiers PDF, Word et Excel doivent être transmis via storage_path');
+};
+
+// Document courant de même contenu dans l'organisation
+const findDuplicateDocument = async (supabase: SupabaseClient, orgId: string, contentHash: string) => {
+    const { data, error } = await supabase
+        .from('source_documents')
+        .select('id, filename, version')
+        .eq('org_id', orgId)
+        .eq('content_hash', contentHash)
+        .is('superseded_at', null)
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Traite une tâche réservée par claim_ingestion_job (statut extracting) jusqu'à done.
+ * En cas d'erreur, aucun document à moitié indexé n'est conservé ; le passage en failed
+ * est laissé à l'appelant.
+ */
+export const processIngestionJob = async (supabase: SupabaseClient, job: IngestionJob) => {
+    const { payload, vertical_ids: verticalIds } = job;
+    const metadata = payload.metadata ?? {};
+
+    // Chemin contrôlé par ingest-api ; vérifié à nouveau pour les tâches enregistrées avant ce contrôle
+    if (payload.storage_path && !isOrgStoragePath(job.org_id, payload.storage_path)) {
+        throw new Error(`Fichier hors de l'organisation : ${payload.storage_path}`);
+    }
+
+    // 1. Extraction
+    const mimeType = resolveMimeType(metadata.fileType, metadata.filename);
+    const { extracted, contentHash } = await extractPayload(supabase, payload, mimeType);
+
+    if (!extracted.text.trim()) {
+        throw new Error('Le contenu du document est vide');
+    }
+
+    // Empreinte réelle : celle déclarée à ingest-api n'est qu'indicative
+    const duplicate = await findDuplicateDocument(supabase, job.org_id, contentHash);
+    if (duplicate) {
+        throw new IngestionError('duplicate', `Document déjà importé : ${duplicate.filename ?? duplicate.id} (version ${duplicate.version})`);
+    }
+    if (contentHash !== job.content_hash) {
+        await updateIngestionJob(supabase, job.id, { content_hash: contentHash });
+    }
+
+    // 2. Découpage en chunks (taille / chevauchement configurables par requête ;
+    //    tableurs : groupes de lignes avec en-tête, sans chevauchement)
+    await updateIngestionJob(supabase, job.id, { status: 'chunking' });
+
+    const { chunkSize, chunkOverlap } = resolveChunkOptions({
+        chunkSize: payload.chunk_size,
+        chunkOverlap: payload.chunk_overlap,
+    });
+    const text = normalizeText(extracted.text);
+    const chunks: TextChunk[] = extracted.sheets
+        ? chunkSpreadsheet(extracted.sheets, { chunkSize })
+        : chunkText(text, { chunkSize, chunkOverlap });
+
+    if (chunks.length === 0) {
+        throw new Error('Aucun contenu exploitable dans le document');
+    }
+
+    // Modèle d'embedding actif, partagé avec rag-brain (registre _shared/embeddings.ts)
+    const embedder = createEmbeddingProvider(await getActiveEmbeddingModelId(supabase));
+
+    // Migration de modèle en cours : les nouveaux chunks sont aussi embeddés avec le modèle cible
+    const migration = await getPendingEmbeddingMigration(supabase);
+    const nextEmbedder = migration ? createEmbeddingProvider(migration.target_model) : null;
+
+    console.log(`📄 Ingestion ${job.id}: ${metadata.filename ?? 'document'} [${extracted.format}] -> ${chunks.length} chunks (${chunkSize}/${chunkOverlap}) [${verticalIds.join(', ')}]`);
+
+    await updateIngestionJob(supabase, job.id, {
+        status: 'embedding',
+        chunk_count: chunks.length,
+        chunks_embedded: 0,
+    });
+
+    // 3. Document parent
+    const { data: sourceDocument, error: sourceError } = await supabase
+        .from('source_documents')
+        .insert({
+            title: metadata.title ?? metadata.filename ?? null,
+            filename: metadata.filename ?? null,
+            mime_type: mimeType || null,
+            storage_path: payload.storage_path ?? null,
+            page_count: extracted.pages.length > 0 ? extracted.pages[extracted.pages.length - 1].page : null,
+            vertical_id: verticalIds[0],
+            vertical_ids: verticalIds,
+            org_id: job.org_id,
+            uploaded_by: job.created_by,
+            api_key_id: job.api_key_id,
+            content_hash: contentHash,
+            metadata,
+            embedding_model: embedder.id,
+            content_length: text.length,
+            chunk_size: chunkSize,
+            chunk_overlap: chunkOverlap,
+        })
+        .select()
+        .single();
+
+    // Import concurrent du même contenu (cf. idx_source_documents_org_content_hash)
+    if (sourceError?.code === UNIQUE_VIOLATION) {
+        throw new IngestionError('duplicate', 'Document déjà importé dans l\'organisation (contenu identique)');
+    }
+    if (sourceError) throw sourceError;
+
+    // 4. Embedding + insertion par lots
+    try {
+        // Worker arrêté en cours de route : claim_ingestion_job supprime ce document avant la reprise
+        await updateIngestionJob(supabase, job.id, { source_document_id: sourceDocument.id });
+
+        for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+            const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+
+            const texts = batch.map((chunk) => chunkEmbeddingText(chunk.content, chunk.headingPath));
+            const embeddings = await embedder.embed(texts, 'document');
+            const nextEmbeddings = nextEmbedder ? await nextEmbedder.embed(texts, 'document') : null;
+
+            const rows = batch.map((chunk, j) => ({
+                content: chunk.content,
+                metadata: {
+                    ...metadata,
+                    chunk_index: chunk.index,
+                    chunk_count: chunks.length,
+                    char_start: chunk.start,
+                    char_end: chunk.end,
+                    heading_path: chunk.headingPath,
+                    ...pageRangeFor(extracted.pages, chunk.start, chunk.end),
+                    ...sheetRangeFor(chunk),
+                },
+                vertical_id: verticalIds[0],
+                vertical_ids: verticalIds,
+                org_id: job.org_id,
+                embedding: embeddings[j],
+                embedding_model: embedder.id,
+                ...(nextEmbeddings && {
+                    embedding_next: nextEmbeddings[j],
+                    embedding_next_model: nextEmbedder!.id,
+                }),
+                parent_document_id: sourceDocument.id,
+                chunk_index: chunk.index,
+                heading_path: chunk.headingPath,
+            }));
+
+            const { error: insertError } = await supabase.from('documents').insert(rows);
+            if (insertError) throw insertError;
+
+            await updateIngestionJob(supabase, job.id, { chunks_embedded: i + batch.length });
+        }
+
+        // Document complet (chunk_count) et, même nom de fichier : nouvelle version, les chunks
+        // des versions précédentes sont supprimés, le tout dans une seule transaction
+        const { error: versionError } = await supabase.rpc('supersede_previous_versions', {
+            p_document_id: sourceDocument.id,
+            p_chunk_count: chunks.length,
+        });
+        if (versionError) throw versionError;
+    } catch (chunkError) {
+        // Pas de document à moitié indexé : on supprime le parent (et ses chunks en cascade)
+        await supabase.from('source_documents').delete().eq('id', sourceDocument.id);
+        throw chunkError;
+    }
+
+    const { data: document, error } = await supabase
+        .from('source_documents')
+        .select()
+        .eq('id', sourceDocument.id)
+        .single();
+
+    if (error) throw error;
+
+    await updateIngestionJob(supabase, job.id, {
+        status: 'done',
+        source_document_id: document.id,
+        finished_at: new Date().toISOString(),
+    });
+
+    return { document, chunkCount: chunks.length };
+};
@@ -0,0 +1,117 @@
+// ============================================================================
+// Prompt de génération et citations
+// Chaque passage du contexte est numéroté ; le modèle cite ses sources avec des
+// marqueurs [1], [2]... qui renvoient à la position de la source dans `sources`.
+// ============================================================================
+
+import { describeRowRange } from "./spreadsheets.ts";
+
+export interface ContextDocument {
+    id: string;
+    content: string;
+    metadata?: Record<string, any> | null;
+    heading_path?: string[] | null;
+}
+
+export interface Citation {
+    index: number;      // Numéro du marqueur [n] (position 1..n dans sources)
+    source_id: string;  // id du chunk cité
+    label: string;      // Référence lisible (fichier, section, pages ou lignes)
+}
+
+export interface PromptSettings {
+    verticalName?: string | null;   // Remplace {{vertical}} dans le modèle (défaut : id de la verticale)
+    template?: string | null;       // Prompt propre à la verticale (verticals.system_prompt)
+    answerStyle?: AnswerStyle | null;
+}
+
+// Règle de citation : toujours présente, même avec un prompt propre à la verticale
+export const CITATION_RULE = "Cite tes sources avec leur numéro entre crochets, juste après l'affirmation qu'elles justifient : [1], ou [1][3] pour plusieurs sources. N'utilise que les numéros présents dans le contexte.";
+
+export const SYSTEM_PROMPT = `Tu es un assistant expert spécialisé. Tu réponds aux questions en te basant UNIQUEMENT sur le contexte fourni.
+
+RÈGLES STRICTES:
+1. Base tes réponses EXCLUSIVEMENT sur le contexte fourni ci-dessous.
+2. Si le contexte ne contient pas l'information demandée, dis-le clairement.
+3. Ne jamais inventer d'informations non présentes dans le contexte.
+4. ${CITATION_RULE}
+5. Réponds en français de manière claire et professionnelle.`;
+
+// Styles de réponse (verticals.answer_style) : consigne ajoutée au prompt
+export const ANSWER_STYLES = {
+    balanced: null,
+    concise: "Réponds de façon concise : quelques phrases au plus, sans détail superflu.",
+    detailed: "Donne une réponse détaillée et structurée, en développant chaque point pertinent du contexte.",
+    bullets: "Présente ta réponse sous forme de liste à puces, un point par idée.",
+} as const;
+
+export type AnswerStyle = keyof typeof ANSWER_STYLES;
+
+// Marqueurs [1], [2], [1, 3]
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Référence lisible d'un chunk : fichier, section et pages (ex. "contrat.pdf, p. 12"),
+ * ou feuille et lignes pour un tableur (ex. "budget.xlsx, Feuille Budget, lignes 40–60").
+ */
+export const describeSource = (doc: ContextDocument): string => {
+    const metadata = doc.metadata ?? {};
+    const parts = [metadata.filename ?? metadata.title ?? 'Document'];
+    if (doc.heading_path?.length) parts.push(doc.heading_path.join(' > '));
+    if (metadata.page_start) {
+        parts.push(metadata.page_end && metadata.page_end !== metadata.page_start
+            ? `p. ${metadata.page_start}-${metadata.page_end}`
+            : `p. ${metadata.page_start}`);
+    }
+    if (metadata.row_start) parts.push(describeRowRange(metadata.sheet_name, metadata.row_start, metadata.row_end));
+    return parts.join(', ');
+};
+
+/**
+ * Contexte numéroté : "[n] référence" suivi du passage, dans l'ordre des sources.
+ */
+export const buildContext = (documents: ContextDocument[]): string =>
+    documents.map((doc, i) => `[${i + 1}] ${describeSource(doc)}\n${doc.content}`).join("\n\n---\n\n")
+    || "Aucun document pertinent.";
+
+/**
+ * Prompt système complet : consignes (modèle de la verticale ou prompt par défaut),
+ * style de réponse, puis contexte numéroté.
+ */
+export const buildSystemPrompt = (verticalId: string, documents: ContextDocument[], settings: PromptSettings = {}): string => {
+    const verticalName = settings.verticalName || verticalId;
+    const instructions = settings.template?.trim()
+        ? `${settings.template.trim().replaceAll('{{vertical}}', verticalName)}\n\nCITATIONS : ${CITATION_RULE}`
+        : SYSTEM_PROMPT;
+    const style = ANSWER_STYLES[settings.answerStyle ?? 'balanced'];
+
+    return `${instructions}${style ? `\n\nSTYLE : ${style}` : ''}\n\nVerticale : ${verticalName}\n\nCONTEXTE:\n${buildContext(documents)}`;
+};
+
+/**
+ * Table des citations effectivement utilisées dans la réponse (numéros valides, sans doublon).
+ */
+export const extractCitations = (answer: string, documents: ContextDocument[]): Citation[] => {
+    const indexes = new Set<number>();
+
+    for (const match of answer.matchAll(CITATION_MARKER)) {
+        for (const value of match[1].split(',')) {
+            const index = Number(value.trim());
+            if (index >= 1 && index <= documents.length) indexes.add(index);
+        }
+    }
+
+    return [...indexes]
+        .sort((a, b) => a - b)
+        .map((index) => ({
+            index,
+            source_id: documents[index - 1].id,
+            label: describeSource(documents[index - 1]),
+        }));
+};
+
+/**
+ * Retire les marqueurs d'une réponse précédente (ils renvoient à d'autres sources).
+ */
+export const stripCitationMarkers = (text: string): string =>
+    text.replace(CITATION_MARKER, '').replace(/[ \t]+([.,])/g, '$1').replace(/ {2,}/g, ' ');
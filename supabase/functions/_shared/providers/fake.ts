@@ -0,0 +1,108 @@
+// ============================================================================
+// Fournisseur local déterministe (LLM_PROVIDER=fake)
+// Aucun appel réseau ni clé d'API : les Edge Functions et le banc d'évaluation
+// tournent hors ligne avec des résultats reproductibles.
+//   chat          : répond avec les phrases du contexte numéroté les plus proches
+//                   de la question, citées [n] ; en JSON, renvoie un objet vide
+//   transcription : texte fixe décrivant le fichier reçu
+//   embeddings    : sac de mots haché et normalisé
+// Aucune dépendance externe : ce module est importable sans réseau.
+// ============================================================================
+
+import { tokenize } from "../reranker.ts";
+import { highlightSentences } from "../highlight.ts";
+import type { ChatMessage, ChatProvider, EmbedFunction, TranscriptionProvider } from "./types.ts";
+
+export const FAKE_MODEL = 'fake';
+
+// Nombre max de phrases reprises dans une réponse
+const MAX_ANSWER_SENTENCES = 2;
+
+// Réponse quand le contexte ne contient rien de proche de la question (règle 2 du prompt système)
+export const FAKE_NO_ANSWER = "Le contexte fourni ne contient pas l'information demandée.";
+
+// Hachage FNV-1a 32 bits
+const hash = (value: string): number => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        h ^= value.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+/**
+ * Embedding local : sac de mots haché, normalisé.
+ * Le préfixe de 5 lettres rapproche les formes fléchies (fournisseur / fournisseurs).
+ */
+export const hashEmbedding = (text: string, dimensions = 768): number[] => {
+    const vector = new Array(dimensions).fill(0);
+    for (const token of tokenize(text)) {
+        vector[hash(token) % dimensions] += 1;
+        if (token.length > 5) vector[hash(`~${token.slice(0, 5)}`) % dimensions] += 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+};
+
+/**
+ * Réponse extractive : relit le contexte numéroté du prompt système (cf. prompt.ts)
+ * et reprend les phrases les plus proches de la question, avec leur numéro.
+ * Sans contexte (ex. reformulation d'une question), renvoie la dernière ligne du message.
+ */
+export const extractiveAnswer = (messages: ChatMessage[]): string => {
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+    const question = [...messages].reverse().find((m) => m.role === 'user')?.content ?? '';
+
+    if (!system.includes('CONTEXTE:\n')) {
+        const lastLine = question.trim().split('\n').pop() ?? '';
+        return lastLine.replace(/^[^:\n]{1,40} : /, '');
+    }
+
+    const context = system.split('CONTEXTE:\n')[1];
+    const passages = context.split('\n\n---\n\n').flatMap((block) => {
+        const match = block.match(/^\[(\d+)\][^\n]*\n([\s\S]*)$/);
+        return match ? [{ index: Number(match[1]), content: match[2] }] : [];
+    });
+
+    const sentences = passages
+        .flatMap((passage) => highlightSentences(passage.content, question).map((range) => ({
+            index: passage.index,
+            text: passage.content.slice(range.start, range.end),
+            score: range.score,
+        })))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, MAX_ANSWER_SENTENCES);
+
+    if (sentences.length === 0) return FAKE_NO_ANSWER;
+
+    return sentences
+        .map((sentence) => `${sentence.text.replace(/[.!?]+$/, '')} [${sentence.index}].`)
+        .join(' ');
+};
+
+export const createFakeChat = (model = FAKE_MODEL): ChatProvider => ({
+    id: 'fake',
+    model,
+    async complete(messages, options = {}) {
+        return options.json ? '{}' : extractiveAnswer(messages);
+    },
+    async *stream(messages) {
+        // Découpage par mots pour reproduire des deltas successifs
+        for (const word of extractiveAnswer(messages).split(/(?<= )/)) {
+            yield word;
+        }
+    },
+});
+
+export const createFakeTranscription = (model = FAKE_MODEL): TranscriptionProvider => ({
+    id: 'fake',
+    model,
+    async transcribe(file) {
+        return `Transcription simulée de ${file.name || 'audio'} (${file.size} octets).`;
+    },
+});
+
+export const embedWithFake: EmbedFunction = async (model, texts) =>
+    texts.map((text) => hashEmbedding(text, model.dimensions));
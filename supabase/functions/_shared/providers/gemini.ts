@@ -0,0 +1,65 @@
+// ============================================================================
+// Fournisseur Gemini : chat et embeddings
+// ============================================================================
+
+import { GoogleGenerativeAI } from "https://esm.sh/@google/generative-ai@0.21.0";
+import type { ChatMessage, ChatOptions, ChatProvider, EmbedFunction } from "./types.ts";
+
+const createClient = (): GoogleGenerativeAI => {
+    const apiKey = Deno.env.get('GEMINI_API_KEY');
+    if (!apiKey) throw new Error('Clé API Gemini manquante (GEMINI_API_KEY)');
+    return new GoogleGenerativeAI(apiKey);
+};
+
+// Gemini reçoit les consignes système à part, et nomme "model" les réponses de l'assistant
+const toGeminiRequest = (genAI: GoogleGenerativeAI, model: string, messages: ChatMessage[], options: ChatOptions) => {
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+
+    const generativeModel = genAI.getGenerativeModel({
+        model: options.model ?? model,
+        ...(system && { systemInstruction: system }),
+        generationConfig: {
+            temperature: options.temperature,
+            ...(options.json && { responseMimeType: 'application/json' }),
+        },
+    });
+
+    const contents = messages
+        .filter((m) => m.role !== 'system')
+        .map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+    return { generativeModel, contents };
+};
+
+export const createGeminiChat = (model: string): ChatProvider => {
+    const genAI = createClient();
+
+    return {
+        id: 'gemini',
+        model,
+        async complete(messages, options = {}) {
+            const { generativeModel, contents } = toGeminiRequest(genAI, model, messages, options);
+            const result = await generativeModel.generateContent({ contents }, { signal: options.signal });
+            return result.response.text();
+        },
+        async *stream(messages, options = {}) {
+            const { generativeModel, contents } = toGeminiRequest(genAI, model, messages, options);
+            const result = await generativeModel.generateContentStream({ contents }, { signal: options.signal });
+            for await (const chunk of result.stream) {
+                const delta = chunk.text();
+                if (delta) yield delta;
+            }
+        },
+    };
+};
+
+export const embedWithGemini: EmbedFunction = async (model, texts, inputType) => {
+    const embeddingModel = createClient().getGenerativeModel({ model: model.model });
+    const result = await embeddingModel.batchEmbedContents({
+        requests: texts.map((text) => ({
+            content: { role: 'user', parts: [{ text }] },
+            taskType: (inputType === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT') as any,
+        })),
+    });
+    return result.embeddings.map((embedding) => embedding.values);
+};
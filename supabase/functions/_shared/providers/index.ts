@@ -0,0 +1,79 @@
+// ============================================================================
+// Fournisseurs d'IA : sélection par configuration
+//   LLM_PROVIDER            openai (défaut) | gemini | fake
+//   CHAT_MODEL              modèle de génération (rag-brain, reformulation, reranking)
+//   ANALYSIS_MODEL          modèle d'analyse (résumés de process-audio)
+//   TRANSCRIPTION_PROVIDER  openai | fake (défaut : fake si LLM_PROVIDER=fake, sinon openai)
+//   TRANSCRIPTION_MODEL     modèle de transcription
+// Les embeddings suivent le modèle actif du corpus (cf. embeddings.ts).
+// ============================================================================
+
+import { createFakeChat, createFakeTranscription, FAKE_MODEL } from "./fake.ts";
+import { createGeminiChat } from "./gemini.ts";
+import { createOpenAIChat, createOpenAITranscription } from "./openai.ts";
+import type { ChatProvider, TranscriptionProvider } from "./types.ts";
+
+export type * from "./types.ts";
+
+export const LLM_PROVIDERS = ['openai', 'gemini', 'fake'] as const;
+export type LlmProviderId = typeof LLM_PROVIDERS[number];
+
+export const TRANSCRIPTION_PROVIDERS = ['openai', 'fake'] as const;
+export type TranscriptionProviderId = typeof TRANSCRIPTION_PROVIDERS[number];
+
+// Usage du modèle de chat : réponses courantes, ou analyses plus longues
+export type ChatPurpose = 'chat' | 'analysis';
+
+const DEFAULT_CHAT_MODELS: Record<LlmProviderId, Record<ChatPurpose, string>> = {
+    openai: { chat: 'gpt-4o-mini', analysis: 'gpt-4o' },
+    gemini: { chat: 'gemini-1.5-flash', analysis: 'gemini-1.5-pro' },
+    fake: { chat: FAKE_MODEL, analysis: FAKE_MODEL },
+};
+
+const DEFAULT_TRANSCRIPTION_MODELS: Record<TranscriptionProviderId, string> = {
+    openai: 'whisper-1',
+    fake: FAKE_MODEL,
+};
+
+const resolveProvider = <T extends string>(variable: string, allowed: readonly T[], fallback: T): T => {
+    const value = Deno.env.get(variable) || fallback;
+    if (!allowed.includes(value as T)) {
+        throw new Error(`${variable} invalide : ${value}. Valeurs acceptées : ${allowed.join(', ')}`);
+    }
+    return value as T;
+};
+
+export const getLlmProviderId = (): LlmProviderId =>
+    resolveProvider('LLM_PROVIDER', LLM_PROVIDERS, 'openai');
+
+/**
+ * Client de chat du fournisseur configuré.
+ */
+export const createChatProvider = (purpose: ChatPurpose = 'chat'): ChatProvider => {
+    const providerId = getLlmProviderId();
+    const model = Deno.env.get(purpose === 'analysis' ? 'ANALYSIS_MODEL' : 'CHAT_MODEL')
+        || DEFAULT_CHAT_MODELS[providerId][purpose];
+
+    switch (providerId) {
+        case 'gemini':
+            return createGeminiChat(model);
+        case 'fake':
+            return createFakeChat(model);
+        default:
+            return createOpenAIChat(model);
+    }
+};
+
+/**
+ * Client de transcription audio du fournisseur configuré.
+ */
+export const createTranscriptionProvider = (): TranscriptionProvider => {
+    const providerId = resolveProvider(
+        'TRANSCRIPTION_PROVIDER',
+        TRANSCRIPTION_PROVIDERS,
+        getLlmProviderId() === 'fake' ? 'fake' : 'openai'
+    );
+    const model = Deno.env.get('TRANSCRIPTION_MODEL') || DEFAULT_TRANSCRIPTION_MODELS[providerId];
+
+    return providerId === 'fake' ? createFakeTranscription(model) : createOpenAITranscription(model);
+};
@@ -0,0 +1,73 @@
+// ============================================================================
+// Fournisseur OpenAI : chat, transcription (Whisper) et embeddings
+// ============================================================================
+
+import OpenAI from "https://esm.sh/openai@4.28.0";
+import type { ChatProvider, EmbedFunction, TranscriptionProvider } from "./types.ts";
+
+const createClient = (): OpenAI => {
+    const apiKey = Deno.env.get('OPENAI_API_KEY');
+    if (!apiKey) throw new Error('Clé API OpenAI manquante (OPENAI_API_KEY)');
+    return new OpenAI({ apiKey });
+};
+
+export const createOpenAIChat = (model: string): ChatProvider => {
+    const openai = createClient();
+
+    return {
+        id: 'openai',
+        model,
+        async complete(messages, options = {}) {
+            const completion = await openai.chat.completions.create({
+                model: options.model ?? model,
+                messages,
+                temperature: options.temperature,
+                ...(options.json && { response_format: { type: 'json_object' as const } }),
+            }, { signal: options.signal });
+
+            return completion.choices[0].message.content ?? '';
+        },
+        async *stream(messages, options = {}) {
+            const completionStream = await openai.chat.completions.create({
+                model: options.model ?? model,
+                messages,
+                temperature: options.temperature,
+                stream: true,
+            }, { signal: options.signal });
+
+            for await (const chunk of completionStream) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+        },
+    };
+};
+
+export const createOpenAITranscription = (model: string): TranscriptionProvider => {
+    const openai = createClient();
+
+    return {
+        id: 'openai',
+        model,
+        async transcribe(file, options = {}) {
+            const transcription = await openai.audio.transcriptions.create({
+                file,
+                model,
+                language: options.language,
+                response_format: 'json',
+            });
+            return transcription.text;
+        },
+    };
+};
+
+export const embedWithOpenAI: EmbedFunction = async (model, texts) => {
+    const response = await createClient().embeddings.create({
+        model: model.model,
+        input: texts,
+        dimensions: model.dimensions,
+    });
+    return response.data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+};
@@ -0,0 +1,48 @@
+// ============================================================================
+// Fournisseurs d'IA : contrats communs
+// Chat (génération, analyse), transcription audio et embeddings. Les Edge
+// Functions n'instancient plus de SDK : elles passent par ces interfaces.
+// ============================================================================
+
+export type ChatRole = 'system' | 'user' | 'assistant';
+
+export interface ChatMessage {
+    role: ChatRole;
+    content: string;
+}
+
+export interface ChatOptions {
+    model?: string;        // Remplace le modèle configuré (ex. modèle propre à une verticale)
+    temperature?: number;
+    json?: boolean;        // Réponse attendue : un objet JSON
+    signal?: AbortSignal;  // Interruption de la génération (client déconnecté)
+}
+
+export interface ChatProvider {
+    id: string;            // Fournisseur : 'openai', 'gemini', 'fake'
+    model: string;         // Modèle utilisé si options.model est absent
+    complete(messages: ChatMessage[], options?: ChatOptions): Promise<string>;
+    stream(messages: ChatMessage[], options?: ChatOptions): AsyncIterable<string>;
+}
+
+export interface TranscriptionOptions {
+    language?: string;     // Code ISO 639-1 (ex. 'fr')
+}
+
+export interface TranscriptionProvider {
+    id: string;
+    model: string;
+    transcribe(file: File, options?: TranscriptionOptions): Promise<string>;
+}
+
+// Usage du vecteur : certains modèles distinguent documents indexés et questions
+export type EmbeddingInputType = 'document' | 'query';
+
+/**
+ * Embedding d'un lot de textes avec un modèle donné (nom chez le fournisseur, dimension).
+ */
+export type EmbedFunction = (
+    model: { model: string; dimensions: number },
+    texts: string[],
+    inputType: EmbeddingInputType
+) => Promise<number[][]>;
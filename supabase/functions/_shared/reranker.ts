@@ -0,0 +1,144 @@
+// ============================================================================
+// Reranking des passages retrouvés
+// La recherche ramène plus de candidats que nécessaire ; le reranker les note
+// au regard de la question et ne garde que les meilleurs.
+// Aucune dépendance fournisseur : le reranker LLM reçoit une fonction de complétion.
+// ============================================================================
+
+export interface RerankCandidate {
+    id: string;
+    content: string;
+}
+
+export type Reranked<T> = T & { rerank_score: number };
+
+export interface Reranker {
+    id: string;
+    rerank<T extends RerankCandidate>(query: string, candidates: T[], topK: number): Promise<Reranked<T>[]>;
+}
+
+// Complétion JSON : (prompt système, message utilisateur) -> texte JSON
+export type JsonCompletion = (system: string, user: string) => Promise<string>;
+
+export const RERANKER_IDS = ['llm', 'lexical'] as const;
+export type RerankerId = typeof RERANKER_IDS[number];
+
+// Facteur de sur-échantillonnage avant reranking, et plafond du nombre de candidats
+export const RERANK_OVERFETCH = 3;
+export const MAX_RERANK_CANDIDATES = 50;
+
+// Taille max d'un passage envoyé au reranker LLM
+const MAX_PASSAGE_LENGTH = 1200;
+
+/**
+ * Nombre de candidats à demander à la recherche pour en garder `matchCount` après reranking.
+ */
+export const rerankFetchCount = (matchCount: number): number =>
+    Math.max(matchCount, Math.min(matchCount * RERANK_OVERFETCH, MAX_RERANK_CANDIDATES));
+
+// Tri par score décroissant ; à score égal, l'ordre de la recherche est conservé
+const rankByScore = <T extends RerankCandidate>(candidates: T[], scores: number[], topK: number): Reranked<T>[] =>
+    candidates
+        .map((candidate, i) => ({ ...candidate, rerank_score: scores[i] ?? 0 }))
+        .sort((a, b) => b.rerank_score - a.rerank_score)
+        .slice(0, topK);
+
+// ---------------------------------------------------------------------------
+// Reranker lexical (déterministe, sans appel réseau)
+// ---------------------------------------------------------------------------
+
+const STOPWORDS = new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'en', 'au', 'aux',
+    'ce', 'ces', 'cet', 'cette', 'est', 'sont', 'qui', 'que', 'quoi', 'quel', 'quelle',
+    'quels', 'quelles', 'dans', 'par', 'pour', 'sur', 'avec', 'sans', 'pas', 'ne', 'se',
+    'il', 'elle', 'ils', 'elles', 'on', 'nous', 'vous', 'je', 'tu', 'son', 'sa', 'ses',
+    'leur', 'leurs', 'comment', 'combien', 'quand', 'doit', 'faut', 'peut',
+    'the', 'of', 'and', 'to', 'in', 'is', 'for', 'what', 'how',
+]);
+
+export const tokenize = (text: string): string[] =>
+    text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+
+/**
+ * Score de recouvrement pondéré par la rareté des termes parmi les candidats (0..1).
+ */
+export const createLexicalReranker = (): Reranker => ({
+    id: 'lexical',
+    async rerank(query, candidates, topK) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return rankByScore(candidates, [], topK);
+
+        const termCounts = candidates.map((candidate) => {
+            const counts = new Map<string, number>();
+            for (const token of tokenize(candidate.content)) {
+                counts.set(token, (counts.get(token) ?? 0) + 1);
+            }
+            return counts;
+        });
+
+        const idf = new Map(queryTerms.map((term) => {
+            const df = termCounts.filter((counts) => counts.has(term)).length;
+            return [term, Math.log(1 + candidates.length / (1 + df))];
+        }));
+        const maxScore = queryTerms.reduce((sum, term) => sum + idf.get(term)!, 0);
+
+        const scores = termCounts.map((counts) => {
+            const score = queryTerms.reduce((sum, term) => {
+                const tf = counts.get(term) ?? 0;
+                return sum + idf.get(term)! * (tf / (tf + 1.2));
+            }, 0);
+            return maxScore > 0 ? score / maxScore : 0;
+        });
+
+        return rankByScore(candidates, scores, topK);
+    },
+});
+
+// ---------------------------------------------------------------------------
+// Reranker LLM : le modèle note chaque passage de 0 à 10
+// ---------------------------------------------------------------------------
+
+const LLM_RERANK_PROMPT = `Tu évalues la pertinence de passages documentaires pour répondre à une question.
+Note chaque passage de 0 (hors sujet) à 10 (répond directement à la question).
+Réponds uniquement en JSON : {"scores": [{"index": 1, "score": 7}, ...]} avec une entrée par passage.`;
+
+export const createLlmReranker = (complete: JsonCompletion): Reranker => ({
+    id: 'llm',
+    async rerank(query, candidates, topK) {
+        if (candidates.length === 0) return [];
+
+        const passages = candidates
+            .map((candidate, i) => `[${i + 1}] ${candidate.content.slice(0, MAX_PASSAGE_LENGTH)}`)
+            .join('\n\n');
+
+        const raw = await complete(LLM_RERANK_PROMPT, `Question : ${query}\n\nPassages :\n${passages}`);
+        const parsed = JSON.parse(raw || '{}');
+
+        const scores: number[] = new Array(candidates.length).fill(0);
+        for (const entry of Array.isArray(parsed.scores) ? parsed.scores : []) {
+            const index = Number(entry?.index) - 1;
+            const score = Number(entry?.score);
+            if (index >= 0 && index < candidates.length && Number.isFinite(score)) {
+                scores[index] = Math.min(Math.max(score / 10, 0), 1);
+            }
+        }
+
+        return rankByScore(candidates, scores, topK);
+    },
+});
+
+/**
+ * Résout le reranker demandé (null : pas de reranking).
+ * `true` sélectionne le reranker par défaut (LLM).
+ */
+export const resolveRerankerId = (requested: unknown): RerankerId | null => {
+    if (requested === undefined || requested === null || requested === false || requested === 'none') return null;
+    if (requested === true) return 'llm';
+    if (RERANKER_IDS.includes(requested as RerankerId)) return requested as RerankerId;
+    throw new Error(`rerank invalide. Valeurs acceptées : true, false, ${RERANKER_IDS.join(', ')}`);
+};
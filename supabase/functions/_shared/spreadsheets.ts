@@ -0,0 +1,96 @@
+// ============================================================================
+// Découpage des tableurs (CSV, XLSX) par groupes de lignes
+// Chaque chunk reprend la ligne d'en-tête de sa feuille et indique la feuille
+// et les lignes couvertes, pour des citations du type "Feuille Budget, lignes 40–60"
+// ============================================================================
+
+import { resolveChunkOptions, type ChunkOptions, type TextChunk } from "./chunker.ts";
+
+// Séparateur de cellules (même rendu que les tableaux Word, cf. extractors.ts)
+export const CELL_SEPARATOR = ' | ';
+
+export interface SheetRow {
+    row: number;    // Numéro de ligne dans le tableur (1 = première ligne)
+    text: string;   // Cellules séparées par CELL_SEPARATOR
+    start: number;  // Offset de début de la ligne dans le texte extrait
+    end: number;    // Offset de fin (exclu)
+}
+
+export interface Sheet {
+    name: string | null;  // Nom de la feuille (null pour un CSV)
+    header: string;       // Ligne d'en-tête rendue (noms de colonnes)
+    rows: SheetRow[];     // Lignes de données, en-tête exclu
+}
+
+export interface SpreadsheetChunk extends TextChunk {
+    sheetName: string | null;
+    rowStart: number;
+    rowEnd: number;
+}
+
+/**
+ * Référence lisible d'un groupe de lignes : "Feuille Budget, lignes 40–60", "Ligne 12" (CSV).
+ */
+export const describeRowRange = (sheetName: string | null | undefined, rowStart: number, rowEnd?: number | null): string => {
+    const rows = rowEnd && rowEnd !== rowStart ? `lignes ${rowStart}–${rowEnd}` : `ligne ${rowStart}`;
+    return sheetName ? `Feuille ${sheetName}, ${rows}` : rows.charAt(0).toUpperCase() + rows.slice(1);
+};
+
+/**
+ * Découpe les feuilles extraites en chunks de lignes consécutives.
+ * Chaque chunk commence par sa référence et la ligne d'en-tête, suivies d'autant de
+ * lignes que la taille cible le permet (au moins une ; pas de chevauchement entre chunks).
+ * start / end couvrent les lignes de données dans le texte extrait.
+ */
+export function chunkSpreadsheet(sheets: Sheet[], options: ChunkOptions = {}): SpreadsheetChunk[] {
+    const { chunkSize } = resolveChunkOptions(options);
+    const chunks: SpreadsheetChunk[] = [];
+
+    for (const sheet of sheets) {
+        let group: SheetRow[] = [];
+        let groupLength = 0;
+
+        const emit = () => {
+            if (group.length === 0) return;
+            const first = group[0];
+            const last = group[group.length - 1];
+
+            chunks.push({
+                index: chunks.length,
+                content: [describeRowRange(sheet.name, first.row, last.row), sheet.header, ...group.map((row) => row.text)].join('\n'),
+                headingPath: [],
+                start: first.start,
+                end: last.end,
+                sheetName: sheet.name,
+                rowStart: first.row,
+                rowEnd: last.row,
+            });
+            group = [];
+            groupLength = 0;
+        };
+
+        // Référence + en-tête : place réservée dans chaque chunk
+        const overhead = describeRowRange(sheet.name, 999999, 999999).length + sheet.header.length + 2;
+
+        for (const row of sheet.rows) {
+            if (group.length > 0 && overhead + groupLength + row.text.length + 1 > chunkSize) emit();
+            group.push(row);
+            groupLength += row.text.length + 1;
+        }
+        emit();
+    }
+
+    return chunks;
+}
+
+/**
+ * Métadonnées de position d'un chunk de tableur (null pour un autre format).
+ */
+export const sheetRangeFor = (chunk: TextChunk) =>
+    'rowStart' in chunk
+        ? {
+            sheet_name: (chunk as SpreadsheetChunk).sheetName,
+            row_start: (chunk as SpreadsheetChunk).rowStart,
+            row_end: (chunk as SpreadsheetChunk).rowEnd,
+        }
+        : null;
@@ -0,0 +1,49 @@
+// ============================================================================
+// Verticales cibles d'un document (import, réaffectation) : existence, statut
+// et droits de l'appelant
+// ============================================================================
+
+import type { SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { HttpError, isOrgAdmin, type CallerContext } from "./auth.ts";
+
+// Verticales demandées : target_verticals (tableau) ou vertical_id (ancien format)
+export const requestedVerticals = (targetVerticals: unknown, verticalId?: unknown): string[] => {
+    const values = Array.isArray(targetVerticals) ? targetVerticals : [verticalId];
+    return [...new Set(
+        values
+            .filter((value): value is string => typeof value === 'string')
+            .map((value) => value.trim())
+            .filter(Boolean)
+    )];
+};
+
+// Vérifie que les verticales existent et sont actives (ordre de la requête conservé), et que
+// l'appelant peut y importer : administrateurs, ou membres si la verticale l'autorise
+export const validateVerticals = async (supabase: SupabaseClient, verticalIds: string[], caller: CallerContext): Promise<string[]> => {
+    if (verticalIds.length === 0) {
+        throw new HttpError(400, 'Au moins une verticale est requise (target_verticals)');
+    }
+
+    const { data, error } = await supabase
+        .from('verticals')
+        .select('id, members_can_ingest')
+        .in('id', verticalIds)
+        .eq('is_active', true);
+
+    if (error) throw error;
+
+    const known = new Set((data ?? []).map((vertical) => vertical.id));
+    const unknown = verticalIds.filter((id) => !known.has(id));
+    if (unknown.length > 0) {
+        throw new HttpError(400, `Verticales inconnues ou inactives : ${unknown.join(', ')}`);
+    }
+
+    if (!isOrgAdmin(caller)) {
+        const restricted = (data ?? []).filter((vertical) => !vertical.members_can_ingest).map((vertical) => vertical.id);
+        if (restricted.length > 0) {
+            throw new HttpError(403, `Import réservé aux administrateurs de l'organisation : ${restricted.join(', ')}`);
+        }
+    }
+
+    return verticalIds;
+};
@@ -0,0 +1,431 @@
+// ============================================================================
+// INGESTION : Edge Function - document-library
+// Bibliothèque des documents de l'organisation (page /documents)
+//
+// Actions :
+//   list   : documents indexés et imports en cours / en échec (vue document_library),
+//            filtrés et paginés, avec les auteurs d'import possibles
+//   get    : détail d'un document (métadonnées, chunks, imports, versions, lien vers le fichier)
+//   retag  : remplace, ajoute ou retire des verticales sur plusieurs documents
+//   delete : supprime des documents avec toutes leurs versions (chunks et fichiers stockés)
+//            ou des imports en échec
+//
+// Lecture : membres actifs. Modification : administrateurs de l'organisation,
+// ou auteur de l'import pour ses propres documents.
+// ============================================================================
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { errorStatus, getCallerContext, HttpError, isOrgAdmin, type CallerContext } from "../_shared/auth.ts";
+import { isOrgStoragePath, STORAGE_BUCKET } from "../_shared/ingestion.ts";
+import { requestedVerticals, validateVerticals } from "../_shared/verticals.ts";
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Nombre max de documents modifiés par appel (retag / delete)
+const MAX_BULK_SIZE = 100;
+
+const SIGNED_URL_EXPIRES_IN = 3600;
+
+const LIBRARY_COLUMNS = 'id, kind, title, filename, mime_type, vertical_ids, uploaded_by, api_key_id, status, chunk_count, error, created_at, version';
+
+const VERSION_COLUMNS = 'id, version, filename, storage_path, content_hash, chunk_count, uploaded_by, api_key_id, created_at, superseded_at';
+
+type RetagMode = 'replace' | 'add' | 'remove';
+
+interface LibraryFilters {
+    search?: string;
+    vertical_id?: string;
+    uploader?: string;      // id utilisateur, ou 'api_key' pour les imports par clé d'API
+    mime_type?: string;
+    status?: 'indexed' | 'processing' | 'failed';
+    date_from?: string;
+    date_to?: string;
+}
+
+interface LibraryRequest {
+    action: 'list' | 'get' | 'retag' | 'delete';
+    filters?: LibraryFilters;
+    page?: number;
+    page_size?: number;
+    id?: string;
+    kind?: 'document' | 'job';
+    document_ids?: string[];
+    job_ids?: string[];
+    target_verticals?: string[];
+    mode?: RetagMode;
+}
+
+// Caractères spéciaux de ILIKE
+const escapeLike = (value: string) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const uniqueIds = (ids: unknown): string[] =>
+    Array.isArray(ids) ? [...new Set(ids.filter((id): id is string => typeof id === 'string'))] : [];
+
+const canManage = (caller: CallerContext, uploadedBy: string | null) =>
+    isOrgAdmin(caller) || (!!caller.user && uploadedBy === caller.user.id);
+
+const assertCanManage = (caller: CallerContext, rows: { uploaded_by: string | null }[]) => {
+    if (rows.some((row) => !canManage(caller, row.uploaded_by))) {
+        throw new HttpError(403, 'Seuls les administrateurs et l\'auteur de l\'import peuvent modifier ce document');
+    }
+};
+
+const assertBulkSize = (count: number) => {
+    if (count === 0) throw new HttpError(400, 'Aucun document sélectionné');
+    if (count > MAX_BULK_SIZE) throw new HttpError(400, `${MAX_BULK_SIZE} documents maximum par opération`);
+};
+
+// Auteurs possibles : membres de l'organisation et clés d'API
+const getUploaders = async (supabase: SupabaseClient, orgId: string) => {
+    const [{ data: members, error: membersError }, { data: apiKeys, error: keysError }] = await Promise.all([
+        supabase
+            .from('organization_members')
+            .select('user_id, profiles:user_id (id, email, full_name)')
+            .eq('org_id', orgId),
+        supabase
+            .from('org_api_keys')
+            .select('id, name')
+            .eq('org_id', orgId),
+    ]);
+
+    if (membersError) throw membersError;
+    if (keysError) throw keysError;
+
+    return {
+        users: (members ?? [])
+            .filter((member: any) => member.profiles)
+            .map((member: any) => member.profiles),
+        api_keys: apiKeys ?? [],
+    };
+};
+
+const listDocuments = async (supabase: SupabaseClient, caller: CallerContext, request: LibraryRequest) => {
+    const filters = request.filters ?? {};
+    const pageSize = Math.min(Math.max(Number(request.page_size) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(Number(request.page) || 0, 0);
+
+    let query = supabase
+        .from('document_library')
+        .select(LIBRARY_COLUMNS, { count: 'exact' })
+        .eq('org_id', caller.orgId);
+
+    if (filters.search?.trim()) query = query.ilike('filename', `%${escapeLike(filters.search.trim())}%`);
+    if (filters.vertical_id) query = query.contains('vertical_ids', [filters.vertical_id]);
+    if (filters.uploader === 'api_key') query = query.not('api_key_id', 'is', null);
+    else if (filters.uploader) query = query.eq('uploaded_by', filters.uploader);
+    if (filters.mime_type) query = query.eq('mime_type', filters.mime_type);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.date_from) query = query.gte('created_at', filters.date_from);
+    if (filters.date_to) query = query.lte('created_at', filters.date_to);
+
+    const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .range(page * pageSize, (page + 1) * pageSize - 1);
+
+    if (error) throw error;
+
+    return {
+        documents: (data ?? []).map((row: any) => ({ ...row, can_manage: canManage(caller, row.uploaded_by) })),
+        total: count ?? 0,
+        page,
+        page_size: pageSize,
+        uploaders: await getUploaders(supabase, caller.orgId),
+    };
+};
+
+// Fichiers hors du dossier de l'organisation (chemin fourni par un appelant) : jamais signés
+const getSignedUrl = async (supabase: SupabaseClient, orgId: string, storagePath: string | null) => {
+    if (!storagePath || !isOrgStoragePath(orgId, storagePath)) return null;
+
+    const { data, error } = await supabase.storage
+        .from(STORAGE_BUCKET)
+        .createSignedUrl(storagePath, SIGNED_URL_EXPIRES_IN);
+
+    if (error) {
+        console.warn(`Lien signé indisponible pour ${storagePath}:`, error.message);
+        return null;
+    }
+    return data.signedUrl;
+};
+
+const getDocument = async (supabase: SupabaseClient, caller: CallerContext, request: LibraryRequest) => {
+    if (!request.id) throw new HttpError(400, 'Le champ \'id\' est requis');
+
+    // Import non terminé : pas encore de document
+    if (request.kind === 'job') {
+        const { data: job, error } = await supabase
+            .from('ingestion_jobs')
+            .select('id, status, filename, vertical_ids, payload, chunk_count, chunks_embedded, error, attempts, created_by, api_key_id, created_at, started_at, finished_at')
+            .eq('id', request.id)
+            .eq('org_id', caller.orgId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!job) throw new HttpError(404, 'Import introuvable');
+
+        const { payload, ...rest } = job;
+        return {
+            job: { ...rest, metadata: payload?.metadata ?? {}, can_manage: canManage(caller, job.created_by) },
+            file_url: await getSignedUrl(supabase, caller.orgId, payload?.storage_path ?? null),
+        };
+    }
+
+    const { data: document, error } = await supabase
+        .from('source_documents')
+        .select('*')
+        .eq('id', request.id)
+        .eq('org_id', caller.orgId)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!document) throw new HttpError(404, 'Document introuvable');
+
+    const [
+        { count: indexedChunks, error: countError },
+        { data: jobs, error: jobsError },
+        { data: versions, error: versionsError },
+    ] = await Promise.all([
+        supabase
+            .from('documents')
+            .select('id', { count: 'exact', head: true })
+            .eq('parent_document_id', document.id),
+        supabase
+            .from('ingestion_jobs')
+            .select('id, status, attempts, created_at, finished_at')
+            .eq('source_document_id', document.id)
+            .order('created_at', { ascending: false }),
+        supabase
+            .from('source_documents')
+            .select(VERSION_COLUMNS)
+            .eq('version_group_id', document.version_group_id)
+            .eq('org_id', caller.orgId)
+            .order('version', { ascending: false }),
+    ]);
+
+    if (countError) throw countError;
+    if (jobsError) throw jobsError;
+    if (versionsError) throw versionsError;
+
+    // Historique : lien vers le fichier de chaque version
+    const fileUrls = await Promise.all((versions ?? []).map((version) => getSignedUrl(supabase, caller.orgId, version.storage_path)));
+
+    return {
+        document: { ...document, can_manage: canManage(caller, document.uploaded_by) },
+        indexed_chunks: indexedChunks ?? 0,
+        jobs: jobs ?? [],
+        versions: (versions ?? []).map(({ storage_path, ...version }, i) => ({ ...version, file_url: fileUrls[i] })),
+        file_url: await getSignedUrl(supabase, caller.orgId, document.storage_path),
+    };
+};
+
+const retagDocuments = async (supabase: SupabaseClient, caller: CallerContext, request: LibraryRequest) => {
+    const documentIds = uniqueIds(request.document_ids);
+    assertBulkSize(documentIds.length);
+
+    const mode: RetagMode = request.mode ?? 'replace';
+    if (!['replace', 'add', 'remove'].includes(mode)) {
+        throw new HttpError(400, 'Mode invalide. Valeurs acceptées: replace, add, remove');
+    }
+
+    // Les verticales retirées peuvent être archivées : seules celles attribuées sont vérifiées
+    const verticalIds = mode === 'remove'
+        ? requestedVerticals(request.target_verticals)
+        : await validateVerticals(supabase, requestedVerticals(request.target_verticals), caller);
+
+    if (verticalIds.length === 0) {
+        throw new HttpError(400, 'Au moins une verticale est requise (target_verticals)');
+    }
+
+    const { data: documents, error } = await supabase
+        .from('source_documents')
+        .select('id, vertical_ids, uploaded_by')
+        .in('id', documentIds)
+        .eq('org_id', caller.orgId);
+
+    if (error) throw error;
+    if ((documents ?? []).length !== documentIds.length) {
+        throw new HttpError(404, 'Document introuvable');
+    }
+    assertCanManage(caller, documents!);
+
+    const updates = documents!.map((document) => {
+        const current: string[] = document.vertical_ids ?? [];
+        const next = mode === 'replace'
+            ? verticalIds
+            : mode === 'add'
+                ? [...current, ...verticalIds.filter((id) => !current.includes(id))]
+                : current.filter((id) => !verticalIds.includes(id));
+
+        if (next.length === 0) {
+            throw new HttpError(400, 'Un document doit rester rattaché à au moins une verticale');
+        }
+        return { id: document.id, vertical_ids: next };
+    });
+
+    // Document parent puis chunks (vertical_id suit vertical_ids[1], cf. sync_document_vertical_ids)
+    for (const update of updates) {
+        const { error: parentError } = await supabase
+            .from('source_documents')
+            .update({ vertical_ids: update.vertical_ids })
+            .eq('id', update.id);
+        if (parentError) throw parentError;
+
+        const { error: chunksError } = await supabase
+            .from('documents')
+            .update({ vertical_ids: update.vertical_ids })
+            .eq('parent_document_id', update.id);
+        if (chunksError) throw chunksError;
+    }
+
+    console.log(`🏷️ Verticales (${mode}) [${verticalIds.join(', ')}] sur ${updates.length} documents`);
+    return { updated: updates };
+};
+
+// Seuls les fichiers du dossier de l'organisation sont supprimés
+const removeStoredFiles = async (supabase: SupabaseClient, orgId: string, paths: (string | null | undefined)[]) => {
+    const storagePaths = [...new Set(paths.filter((path): path is string => !!path && isOrgStoragePath(orgId, path)))];
+    if (storagePaths.length === 0) return;
+
+    const { error } = await supabase.storage.from(STORAGE_BUCKET).remove(storagePaths);
+    if (error) throw new Error(`Suppression des fichiers impossible : ${error.message}`);
+};
+
+const deleteDocuments = async (supabase: SupabaseClient, caller: CallerContext, request: LibraryRequest) => {
+    const documentIds = uniqueIds(request.document_ids);
+    const jobIds = uniqueIds(request.job_ids);
+    assertBulkSize(documentIds.length + jobIds.length);
+
+    const [{ data: documents, error: documentsError }, { data: jobs, error: jobsError }] = await Promise.all([
+        supabase
+            .from('source_documents')
+            .select('id, version_group_id, uploaded_by')
+            .in('id', documentIds)
+            .eq('org_id', caller.orgId),
+        supabase
+            .from('ingestion_jobs')
+            .select('id, status, payload, created_by')
+            .in('id', jobIds)
+            .eq('org_id', caller.orgId),
+    ]);
+
+    if (documentsError) throw documentsError;
+    if (jobsError) throw jobsError;
+    if ((documents ?? []).length !== documentIds.length || (jobs ?? []).length !== jobIds.length) {
+        throw new HttpError(404, 'Document introuvable');
+    }
+
+    assertCanManage(caller, documents!);
+    assertCanManage(caller, jobs!.map((job) => ({ uploaded_by: job.created_by })));
+
+    // Un import en cours écrirait ses chunks après la suppression
+    if (jobs!.some((job) => job.status !== 'failed')) {
+        throw new HttpError(409, 'Impossible de supprimer un import en cours');
+    }
+
+    // Toutes les versions des documents sélectionnés
+    const { data: versions, error: versionsError } = await supabase
+        .from('source_documents')
+        .select('id, storage_path')
+        .in('version_group_id', [...new Set(documents!.map((document) => document.version_group_id))])
+        .eq('org_id', caller.orgId);
+
+    if (versionsError) throw versionsError;
+    const versionIds = (versions ?? []).map((version) => version.id);
+
+    // Fichiers d'abord : en cas d'échec, les documents restent intacts
+    await removeStoredFiles(supabase, caller.orgId, [
+        ...(versions ?? []).map((version) => version.storage_path),
+        ...jobs!.map((job) => job.payload?.storage_path),
+    ]);
+
+    if (versionIds.length > 0) {
+        // Les imports terminés n'ont plus d'objet sans leur document
+        const { error: doneJobsError } = await supabase
+            .from('ingestion_jobs')
+            .delete()
+            .in('source_document_id', versionIds);
+        if (doneJobsError) throw doneJobsError;
+
+        // Les chunks (documents) sont supprimés en cascade
+        const { error } = await supabase.from('source_documents').delete().in('id', versionIds);
+        if (error) throw error;
+    }
+
+    if (jobIds.length > 0) {
+        const { error } = await supabase.from('ingestion_jobs').delete().in('id', jobIds);
+        if (error) throw error;
+    }
+
+    console.log(`🗑️ Supprimés: ${documentIds.length} documents (${versionIds.length} versions), ${jobIds.length} imports en échec`);
+    return { deleted: { document_ids: documentIds, job_ids: jobIds } };
+};
+
+serve(async (req) => {
+    // Gestion CORS
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
+        const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+        const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+            auth: {
+                autoRefreshToken: false,
+                persistSession: false,
+            }
+        });
+
+        // Membre actif : uniquement les documents de son organisation
+        const caller = await getCallerContext(supabaseAdmin, req);
+
+        const request: LibraryRequest = await req.json();
+        let result;
+
+        switch (request.action) {
+            case 'list':
+                result = await listDocuments(supabaseAdmin, caller, request);
+                break;
+            case 'get':
+                result = await getDocument(supabaseAdmin, caller, request);
+                break;
+            case 'retag':
+                result = await retagDocuments(supabaseAdmin, caller, request);
+                break;
+            case 'delete':
+                result = await deleteDocuments(supabaseAdmin, caller, request);
+                break;
+            default:
+                throw new HttpError(400, 'Action invalide. Valeurs acceptées: list, get, retag, delete');
+        }
+
+        return new Response(
+            JSON.stringify({ success: true, ...result }),
+            {
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            }
+        );
+
+    } catch (error: any) {
+        console.error('❌ Erreur document-library:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: error.message || 'Une erreur est survenue',
+            }),
+            {
+                status: errorStatus(error, 400),
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            }
+        );
+    }
+});
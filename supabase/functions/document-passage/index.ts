@@ -0,0 +1,170 @@
+// ============================================================================
+// RECHERCHE : Edge Function - document-passage
+// Détail d'une source citée : passage surligné, passages voisins, document
+// d'origine et lien signé vers le fichier (ancré sur la page pour les PDF)
+// ============================================================================
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { errorStatus, getCallerContext, HttpError } from "../_shared/auth.ts";
+import { highlightSentences } from "../_shared/highlight.ts";
+import { isOrgStoragePath, STORAGE_BUCKET } from "../_shared/ingestion.ts";
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Durée de validité du lien signé vers le fichier original
+const SIGNED_URL_EXPIRES_IN = 3600;
+
+// Nombre de passages voisins renvoyés de chaque côté
+const NEIGHBOR_COUNT = 1;
+
+interface PassageRequest {
+    document_id: string;  // id du chunk (documents.id)
+    query?: string;       // Question à l'origine de la citation, pour le surlignage
+}
+
+const CHUNK_COLUMNS = 'id, content, metadata, chunk_index, heading_path, parent_document_id, vertical_ids';
+
+serve(async (req) => {
+    // Gestion CORS
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        // ============================================
+        // 1. INITIALISATION
+        // ============================================
+        const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
+        const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+        if (!supabaseServiceKey) {
+            throw new Error('Configuration serveur manquante');
+        }
+
+        const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+            auth: {
+                autoRefreshToken: false,
+                persistSession: false,
+            }
+        });
+
+        // ============================================
+        // 2. AUTHENTIFICATION DE L'APPELANT (membre actif)
+        // ============================================
+        const { orgId } = await getCallerContext(supabaseAdmin, req);
+
+        // ============================================
+        // 3. PASSAGE CITÉ
+        // ============================================
+        const { document_id, query = '' }: PassageRequest = await req.json();
+
+        if (!document_id) {
+            throw new HttpError(400, 'ID de passage manquant');
+        }
+
+        const { data: chunk, error: chunkError } = await supabaseAdmin
+            .from('documents')
+            .select(CHUNK_COLUMNS)
+            .eq('id', document_id)
+            .eq('org_id', orgId)  // Passages d'une autre organisation : introuvables
+            .maybeSingle();
+
+        if (chunkError) throw chunkError;
+        if (!chunk) throw new HttpError(404, 'Passage introuvable');
+
+        // ============================================
+        // 4. PASSAGES VOISINS ET DOCUMENT D'ORIGINE
+        // ============================================
+        let previous: any[] = [];
+        let next: any[] = [];
+        let sourceDocument: any = null;
+
+        if (chunk.parent_document_id) {
+            const { data: neighbors, error: neighborsError } = await supabaseAdmin
+                .from('documents')
+                .select(CHUNK_COLUMNS)
+                .eq('parent_document_id', chunk.parent_document_id)
+                .gte('chunk_index', chunk.chunk_index - NEIGHBOR_COUNT)
+                .lte('chunk_index', chunk.chunk_index + NEIGHBOR_COUNT)
+                .neq('id', chunk.id)
+                .order('chunk_index');
+
+            if (neighborsError) throw neighborsError;
+
+            previous = (neighbors || []).filter((n) => n.chunk_index < chunk.chunk_index);
+            next = (neighbors || []).filter((n) => n.chunk_index > chunk.chunk_index);
+
+            const { data: parent, error: parentError } = await supabaseAdmin
+                .from('source_documents')
+                .select('id, title, filename, mime_type, storage_path, page_count, chunk_count, vertical_ids, created_at')
+                .eq('id', chunk.parent_document_id)
+                .maybeSingle();
+
+            if (parentError) throw parentError;
+            if (!parent) throw new HttpError(404, 'Document introuvable');
+
+            sourceDocument = parent;
+        }
+
+        // ============================================
+        // 5. LIEN SIGNÉ VERS LE FICHIER ORIGINAL
+        // ============================================
+        let fileUrl: string | null = null;
+
+        // Fichier hors du dossier de l'organisation (chemin fourni à l'import) : pas de lien
+        if (sourceDocument?.storage_path && isOrgStoragePath(orgId, sourceDocument.storage_path)) {
+            const { data: signed, error: signError } = await supabaseAdmin.storage
+                .from(STORAGE_BUCKET)
+                .createSignedUrl(sourceDocument.storage_path, SIGNED_URL_EXPIRES_IN);
+
+            if (signError) {
+                console.warn(`Lien signé indisponible pour ${sourceDocument.storage_path}:`, signError.message);
+            } else {
+                // Les lecteurs PDF des navigateurs ouvrent directement la page citée
+                const page = chunk.metadata?.page_start;
+                fileUrl = sourceDocument.mime_type === 'application/pdf' && page
+                    ? `${signed.signedUrl}#page=${page}`
+                    : signed.signedUrl;
+            }
+        }
+
+        // ============================================
+        // 6. RÉPONSE
+        // ============================================
+        return new Response(
+            JSON.stringify({
+                success: true,
+                passage: {
+                    ...chunk,
+                    highlights: highlightSentences(chunk.content, query),
+                },
+                previous,
+                next,
+                document: sourceDocument,
+                file_url: fileUrl,
+                file_url_expires_in: fileUrl ? SIGNED_URL_EXPIRES_IN : null,
+            }),
+            {
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            }
+        );
+
+    } catch (error: any) {
+        console.error('❌ Erreur document-passage:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: error.message || 'Une erreur est survenue',
+            }),
+            {
+                status: errorStatus(error, 400),
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            }
+        );
+    }
+});
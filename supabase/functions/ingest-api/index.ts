@@ -1,61 +1,244 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
-import { createClient } from "https://esm.sh/@supabase/supabase-js@2"
-import { GoogleGenerativeAI } from "https://esm.sh/@google/generative-ai"
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2"
+import { errorStatus, getCallerContext, HttpError, isOrgAdmin, type CallerContext } from "../_shared/auth.ts"
+import { isBinaryFormat, resolveMimeType } from "../_shared/extractors.ts"
+import { CONTENT_HASH_PATTERN, hashTextContent, isOrgStoragePath, STORAGE_BUCKET, type IngestionPayload } from "../_shared/ingestion.ts"
+import { requestedVerticals, validateVerticals } from "../_shared/verticals.ts"
+
+declare const EdgeRuntime: { waitUntil(promise: Promise<unknown>): void } | undefined
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-api-key',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+}
+
+// Colonnes de suivi renvoyées au client
+const JOB_COLUMNS = 'id, status, filename, vertical_ids, chunk_count, chunks_embedded, source_document_id, error, error_code, created_at, started_at, finished_at'
+
+// Le contenu doit être exploitable par le worker : texte fourni, ou fichier stocké
+// dans le dossier de l'organisation de l'appelant (`${org_id}/...`)
+const validatePayload = (payload: IngestionPayload, orgId: string) => {
+    const mimeType = resolveMimeType(payload.metadata.fileType, payload.metadata.filename)
+
+    if (payload.storage_path !== null && payload.storage_path !== undefined) {
+        if (typeof payload.storage_path !== 'string' || !isOrgStoragePath(orgId, payload.storage_path)) {
+            throw new HttpError(403, 'storage_path doit désigner un fichier du dossier de votre organisation')
+        }
+        return
+    }
+    if (isBinaryFormat(mimeType) || typeof payload.content !== 'string' || payload.content.startsWith('[PDF:BASE64]')) {
+        throw new HttpError(400, 'Les fichiers PDF, Word et Excel doivent être transmis via storage_path')
+    }
+    if (!payload.content.trim()) {
+        throw new HttpError(400, 'Le contenu du document est vide')
+    }
+}
+
+// Empreinte du contenu pour le contrôle rapide des doublons : texte fourni, sinon celle
+// déclarée par le client pour le fichier stocké (facultative). ingest-worker calcule
+// l'empreinte réelle à l'extraction ; le fichier n'est jamais téléchargé ici.
+const resolveContentHash = async (payload: IngestionPayload, declaredHash: unknown): Promise<string | null> => {
+    if (typeof payload.content === 'string' && payload.content.trim()) {
+        return hashTextContent(payload.content)
+    }
+    if (declaredHash === undefined || declaredHash === null) return null
+    if (typeof declaredHash !== 'string' || !CONTENT_HASH_PATTERN.test(declaredHash)) {
+        throw new HttpError(400, 'content_hash doit être une empreinte SHA-256 hexadécimale')
+    }
+    return declaredHash
 }
 
+const DOCUMENT_COLUMNS = 'id, filename, title, version, created_at'
+
+// Doublon exact dans l'organisation : document courant, ou import en cours du même contenu
+const findDuplicate = async (supabase: SupabaseClient, orgId: string, contentHash: string) => {
+    const { data: document, error } = await supabase
+        .from('source_documents')
+        .select(DOCUMENT_COLUMNS)
+        .eq('org_id', orgId)
+        .eq('content_hash', contentHash)
+        .is('superseded_at', null)
+        .limit(1)
+        .maybeSingle()
+
+    if (error) throw error
+    if (document) return { document }
+
+    const { data: job, error: jobError } = await supabase
+        .from('ingestion_jobs')
+        .select(JOB_COLUMNS)
+        .eq('org_id', orgId)
+        .eq('content_hash', contentHash)
+        .not('status', 'in', '(done,failed)')
+        .limit(1)
+        .maybeSingle()
+
+    if (jobError) throw jobError
+    return job ? { job } : null
+}
+
+// Fichier déposé pour un doublon ou une requête en échec : supprimé s'il n'appartient
+// à aucun document ni import, et seulement dans le dossier de l'organisation
+const removeUnusedFile = async (supabase: SupabaseClient, orgId: string, storagePath: string | null | undefined) => {
+    if (!storagePath || !isOrgStoragePath(orgId, storagePath)) return
+
+    const [{ count: documents }, { count: jobs }] = await Promise.all([
+        supabase.from('source_documents').select('id', { count: 'exact', head: true }).eq('storage_path', storagePath),
+        supabase.from('ingestion_jobs').select('id', { count: 'exact', head: true }).eq('payload->>storage_path', storagePath),
+    ])
+    if (documents !== 0 || jobs !== 0) return
+
+    const { error } = await supabase.storage.from(STORAGE_BUCKET).remove([storagePath])
+    if (error) console.warn(`Fichier en double non supprimé: ${storagePath}`, error.message)
+}
+
+// Version courante du même fichier : ingest-worker la remplacera une fois le nouveau document indexé.
+// Mêmes conditions que supersede_previous_versions : verticales communes, document géré par l'appelant.
+const findCurrentVersion = async (
+    supabase: SupabaseClient,
+    caller: CallerContext,
+    filename: string | null,
+    verticalIds: string[]
+) => {
+    if (!filename) return null
+
+    let query = supabase
+        .from('source_documents')
+        .select(DOCUMENT_COLUMNS)
+        .eq('org_id', caller.orgId)
+        .eq('filename', filename)
+        .is('superseded_at', null)
+        .overlaps('vertical_ids', verticalIds)
+
+    // Clé d'API : administrateur ; sinon membre authentifié
+    if (!isOrgAdmin(caller)) query = query.eq('uploaded_by', caller.user!.id)
+
+    const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+    if (error) throw error
+    return data
+}
+
+// Lance ingest-worker sur la tâche sans attendre la fin du traitement
+const triggerWorker = (supabaseUrl: string, serviceKey: string, jobId: string) => {
+    const request = fetch(`${supabaseUrl}/functions/v1/ingest-worker`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${serviceKey}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ job_id: jobId }),
+    }).catch((error) => console.error(`ingest-worker injoignable pour ${jobId}:`, error.message))
+
+    // Garde la fonction active jusqu'à l'envoi de la requête (sinon la tâche reste en file
+    // jusqu'au prochain passage planifié du worker)
+    if (typeof EdgeRuntime !== 'undefined') EdgeRuntime.waitUntil(request)
+}
+
+const jsonResponse = (body: unknown, status = 200) =>
+    new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    })
+
 serve(async (req) => {
     if (req.method === 'OPTIONS') {
         return new Response('ok', { headers: corsHeaders })
     }
 
-    try {
-        const { content, metadata, vertical_id } = await req.json()
+    // Fichier déposé pour une requête refusée ou en échec : supprimé s'il n'est rattaché à rien
+    let releaseFile: (() => Promise<void>) | null = null
 
+    try {
         // Initialize Supabase client
         const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? ''
         const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
         const supabase = createClient(supabaseUrl, supabaseKey)
 
-        // Initialize Gemini for embeddings
-        const genAI = new GoogleGenerativeAI(Deno.env.get('GEMINI_API_KEY') ?? '')
-        const model = genAI.getGenerativeModel({ model: "text-embedding-004" })
+        // Membre actif ou clé d'API (scope ingest) : le document appartient à son organisation,
+        // jamais à celle du corps
+        const caller = await getCallerContext(supabase, req, { apiKeyScope: 'ingest' })
 
-        // Generate embedding
-        const result = await model.embedContent(content)
-        const embedding = result.embedding.values
+        // Suivi d'une tâche (scripts sans accès Realtime)
+        if (req.method === 'GET') {
+            const jobId = new URL(req.url).searchParams.get('job_id')
+            if (!jobId) throw new HttpError(400, 'Paramètre job_id manquant')
 
-        // Store in database
-        const { data, error } = await supabase
-            .from('documents')
+            const { data: job, error } = await supabase
+                .from('ingestion_jobs')
+                .select(JOB_COLUMNS)
+                .eq('id', jobId)
+                .eq('org_id', caller.orgId)
+                .maybeSingle()
+
+            if (error) throw error
+            if (!job) throw new HttpError(404, 'Tâche d\'import introuvable')
+
+            return jsonResponse({ success: true, data: { job } })
+        }
+
+        const { content, storage_path, content_hash, metadata = {}, target_verticals, vertical_id, chunk_size, chunk_overlap } = await req.json()
+        releaseFile = () => removeUnusedFile(supabase, caller.orgId, typeof storage_path === 'string' ? storage_path : null)
+
+        // Le document appartient à toutes les verticales demandées ; la première est la verticale principale
+        const verticalIds = await validateVerticals(supabase, requestedVerticals(target_verticals, vertical_id), caller)
+
+        const payload: IngestionPayload = {
+            content: typeof content === 'string' ? content : null,
+            storage_path: storage_path ?? null,
+            metadata,
+            chunk_size,
+            chunk_overlap,
+        }
+        validatePayload(payload, caller.orgId)
+
+        // Le même contenu n'est indexé qu'une fois : il compterait double dans la recherche
+        const contentHash = await resolveContentHash(payload, content_hash)
+        const duplicate = contentHash ? await findDuplicate(supabase, caller.orgId, contentHash) : null
+
+        if (duplicate) {
+            await releaseFile()
+
+            const existing = duplicate.document ?? duplicate.job
+            const name = existing.filename ?? existing.id
+            return jsonResponse({
+                error: duplicate.document
+                    ? `Document déjà importé : ${name} (version ${duplicate.document.version})`
+                    : `Un import du même contenu est déjà en cours : ${name}`,
+                duplicate_of: duplicate,
+            }, 409)
+        }
+
+        const previousVersion = await findCurrentVersion(supabase, caller, metadata.filename ?? null, verticalIds)
+
+        const { data: job, error } = await supabase
+            .from('ingestion_jobs')
             .insert({
-                content,
-                metadata,
-                vertical_id,
-                embedding
+                org_id: caller.orgId,
+                created_by: caller.user?.id ?? null,
+                api_key_id: caller.apiKeyId,
+                filename: metadata.filename ?? null,
+                vertical_ids: verticalIds,
+                payload,
+                content_hash: contentHash,
             })
-            .select()
+            .select(JOB_COLUMNS)
             .single()
 
         if (error) throw error
+        releaseFile = null
+
+        console.log(`📥 Import en file: ${job.id} ${metadata.filename ?? 'document'} [${verticalIds.join(', ')}]${previousVersion ? ` (remplace v${previousVersion.version})` : ''}`)
+        triggerWorker(supabaseUrl, supabaseKey, job.id)
 
-        return new Response(
-            JSON.stringify({ success: true, data }),
-            {
-                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-            },
-        )
+        return jsonResponse({ success: true, data: { job_id: job.id, job, previous_version: previousVersion } }, 202)
 
     } catch (error) {
-        return new Response(
-            JSON.stringify({ error: error.message }),
-            {
-                status: 400,
-                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-            },
-        )
+        await releaseFile?.()
+        return jsonResponse({ error: error.message }, errorStatus(error, 400))
     }
 })
@@ -0,0 +1,88 @@
+// ============================================================================
+// INGESTION : Edge Function - ingest-worker
+// Traite les tâches ingestion_jobs enregistrées par ingest-api : extraction,
+// découpage, embedding. Appelée par ingest-api ({ job_id }) ou par une tâche
+// planifiée (sans corps) pour reprendre les imports restés en file ou abandonnés
+// par un worker arrêté (cf. claim_ingestion_job).
+// Réservée au service role.
+// ============================================================================
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { errorStatus, HttpError } from "../_shared/auth.ts";
+import { failIngestionJob, processIngestionJob, type IngestionJob } from "../_shared/ingestion.ts";
+
+// Nombre maximum de tâches traitées par appel sans job_id (durée d'exécution limitée)
+const MAX_JOBS_PER_RUN = 5;
+
+interface WorkerRequest {
+    job_id?: string;    // Tâche à traiter ; absent : les plus anciennes tâches en file
+}
+
+interface JobResult {
+    id: string;
+    status: 'done' | 'failed';
+    chunk_count?: number;
+    error?: string;
+}
+
+// Réserve une tâche en file ou abandonnée (SKIP LOCKED : jamais traitée deux fois)
+const claimJob = async (supabase: SupabaseClient, jobId: string | null): Promise<IngestionJob | null> => {
+    const { data, error } = await supabase.rpc('claim_ingestion_job', { p_job_id: jobId });
+    if (error) throw error;
+    return data?.[0] ?? null;
+};
+
+const runJob = async (supabase: SupabaseClient, job: IngestionJob): Promise<JobResult> => {
+    try {
+        const { chunkCount } = await processIngestionJob(supabase, job);
+        console.log(`✅ Import terminé: ${job.id} (${chunkCount} chunks)`);
+        return { id: job.id, status: 'done', chunk_count: chunkCount };
+    } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.error(`❌ Import échoué: ${job.id}`, message);
+        await failIngestionJob(supabase, job.id, error);
+        return { id: job.id, status: 'failed', error: message };
+    }
+};
+
+serve(async (req) => {
+    try {
+        const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
+        const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+        // Seuls ingest-api et les tâches planifiées (service role) déclenchent le traitement
+        if (!serviceKey || req.headers.get('Authorization') !== `Bearer ${serviceKey}`) {
+            throw new HttpError(401, 'Appel réservé au service role');
+        }
+
+        const supabase = createClient(supabaseUrl, serviceKey);
+
+        // Corps vide pour les appels planifiés
+        const body: WorkerRequest = await req.json().catch(() => ({}));
+        const jobId = typeof body.job_id === 'string' ? body.job_id : null;
+
+        const results: JobResult[] = [];
+        const limit = jobId ? 1 : MAX_JOBS_PER_RUN;
+
+        for (let i = 0; i < limit; i++) {
+            const job = await claimJob(supabase, jobId);
+            if (!job) break;
+            results.push(await runJob(supabase, job));
+        }
+
+        return new Response(
+            JSON.stringify({ success: true, data: { processed: results } }),
+            { headers: { 'Content-Type': 'application/json' } },
+        );
+
+    } catch (error) {
+        return new Response(
+            JSON.stringify({ error: error.message }),
+            {
+                status: errorStatus(error, 500),
+                headers: { 'Content-Type': 'application/json' },
+            },
+        );
+    }
+});
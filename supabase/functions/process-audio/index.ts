@@ -1,6 +1,6 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
-import OpenAI from "https://esm.sh/openai@4.28.0";
+import { createChatProvider, createTranscriptionProvider } from "../_shared/providers/index.ts";
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
@@ -19,13 +19,11 @@ serve(async (req) => {
         // 2. Init & Clés
         const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
         const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
-        const openaiApiKey = Deno.env.get('OPENAI_API_KEY');
         const n8nWebhookUrl = Deno.env.get('N8N_WEBHOOK_URL');
 
-        if (!openaiApiKey) throw new Error('Clé API OpenAI manquante');
-
         const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
-        const openai = new OpenAI({ apiKey: openaiApiKey });
+        const transcriber = createTranscriptionProvider();
+        const analyst = createChatProvider('analysis');
 
         // 3. Auth
         const authHeader = req.headers.get('Authorization');
@@ -38,8 +36,8 @@ serve(async (req) => {
         const audioFile = formData.get('audio') || formData.get('file');
         const title = formData.get('title') as string || 'Réunion Audio';
 
-        // Gestion Tags Verticaux
-        let targetVerticals = ['default'];
+        // Gestion Tags Verticaux (validés par ingest-api à la vectorisation)
+        let targetVerticals: string[] = [];
         try {
             const raw = formData.get('target_verticals');
             if (raw) targetVerticals = JSON.parse(raw as string);
@@ -62,31 +60,21 @@ serve(async (req) => {
             .upload(filePath, audioFile, { contentType: audioFile.type, upsert: false })
             .catch(err => console.error("Warn: Storage upload failed", err));
 
-        // 6. Transcription (Whisper)
-        console.log("👂 Whisper...");
-        const transcription = await openai.audio.transcriptions.create({
-            file: audioFile,
-            model: "whisper-1",
-            language: "fr",
-            response_format: "json"
-        });
-        const transcriptText = transcription.text;
-
-        // 7. Analyse (GPT-4o)
-        console.log("🧠 GPT-4o...");
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: [
-                {
-                    role: "system",
-                    content: "Tu es un expert. Réponds JSON : { \"summary\": \"Markdown...\", \"action_items\": [] }"
-                },
-                { role: "user", content: transcriptText }
-            ],
-            response_format: { type: "json_object" }
-        });
-
-        const jsonResponse = JSON.parse(completion.choices[0].message.content || "{}");
+        // 6. Transcription
+        console.log(`👂 Transcription (${transcriber.id}/${transcriber.model})...`);
+        const transcriptText = await transcriber.transcribe(audioFile, { language: "fr" });
+
+        // 7. Analyse
+        console.log(`🧠 Analyse (${analyst.id}/${analyst.model})...`);
+        const analysis = await analyst.complete([
+            {
+                role: "system",
+                content: "Tu es un expert. Réponds JSON : { \"summary\": \"Markdown...\", \"action_items\": [] }"
+            },
+            { role: "user", content: transcriptText }
+        ], { json: true });
+
+        const jsonResponse = JSON.parse(analysis || "{}");
 
         // 8. Sauvegarde DB
         console.log("💾 Sauvegarde...");
@@ -100,7 +88,7 @@ serve(async (req) => {
                 transcript: transcriptText,
                 action_items: jsonResponse.action_items || [],
                 processed: true,
-                model_used: 'openai-whisper-gpt4o'
+                model_used: `${transcriber.id}/${transcriber.model}+${analyst.id}/${analyst.model}`
             })
             .select()
             .single();
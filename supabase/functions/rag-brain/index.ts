@@ -1,74 +1,305 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
-import { createClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
-import OpenAI from "https://esm.sh/openai@4.28.0";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import { errorStatus, getCallerContext, HttpError, isOrgAdmin } from "../_shared/auth.ts";
+import { createEmbeddingProvider, getActiveEmbeddingModelId } from "../_shared/embeddings.ts";
+import { buildSystemPrompt, extractCitations, stripCitationMarkers, type AnswerStyle } from "../_shared/prompt.ts";
+import { createChatProvider, type ChatProvider } from "../_shared/providers/index.ts";
+import {
+    createLexicalReranker,
+    createLlmReranker,
+    rerankFetchCount,
+    resolveRerankerId,
+    type JsonCompletion,
+    type RerankerId
+} from "../_shared/reranker.ts";
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-api-key',
 };
 
+// Historique de conversation transmis au modèle (nombre de messages / taille max par message)
+const MAX_HISTORY_MESSAGES = 8;
+const MAX_HISTORY_MESSAGE_LENGTH = 2000;
+
+// Modes de recherche : similarité seule, ou plein texte + similarité fusionnés (RRF)
+type RetrievalMode = 'vector' | 'hybrid';
+const RETRIEVAL_MODES: RetrievalMode[] = ['vector', 'hybrid'];
+
+type HistoryMessage = { role: 'user' | 'assistant'; content: string };
+
+// Configuration de la verticale (table verticals), lue à chaque requête
+interface VerticalSettings {
+    name: string | null;
+    archived_at: string | null;    // Renseigné : verticale archivée
+    system_prompt: string | null;  // NULL : prompt par défaut
+    chat_model: string | null;     // NULL : CHAT_MODEL
+    temperature: number;
+    match_threshold: number;
+    match_count: number;
+    retrieval_mode: RetrievalMode;
+    answer_style: AnswerStyle;
+}
+
+// Valeurs utilisées pour une verticale inconnue
+const DEFAULT_VERTICAL_SETTINGS: VerticalSettings = {
+    name: null,
+    archived_at: null,
+    system_prompt: null,
+    chat_model: null,
+    temperature: 0.3,
+    match_threshold: 0.5,
+    match_count: 5,
+    retrieval_mode: 'vector',
+    answer_style: 'balanced',
+};
+
+// Ne garde que les derniers messages valides de l'historique, tronqués
+const sanitizeHistory = (history: unknown): HistoryMessage[] => {
+    if (!Array.isArray(history)) return [];
+
+    return history
+        .filter((m: any) => (m?.role === 'user' || m?.role === 'assistant') && typeof m.content === 'string' && m.content.trim())
+        .slice(-MAX_HISTORY_MESSAGES)
+        .map((m: any) => ({
+            role: m.role,
+            // Les marqueurs [n] des réponses précédentes renvoient à d'autres sources
+            content: (m.role === 'assistant' ? stripCitationMarkers(m.content) : m.content).trim().slice(0, MAX_HISTORY_MESSAGE_LENGTH)
+        }));
+};
+
+// Reformule une question de suivi en question autonome, exploitable pour la recherche
+const condenseQuery = async (chat: ChatProvider, history: HistoryMessage[], query: string): Promise<string> => {
+    if (history.length === 0) return query;
+
+    const transcript = history
+        .map((m) => `${m.role === 'user' ? 'Utilisateur' : 'Assistant'} : ${m.content}`)
+        .join("\n");
+
+    const condensed = await chat.complete([
+        {
+            role: "system",
+            content: "Reformule la dernière question de l'utilisateur en une question autonome et complète, compréhensible sans l'historique de la conversation. Conserve les termes précis (articles, références, noms). Réponds uniquement par la question reformulée."
+        },
+        { role: "user", content: `Historique :\n${transcript}\n\nDernière question : ${query}` }
+    ], { temperature: 0 });
+
+    return condensed.trim() || query;
+};
+
+const loadVerticalSettings = async (supabase: SupabaseClient, verticalId: string): Promise<VerticalSettings> => {
+    const { data, error } = await supabase
+        .from('verticals')
+        .select('name, archived_at, system_prompt, chat_model, temperature, match_threshold, match_count, retrieval_mode, answer_style')
+        .eq('id', verticalId)
+        .maybeSingle();
+
+    if (error) throw error;
+    return { ...DEFAULT_VERTICAL_SETTINGS, ...data };
+};
+
+// Mode de recherche : celui de la requête, sinon celui configuré pour la verticale
+const resolveRetrievalMode = (requested: unknown, verticalMode: RetrievalMode): RetrievalMode => {
+    if (requested === undefined || requested === null) {
+        return verticalMode === 'hybrid' ? 'hybrid' : 'vector';
+    }
+    if (!RETRIEVAL_MODES.includes(requested as RetrievalMode)) {
+        throw new HttpError(400, `retrieval_mode invalide. Valeurs acceptées : ${RETRIEVAL_MODES.join(', ')}`);
+    }
+    return requested as RetrievalMode;
+};
+
+// Complétion JSON utilisée par le reranker LLM
+const jsonCompletion = (chat: ChatProvider): JsonCompletion => async (system, user) =>
+    await chat.complete([
+        { role: "system", content: system },
+        { role: "user", content: user }
+    ], { temperature: 0, json: true }) || '{}';
+
+const createReranker = (id: RerankerId, chat: ChatProvider) =>
+    id === 'llm' ? createLlmReranker(jsonCompletion(chat)) : createLexicalReranker();
+
+// Encode un événement Server-Sent Events (event + data JSON)
+const encoder = new TextEncoder();
+const sseEvent = (event: string, data: unknown) =>
+    encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
 serve(async (req) => {
     if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
 
-    try {
-        const { query, vertical_id, match_threshold = 0.5, match_count = 5 } = await req.json();
-
-        if (!query) throw new Error("La requête est vide");
+    const startTime = Date.now();
 
-        // 1. Init
+    try {
+        // 1. Init et appelant : membre actif d'une organisation ou clé d'API (scope query),
+        //    seuls les documents de cette organisation sont interrogés
         const supabaseClient = createClient(
             Deno.env.get('SUPABASE_URL') ?? '',
             Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
         );
 
-        const openai = new OpenAI({
-            apiKey: Deno.env.get('OPENAI_API_KEY'),
-        });
+        const caller = await getCallerContext(supabaseClient, req, { apiKeyScope: 'query' });
 
-        // 2. Embedding de la question (OpenAI)
-        // Note: On force 768 dimensions pour rester compatible avec la table créée précédemment
-        // Si votre table est en 1536, retirez "dimensions: 768"
-        const embeddingResponse = await openai.embeddings.create({
-            model: "text-embedding-3-small",
-            input: query,
-            dimensions: 768
-        });
-        const embedding = embeddingResponse.data[0].embedding;
+        const {
+            query,
+            vertical_id,
+            match_threshold: requestedThreshold,
+            match_count: requestedCount,
+            stream = false,
+            history: rawHistory = [],
+            retrieval_mode: requestedMode,
+            rerank
+        } = await req.json();
+
+        if (!query) throw new HttpError(400, "La requête est vide");
+
+        const verticalId = vertical_id || 'audit';
+        const rerankerId = resolveRerankerId(rerank ?? Deno.env.get('RERANKER'));
+
+        const chat = createChatProvider();
+
+        // Paramètres de la verticale ; seuil, nombre de passages et mode restent surchargeables par requête
+        const vertical = await loadVerticalSettings(supabaseClient, verticalId);
+
+        // Verticale archivée : ses documents restent interrogeables par les administrateurs seulement
+        if (vertical.archived_at && !isOrgAdmin(caller)) {
+            throw new HttpError(403, 'Cette verticale est archivée');
+        }
+        const matchThreshold: number = requestedThreshold ?? vertical.match_threshold;
+        const matchCount: number = requestedCount ?? vertical.match_count;
+        const chatModel = vertical.chat_model || chat.model;
+        const generationOptions = { model: chatModel, temperature: vertical.temperature };
 
-        // 3. Recherche Vectorielle
-        const { data: documents, error: searchError } = await supabaseClient.rpc('match_documents', {
+        // 2. Question autonome à partir de l'historique (questions de suivi)
+        const history = sanitizeHistory(rawHistory);
+        const searchQuery = await condenseQuery(chat, history, query);
+
+        // 3. Embedding de la question, avec le modèle actif du corpus
+        const embedder = createEmbeddingProvider(await getActiveEmbeddingModelId(supabaseClient));
+        const [embedding] = await embedder.embed([searchQuery], 'query');
+
+        // 4. Recherche (uniquement les chunks de l'organisation, embeddés avec ce modèle)
+        //    vector : similarité cosinus ; hybrid : plein texte (références exactes) + similarité, fusion RRF
+        //    Avec reranking, on ramène plus de candidats que match_count
+        const retrievalMode = resolveRetrievalMode(requestedMode, vertical.retrieval_mode);
+        const searchParams = {
             query_embedding: embedding,
-            match_threshold: match_threshold,
-            match_count: match_count,
-            filter_vertical: vertical_id || 'audit'
-        });
+            match_threshold: matchThreshold,
+            match_count: rerankerId ? rerankFetchCount(matchCount) : matchCount,
+            filter_vertical: verticalId,
+            filter_embedding_model: embedder.id,
+            filter_org: caller.orgId
+        };
+
+        const { data: candidates, error: searchError } = retrievalMode === 'hybrid'
+            ? await supabaseClient.rpc('hybrid_match_documents', { ...searchParams, query_text: searchQuery })
+            : await supabaseClient.rpc('match_documents', searchParams);
 
         if (searchError) throw searchError;
 
-        // 4. Contexte
-        const contextText = documents?.map((d: any) => d.content).join("\n---\n") || "Aucun document pertinent.";
-
-        // 5. Génération Réponse (GPT-4o-mini)
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                { role: "system", content: `Tu es un expert assistant pour la verticale : ${vertical_id}. Utilise ce contexte pour répondre : ${contextText}` },
-                { role: "user", content: query }
-            ],
-            temperature: 0.3,
+        // 5. Reranking (optionnel) : en cas d'échec, on garde l'ordre de la recherche
+        let documents = candidates || [];
+        let appliedReranker: RerankerId | null = null;
+
+        if (rerankerId && documents.length > 0) {
+            try {
+                documents = await createReranker(rerankerId, chat).rerank(searchQuery, documents, matchCount);
+                appliedReranker = rerankerId;
+            } catch (rerankError: any) {
+                console.error(`[rag-brain] Reranking ${rerankerId} ignoré:`, rerankError.message);
+                documents = documents.slice(0, matchCount);
+            }
+        }
+
+        // 6. Contexte numéroté : le modèle cite les passages avec [1], [2]...
+        const systemPrompt = buildSystemPrompt(verticalId, documents, {
+            verticalName: vertical.name,
+            template: vertical.system_prompt,
+            answerStyle: vertical.answer_style
         });
+        const messages = [
+            { role: "system" as const, content: systemPrompt },
+            ...history,
+            { role: "user" as const, content: query }
+        ];
+
+        // 7a. Mode streaming (SSE) : sources -> deltas -> done
+        if (stream) {
+            // Interrompt la génération si le client ferme la connexion
+            const abortController = new AbortController();
+            const completionStream = chat.stream(messages, { ...generationOptions, signal: abortController.signal });
+
+            const body = new ReadableStream({
+                async start(controller) {
+                    try {
+                        controller.enqueue(sseEvent('sources', {
+                            sources: documents,
+                            search_query: searchQuery,
+                            embedding_model: embedder.id,
+                            chat_model: `${chat.id}/${chatModel}`,
+                            retrieval_mode: retrievalMode,
+                            reranker: appliedReranker
+                        }));
+
+                        let answer = '';
+                        for await (const delta of completionStream) {
+                            answer += delta;
+                            controller.enqueue(sseEvent('delta', { content: delta }));
+                        }
+
+                        controller.enqueue(sseEvent('done', {
+                            citations: extractCitations(answer, documents),
+                            processing_time_ms: Date.now() - startTime
+                        }));
+                    } catch (streamError: any) {
+                        console.error('[rag-brain] Erreur streaming:', streamError);
+                        controller.enqueue(sseEvent('error', { error: streamError.message }));
+                    } finally {
+                        controller.close();
+                    }
+                },
+                cancel() {
+                    // Le client a fermé la connexion : on arrête la génération
+                    abortController.abort();
+                }
+            });
+
+            return new Response(body, {
+                headers: {
+                    ...corsHeaders,
+                    'Content-Type': 'text/event-stream; charset=utf-8',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                },
+            });
+        }
 
-        const response = completion.choices[0].message.content;
+        // 7b. Génération Réponse complète
+        const response = await chat.complete(messages, generationOptions);
 
         return new Response(
-            JSON.stringify({ answer: response, sources: documents }),
+            JSON.stringify({
+                success: true,
+                answer: response,
+                sources: documents,
+                citations: extractCitations(response, documents),
+                search_query: searchQuery,
+                embedding_model: embedder.id,
+                chat_model: `${chat.id}/${chatModel}`,
+                retrieval_mode: retrievalMode,
+                reranker: appliedReranker,
+                processing_time_ms: Date.now() - startTime
+            }),
             { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
         );
 
     } catch (error: any) {
-        return new Response(JSON.stringify({ error: error.message }), {
-            status: 500,
+        return new Response(JSON.stringify({
+            success: false,
+            error: error.message,
+            processing_time_ms: Date.now() - startTime
+        }), {
+            status: errorStatus(error, 500),
             headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         });
     }
-});
\ No newline at end of file
+});
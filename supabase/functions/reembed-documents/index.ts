@@ -0,0 +1,313 @@
+// ============================================================================
+// RECHERCHE : Edge Function - reembed-documents
+// Migration du corpus vers un nouveau modèle d'embedding (super admin)
+//
+// Actions :
+//   status : modèle actif, modèles disponibles, dernière migration
+//   start  : crée la migration vers target_model
+//   run    : ré-embedde des lots pendant RUN_TIME_BUDGET_MS puis rend la main ;
+//            à rappeler tant que la migration n'est pas terminée (reprise possible
+//            après une erreur). Les colonnes sont basculées quand tout est ré-embeddé.
+//   cancel : abandonne la migration (la recherche reste sur le modèle actif)
+// ============================================================================
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2.45.0";
+import {
+    EMBEDDING_MODELS,
+    chunkEmbeddingText,
+    createEmbeddingProvider,
+    getActiveEmbeddingModelId,
+    getEmbeddingModel,
+    getPendingEmbeddingMigration,
+    type EmbeddingMigration,
+} from "../_shared/embeddings.ts";
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Durée de traitement par appel "run" (reste sous la limite d'exécution des Edge Functions)
+const RUN_TIME_BUDGET_MS = 25000;
+
+const DEFAULT_BATCH_SIZE = 50;
+const MAX_BATCH_SIZE = 200;
+
+interface ReembedRequest {
+    action: 'status' | 'start' | 'run' | 'cancel';
+    target_model?: string;
+    batch_size?: number;
+}
+
+// Chunks sans embedding cible (équivaut à embedding_next_model IS DISTINCT FROM cible)
+const pendingFilter = (targetModel: string) =>
+    `embedding_next_model.is.null,embedding_next_model.neq."${targetModel}"`;
+
+const countDocuments = async (supabase: SupabaseClient, targetModel?: string): Promise<number> => {
+    let query = supabase.from('documents').select('id', { count: 'exact', head: true });
+    if (targetModel) query = query.or(pendingFilter(targetModel));
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count ?? 0;
+};
+
+const updateMigration = async (supabase: SupabaseClient, id: string, changes: Record<string, unknown>): Promise<EmbeddingMigration> => {
+    const { data, error } = await supabase
+        .from('embedding_migrations')
+        .update(changes)
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+const getMigration = async (supabase: SupabaseClient, id: string): Promise<EmbeddingMigration> => {
+    const { data, error } = await supabase
+        .from('embedding_migrations')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+const getLatestMigration = async (supabase: SupabaseClient): Promise<EmbeddingMigration | null> => {
+    const { data, error } = await supabase
+        .from('embedding_migrations')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+/**
+ * Ré-embedde des lots de chunks jusqu'à épuisement du budget de temps.
+ * Reprise naturelle : seuls les chunks sans embedding cible sont sélectionnés.
+ */
+const runMigration = async (supabase: SupabaseClient, migration: EmbeddingMigration): Promise<EmbeddingMigration> => {
+    const startTime = Date.now();
+    const embedder = createEmbeddingProvider(migration.target_model);
+
+    while (Date.now() - startTime < RUN_TIME_BUDGET_MS) {
+        // Annulation demandée pendant le traitement
+        const current = await getMigration(supabase, migration.id);
+        if (current.status !== 'running') return current;
+
+        const { data: batch, error: batchError } = await supabase
+            .from('documents')
+            .select('id, content, heading_path')
+            .or(pendingFilter(migration.target_model))
+            .order('id')
+            .limit(migration.batch_size);
+
+        if (batchError) throw batchError;
+        if (!batch || batch.length === 0) break;
+
+        const embeddings = await embedder.embed(
+            batch.map((doc) => chunkEmbeddingText(doc.content, doc.heading_path)),
+            'document'
+        );
+
+        const results = await Promise.all(batch.map((doc, i) =>
+            supabase
+                .from('documents')
+                .update({ embedding_next: embeddings[i], embedding_next_model: embedder.id })
+                .eq('id', doc.id)
+        ));
+
+        const failed = results.find((result) => result.error);
+        if (failed?.error) throw failed.error;
+
+        console.log(`🔁 Ré-embedding: ${batch.length} chunks -> ${embedder.id}`);
+    }
+
+    // Le total évolue si des documents sont ajoutés ou supprimés pendant la migration
+    const totalCount = await countDocuments(supabase);
+    const remaining = await countDocuments(supabase, migration.target_model);
+
+    if (remaining > 0) {
+        return updateMigration(supabase, migration.id, {
+            total_count: totalCount,
+            processed_count: totalCount - remaining,
+        });
+    }
+
+    // Tout est ré-embeddé : bascule des colonnes et du modèle actif
+    await updateMigration(supabase, migration.id, { total_count: totalCount });
+    const { error: finalizeError } = await supabase.rpc('finalize_embedding_migration', {
+        p_migration_id: migration.id,
+    });
+    if (finalizeError) throw finalizeError;
+
+    console.log(`✅ Migration terminée: ${migration.source_model} -> ${migration.target_model}`);
+    return getMigration(supabase, migration.id);
+};
+
+serve(async (req) => {
+    // Gestion CORS
+    if (req.method === 'OPTIONS') {
+        return new Response('ok', { headers: corsHeaders });
+    }
+
+    try {
+        // ============================================
+        // 1. INITIALISATION
+        // ============================================
+        const supabaseUrl = Deno.env.get('SUPABASE_URL') ?? '';
+        const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '';
+
+        if (!supabaseServiceKey) {
+            throw new Error('Configuration serveur manquante');
+        }
+
+        const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+            auth: {
+                autoRefreshToken: false,
+                persistSession: false,
+            }
+        });
+
+        // ============================================
+        // 2. AUTHENTIFICATION : SUPER ADMIN UNIQUEMENT
+        // ============================================
+        const authHeader = req.headers.get('Authorization');
+        if (!authHeader) {
+            throw new Error('Token d\'authentification manquant');
+        }
+
+        const { data: { user: caller }, error: authError } = await supabaseAdmin.auth.getUser(
+            authHeader.replace('Bearer ', '')
+        );
+
+        if (authError || !caller) {
+            throw new Error('Authentification invalide');
+        }
+
+        const { data: callerProfile } = await supabaseAdmin
+            .from('profiles')
+            .select('app_role')
+            .eq('id', caller.id)
+            .single();
+
+        if (callerProfile?.app_role !== 'super_admin') {
+            throw new Error('Seuls les super administrateurs peuvent migrer les embeddings');
+        }
+
+        // ============================================
+        // 3. ACTIONS
+        // ============================================
+        const { action = 'status', target_model, batch_size }: ReembedRequest = await req.json();
+        const activeModel = await getActiveEmbeddingModelId(supabaseAdmin);
+        let migration: EmbeddingMigration | null;
+
+        switch (action) {
+            case 'status':
+                migration = await getLatestMigration(supabaseAdmin);
+                break;
+
+            case 'start': {
+                const target = getEmbeddingModel(target_model ?? '').id;
+
+                if (target === activeModel) {
+                    throw new Error(`${target} est déjà le modèle actif`);
+                }
+                if (await getPendingEmbeddingMigration(supabaseAdmin)) {
+                    throw new Error('Une migration est déjà en cours');
+                }
+
+                const totalCount = await countDocuments(supabaseAdmin);
+                const { data, error } = await supabaseAdmin
+                    .from('embedding_migrations')
+                    .insert({
+                        source_model: activeModel,
+                        target_model: target,
+                        total_count: totalCount,
+                        processed_count: totalCount - await countDocuments(supabaseAdmin, target),
+                        batch_size: Math.min(Math.max(Number(batch_size) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE),
+                        started_by: caller.id,
+                    })
+                    .select()
+                    .single();
+
+                if (error) throw error;
+                migration = data;
+                console.log(`🚀 Migration démarrée: ${activeModel} -> ${target} (${totalCount} chunks)`);
+                break;
+            }
+
+            case 'run': {
+                const pending = await getPendingEmbeddingMigration(supabaseAdmin);
+                if (!pending) {
+                    throw new Error('Aucune migration en cours');
+                }
+
+                // Reprise après erreur
+                const current = pending.status === 'failed'
+                    ? await updateMigration(supabaseAdmin, pending.id, { status: 'running', last_error: null })
+                    : pending;
+
+                try {
+                    migration = await runMigration(supabaseAdmin, current);
+                } catch (runError: any) {
+                    // Une migration annulée entre-temps reste annulée
+                    await supabaseAdmin
+                        .from('embedding_migrations')
+                        .update({ status: 'failed', last_error: runError.message || String(runError) })
+                        .eq('id', current.id)
+                        .eq('status', 'running');
+                    throw runError;
+                }
+                break;
+            }
+
+            case 'cancel': {
+                const pending = await getPendingEmbeddingMigration(supabaseAdmin);
+                if (!pending) {
+                    throw new Error('Aucune migration en cours');
+                }
+                migration = await updateMigration(supabaseAdmin, pending.id, { status: 'cancelled' });
+                break;
+            }
+
+            default:
+                throw new Error('Action invalide. Valeurs acceptées: status, start, run, cancel');
+        }
+
+        // ============================================
+        // 4. RÉPONSE
+        // ============================================
+        return new Response(
+            JSON.stringify({
+                success: true,
+                active_model: migration?.status === 'completed' ? migration.target_model : activeModel,
+                models: Object.values(EMBEDDING_MODELS).map(({ id, provider, dimensions }) => ({ id, provider, dimensions })),
+                migration,
+            }),
+            {
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            }
+        );
+
+    } catch (error: any) {
+        console.error('❌ Erreur reembed-documents:', error);
+
+        return new Response(
+            JSON.stringify({
+                success: false,
+                error: error.message || 'Une erreur est survenue',
+            }),
+            {
+                status: 400,
+                headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            }
+        );
+    }
+});
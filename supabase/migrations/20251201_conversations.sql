@@ -0,0 +1,127 @@
+-- ============================================================================
+-- CHAT : Migration - conversations & messages
+-- Historique persistant des conversations du chat RAG
+-- ============================================================================
+
+-- Table des conversations (une par fil de discussion, rattachée à une verticale)
+CREATE TABLE IF NOT EXISTS public.conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    org_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    vertical_id TEXT NOT NULL,
+    title TEXT NOT NULL DEFAULT 'Nouvelle conversation',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Table des messages (tours utilisateur / IA, avec les sources de la réponse)
+CREATE TABLE IF NOT EXISTS public.messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES public.conversations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL CHECK (role IN ('user', 'ai')),
+    content TEXT NOT NULL,
+    sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index pour améliorer les performances
+CREATE INDEX IF NOT EXISTS idx_conversations_user_vertical
+    ON public.conversations(user_id, vertical_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_org_id ON public.conversations(org_id);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id
+    ON public.messages(conversation_id, created_at);
+
+-- Fonction pour mettre à jour updated_at automatiquement
+CREATE OR REPLACE FUNCTION update_conversations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_conversations_updated_at ON public.conversations;
+CREATE TRIGGER trigger_update_conversations_updated_at
+    BEFORE UPDATE ON public.conversations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_conversations_updated_at();
+
+-- Un nouveau message fait remonter la conversation en tête de liste
+CREATE OR REPLACE FUNCTION touch_conversation_on_message()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE public.conversations
+    SET updated_at = NOW()
+    WHERE id = NEW.conversation_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_touch_conversation_on_message ON public.messages;
+CREATE TRIGGER trigger_touch_conversation_on_message
+    AFTER INSERT ON public.messages
+    FOR EACH ROW
+    EXECUTE FUNCTION touch_conversation_on_message();
+
+-- Activer RLS (Row Level Security)
+ALTER TABLE public.conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.messages ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : Chaque utilisateur gère ses propres conversations,
+-- dans une organisation dont il est membre actif
+DROP POLICY IF EXISTS "Users can manage their own conversations" ON public.conversations;
+CREATE POLICY "Users can manage their own conversations"
+    ON public.conversations
+    FOR ALL
+    USING (
+        user_id = auth.uid()
+        AND (
+            org_id IS NULL
+            OR EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = conversations.org_id
+                AND om.user_id = auth.uid()
+                AND om.status = 'active'
+            )
+        )
+    )
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            org_id IS NULL
+            OR EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = conversations.org_id
+                AND om.user_id = auth.uid()
+                AND om.status = 'active'
+            )
+        )
+    );
+
+-- Politique RLS : Les messages suivent les droits de leur conversation
+DROP POLICY IF EXISTS "Users can manage messages of their conversations" ON public.messages;
+CREATE POLICY "Users can manage messages of their conversations"
+    ON public.messages
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.conversations c
+            WHERE c.id = messages.conversation_id
+            AND c.user_id = auth.uid()
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.conversations c
+            WHERE c.id = messages.conversation_id
+            AND c.user_id = auth.uid()
+        )
+    );
+
+-- Commentaires pour la documentation
+COMMENT ON TABLE public.conversations IS 'Conversations du chat RAG (une par fil de discussion)';
+COMMENT ON COLUMN public.conversations.vertical_id IS 'Verticale dans laquelle la conversation a été menée';
+COMMENT ON COLUMN public.conversations.title IS 'Titre affiché dans la barre latérale (par défaut : première question)';
+COMMENT ON TABLE public.messages IS 'Messages des conversations du chat RAG';
+COMMENT ON COLUMN public.messages.role IS 'Auteur du message: user ou ai';
+COMMENT ON COLUMN public.messages.sources IS 'Sources renvoyées par rag-brain pour une réponse IA';
@@ -0,0 +1,105 @@
+-- ============================================================================
+-- INGESTION : Migration - source_documents & chunks
+-- Un fichier importé = un document parent, découpé en chunks dans documents
+-- ============================================================================
+
+-- Table des documents parents (un enregistrement par fichier importé)
+CREATE TABLE IF NOT EXISTS public.source_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT,
+    filename TEXT,
+    mime_type TEXT,
+    vertical_id TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    content_length INTEGER NOT NULL DEFAULT 0,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    chunk_size INTEGER,
+    chunk_overlap INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_vertical_id ON public.source_documents(vertical_id);
+
+-- Fonction pour mettre à jour updated_at automatiquement
+CREATE OR REPLACE FUNCTION update_source_documents_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_source_documents_updated_at ON public.source_documents;
+CREATE TRIGGER trigger_update_source_documents_updated_at
+    BEFORE UPDATE ON public.source_documents
+    FOR EACH ROW
+    EXECUTE FUNCTION update_source_documents_updated_at();
+
+-- Activer RLS : accès uniquement via les Edge Functions (service role)
+ALTER TABLE public.source_documents ENABLE ROW LEVEL SECURITY;
+
+-- Chaque ligne de documents devient un chunk rattaché à son document parent
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS parent_document_id UUID REFERENCES public.source_documents(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS chunk_index INTEGER,
+    ADD COLUMN IF NOT EXISTS heading_path TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_documents_parent_chunk
+    ON public.documents(parent_document_id, chunk_index);
+
+-- match_documents renvoie désormais la position du chunk dans son document
+DO $$
+DECLARE
+    fn RECORD;
+BEGIN
+    FOR fn IN
+        SELECT oid::regprocedure AS signature
+        FROM pg_proc
+        WHERE proname = 'match_documents'
+        AND pronamespace = 'public'::regnamespace
+    LOOP
+        EXECUTE 'DROP FUNCTION ' || fn.signature;
+    END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.match_documents(
+    query_embedding vector(768),
+    match_threshold FLOAT,
+    match_count INT,
+    filter_vertical TEXT
+)
+RETURNS TABLE (
+    id UUID,
+    content TEXT,
+    metadata JSONB,
+    similarity FLOAT,
+    parent_document_id UUID,
+    chunk_index INTEGER,
+    heading_path TEXT[]
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) AS similarity,
+        d.parent_document_id,
+        d.chunk_index,
+        d.heading_path
+    FROM public.documents d
+    WHERE d.vertical_id = filter_vertical
+    AND 1 - (d.embedding <=> query_embedding) > match_threshold
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
+
+-- Commentaires pour la documentation
+COMMENT ON TABLE public.source_documents IS 'Documents importés (parents des chunks de la table documents)';
+COMMENT ON COLUMN public.source_documents.chunk_count IS 'Nombre de chunks indexés pour ce document';
+COMMENT ON COLUMN public.source_documents.chunk_size IS 'Taille cible des chunks utilisée à l''indexation (caractères)';
+COMMENT ON COLUMN public.source_documents.chunk_overlap IS 'Chevauchement entre chunks utilisé à l''indexation (caractères)';
+COMMENT ON COLUMN public.documents.parent_document_id IS 'Document parent (source_documents) dont ce chunk est extrait';
+COMMENT ON COLUMN public.documents.chunk_index IS 'Position du chunk dans son document parent (0..n-1)';
+COMMENT ON COLUMN public.documents.heading_path IS 'Titres Markdown englobant le chunk, du plus général au plus précis';
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- INGESTION : Migration - extraction PDF / DOCX
+-- Lien vers le fichier original et pagination des documents importés
+-- ============================================================================
+
+ALTER TABLE public.source_documents
+    ADD COLUMN IF NOT EXISTS storage_path TEXT,
+    ADD COLUMN IF NOT EXISTS page_count INTEGER;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.source_documents.storage_path IS 'Chemin du fichier original dans le bucket documents';
+COMMENT ON COLUMN public.source_documents.page_count IS 'Nombre de pages (PDF uniquement)';
+COMMENT ON COLUMN public.documents.metadata IS 'Métadonnées du chunk (fichier, position, heading_path, page_start / page_end pour les PDF)';
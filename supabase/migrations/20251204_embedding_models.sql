@@ -0,0 +1,82 @@
+-- ============================================================================
+-- RECHERCHE : Migration - modèle d'embedding par document
+-- Les vecteurs de modèles différents ne sont pas comparables entre eux
+-- ============================================================================
+
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+ALTER TABLE public.source_documents
+    ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+-- Les documents existants ont été indexés par ingest-api avec Gemini text-embedding-004.
+-- Les documents indexés par un autre canal (ex. n8n) avec un autre modèle doivent être
+-- corrigés manuellement avant d'exécuter cette migration.
+UPDATE public.documents
+SET embedding_model = 'gemini/text-embedding-004'
+WHERE embedding_model IS NULL;
+
+UPDATE public.source_documents
+SET embedding_model = 'gemini/text-embedding-004'
+WHERE embedding_model IS NULL;
+
+ALTER TABLE public.documents
+    ALTER COLUMN embedding_model SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_vertical_embedding_model
+    ON public.documents(vertical_id, embedding_model);
+
+-- match_documents ne compare que les chunks embeddés avec le modèle de la question
+DO $$
+DECLARE
+    fn RECORD;
+BEGIN
+    FOR fn IN
+        SELECT oid::regprocedure AS signature
+        FROM pg_proc
+        WHERE proname = 'match_documents'
+        AND pronamespace = 'public'::regnamespace
+    LOOP
+        EXECUTE 'DROP FUNCTION ' || fn.signature;
+    END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.match_documents(
+    query_embedding vector(768),
+    match_threshold FLOAT,
+    match_count INT,
+    filter_vertical TEXT,
+    filter_embedding_model TEXT
+)
+RETURNS TABLE (
+    id UUID,
+    content TEXT,
+    metadata JSONB,
+    similarity FLOAT,
+    parent_document_id UUID,
+    chunk_index INTEGER,
+    heading_path TEXT[],
+    embedding_model TEXT
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) AS similarity,
+        d.parent_document_id,
+        d.chunk_index,
+        d.heading_path,
+        d.embedding_model
+    FROM public.documents d
+    WHERE d.vertical_id = filter_vertical
+    AND d.embedding_model = filter_embedding_model
+    AND 1 - (d.embedding <=> query_embedding) > match_threshold
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.documents.embedding_model IS 'Modèle ayant produit l''embedding (registre _shared/embeddings.ts), ex. gemini/text-embedding-004';
+COMMENT ON COLUMN public.source_documents.embedding_model IS 'Modèle d''embedding utilisé pour indexer les chunks du document';
@@ -0,0 +1,146 @@
+-- ============================================================================
+-- RECHERCHE : Migration - changement de modèle d'embedding sans interruption
+-- Les chunks sont ré-embeddés dans embedding_next pendant que la recherche
+-- continue sur embedding, puis les colonnes sont basculées en une transaction.
+-- ============================================================================
+
+-- Paramètres applicatifs (clé / valeur)
+CREATE TABLE IF NOT EXISTS public.app_settings (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE public.app_settings ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : lecture seule pour les utilisateurs connectés (écriture via service role)
+DROP POLICY IF EXISTS "Authenticated users can read app settings" ON public.app_settings;
+CREATE POLICY "Authenticated users can read app settings"
+    ON public.app_settings
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Modèle d'embedding actif : utilisé par ingest-api et rag-brain
+INSERT INTO public.app_settings (key, value)
+VALUES ('active_embedding_model', '"gemini/text-embedding-004"'::jsonb)
+ON CONFLICT (key) DO NOTHING;
+
+-- Embedding en cours de calcul avec le modèle cible
+-- Tous les modèles du registre produisent des vecteurs de 768 dimensions
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS embedding_next vector(768),
+    ADD COLUMN IF NOT EXISTS embedding_next_model TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_embedding_next_model
+    ON public.documents(embedding_next_model);
+
+-- Suivi des migrations de modèle
+CREATE TABLE IF NOT EXISTS public.embedding_migrations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source_model TEXT NOT NULL,
+    target_model TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('running', 'failed', 'cancelled', 'completed')) DEFAULT 'running',
+    total_count INTEGER NOT NULL DEFAULT 0,
+    processed_count INTEGER NOT NULL DEFAULT 0,
+    batch_size INTEGER NOT NULL DEFAULT 50,
+    last_error TEXT,
+    started_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+-- Une seule migration active à la fois
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_migrations_single_active
+    ON public.embedding_migrations((true))
+    WHERE status IN ('running', 'failed');
+
+CREATE OR REPLACE FUNCTION update_embedding_migrations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_embedding_migrations_updated_at ON public.embedding_migrations;
+CREATE TRIGGER trigger_update_embedding_migrations_updated_at
+    BEFORE UPDATE ON public.embedding_migrations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_embedding_migrations_updated_at();
+
+ALTER TABLE public.embedding_migrations ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : seuls les super admins consultent les migrations
+DROP POLICY IF EXISTS "Super admins can view embedding migrations" ON public.embedding_migrations;
+CREATE POLICY "Super admins can view embedding migrations"
+    ON public.embedding_migrations
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Bascule finale : tous les chunks ont un embedding cible -> il devient l'embedding actif.
+-- Les insertions sont bloquées le temps de la bascule pour ne laisser aucun chunk orphelin.
+CREATE OR REPLACE FUNCTION public.finalize_embedding_migration(p_migration_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_target TEXT;
+    v_remaining INTEGER;
+BEGIN
+    SELECT target_model INTO v_target
+    FROM public.embedding_migrations
+    WHERE id = p_migration_id
+    AND status = 'running'
+    FOR UPDATE;
+
+    IF v_target IS NULL THEN
+        RAISE EXCEPTION 'Migration % introuvable ou inactive', p_migration_id;
+    END IF;
+
+    LOCK TABLE public.documents IN SHARE ROW EXCLUSIVE MODE;
+
+    SELECT COUNT(*) INTO v_remaining
+    FROM public.documents
+    WHERE embedding_next_model IS DISTINCT FROM v_target;
+
+    IF v_remaining > 0 THEN
+        RAISE EXCEPTION '% chunks restent à ré-embedder', v_remaining;
+    END IF;
+
+    UPDATE public.documents
+    SET embedding = embedding_next,
+        embedding_model = v_target,
+        embedding_next = NULL,
+        embedding_next_model = NULL;
+
+    UPDATE public.source_documents
+    SET embedding_model = v_target;
+
+    UPDATE public.app_settings
+    SET value = to_jsonb(v_target), updated_at = NOW()
+    WHERE key = 'active_embedding_model';
+
+    UPDATE public.embedding_migrations
+    SET status = 'completed',
+        processed_count = total_count,
+        completed_at = NOW()
+    WHERE id = p_migration_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.finalize_embedding_migration(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Commentaires pour la documentation
+COMMENT ON TABLE public.app_settings IS 'Paramètres applicatifs globaux (clé / valeur JSON)';
+COMMENT ON TABLE public.embedding_migrations IS 'Migrations du corpus vers un nouveau modèle d''embedding';
+COMMENT ON COLUMN public.embedding_migrations.processed_count IS 'Chunks déjà ré-embeddés avec le modèle cible';
+COMMENT ON COLUMN public.documents.embedding_next IS 'Embedding calculé avec le modèle cible d''une migration en cours';
+COMMENT ON COLUMN public.documents.embedding_next_model IS 'Modèle ayant produit embedding_next';
@@ -0,0 +1,115 @@
+-- ============================================================================
+-- RECHERCHE : Migration - documents rattachés à plusieurs verticales
+-- vertical_id reste renseigné (verticale principale) pour les intégrations existantes
+-- ============================================================================
+
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS vertical_ids TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.source_documents
+    ADD COLUMN IF NOT EXISTS vertical_ids TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE public.documents
+SET vertical_ids = ARRAY[vertical_id]
+WHERE vertical_id IS NOT NULL
+AND vertical_ids = '{}';
+
+UPDATE public.source_documents
+SET vertical_ids = ARRAY[vertical_id]
+WHERE vertical_id IS NOT NULL
+AND vertical_ids = '{}';
+
+CREATE INDEX IF NOT EXISTS idx_documents_vertical_ids
+    ON public.documents USING GIN (vertical_ids);
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_vertical_ids
+    ON public.source_documents USING GIN (vertical_ids);
+
+-- Synchronise vertical_id et vertical_ids pour les insertions qui ne renseignent que l'un des deux
+-- (ex. workflows n8n qui écrivent directement dans documents)
+CREATE OR REPLACE FUNCTION sync_document_vertical_ids()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Mise à jour de vertical_id seul : il remplace la liste
+    IF TG_OP = 'UPDATE'
+        AND NEW.vertical_id IS DISTINCT FROM OLD.vertical_id
+        AND NEW.vertical_ids = OLD.vertical_ids THEN
+        NEW.vertical_ids = CASE WHEN NEW.vertical_id IS NULL THEN '{}' ELSE ARRAY[NEW.vertical_id] END;
+    ELSIF COALESCE(array_length(NEW.vertical_ids, 1), 0) > 0 THEN
+        NEW.vertical_id = NEW.vertical_ids[1];
+    ELSIF NEW.vertical_id IS NOT NULL THEN
+        NEW.vertical_ids = ARRAY[NEW.vertical_id];
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sync_document_vertical_ids ON public.documents;
+CREATE TRIGGER trigger_sync_document_vertical_ids
+    BEFORE INSERT OR UPDATE OF vertical_id, vertical_ids ON public.documents
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_document_vertical_ids();
+
+DROP TRIGGER IF EXISTS trigger_sync_source_document_vertical_ids ON public.source_documents;
+CREATE TRIGGER trigger_sync_source_document_vertical_ids
+    BEFORE INSERT OR UPDATE OF vertical_id, vertical_ids ON public.source_documents
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_document_vertical_ids();
+
+-- match_documents filtre sur l'appartenance à la verticale
+DO $$
+DECLARE
+    fn RECORD;
+BEGIN
+    FOR fn IN
+        SELECT oid::regprocedure AS signature
+        FROM pg_proc
+        WHERE proname = 'match_documents'
+        AND pronamespace = 'public'::regnamespace
+    LOOP
+        EXECUTE 'DROP FUNCTION ' || fn.signature;
+    END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.match_documents(
+    query_embedding vector(768),
+    match_threshold FLOAT,
+    match_count INT,
+    filter_vertical TEXT,
+    filter_embedding_model TEXT
+)
+RETURNS TABLE (
+    id UUID,
+    content TEXT,
+    metadata JSONB,
+    similarity FLOAT,
+    parent_document_id UUID,
+    chunk_index INTEGER,
+    heading_path TEXT[],
+    embedding_model TEXT,
+    vertical_ids TEXT[]
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) AS similarity,
+        d.parent_document_id,
+        d.chunk_index,
+        d.heading_path,
+        d.embedding_model,
+        d.vertical_ids
+    FROM public.documents d
+    WHERE d.vertical_ids @> ARRAY[filter_vertical]
+    AND d.embedding_model = filter_embedding_model
+    AND 1 - (d.embedding <=> query_embedding) > match_threshold
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.documents.vertical_ids IS 'Verticales auxquelles le chunk appartient (recherche par appartenance)';
+COMMENT ON COLUMN public.documents.vertical_id IS 'Verticale principale (première de vertical_ids)';
+COMMENT ON COLUMN public.source_documents.vertical_ids IS 'Verticales auxquelles le document appartient';
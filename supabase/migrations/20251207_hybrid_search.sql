@@ -0,0 +1,107 @@
+-- ============================================================================
+-- RECHERCHE : Migration - recherche hybride (plein texte + vecteurs)
+-- Les références exactes (articles, SIRET, clauses) sont retrouvées par le plein
+-- texte, les reformulations par la similarité ; les deux classements sont fusionnés
+-- par Reciprocal Rank Fusion (RRF).
+-- ============================================================================
+
+-- Index plein texte (configuration française)
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS fts tsvector
+    GENERATED ALWAYS AS (to_tsvector('french', COALESCE(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_documents_fts
+    ON public.documents USING GIN (fts);
+
+-- Mode de recherche par défaut de chaque verticale (surchargeable par requête)
+ALTER TABLE public.verticals
+    ADD COLUMN IF NOT EXISTS retrieval_mode TEXT NOT NULL DEFAULT 'vector'
+    CHECK (retrieval_mode IN ('vector', 'hybrid'));
+
+-- Requête plein texte tolérante : syntaxe websearch (guillemets, -exclusion),
+-- termes combinés en OU pour qu'une question en langage naturel trouve des passages
+-- ne contenant qu'une partie des mots (le rang favorise ceux qui en contiennent le plus).
+-- Les exclusions (& !terme) sont conservées.
+CREATE OR REPLACE FUNCTION public.search_tsquery(query_text TEXT)
+RETURNS tsquery
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT regexp_replace(websearch_to_tsquery('french', query_text)::text, ' & (?!!)', ' | ', 'g')::tsquery;
+$$;
+
+CREATE OR REPLACE FUNCTION public.hybrid_match_documents(
+    query_text TEXT,
+    query_embedding vector(768),
+    match_threshold FLOAT,
+    match_count INT,
+    filter_vertical TEXT,
+    filter_embedding_model TEXT,
+    full_text_weight FLOAT DEFAULT 1,
+    semantic_weight FLOAT DEFAULT 1,
+    rrf_k INT DEFAULT 60
+)
+RETURNS TABLE (
+    id UUID,
+    content TEXT,
+    metadata JSONB,
+    similarity FLOAT,
+    parent_document_id UUID,
+    chunk_index INTEGER,
+    heading_path TEXT[],
+    embedding_model TEXT,
+    vertical_ids TEXT[],
+    full_text_rank INT,
+    semantic_rank INT,
+    rrf_score FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH candidates AS (
+        SELECT d.*
+        FROM public.documents d
+        WHERE d.vertical_ids @> ARRAY[filter_vertical]
+        AND d.embedding_model = filter_embedding_model
+    ),
+    full_text AS (
+        SELECT
+            c.id,
+            ROW_NUMBER() OVER (ORDER BY ts_rank_cd(c.fts, public.search_tsquery(query_text)) DESC) AS rank_ix
+        FROM candidates c
+        WHERE c.fts @@ public.search_tsquery(query_text)
+        ORDER BY rank_ix
+        LIMIT match_count * 2
+    ),
+    semantic AS (
+        SELECT
+            c.id,
+            ROW_NUMBER() OVER (ORDER BY c.embedding <=> query_embedding) AS rank_ix
+        FROM candidates c
+        WHERE 1 - (c.embedding <=> query_embedding) > match_threshold
+        ORDER BY rank_ix
+        LIMIT match_count * 2
+    )
+    SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) AS similarity,
+        d.parent_document_id,
+        d.chunk_index,
+        d.heading_path,
+        d.embedding_model,
+        d.vertical_ids,
+        full_text.rank_ix::INT AS full_text_rank,
+        semantic.rank_ix::INT AS semantic_rank,
+        COALESCE(1.0 / (rrf_k + full_text.rank_ix), 0.0) * full_text_weight
+            + COALESCE(1.0 / (rrf_k + semantic.rank_ix), 0.0) * semantic_weight AS rrf_score
+    FROM full_text
+    FULL OUTER JOIN semantic ON full_text.id = semantic.id
+    JOIN public.documents d ON d.id = COALESCE(full_text.id, semantic.id)
+    ORDER BY rrf_score DESC
+    LIMIT match_count;
+$$;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.documents.fts IS 'Index plein texte (french) du contenu du chunk';
+COMMENT ON COLUMN public.verticals.retrieval_mode IS 'Mode de recherche par défaut : vector ou hybrid (plein texte + vecteurs, fusion RRF)';
+COMMENT ON FUNCTION public.hybrid_match_documents IS 'Recherche hybride plein texte + similarité, fusion Reciprocal Rank Fusion';
@@ -0,0 +1,114 @@
+-- ============================================================================
+-- CHAT : Migration - retours utilisateurs sur les réponses
+-- Pouce haut / bas et commentaire, avec la question, la réponse et les sources,
+-- pour que les responsables de contenu corrigent les documents manquants ou erronés
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.answer_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+    org_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    vertical_id TEXT NOT NULL,
+    conversation_id UUID REFERENCES public.conversations(id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)),
+    comment TEXT,
+    query TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    source_ids UUID[] NOT NULL DEFAULT '{}',
+    sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+    resolved_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index pour améliorer les performances
+CREATE INDEX IF NOT EXISTS idx_answer_feedback_org_vertical
+    ON public.answer_feedback(org_id, vertical_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_answer_feedback_user_id ON public.answer_feedback(user_id);
+CREATE INDEX IF NOT EXISTS idx_answer_feedback_source_ids
+    ON public.answer_feedback USING GIN (source_ids);
+
+CREATE OR REPLACE FUNCTION update_answer_feedback_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_answer_feedback_updated_at ON public.answer_feedback;
+CREATE TRIGGER trigger_update_answer_feedback_updated_at
+    BEFORE UPDATE ON public.answer_feedback
+    FOR EACH ROW
+    EXECUTE FUNCTION update_answer_feedback_updated_at();
+
+-- Activer RLS (Row Level Security)
+ALTER TABLE public.answer_feedback ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : Chaque utilisateur gère ses propres retours,
+-- dans une organisation dont il est membre actif
+DROP POLICY IF EXISTS "Users can manage their own feedback" ON public.answer_feedback;
+CREATE POLICY "Users can manage their own feedback"
+    ON public.answer_feedback
+    FOR ALL
+    USING (user_id = auth.uid())
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            org_id IS NULL
+            OR EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = answer_feedback.org_id
+                AND om.user_id = auth.uid()
+                AND om.status = 'active'
+            )
+        )
+    );
+
+-- Politique RLS : Les admins consultent les retours de leur organisation
+DROP POLICY IF EXISTS "Org admins can view org feedback" ON public.answer_feedback;
+CREATE POLICY "Org admins can view org feedback"
+    ON public.answer_feedback
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id = answer_feedback.org_id
+            AND om.user_id = auth.uid()
+            AND om.role IN ('owner', 'admin')
+            AND om.status = 'active'
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Politique RLS : Les admins marquent les retours comme traités
+DROP POLICY IF EXISTS "Org admins can resolve org feedback" ON public.answer_feedback;
+CREATE POLICY "Org admins can resolve org feedback"
+    ON public.answer_feedback
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id = answer_feedback.org_id
+            AND om.user_id = auth.uid()
+            AND om.role IN ('owner', 'admin')
+            AND om.status = 'active'
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Commentaires pour la documentation
+COMMENT ON TABLE public.answer_feedback IS 'Retours utilisateurs (pouce haut/bas, commentaire) sur les réponses de rag-brain';
+COMMENT ON COLUMN public.answer_feedback.rating IS '1 = réponse utile, -1 = réponse incorrecte ou incomplète';
+COMMENT ON COLUMN public.answer_feedback.source_ids IS 'Chunks (documents.id) utilisés pour la réponse';
+COMMENT ON COLUMN public.answer_feedback.sources IS 'Aperçu des sources au moment du retour (fichier, pages, similarité)';
+COMMENT ON COLUMN public.answer_feedback.resolved_at IS 'Date de traitement du retour par un responsable de contenu';
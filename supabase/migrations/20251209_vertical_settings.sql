@@ -0,0 +1,63 @@
+-- ============================================================================
+-- RECHERCHE : Migration - paramètres de génération et de recherche par verticale
+-- Prompt système, modèle, température, seuil, nombre de passages et style de
+-- réponse sont lus par rag-brain à chaque requête, et édités par les super admins.
+-- ============================================================================
+
+ALTER TABLE public.verticals
+    ADD COLUMN IF NOT EXISTS system_prompt TEXT,
+    ADD COLUMN IF NOT EXISTS chat_model TEXT,
+    ADD COLUMN IF NOT EXISTS temperature REAL NOT NULL DEFAULT 0.3
+        CHECK (temperature >= 0 AND temperature <= 2),
+    ADD COLUMN IF NOT EXISTS match_threshold REAL NOT NULL DEFAULT 0.5
+        CHECK (match_threshold >= 0 AND match_threshold <= 1),
+    ADD COLUMN IF NOT EXISTS match_count INTEGER NOT NULL DEFAULT 5
+        CHECK (match_count BETWEEN 1 AND 50),
+    ADD COLUMN IF NOT EXISTS answer_style TEXT NOT NULL DEFAULT 'balanced'
+        CHECK (answer_style IN ('balanced', 'concise', 'detailed', 'bullets')),
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION update_verticals_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_verticals_updated_at ON public.verticals;
+CREATE TRIGGER trigger_update_verticals_updated_at
+    BEFORE UPDATE ON public.verticals
+    FOR EACH ROW
+    EXECUTE FUNCTION update_verticals_updated_at();
+
+-- Activer RLS (Row Level Security)
+ALTER TABLE public.verticals ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : Les verticales sont lisibles par tous (sélecteur, upload)
+DROP POLICY IF EXISTS "Anyone can view verticals" ON public.verticals;
+CREATE POLICY "Anyone can view verticals"
+    ON public.verticals
+    FOR SELECT
+    USING (true);
+
+-- Politique RLS : Seuls les super admins modifient la configuration
+DROP POLICY IF EXISTS "Super admins can update verticals" ON public.verticals;
+CREATE POLICY "Super admins can update verticals"
+    ON public.verticals
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.verticals.system_prompt IS 'Prompt système de rag-brain ({{vertical}} = nom de la verticale) ; NULL = prompt par défaut';
+COMMENT ON COLUMN public.verticals.chat_model IS 'Modèle de génération du fournisseur configuré (LLM_PROVIDER) ; NULL = CHAT_MODEL';
+COMMENT ON COLUMN public.verticals.temperature IS 'Température de génération (0-2)';
+COMMENT ON COLUMN public.verticals.match_threshold IS 'Seuil de similarité par défaut (surchargeable par requête)';
+COMMENT ON COLUMN public.verticals.match_count IS 'Nombre de passages par défaut (surchargeable par requête)';
+COMMENT ON COLUMN public.verticals.answer_style IS 'Style de réponse : balanced, concise, detailed ou bullets';
@@ -0,0 +1,61 @@
+-- ============================================================================
+-- RECHERCHE : Migration - gestion des verticales par les super admins
+-- Création, ordre d'affichage, icône, couleur et archivage. Une verticale
+-- archivée n'est plus proposée à la sélection ni à l'import, mais ses
+-- documents restent en base et interrogeables (match_documents et
+-- hybrid_match_documents ne filtrent que sur vertical_ids).
+-- ============================================================================
+
+ALTER TABLE public.verticals
+    ADD COLUMN IF NOT EXISTS icon TEXT,
+    ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+
+-- Ordre initial : ordre alphabétique, comme l'ancien tri des sélecteurs
+UPDATE public.verticals v
+SET sort_order = ordered.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (ORDER BY name) - 1 AS position
+    FROM public.verticals
+) ordered
+WHERE v.id = ordered.id
+AND v.sort_order = 0;
+
+-- Identifiant stable (stocké dans documents.vertical_ids et les conversations)
+ALTER TABLE public.verticals DROP CONSTRAINT IF EXISTS verticals_id_format;
+ALTER TABLE public.verticals
+    ADD CONSTRAINT verticals_id_format
+    CHECK (id ~ '^[a-z0-9][a-z0-9_-]{1,31}$') NOT VALID;
+
+ALTER TABLE public.verticals DROP CONSTRAINT IF EXISTS verticals_color_format;
+ALTER TABLE public.verticals
+    ADD CONSTRAINT verticals_color_format
+    CHECK (color IS NULL OR color ~ '^#[0-9a-fA-F]{6}$') NOT VALID;
+
+-- Une verticale archivée est toujours inactive
+ALTER TABLE public.verticals DROP CONSTRAINT IF EXISTS verticals_archived_inactive;
+ALTER TABLE public.verticals
+    ADD CONSTRAINT verticals_archived_inactive
+    CHECK (archived_at IS NULL OR is_active = false);
+
+CREATE INDEX IF NOT EXISTS idx_verticals_sort_order ON public.verticals(sort_order, name);
+
+-- Politique RLS : Seuls les super admins créent des verticales
+-- (pas de suppression : on archive, les documents gardent leurs vertical_ids)
+DROP POLICY IF EXISTS "Super admins can create verticals" ON public.verticals;
+CREATE POLICY "Super admins can create verticals"
+    ON public.verticals
+    FOR INSERT
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.verticals.icon IS 'Clé d''icône (cf. VERTICAL_ICONS côté client) ; NULL = icône générique';
+COMMENT ON COLUMN public.verticals.sort_order IS 'Ordre d''affichage dans les sélecteurs (croissant)';
+COMMENT ON COLUMN public.verticals.archived_at IS 'Date d''archivage : masquée à la sélection et à l''import, documents conservés et interrogeables par les administrateurs';
@@ -0,0 +1,186 @@
+-- ============================================================================
+-- RECHERCHE : Migration - isolation des documents par organisation
+-- Chaque document (parent et chunks) appartient à l'organisation de l'utilisateur
+-- qui l'a importé. match_documents et hybrid_match_documents exigent
+-- l'organisation, dérivée par rag-brain du JWT de l'appelant.
+-- ============================================================================
+
+ALTER TABLE public.source_documents
+    ADD COLUMN IF NOT EXISTS org_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+ALTER TABLE public.documents
+    ADD COLUMN IF NOT EXISTS org_id UUID REFERENCES public.organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_org_id ON public.source_documents(org_id);
+CREATE INDEX IF NOT EXISTS idx_documents_org_id ON public.documents(org_id);
+
+-- Les chunks héritent de l'organisation de leur document parent
+-- (insertions qui ne la renseignent pas, ex. workflows n8n)
+CREATE OR REPLACE FUNCTION sync_document_org_id()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.org_id IS NULL AND NEW.parent_document_id IS NOT NULL THEN
+        SELECT org_id INTO NEW.org_id
+        FROM public.source_documents
+        WHERE id = NEW.parent_document_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_sync_document_org_id ON public.documents;
+CREATE TRIGGER trigger_sync_document_org_id
+    BEFORE INSERT ON public.documents
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_document_org_id();
+
+-- Documents existants : rattachés à l'organisation s'il n'y en a qu'une.
+-- Sinon ils restent sans organisation (introuvables) jusqu'à leur rattachement manuel.
+DO $$
+DECLARE
+    v_org_id UUID;
+BEGIN
+    IF (SELECT COUNT(*) FROM public.organizations) = 1 THEN
+        SELECT id INTO v_org_id FROM public.organizations;
+
+        UPDATE public.source_documents SET org_id = v_org_id WHERE org_id IS NULL;
+        UPDATE public.documents SET org_id = v_org_id WHERE org_id IS NULL;
+    END IF;
+END $$;
+
+-- match_documents : organisation obligatoire
+DO $$
+DECLARE
+    fn RECORD;
+BEGIN
+    FOR fn IN
+        SELECT oid::regprocedure AS signature
+        FROM pg_proc
+        WHERE proname IN ('match_documents', 'hybrid_match_documents')
+        AND pronamespace = 'public'::regnamespace
+    LOOP
+        EXECUTE 'DROP FUNCTION ' || fn.signature;
+    END LOOP;
+END $$;
+
+CREATE OR REPLACE FUNCTION public.match_documents(
+    query_embedding vector(768),
+    match_threshold FLOAT,
+    match_count INT,
+    filter_vertical TEXT,
+    filter_embedding_model TEXT,
+    filter_org UUID
+)
+RETURNS TABLE (
+    id UUID,
+    content TEXT,
+    metadata JSONB,
+    similarity FLOAT,
+    parent_document_id UUID,
+    chunk_index INTEGER,
+    heading_path TEXT[],
+    embedding_model TEXT,
+    vertical_ids TEXT[]
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) AS similarity,
+        d.parent_document_id,
+        d.chunk_index,
+        d.heading_path,
+        d.embedding_model,
+        d.vertical_ids
+    FROM public.documents d
+    WHERE d.org_id = filter_org
+    AND d.vertical_ids @> ARRAY[filter_vertical]
+    AND d.embedding_model = filter_embedding_model
+    AND 1 - (d.embedding <=> query_embedding) > match_threshold
+    ORDER BY d.embedding <=> query_embedding
+    LIMIT match_count;
+$$;
+
+CREATE OR REPLACE FUNCTION public.hybrid_match_documents(
+    query_text TEXT,
+    query_embedding vector(768),
+    match_threshold FLOAT,
+    match_count INT,
+    filter_vertical TEXT,
+    filter_embedding_model TEXT,
+    filter_org UUID,
+    full_text_weight FLOAT DEFAULT 1,
+    semantic_weight FLOAT DEFAULT 1,
+    rrf_k INT DEFAULT 60
+)
+RETURNS TABLE (
+    id UUID,
+    content TEXT,
+    metadata JSONB,
+    similarity FLOAT,
+    parent_document_id UUID,
+    chunk_index INTEGER,
+    heading_path TEXT[],
+    embedding_model TEXT,
+    vertical_ids TEXT[],
+    full_text_rank INT,
+    semantic_rank INT,
+    rrf_score FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH candidates AS (
+        SELECT d.*
+        FROM public.documents d
+        WHERE d.org_id = filter_org
+        AND d.vertical_ids @> ARRAY[filter_vertical]
+        AND d.embedding_model = filter_embedding_model
+    ),
+    full_text AS (
+        SELECT
+            c.id,
+            ROW_NUMBER() OVER (ORDER BY ts_rank_cd(c.fts, public.search_tsquery(query_text)) DESC) AS rank_ix
+        FROM candidates c
+        WHERE c.fts @@ public.search_tsquery(query_text)
+        ORDER BY rank_ix
+        LIMIT match_count * 2
+    ),
+    semantic AS (
+        SELECT
+            c.id,
+            ROW_NUMBER() OVER (ORDER BY c.embedding <=> query_embedding) AS rank_ix
+        FROM candidates c
+        WHERE 1 - (c.embedding <=> query_embedding) > match_threshold
+        ORDER BY rank_ix
+        LIMIT match_count * 2
+    )
+    SELECT
+        d.id,
+        d.content,
+        d.metadata,
+        1 - (d.embedding <=> query_embedding) AS similarity,
+        d.parent_document_id,
+        d.chunk_index,
+        d.heading_path,
+        d.embedding_model,
+        d.vertical_ids,
+        full_text.rank_ix::INT AS full_text_rank,
+        semantic.rank_ix::INT AS semantic_rank,
+        COALESCE(1.0 / (rrf_k + full_text.rank_ix), 0.0) * full_text_weight
+            + COALESCE(1.0 / (rrf_k + semantic.rank_ix), 0.0) * semantic_weight AS rrf_score
+    FROM full_text
+    FULL OUTER JOIN semantic ON full_text.id = semantic.id
+    JOIN public.documents d ON d.id = COALESCE(full_text.id, semantic.id)
+    ORDER BY rrf_score DESC
+    LIMIT match_count;
+$$;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.source_documents.org_id IS 'Organisation propriétaire (celle de l''utilisateur qui a importé le document)';
+COMMENT ON COLUMN public.source_documents.uploaded_by IS 'Utilisateur qui a importé le document';
+COMMENT ON COLUMN public.documents.org_id IS 'Organisation propriétaire du chunk (héritée du document parent)';
+COMMENT ON FUNCTION public.match_documents IS 'Recherche par similarité dans les documents d''une organisation et d''une verticale';
+COMMENT ON FUNCTION public.hybrid_match_documents IS 'Recherche hybride plein texte + similarité, fusion Reciprocal Rank Fusion, limitée à une organisation';
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- INGESTION : Migration - droits d'import par verticale
+-- Les verticales sont partagées : par défaut seuls les owners et admins d'une
+-- organisation y importent des documents. members_can_ingest ouvre l'import
+-- aux simples membres (contrôlé par ingest-api).
+-- ============================================================================
+
+ALTER TABLE public.verticals
+    ADD COLUMN IF NOT EXISTS members_can_ingest BOOLEAN NOT NULL DEFAULT false;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.verticals.members_can_ingest IS 'Les membres (role member) peuvent importer des documents dans cette verticale ; sinon owners et admins uniquement';
@@ -0,0 +1,104 @@
+-- ============================================================================
+-- BRIQUE 6 : Migration - clés d'API d'organisation
+-- Accès programmatique à ingest-api (scope ingest) et rag-brain (scope query)
+-- sans session utilisateur. Seule l'empreinte SHA-256 de la clé est stockée :
+-- la clé en clair n'est affichée qu'une fois, à la création.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.org_api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    name TEXT NOT NULL CHECK (char_length(trim(name)) > 0),
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}'
+        CHECK (scopes <@ ARRAY['ingest', 'query']::TEXT[] AND cardinality(scopes) > 0),
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_api_keys_org_id ON public.org_api_keys(org_id);
+
+-- Documents importés par une clé d'API (uploaded_by est alors NULL)
+ALTER TABLE public.source_documents
+    ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES public.org_api_keys(id) ON DELETE SET NULL;
+
+-- Activer RLS (Row Level Security)
+-- La vérification des clés passe par les Edge Functions (service role)
+ALTER TABLE public.org_api_keys ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : Les admins consultent les clés de leur organisation
+DROP POLICY IF EXISTS "Org admins can view api keys" ON public.org_api_keys;
+CREATE POLICY "Org admins can view api keys"
+    ON public.org_api_keys
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id = org_api_keys.org_id
+            AND om.user_id = auth.uid()
+            AND om.role IN ('owner', 'admin')
+            AND om.status = 'active'
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Politique RLS : Les admins créent des clés pour leur organisation
+DROP POLICY IF EXISTS "Org admins can create api keys" ON public.org_api_keys;
+CREATE POLICY "Org admins can create api keys"
+    ON public.org_api_keys
+    FOR INSERT
+    WITH CHECK (
+        created_by = auth.uid()
+        AND (
+            EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = org_api_keys.org_id
+                AND om.user_id = auth.uid()
+                AND om.role IN ('owner', 'admin')
+                AND om.status = 'active'
+            )
+            OR EXISTS (
+                SELECT 1 FROM public.profiles
+                WHERE id = auth.uid()
+                AND app_role = 'super_admin'
+            )
+        )
+    );
+
+-- Politique RLS : Les admins révoquent les clés de leur organisation
+DROP POLICY IF EXISTS "Org admins can revoke api keys" ON public.org_api_keys;
+CREATE POLICY "Org admins can revoke api keys"
+    ON public.org_api_keys
+    FOR UPDATE
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id = org_api_keys.org_id
+            AND om.user_id = auth.uid()
+            AND om.role IN ('owner', 'admin')
+            AND om.status = 'active'
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Commentaires pour la documentation
+COMMENT ON TABLE public.org_api_keys IS 'Clés d''API d''organisation pour ingest-api et rag-brain (en-tête x-api-key)';
+COMMENT ON COLUMN public.org_api_keys.key_prefix IS 'Début de la clé, affiché pour l''identifier';
+COMMENT ON COLUMN public.org_api_keys.key_hash IS 'Empreinte SHA-256 (hex) de la clé ; la clé en clair n''est jamais stockée';
+COMMENT ON COLUMN public.org_api_keys.scopes IS 'Droits : ingest (ingest-api), query (rag-brain)';
+COMMENT ON COLUMN public.org_api_keys.expires_at IS 'Date d''expiration ; NULL = sans expiration';
+COMMENT ON COLUMN public.org_api_keys.last_used_at IS 'Dernière utilisation acceptée';
+COMMENT ON COLUMN public.org_api_keys.revoked_at IS 'Date de révocation ; une clé révoquée est refusée';
+COMMENT ON COLUMN public.source_documents.api_key_id IS 'Clé d''API ayant importé le document (import programmatique)';
@@ -0,0 +1,120 @@
+-- ============================================================================
+-- INGESTION : Migration - imports asynchrones
+-- ingest-api enregistre une tâche et répond immédiatement ; ingest-worker
+-- extrait, découpe et embedde le document en mettant à jour la tâche.
+-- Le client suit l'avancement via Supabase Realtime (ou par interrogation).
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.ingestion_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id UUID NOT NULL REFERENCES public.organizations(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    api_key_id UUID REFERENCES public.org_api_keys(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'extracting', 'chunking', 'embedding', 'done', 'failed')),
+    filename TEXT,
+    vertical_ids TEXT[] NOT NULL DEFAULT '{}',
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    chunk_count INTEGER,
+    chunks_embedded INTEGER NOT NULL DEFAULT 0,
+    source_document_id UUID REFERENCES public.source_documents(id) ON DELETE SET NULL,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_org_created
+    ON public.ingestion_jobs(org_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_queued
+    ON public.ingestion_jobs(created_at)
+    WHERE status = 'queued';
+
+-- Fonction pour mettre à jour updated_at automatiquement
+CREATE OR REPLACE FUNCTION update_ingestion_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_ingestion_jobs_updated_at ON public.ingestion_jobs;
+CREATE TRIGGER trigger_update_ingestion_jobs_updated_at
+    BEFORE UPDATE ON public.ingestion_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_ingestion_jobs_updated_at();
+
+-- Réserve une tâche en attente (la plus ancienne, ou celle demandée) pour un worker.
+-- SKIP LOCKED : deux workers ne traitent jamais la même tâche.
+CREATE OR REPLACE FUNCTION public.claim_ingestion_job(p_job_id UUID DEFAULT NULL)
+RETURNS SETOF public.ingestion_jobs
+LANGUAGE sql
+AS $$
+    UPDATE public.ingestion_jobs j
+    SET status = 'extracting',
+        attempts = j.attempts + 1,
+        started_at = NOW(),
+        error = NULL
+    WHERE j.id = (
+        SELECT id
+        FROM public.ingestion_jobs
+        WHERE status = 'queued'
+        AND (p_job_id IS NULL OR id = p_job_id)
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+$$;
+
+-- Réservée aux Edge Functions (service role)
+REVOKE EXECUTE ON FUNCTION public.claim_ingestion_job(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Activer RLS : écriture uniquement via les Edge Functions (service role)
+ALTER TABLE public.ingestion_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Politique RLS : Les membres suivent les imports de leur organisation
+DROP POLICY IF EXISTS "Members can view org ingestion jobs" ON public.ingestion_jobs;
+CREATE POLICY "Members can view org ingestion jobs"
+    ON public.ingestion_jobs
+    FOR SELECT
+    USING (
+        EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id = ingestion_jobs.org_id
+            AND om.user_id = auth.uid()
+            AND om.status = 'active'
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = auth.uid()
+            AND app_role = 'super_admin'
+        )
+    );
+
+-- Suivi en temps réel (SmartUploader)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+        AND NOT EXISTS (
+            SELECT 1 FROM pg_publication_tables
+            WHERE pubname = 'supabase_realtime'
+            AND schemaname = 'public'
+            AND tablename = 'ingestion_jobs'
+        ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE public.ingestion_jobs;
+    END IF;
+END $$;
+
+-- Commentaires pour la documentation
+COMMENT ON TABLE public.ingestion_jobs IS 'Imports de documents traités en arrière-plan par ingest-worker';
+COMMENT ON COLUMN public.ingestion_jobs.status IS 'queued, extracting, chunking, embedding, done ou failed';
+COMMENT ON COLUMN public.ingestion_jobs.payload IS 'Requête d''import validée (contenu ou storage_path, metadata, options de découpage)';
+COMMENT ON COLUMN public.ingestion_jobs.chunk_count IS 'Nombre de chunks à embedder (connu après le découpage)';
+COMMENT ON COLUMN public.ingestion_jobs.chunks_embedded IS 'Chunks embeddés et indexés jusqu''ici';
+COMMENT ON COLUMN public.ingestion_jobs.source_document_id IS 'Document créé, une fois l''import terminé';
+COMMENT ON COLUMN public.ingestion_jobs.attempts IS 'Nombre de prises en charge par un worker';
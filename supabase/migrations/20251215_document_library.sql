@@ -0,0 +1,59 @@
+-- ============================================================================
+-- INGESTION : Migration - bibliothèque de documents
+-- Vue unique des documents indexés et des imports en cours ou en échec,
+-- lue par l'Edge Function document-library (service role) pour la page /documents.
+-- ============================================================================
+
+-- Recherche sur le nom de fichier (ILIKE '%...%')
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_filename_trgm
+    ON public.source_documents USING GIN (filename gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_org_created
+    ON public.source_documents(org_id, created_at DESC);
+
+-- Documents indexés + imports non terminés (un import terminé est représenté par son document)
+CREATE OR REPLACE VIEW public.document_library AS
+SELECT
+    sd.id,
+    'document'::TEXT AS kind,
+    sd.org_id,
+    sd.title,
+    sd.filename,
+    sd.mime_type,
+    sd.storage_path,
+    sd.vertical_ids,
+    sd.uploaded_by,
+    sd.api_key_id,
+    'indexed'::TEXT AS status,
+    sd.chunk_count,
+    NULL::TEXT AS error,
+    sd.created_at
+FROM public.source_documents sd
+UNION ALL
+SELECT
+    j.id,
+    'job'::TEXT AS kind,
+    j.org_id,
+    j.payload->'metadata'->>'title' AS title,
+    j.filename,
+    j.payload->'metadata'->>'fileType' AS mime_type,
+    j.payload->>'storage_path' AS storage_path,
+    j.vertical_ids,
+    j.created_by AS uploaded_by,
+    j.api_key_id,
+    CASE WHEN j.status = 'failed' THEN 'failed' ELSE 'processing' END AS status,
+    j.chunk_count,
+    j.error,
+    j.created_at
+FROM public.ingestion_jobs j
+WHERE j.status <> 'done';
+
+-- La vue contourne RLS (droits du propriétaire) : réservée aux Edge Functions
+REVOKE ALL ON public.document_library FROM PUBLIC, anon, authenticated;
+
+-- Commentaires pour la documentation
+COMMENT ON VIEW public.document_library IS 'Documents indexés et imports en cours ou en échec (page /documents, via document-library)';
+COMMENT ON COLUMN public.document_library.kind IS 'document (source_documents) ou job (ingestion_jobs non terminée)';
+COMMENT ON COLUMN public.document_library.status IS 'indexed, processing ou failed';
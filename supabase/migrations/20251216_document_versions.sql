@@ -0,0 +1,156 @@
+-- ============================================================================
+-- INGESTION : Migration - déduplication et versions des documents
+-- ingest-api calcule l'empreinte SHA-256 du contenu et refuse un doublon exact
+-- dans l'organisation. Un nouvel import du même nom de fichier devient une
+-- nouvelle version : les chunks des versions précédentes sont supprimés,
+-- leur historique reste consultable dans la bibliothèque.
+-- ============================================================================
+
+ALTER TABLE public.source_documents
+    ADD COLUMN IF NOT EXISTS content_hash TEXT,
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS version_group_id UUID NOT NULL DEFAULT gen_random_uuid(),
+    ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS superseded_by UUID REFERENCES public.source_documents(id) ON DELETE SET NULL;
+
+ALTER TABLE public.ingestion_jobs
+    ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+-- Un même contenu n'est indexé qu'une fois par organisation (documents existants : empreinte inconnue)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_source_documents_org_content_hash
+    ON public.source_documents(org_id, content_hash)
+    WHERE superseded_at IS NULL AND content_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_org_filename
+    ON public.source_documents(org_id, filename)
+    WHERE superseded_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_source_documents_version_group
+    ON public.source_documents(version_group_id, version DESC);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_org_content_hash
+    ON public.ingestion_jobs(org_id, content_hash);
+
+-- Appelée par ingest-worker une fois les chunks du nouveau document indexés :
+-- les versions courantes du même fichier sont remplacées et leurs chunks supprimés.
+-- Renvoie le numéro de version du document.
+CREATE OR REPLACE FUNCTION public.supersede_previous_versions(p_document_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_document public.source_documents%ROWTYPE;
+    v_group_id UUID;
+    v_previous_ids UUID[];
+BEGIN
+    SELECT * INTO v_document
+    FROM public.source_documents
+    WHERE id = p_document_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document introuvable : %', p_document_id;
+    END IF;
+
+    IF v_document.filename IS NULL THEN
+        RETURN v_document.version;
+    END IF;
+
+    -- Versions courantes du même fichier dans l'organisation
+    SELECT array_agg(previous.id) INTO v_previous_ids
+    FROM (
+        SELECT id
+        FROM public.source_documents
+        WHERE org_id = v_document.org_id
+        AND filename = v_document.filename
+        AND superseded_at IS NULL
+        AND id <> v_document.id
+        FOR UPDATE
+    ) previous;
+
+    IF v_previous_ids IS NULL THEN
+        RETURN v_document.version;
+    END IF;
+
+    SELECT version_group_id INTO v_group_id
+    FROM public.source_documents
+    WHERE id = ANY(v_previous_ids)
+    ORDER BY version DESC, created_at DESC
+    LIMIT 1;
+
+    UPDATE public.source_documents
+    SET version = (
+            SELECT MAX(version) + 1
+            FROM public.source_documents
+            WHERE version_group_id = v_group_id
+        ),
+        version_group_id = v_group_id
+    WHERE id = v_document.id
+    RETURNING version INTO v_document.version;
+
+    UPDATE public.source_documents
+    SET superseded_at = NOW(),
+        superseded_by = v_document.id
+    WHERE id = ANY(v_previous_ids);
+
+    -- Les anciennes versions ne sont plus interrogées
+    DELETE FROM public.documents
+    WHERE parent_document_id = ANY(v_previous_ids);
+
+    RETURN v_document.version;
+END;
+$$;
+
+-- Réservée aux Edge Functions (service role)
+REVOKE EXECUTE ON FUNCTION public.supersede_previous_versions(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Bibliothèque : versions courantes uniquement (l'historique est lu par document-library)
+CREATE OR REPLACE VIEW public.document_library AS
+SELECT
+    sd.id,
+    'document'::TEXT AS kind,
+    sd.org_id,
+    sd.title,
+    sd.filename,
+    sd.mime_type,
+    sd.storage_path,
+    sd.vertical_ids,
+    sd.uploaded_by,
+    sd.api_key_id,
+    'indexed'::TEXT AS status,
+    sd.chunk_count,
+    NULL::TEXT AS error,
+    sd.created_at,
+    sd.version
+FROM public.source_documents sd
+WHERE sd.superseded_at IS NULL
+UNION ALL
+SELECT
+    j.id,
+    'job'::TEXT AS kind,
+    j.org_id,
+    j.payload->'metadata'->>'title' AS title,
+    j.filename,
+    j.payload->'metadata'->>'fileType' AS mime_type,
+    j.payload->>'storage_path' AS storage_path,
+    j.vertical_ids,
+    j.created_by AS uploaded_by,
+    j.api_key_id,
+    CASE WHEN j.status = 'failed' THEN 'failed' ELSE 'processing' END AS status,
+    j.chunk_count,
+    j.error,
+    j.created_at,
+    NULL::INTEGER AS version
+FROM public.ingestion_jobs j
+WHERE j.status <> 'done';
+
+REVOKE ALL ON public.document_library FROM PUBLIC, anon, authenticated;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.source_documents.content_hash IS 'Empreinte SHA-256 (hex) du contenu importé (fichier stocké ou texte fourni)';
+COMMENT ON COLUMN public.source_documents.version IS 'Numéro de version du fichier dans l''organisation (1 = premier import)';
+COMMENT ON COLUMN public.source_documents.version_group_id IS 'Identifiant commun à toutes les versions d''un même fichier';
+COMMENT ON COLUMN public.source_documents.superseded_at IS 'Date de remplacement par une nouvelle version ; ses chunks sont alors supprimés';
+COMMENT ON COLUMN public.source_documents.superseded_by IS 'Version qui a remplacé ce document';
+COMMENT ON COLUMN public.ingestion_jobs.content_hash IS 'Empreinte du contenu, pour refuser un doublon pendant le traitement';
+COMMENT ON COLUMN public.document_library.version IS 'Numéro de version du document (NULL pour un import non terminé)';
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- INGESTION : Migration - empreinte calculée par ingest-worker
+-- ingest-api ne télécharge plus le fichier stocké pour le hacher : il contrôle
+-- l'empreinte déclarée par le client (facultative), ingest-worker calcule
+-- l'empreinte réelle à l'extraction et refuse le doublon. L'index unique
+-- idx_source_documents_org_content_hash reste la garantie finale.
+-- ============================================================================
+
+ALTER TABLE public.ingestion_jobs
+    ADD COLUMN IF NOT EXISTS error_code TEXT;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.ingestion_jobs.content_hash IS 'Empreinte du contenu : déclarée à l''import, puis calculée par ingest-worker à l''extraction';
+COMMENT ON COLUMN public.ingestion_jobs.error_code IS 'Cause d''échec exploitable par le client (duplicate : contenu déjà importé)';
@@ -0,0 +1,93 @@
+-- ============================================================================
+-- INGESTION : Migration - reprise des imports abandonnés
+-- Une tâche dont le worker s'est arrêté en cours de traitement (extracting,
+-- chunking, embedding sans mise à jour depuis 15 minutes) est de nouveau
+-- réservable ; après 3 prises en charge, elle échoue définitivement.
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_running
+    ON public.ingestion_jobs(updated_at)
+    WHERE status IN ('extracting', 'chunking', 'embedding');
+
+-- Réserve une tâche pour un worker : en attente, ou abandonnée par un worker arrêté.
+-- SKIP LOCKED : deux workers ne traitent jamais la même tâche.
+CREATE OR REPLACE FUNCTION public.claim_ingestion_job(p_job_id UUID DEFAULT NULL)
+RETURNS SETOF public.ingestion_jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    c_stale_after CONSTANT INTERVAL := INTERVAL '15 minutes';
+    c_max_attempts CONSTANT INTEGER := 3;
+    v_job public.ingestion_jobs%ROWTYPE;
+BEGIN
+    LOOP
+        SELECT * INTO v_job
+        FROM public.ingestion_jobs
+        WHERE (p_job_id IS NULL OR id = p_job_id)
+        AND (
+            status = 'queued'
+            OR (
+                status IN ('extracting', 'chunking', 'embedding')
+                AND updated_at < NOW() - c_stale_after
+            )
+        )
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED;
+
+        IF NOT FOUND THEN
+            RETURN;
+        END IF;
+
+        EXIT WHEN v_job.status = 'queued';
+
+        -- Worker arrêté après l'indexation complète : seule la clôture de la tâche manquait
+        IF EXISTS (
+            SELECT 1 FROM public.source_documents
+            WHERE id = v_job.source_document_id
+            AND chunk_count IS NOT NULL
+        ) THEN
+            UPDATE public.ingestion_jobs
+            SET status = 'done',
+                finished_at = NOW()
+            WHERE id = v_job.id;
+            CONTINUE;
+        END IF;
+
+        -- Indexation partielle : le document et ses chunks sont supprimés (cascade)
+        DELETE FROM public.source_documents
+        WHERE id = v_job.source_document_id;
+
+        EXIT WHEN v_job.attempts < c_max_attempts;
+
+        UPDATE public.ingestion_jobs
+        SET status = 'failed',
+            error = 'Import interrompu ' || v_job.attempts || ' fois (traitement abandonné par le worker)',
+            error_code = 'stalled',
+            source_document_id = NULL,
+            finished_at = NOW()
+        WHERE id = v_job.id;
+    END LOOP;
+
+    RETURN QUERY
+    UPDATE public.ingestion_jobs j
+    SET status = 'extracting',
+        attempts = j.attempts + 1,
+        started_at = NOW(),
+        chunk_count = NULL,
+        chunks_embedded = 0,
+        source_document_id = NULL,
+        error = NULL,
+        error_code = NULL
+    WHERE j.id = v_job.id
+    RETURNING j.*;
+END;
+$$;
+
+-- Réservée aux Edge Functions (service role)
+REVOKE EXECUTE ON FUNCTION public.claim_ingestion_job(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.ingestion_jobs.source_document_id IS 'Document créé par la tâche (renseigné dès sa création pour qu''une reprise supprime l''indexation partielle)';
+COMMENT ON COLUMN public.ingestion_jobs.attempts IS 'Nombre de prises en charge par un worker (3 au plus : au-delà, la tâche abandonnée échoue)';
+COMMENT ON COLUMN public.ingestion_jobs.error_code IS 'Cause d''échec exploitable par le client (duplicate : contenu déjà importé ; stalled : traitement abandonné trop souvent)';
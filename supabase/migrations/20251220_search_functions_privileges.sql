@@ -0,0 +1,13 @@
+-- ============================================================================
+-- RECHERCHE : Migration - fonctions de recherche réservées au service role
+-- match_documents et hybrid_match_documents (cf. 20251211) filtrent sur le
+-- filter_org fourni par l'appelant : exposées via PostgREST, elles laisseraient
+-- un utilisateur interroger les documents de n'importe quelle organisation.
+-- Seul rag-brain (service role) les appelle, avec l'organisation de l'appelant.
+-- ============================================================================
+
+REVOKE EXECUTE ON FUNCTION public.match_documents(vector, FLOAT, INT, TEXT, TEXT, UUID)
+    FROM PUBLIC, anon, authenticated;
+
+REVOKE EXECUTE ON FUNCTION public.hybrid_match_documents(TEXT, vector, FLOAT, INT, TEXT, TEXT, UUID, FLOAT, FLOAT, INT)
+    FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,113 @@
+-- ============================================================================
+-- CHAT : Migration - traitement des retours réservé aux administrateurs
+-- La politique FOR ALL de 20251208 laissait l'auteur d'un retour renseigner
+-- resolved_at / resolved_by. Elle est remplacée par une politique par
+-- opération, et un trigger réserve les colonnes de traitement aux
+-- administrateurs de l'organisation (les politiques ne comparent pas l'ancienne
+-- et la nouvelle ligne).
+-- ============================================================================
+
+DROP POLICY IF EXISTS "Users can manage their own feedback" ON public.answer_feedback;
+
+-- Politique RLS : Chaque utilisateur consulte ses propres retours
+DROP POLICY IF EXISTS "Users can view their own feedback" ON public.answer_feedback;
+CREATE POLICY "Users can view their own feedback"
+    ON public.answer_feedback
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Politique RLS : Retour enregistré dans une organisation dont l'auteur est membre actif
+DROP POLICY IF EXISTS "Users can create their own feedback" ON public.answer_feedback;
+CREATE POLICY "Users can create their own feedback"
+    ON public.answer_feedback
+    FOR INSERT
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            org_id IS NULL
+            OR EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = answer_feedback.org_id
+                AND om.user_id = auth.uid()
+                AND om.status = 'active'
+            )
+        )
+    );
+
+-- Politique RLS : L'auteur modifie sa note et son commentaire (traitement exclu, cf. trigger)
+DROP POLICY IF EXISTS "Users can update their own feedback" ON public.answer_feedback;
+CREATE POLICY "Users can update their own feedback"
+    ON public.answer_feedback
+    FOR UPDATE
+    USING (user_id = auth.uid())
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            org_id IS NULL
+            OR EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = answer_feedback.org_id
+                AND om.user_id = auth.uid()
+                AND om.status = 'active'
+            )
+        )
+    );
+
+-- Politique RLS : Chaque utilisateur supprime ses propres retours
+DROP POLICY IF EXISTS "Users can delete their own feedback" ON public.answer_feedback;
+CREATE POLICY "Users can delete their own feedback"
+    ON public.answer_feedback
+    FOR DELETE
+    USING (user_id = auth.uid());
+
+-- resolved_at / resolved_by : administrateurs de l'organisation et super admins uniquement,
+-- resolved_by étant toujours l'administrateur qui traite le retour.
+-- Service role (auth.uid() NULL) : pas de restriction.
+CREATE OR REPLACE FUNCTION protect_answer_feedback_resolution()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.resolved_at IS NULL AND NEW.resolved_by IS NULL THEN
+            RETURN NEW;
+        END IF;
+    ELSIF NEW.resolved_at IS NOT DISTINCT FROM OLD.resolved_at
+        AND NEW.resolved_by IS NOT DISTINCT FROM OLD.resolved_by THEN
+        RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.organization_members om
+        WHERE om.org_id = NEW.org_id
+        AND om.user_id = auth.uid()
+        AND om.role IN ('owner', 'admin')
+        AND om.status = 'active'
+    ) AND NOT EXISTS (
+        SELECT 1 FROM public.profiles
+        WHERE id = auth.uid()
+        AND app_role = 'super_admin'
+    ) THEN
+        RAISE EXCEPTION 'Seuls les administrateurs de l''organisation peuvent traiter un retour'
+            USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.resolved_by IS NOT NULL AND NEW.resolved_by <> auth.uid() THEN
+        RAISE EXCEPTION 'Un retour ne peut être marqué traité qu''au nom de l''administrateur connecté'
+            USING ERRCODE = '42501';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_protect_answer_feedback_resolution ON public.answer_feedback;
+CREATE TRIGGER trigger_protect_answer_feedback_resolution
+    BEFORE INSERT OR UPDATE ON public.answer_feedback
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_answer_feedback_resolution();
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.answer_feedback.resolved_by IS 'Administrateur qui a traité le retour (modifiable par les administrateurs uniquement)';
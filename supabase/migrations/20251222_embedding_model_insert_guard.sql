@@ -0,0 +1,48 @@
+-- ============================================================================
+-- RECHERCHE : Migration - chunks insérés pendant la bascule de modèle
+-- ingest-worker lit le modèle actif et la migration en cours avant d'insérer
+-- ses chunks : si finalize_embedding_migration passe entre les deux, les
+-- chunks arrivent avec l'ancien modèle et ne sont plus interrogés.
+-- Le modèle est donc vérifié à l'insertion, après la bascule (le verrou de
+-- finalize_embedding_migration fait attendre les insertions concurrentes) :
+-- un chunk déjà embeddé avec le nouveau modèle (embedding_next) est converti,
+-- sinon l'insertion est refusée et l'import échoue sans document partiel.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION enforce_active_embedding_model()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_active TEXT;
+BEGIN
+    SELECT value #>> '{}' INTO v_active
+    FROM public.app_settings
+    WHERE key = 'active_embedding_model';
+
+    IF v_active IS NULL OR NEW.embedding_model IS NOT DISTINCT FROM v_active THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.embedding_next_model IS DISTINCT FROM v_active OR NEW.embedding_next IS NULL THEN
+        RAISE EXCEPTION 'Modèle d''embedding % remplacé par % pendant l''import : relancez l''import', NEW.embedding_model, v_active;
+    END IF;
+
+    -- Même conversion que finalize_embedding_migration
+    NEW.embedding := NEW.embedding_next;
+    NEW.embedding_model := v_active;
+    NEW.embedding_next := NULL;
+    NEW.embedding_next_model := NULL;
+
+    UPDATE public.source_documents
+    SET embedding_model = v_active
+    WHERE id = NEW.parent_document_id
+    AND embedding_model IS DISTINCT FROM v_active;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_enforce_active_embedding_model ON public.documents;
+CREATE TRIGGER trigger_enforce_active_embedding_model
+    BEFORE INSERT ON public.documents
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_active_embedding_model();
@@ -0,0 +1,65 @@
+-- ============================================================================
+-- RECHERCHE : Migration - exclusions de la requête plein texte
+-- search_tsquery (cf. 20251207) remplaçait les & par des | sans parenthèses :
+-- "a b -c" devenait a | (b & !c), l'exclusion ne portant que sur le dernier
+-- terme. Les termes sont désormais combinés en OU puis les exclusions
+-- appliquées à l'ensemble : (a | b) & !c.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.search_tsquery(query_text TEXT)
+RETURNS tsquery
+LANGUAGE plpgsql IMMUTABLE
+AS $$
+DECLARE
+    v_query tsquery := websearch_to_tsquery('french', query_text);
+    v_text TEXT := v_query::text;
+    v_parts TEXT[] := '{}';
+    v_part TEXT;
+    v_start INTEGER := 1;
+    v_depth INTEGER := 0;
+    v_quoted BOOLEAN := false;
+    v_char TEXT;
+    v_terms tsquery;
+    v_exclusions tsquery;
+BEGIN
+    -- Opérandes de premier niveau (séparés par &), hors lexèmes entre apostrophes
+    -- et groupes entre parenthèses (expressions entre guillemets)
+    FOR i IN 1..length(v_text) LOOP
+        v_char := substr(v_text, i, 1);
+        IF v_char = '''' THEN
+            v_quoted := NOT v_quoted;
+        ELSIF NOT v_quoted AND v_char = '(' THEN
+            v_depth := v_depth + 1;
+        ELSIF NOT v_quoted AND v_char = ')' THEN
+            v_depth := v_depth - 1;
+        ELSIF NOT v_quoted AND v_depth = 0 AND substr(v_text, i, 3) = ' & ' THEN
+            v_parts := v_parts || substr(v_text, v_start, i - v_start);
+            v_start := i + 3;
+        END IF;
+    END LOOP;
+    v_parts := v_parts || substr(v_text, v_start);
+
+    -- Termes combinés en OU : une question en langage naturel trouve des passages ne contenant
+    -- qu'une partie des mots (le rang favorise ceux qui en contiennent le plus)
+    FOREACH v_part IN ARRAY v_parts LOOP
+        IF v_part = '' THEN
+            CONTINUE;
+        ELSIF left(v_part, 1) = '!' AND position(' | ' IN v_part) = 0 THEN
+            v_exclusions := CASE WHEN v_exclusions IS NULL THEN v_part::tsquery ELSE v_exclusions && v_part::tsquery END;
+        ELSE
+            v_terms := CASE WHEN v_terms IS NULL THEN v_part::tsquery ELSE v_terms || v_part::tsquery END;
+        END IF;
+    END LOOP;
+
+    -- Requête vide, ou uniquement des exclusions : inchangée
+    IF v_terms IS NULL THEN
+        RETURN v_query;
+    END IF;
+
+    -- Exclusions appliquées à l'ensemble des termes
+    RETURN CASE WHEN v_exclusions IS NULL THEN v_terms ELSE v_terms && v_exclusions END;
+END;
+$$;
+
+-- Commentaires pour la documentation
+COMMENT ON FUNCTION public.search_tsquery(TEXT) IS 'Requête plein texte websearch : termes combinés en OU, exclusions (-terme) appliquées à l''ensemble';
@@ -0,0 +1,62 @@
+-- ============================================================================
+-- INGESTION : Migration - fichiers stockés par organisation
+-- SmartUploader dépose les fichiers sous `${org_id}/...` dans le bucket
+-- documents ; ingest-api refuse tout storage_path hors du dossier de
+-- l'organisation de l'appelant. Le bucket est privé (liens signés par
+-- document-library et document-passage) et ses politiques limitent chaque
+-- membre actif au dossier de son organisation.
+-- ============================================================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('documents', 'documents', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- Politique Storage : Les membres actifs déposent dans le dossier de leur organisation
+DROP POLICY IF EXISTS "Members can upload org documents" ON storage.objects;
+CREATE POLICY "Members can upload org documents"
+    ON storage.objects
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        bucket_id = 'documents'
+        AND EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id::text = (storage.foldername(name))[1]
+            AND om.user_id = auth.uid()
+            AND om.status = 'active'
+        )
+    );
+
+-- Politique Storage : Les membres actifs lisent les fichiers de leur organisation
+DROP POLICY IF EXISTS "Members can view org documents" ON storage.objects;
+CREATE POLICY "Members can view org documents"
+    ON storage.objects
+    FOR SELECT
+    TO authenticated
+    USING (
+        bucket_id = 'documents'
+        AND EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id::text = (storage.foldername(name))[1]
+            AND om.user_id = auth.uid()
+            AND om.status = 'active'
+        )
+    );
+
+-- Politique Storage : Chaque membre retire ses propres dépôts (import refusé) ;
+-- les autres suppressions passent par document-library (service role)
+DROP POLICY IF EXISTS "Members can delete their own org documents" ON storage.objects;
+CREATE POLICY "Members can delete their own org documents"
+    ON storage.objects
+    FOR DELETE
+    TO authenticated
+    USING (
+        bucket_id = 'documents'
+        AND owner = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id::text = (storage.foldername(name))[1]
+            AND om.user_id = auth.uid()
+            AND om.status = 'active'
+        )
+    );
@@ -0,0 +1,91 @@
+-- ============================================================================
+-- INGESTION : Migration - reprise des imports abandonnés (document complet)
+-- 20251219 considérait comme terminé tout document dont chunk_count n'est pas
+-- NULL ; la colonne vaut 0 par défaut, si bien qu'un import interrompu en cours
+-- d'embedding était clôturé avec des chunks manquants. Un document n'est
+-- complet que si son chunk_count et ses chunks correspondent à la tâche.
+-- ============================================================================
+
+-- Réserve une tâche pour un worker : en attente, ou abandonnée par un worker arrêté.
+-- SKIP LOCKED : deux workers ne traitent jamais la même tâche.
+CREATE OR REPLACE FUNCTION public.claim_ingestion_job(p_job_id UUID DEFAULT NULL)
+RETURNS SETOF public.ingestion_jobs
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    c_stale_after CONSTANT INTERVAL := INTERVAL '15 minutes';
+    c_max_attempts CONSTANT INTEGER := 3;
+    v_job public.ingestion_jobs%ROWTYPE;
+BEGIN
+    LOOP
+        SELECT * INTO v_job
+        FROM public.ingestion_jobs
+        WHERE (p_job_id IS NULL OR id = p_job_id)
+        AND (
+            status = 'queued'
+            OR (
+                status IN ('extracting', 'chunking', 'embedding')
+                AND updated_at < NOW() - c_stale_after
+            )
+        )
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED;
+
+        IF NOT FOUND THEN
+            RETURN;
+        END IF;
+
+        EXIT WHEN v_job.status = 'queued';
+
+        -- Worker arrêté après l'indexation complète : seule la clôture de la tâche manquait.
+        -- source_documents.chunk_count vaut 0 tant que l'indexation n'est pas terminée ;
+        -- les chunks réellement insérés doivent aussi être tous présents.
+        IF v_job.chunk_count > 0 AND EXISTS (
+            SELECT 1 FROM public.source_documents sd
+            WHERE sd.id = v_job.source_document_id
+            AND sd.chunk_count = v_job.chunk_count
+            AND (
+                SELECT COUNT(*) FROM public.documents d
+                WHERE d.parent_document_id = sd.id
+            ) = v_job.chunk_count
+        ) THEN
+            UPDATE public.ingestion_jobs
+            SET status = 'done',
+                finished_at = NOW()
+            WHERE id = v_job.id;
+            CONTINUE;
+        END IF;
+
+        -- Indexation partielle : le document et ses chunks sont supprimés (cascade)
+        DELETE FROM public.source_documents
+        WHERE id = v_job.source_document_id;
+
+        EXIT WHEN v_job.attempts < c_max_attempts;
+
+        UPDATE public.ingestion_jobs
+        SET status = 'failed',
+            error = 'Import interrompu ' || v_job.attempts || ' fois (traitement abandonné par le worker)',
+            error_code = 'stalled',
+            source_document_id = NULL,
+            finished_at = NOW()
+        WHERE id = v_job.id;
+    END LOOP;
+
+    RETURN QUERY
+    UPDATE public.ingestion_jobs j
+    SET status = 'extracting',
+        attempts = j.attempts + 1,
+        started_at = NOW(),
+        chunk_count = NULL,
+        chunks_embedded = 0,
+        source_document_id = NULL,
+        error = NULL,
+        error_code = NULL
+    WHERE j.id = v_job.id
+    RETURNING j.*;
+END;
+$$;
+
+-- Réservée aux Edge Functions (service role)
+REVOKE EXECUTE ON FUNCTION public.claim_ingestion_job(UUID) FROM PUBLIC, anon, authenticated;
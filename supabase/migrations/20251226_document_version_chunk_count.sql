@@ -0,0 +1,107 @@
+-- ============================================================================
+-- INGESTION : Migration - nombre de chunks écrit avec le remplacement des versions
+-- ingest-worker écrivait chunk_count après supersede_previous_versions : un
+-- worker arrêté entre les deux laissait l'ancienne version sans chunks et la
+-- nouvelle à 0 chunk. supersede_previous_versions reçoit désormais le nombre
+-- de chunks et l'écrit dans la même transaction.
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS public.supersede_previous_versions(UUID);
+
+-- Appelée par ingest-worker une fois les chunks du nouveau document indexés.
+CREATE OR REPLACE FUNCTION public.supersede_previous_versions(p_document_id UUID, p_chunk_count INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_document public.source_documents%ROWTYPE;
+    v_can_manage_all BOOLEAN;
+    v_group_id UUID;
+    v_previous_ids UUID[];
+BEGIN
+    SELECT * INTO v_document
+    FROM public.source_documents
+    WHERE id = p_document_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document introuvable : %', p_document_id;
+    END IF;
+
+    -- Document complet : son nombre de chunks est écrit dans la même transaction
+    -- que la suppression des chunks des versions précédentes
+    UPDATE public.source_documents
+    SET chunk_count = p_chunk_count
+    WHERE id = v_document.id;
+
+    IF v_document.filename IS NULL THEN
+        RETURN v_document.version;
+    END IF;
+
+    -- Auteur de l'import : clé d'API, super admin ou administrateur de l'organisation
+    v_can_manage_all := v_document.api_key_id IS NOT NULL
+        OR EXISTS (
+            SELECT 1 FROM public.profiles
+            WHERE id = v_document.uploaded_by
+            AND app_role = 'super_admin'
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.organization_members om
+            WHERE om.org_id = v_document.org_id
+            AND om.user_id = v_document.uploaded_by
+            AND om.status = 'active'
+            AND om.role IN ('owner', 'admin')
+        );
+
+    -- Version courante la plus récente du même fichier que l'auteur peut remplacer
+    SELECT version_group_id INTO v_group_id
+    FROM public.source_documents
+    WHERE org_id = v_document.org_id
+    AND filename = v_document.filename
+    AND superseded_at IS NULL
+    AND id <> v_document.id
+    AND vertical_ids && v_document.vertical_ids
+    AND (v_can_manage_all OR uploaded_by = v_document.uploaded_by)
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    -- Aucune : le fichier est un nouveau document (version 1)
+    IF v_group_id IS NULL THEN
+        RETURN v_document.version;
+    END IF;
+
+    SELECT array_agg(previous.id) INTO v_previous_ids
+    FROM (
+        SELECT id
+        FROM public.source_documents
+        WHERE version_group_id = v_group_id
+        AND superseded_at IS NULL
+        AND id <> v_document.id
+        FOR UPDATE
+    ) previous;
+
+    UPDATE public.source_documents
+    SET version = (
+            SELECT MAX(version) + 1
+            FROM public.source_documents
+            WHERE version_group_id = v_group_id
+        ),
+        version_group_id = v_group_id
+    WHERE id = v_document.id
+    RETURNING version INTO v_document.version;
+
+    UPDATE public.source_documents
+    SET superseded_at = NOW(),
+        superseded_by = v_document.id
+    WHERE id = ANY(v_previous_ids);
+
+    -- Les anciennes versions ne sont plus interrogées
+    DELETE FROM public.documents
+    WHERE parent_document_id = ANY(v_previous_ids);
+
+    RETURN v_document.version;
+END;
+$$;
+
+-- Réservée aux Edge Functions (service role)
+REVOKE EXECUTE ON FUNCTION public.supersede_previous_versions(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,64 @@
+-- ============================================================================
+-- BRIQUE 6 : Migration - révocation seule des clés d'API
+-- La politique FOR UPDATE de 20251213 laissait un administrateur réactiver une
+-- clé révoquée, modifier ses droits ou remplacer son empreinte (et s'approprier
+-- la clé d'un autre). Les utilisateurs connectés ne peuvent plus modifier que
+-- revoked_at, et seulement pour révoquer une clé active.
+-- Le service role (last_used_at, cf. _shared/auth.ts) n'est pas concerné.
+-- ============================================================================
+
+REVOKE UPDATE ON public.org_api_keys FROM anon, authenticated;
+GRANT UPDATE (revoked_at) ON public.org_api_keys TO authenticated;
+
+-- Politique RLS : Les admins révoquent les clés de leur organisation
+DROP POLICY IF EXISTS "Org admins can revoke api keys" ON public.org_api_keys;
+CREATE POLICY "Org admins can revoke api keys"
+    ON public.org_api_keys
+    FOR UPDATE
+    USING (
+        revoked_at IS NULL
+        AND (
+            EXISTS (
+                SELECT 1 FROM public.organization_members om
+                WHERE om.org_id = org_api_keys.org_id
+                AND om.user_id = auth.uid()
+                AND om.role IN ('owner', 'admin')
+                AND om.status = 'active'
+            )
+            OR EXISTS (
+                SELECT 1 FROM public.profiles
+                WHERE id = auth.uid()
+                AND app_role = 'super_admin'
+            )
+        )
+    )
+    WITH CHECK (revoked_at IS NOT NULL);
+
+-- Révocation définitive, datée par le serveur (service role : pas de restriction)
+CREATE OR REPLACE FUNCTION enforce_api_key_revocation()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.revoked_at IS DISTINCT FROM OLD.revoked_at THEN
+        IF OLD.revoked_at IS NOT NULL OR NEW.revoked_at IS NULL THEN
+            RAISE EXCEPTION 'Une clé d''API révoquée ne peut pas être réactivée'
+                USING ERRCODE = '42501';
+        END IF;
+        NEW.revoked_at := NOW();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_enforce_api_key_revocation ON public.org_api_keys;
+CREATE TRIGGER trigger_enforce_api_key_revocation
+    BEFORE UPDATE ON public.org_api_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_api_key_revocation();
+
+-- Commentaires pour la documentation
+COMMENT ON COLUMN public.org_api_keys.revoked_at IS 'Date de révocation (définitive, seule modification permise aux administrateurs) ; une clé révoquée est refusée';
@@ -0,0 +1,96 @@
+-- ============================================================================
+-- INGESTION : Test - reprise des imports abandonnés (claim_ingestion_job)
+-- Exécution : supabase test db
+-- ============================================================================
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(12);
+
+INSERT INTO public.organizations (id, name)
+VALUES ('00000000-0000-0000-0000-00000000a001', 'Organisation de test');
+
+-- Documents parents : interrompu à 4 chunks sur 10, complet (3 sur 3), interrompu pour la 3e fois
+INSERT INTO public.source_documents (id, org_id, filename, vertical_id, vertical_ids, chunk_count, embedding_model)
+SELECT id, '00000000-0000-0000-0000-00000000a001', filename, 'audit', '{audit}', chunk_count,
+    (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'active_embedding_model')
+FROM (VALUES
+    ('00000000-0000-0000-0000-00000000d001'::UUID, 'partiel.pdf', 0),
+    ('00000000-0000-0000-0000-00000000d002'::UUID, 'complet.pdf', 3),
+    ('00000000-0000-0000-0000-00000000d003'::UUID, 'abandonne.pdf', 0)
+) AS fixtures(id, filename, chunk_count);
+
+INSERT INTO public.documents (content, metadata, org_id, vertical_id, parent_document_id, chunk_index, embedding_model)
+SELECT 'Passage ' || chunk_index, '{}'::jsonb, '00000000-0000-0000-0000-00000000a001', 'audit', parent_document_id, chunk_index,
+    (SELECT value #>> '{}' FROM public.app_settings WHERE key = 'active_embedding_model')
+FROM (
+    SELECT '00000000-0000-0000-0000-00000000d001'::UUID AS parent_document_id, generate_series(0, 3) AS chunk_index
+    UNION ALL
+    SELECT '00000000-0000-0000-0000-00000000d002'::UUID, generate_series(0, 2)
+    UNION ALL
+    SELECT '00000000-0000-0000-0000-00000000d003'::UUID, generate_series(0, 1)
+) AS chunks;
+
+-- Tâches en cours d'embedding, sans mise à jour depuis une heure
+INSERT INTO public.ingestion_jobs (id, org_id, status, filename, vertical_ids, chunk_count, chunks_embedded, source_document_id, attempts, updated_at)
+VALUES
+    ('00000000-0000-0000-0000-00000000b001', '00000000-0000-0000-0000-00000000a001', 'embedding', 'partiel.pdf', '{audit}',
+        10, 4, '00000000-0000-0000-0000-00000000d001', 1, NOW() - INTERVAL '1 hour'),
+    ('00000000-0000-0000-0000-00000000b002', '00000000-0000-0000-0000-00000000a001', 'embedding', 'complet.pdf', '{audit}',
+        3, 3, '00000000-0000-0000-0000-00000000d002', 1, NOW() - INTERVAL '1 hour'),
+    ('00000000-0000-0000-0000-00000000b003', '00000000-0000-0000-0000-00000000a001', 'embedding', 'abandonne.pdf', '{audit}',
+        10, 2, '00000000-0000-0000-0000-00000000d003', 3, NOW() - INTERVAL '1 hour');
+
+-- Import interrompu en cours d'embedding : repris, indexation partielle supprimée
+CREATE TEMP TABLE claimed AS
+SELECT * FROM public.claim_ingestion_job('00000000-0000-0000-0000-00000000b001');
+
+SELECT is((SELECT COUNT(*) FROM claimed), 1::BIGINT, 'un import interrompu en cours d''embedding est repris');
+SELECT is((SELECT status FROM claimed), 'extracting', 'la tâche reprise repart de l''extraction');
+SELECT is((SELECT attempts FROM claimed), 2, 'la reprise compte une prise en charge de plus');
+SELECT is((SELECT chunks_embedded FROM claimed), 0, 'la progression de l''embedding est remise à zéro');
+SELECT ok(
+    NOT EXISTS (SELECT 1 FROM public.source_documents WHERE id = '00000000-0000-0000-0000-00000000d001'),
+    'le document partiel est supprimé'
+);
+SELECT ok(
+    NOT EXISTS (SELECT 1 FROM public.documents WHERE parent_document_id = '00000000-0000-0000-0000-00000000d001'),
+    'les chunks déjà insérés sont supprimés avec lui'
+);
+
+-- Import interrompu après l'indexation complète : seulement clôturé
+SELECT is_empty(
+    $$ SELECT * FROM public.claim_ingestion_job('00000000-0000-0000-0000-00000000b002') $$,
+    'un import entièrement indexé n''est pas repris'
+);
+SELECT is(
+    (SELECT status FROM public.ingestion_jobs WHERE id = '00000000-0000-0000-0000-00000000b002'),
+    'done',
+    'un import entièrement indexé est clôturé'
+);
+SELECT is(
+    (SELECT COUNT(*) FROM public.documents WHERE parent_document_id = '00000000-0000-0000-0000-00000000d002'),
+    3::BIGINT,
+    'les chunks d''un import entièrement indexé sont conservés'
+);
+
+-- Import interrompu pour la 3e fois : échec définitif
+SELECT is_empty(
+    $$ SELECT * FROM public.claim_ingestion_job('00000000-0000-0000-0000-00000000b003') $$,
+    'un import abandonné trop souvent n''est plus repris'
+);
+SELECT results_eq(
+    $$ SELECT status, error_code FROM public.ingestion_jobs WHERE id = '00000000-0000-0000-0000-00000000b003' $$,
+    $$ VALUES ('failed'::TEXT, 'stalled'::TEXT) $$,
+    'un import abandonné trop souvent échoue (stalled)'
+);
+SELECT ok(
+    NOT EXISTS (SELECT 1 FROM public.source_documents WHERE id = '00000000-0000-0000-0000-00000000d003'),
+    'le document partiel d''un import en échec est supprimé'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;